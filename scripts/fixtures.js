@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/**
+ * Scraper Fixture Harness
+ * record: jalankan setiap fungsi scraper ke situs asli, simpan raw response AxiosService
+ *         dan output ternormalisasi per provider di fixtures/<provider>/. Rekaman ditulis ke
+ *         direktori sementara dan baru menggantikan fixture lama bila semua case lolos
+ * replay: jalankan ulang secara offline dari fixture, cek struktur output dan field yang
+ *         diharapkan (`expect` di cases.json), sehingga selector yang rusak ketahuan tanpa
+ *         jaringan (bagian dari `npm test`; provider tanpa fixture dihitung gagal)
+ *
+ * `expect` ditulis dan dicek manual terhadap fixture ({ 'data.0.title': 'One Piece', ... }),
+ * bukan snapshot output parser. Record mempertahankan `expect` yang sudah ada; case baru
+ * gagal di replay sampai field-nya diisi. Fixture dengan `source: 'synthetic'` adalah halaman
+ * tiruan buatan tangan, bukan rekaman situs asli.
+ *
+ * Usage:
+ *   node scripts/fixtures.js record [providerId...]
+ *   node scripts/fixtures.js replay [providerId...]
+ *
+ * Env: FIXTURES_DIR (default: ./fixtures)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const FixtureStore = require('../src/helper/fixture_store');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const { getScraperService, listProviders, providerSupportsFeature } = require('../src/services/provider_manager');
+const { validateCanaryResult } = require('../src/services/health_prober');
+
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+const CASES_FILE = 'cases.json';
+const SEARCH_KEYWORD = 'one piece';
+
+/**
+ * Cases per provider; later cases use output of earlier ones
+ * (genre pertama dari genreList, komik pertama dari latest, chapter pertama dari detail)
+ */
+const CASES = [
+  { name: 'latest', feature: 'latest', method: 'getLatestComics', args: () => [1] },
+  { name: 'genreList', feature: 'genreList', method: 'getGenres', args: () => [] },
+  {
+    name: 'genre',
+    feature: 'genre',
+    method: 'getComicsByGenre',
+    args: (results) => {
+      const genre = results.genreList?.[0];
+      return genre ? [genre.href, 1] : null;
+    }
+  },
+  { name: 'search', feature: 'search', method: 'searchComics', args: () => [SEARCH_KEYWORD] },
+  { name: 'popular', feature: 'popular', method: 'getPopularComics', args: () => [] },
+  { name: 'recommended', feature: 'recommended', method: 'getRecommendedComics', args: () => [] },
+  {
+    name: 'detail',
+    feature: 'detail',
+    method: 'getComicDetail',
+    args: (results) => {
+      const comic = results.latest?.data?.[0];
+      return comic ? [comic.href] : null;
+    }
+  },
+  {
+    name: 'read',
+    feature: 'read',
+    method: 'readChapter',
+    args: (results) => {
+      const chapter = results.detail?.chapter?.[0];
+      return chapter ? [chapter.href] : null;
+    }
+  }
+];
+
+/**
+ * Check normalized output of a scraper function against its schema contract
+ * @param {string} name - Case name (operation key)
+ * @param {*} result - Scraper output
+ * @returns {Array} Problems found (empty if valid)
+ */
+const checkResult = (name, result) => {
+  const errors = validateCanaryResult(name, result);
+
+  if ((name === 'latest' || name === 'genre') && result && result.length_page < result.current_page) {
+    errors.push(`length_page ${result.length_page} is below current_page ${result.current_page}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Check expected fields of replayed output
+ * @param {object} expect - Path -> value ('data.0.title', 'chapter.length', ...)
+ * @param {*} actual - Replayed value
+ * @returns {Array} Mismatches (empty if every field matches)
+ */
+const checkExpected = (expect, actual) => {
+  if (!expect || Object.keys(expect).length === 0) {
+    return ['no expected fields (add `expect` to cases.json by hand)'];
+  }
+
+  return Object.entries(expect)
+    .map(([field, expected]) => {
+      const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), actual);
+      return util.isDeepStrictEqual(value, expected)
+        ? null
+        : `${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(value)}`;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Read cases file of provider fixture directory
+ * @param {string} dir - Fixture directory
+ * @returns {object|null} { source, cases } or null if missing
+ */
+const readCases = (dir) => {
+  const file = path.join(dir, CASES_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+/**
+ * Run one case
+ * @param {object} scraper - Provider scraper service
+ * @param {string} method - Scraper function name
+ * @param {Array} args - Arguments
+ * @returns {Promise<object>} { result } or { error }
+ */
+const runCase = async (scraper, method, args) => {
+  try {
+    // Round-trip lewat JSON agar sama dengan nilai yang dibandingkan dari cases.json
+    return { result: JSON.parse(JSON.stringify(await scraper[method](...args))) };
+  } catch (error) {
+    return { error: { code: error.code || 'ERROR', message: error.message } };
+  }
+};
+
+/**
+ * Run every case against the live site and write fixtures to dir
+ * @param {string} providerId - Provider ID
+ * @param {string} dir - Output directory
+ * @param {object} previous - Previous cases ({ name: { expect } }) whose expected fields are kept
+ * @returns {Promise<number>} Number of failed cases
+ */
+const recordCases = async (providerId, dir, previous = {}) => {
+  setFixtureStore(new FixtureStore({ dir, mode: 'record' }));
+
+  const scraper = getScraperService(providerId);
+  const results = {};
+  const cases = {};
+  let failed = 0;
+
+  for (const testCase of CASES) {
+    if (!providerSupportsFeature(providerId, testCase.feature)) continue;
+
+    const args = testCase.args(results);
+    if (!args) {
+      console.log(`  - ${testCase.name}: skipped (no input from previous case)`);
+      continue;
+    }
+
+    const outcome = await runCase(scraper, testCase.method, args);
+    const problems = outcome.error ? [outcome.error.message] : checkResult(testCase.name, outcome.result);
+    results[testCase.name] = outcome.result;
+    cases[testCase.name] = outcome.error
+      ? { method: testCase.method, args, error: outcome.error }
+      : { method: testCase.method, args, expect: previous[testCase.name]?.expect || {} };
+
+    if (problems.length > 0) failed++;
+    console.log(`  ${problems.length > 0 ? '✗' : '✓'} ${testCase.name}${problems.length > 0 ? `: ${problems.join(', ')}` : ''}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, CASES_FILE), JSON.stringify({
+    source: 'recorded',
+    recordedAt: new Date().toISOString(),
+    cases
+  }, null, 2));
+  return failed;
+};
+
+/**
+ * Record fixtures for provider
+ * Fixture lama tetap dipakai bila ada case yang gagal (situs down, selector rusak)
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<number>} Number of failed cases
+ */
+const recordProvider = async (providerId) => {
+  const dir = path.join(FIXTURES_DIR, providerId);
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  const tempDir = fs.mkdtempSync(path.join(FIXTURES_DIR, `.${providerId}-`));
+
+  try {
+    const failed = await recordCases(providerId, tempDir, readCases(dir)?.cases);
+
+    if (failed > 0) {
+      console.log(`  - ${failed} case(s) failed, keeping previous fixtures`);
+      return failed;
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tempDir, dir);
+    return 0;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Replay fixtures for provider offline
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<number>} Number of failed cases
+ */
+const replayProvider = async (providerId) => {
+  const dir = path.join(FIXTURES_DIR, providerId);
+  const file = readCases(dir);
+
+  if (!file) {
+    console.log(`  ✗ no fixtures recorded (run: npm run fixtures:record -- ${providerId})`);
+    return 1;
+  }
+  if (file.source === 'synthetic') {
+    console.log('  (synthetic fixtures, not recorded from the live site)');
+  }
+
+  setFixtureStore(new FixtureStore({ dir, mode: 'replay' }));
+
+  const scraper = getScraperService(providerId);
+  const cases = file.cases || {};
+  let failed = 0;
+
+  for (const [name, expected] of Object.entries(cases)) {
+    const outcome = await runCase(scraper, expected.method, expected.args);
+    const problems = [];
+
+    if (expected.error) {
+      if (!outcome.error || outcome.error.code !== expected.error.code) {
+        problems.push(`expected error ${expected.error.code}, got ${outcome.error ? outcome.error.code : 'result'}`);
+      }
+    } else if (outcome.error) {
+      problems.push(`${outcome.error.code}: ${outcome.error.message}`);
+    } else {
+      problems.push(...checkResult(name, outcome.result));
+      problems.push(...checkExpected(expected.expect, outcome.result));
+    }
+
+    if (problems.length > 0) failed++;
+    console.log(`  ${problems.length > 0 ? '✗' : '✓'} ${name}${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+  }
+
+  return failed;
+};
+
+const main = async () => {
+  const [mode, ...requested] = process.argv.slice(2);
+
+  if (mode !== 'record' && mode !== 'replay') {
+    console.error('Usage: node scripts/fixtures.js <record|replay> [providerId...]');
+    process.exit(2);
+  }
+
+  const providerIds = requested.length > 0
+    ? requested
+    : listProviders().filter(provider => provider.enabled).map(provider => provider.id);
+
+  let failed = 0;
+
+  for (const providerId of providerIds) {
+    console.log(`${providerId}:`);
+    try {
+      failed += mode === 'record'
+        ? await recordProvider(providerId)
+        : await replayProvider(providerId);
+    } catch (error) {
+      failed++;
+      console.log(`  ✗ ${error.message}`);
+    }
+  }
+
+  setFixtureStore(null);
+  console.log(failed > 0 ? `\n${failed} case(s) failed` : '\nAll cases passed');
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
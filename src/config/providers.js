@@ -1,14 +1,44 @@
 /**
  * Provider Configuration
  * Konfigurasi untuk setiap provider yang didukung
+ *
+ * `urlPatterns` dan `selectors` dipakai langsung oleh services/scraper_engine.js,
+ * jadi situs baru dengan markup WordPress standar cukup ditambahkan lewat config.
+ * Selector field bisa berupa string, array (dicoba berurutan) atau
+ * object { selector, attr, strip, label, value }.
+ *
+ * `theme` (opsional: 'madara' atau 'mangastream') memakai base adapter di themes/,
+ * sehingga situs bertema sama cukup butuh name, baseUrl dan override yang berbeda saja,
+ * mis. { theme: 'madara', name: 'Situs', baseUrl: 'https://situs.com' }.
+ *
+ * `circuitBreaker` (opsional) meng-override opsi default di services/circuit_breaker.js,
+ * mis. { failureRateThreshold: 0.5, cooldownMs: 30000 }.
+ * `healthCheck` (opsional) mengganti canary di services/health_prober.js,
+ * mis. { operation: 'genreList', args: [] }.
+ * `crawler` (opsional) membatasi services/catalog_crawler.js untuk situs ini,
+ * mis. { concurrency: 1, delayMs: 3000, maxPages: 20 }.
+ * `mirrors` (dan `api.mirrors`) adalah daftar domain cadangan berurutan; baseUrl tetap
+ * jadi domain kanonik untuk href, lihat helper/mirror_manager.js.
  */
 
+const { applyTheme } = require('../themes');
+
 const providers = {
   komikcast: {
     name: 'Komikcast',
     baseUrl: 'https://komikcast03.com',
+    mirrors: [
+      'https://komikcast02.com',
+      'https://komikcast.cz',
+      'https://komikcast.lol'
+    ],
     enabled: true,
     default: true,
+    hrefPrefixes: {
+      comic: '/komik',
+      chapter: '/chapter',
+      genre: '/genres'
+    },
     features: {
       latest: true,
       popular: true,
@@ -47,7 +77,7 @@ const providers = {
         title: '.leftseries > h2 > a',
         href: '.imgseries > a',
         thumbnail: '.imgseries > a > img',
-        genre: '.leftseries > span:nth-child(2)',
+        genre: { selector: '.leftseries > span:nth-child(2)', strip: 'Genres:' },
         year: '.leftseries > span:nth-child(3)'
       },
       recommended: {
@@ -75,14 +105,29 @@ const providers = {
         title: '.komik_info-body > .komik_info-content > .komik_info-content-body > h1',
         thumbnail: '.komik_info-cover-box > .komik_info-cover-image > img',
         description: '.komik_info-description-sinopsis > p',
-        rating: '.komik_info-body > .komik_info-content > .komik_info-content-rating > .komik_info-content-rating-bungkus > .data-rating > strong',
-        released: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(1)',
-        author: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(2)',
-        status: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(3)',
-        type: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(4)',
+        rating: {
+          selector: '.komik_info-body > .komik_info-content > .komik_info-content-rating > .komik_info-content-rating-bungkus > .data-rating > strong',
+          strip: 'Rating '
+        },
+        released: {
+          selector: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(1)',
+          strip: 'Released:'
+        },
+        author: {
+          selector: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(2)',
+          strip: 'Author:'
+        },
+        status: {
+          selector: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(3)',
+          strip: 'Status:'
+        },
+        type: {
+          selector: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-meta > span:nth-child(4)',
+          strip: 'Type:'
+        },
         chapters: '.komik_info-body > .komik_info-chapters > ul > li',
         chapterTitle: 'a',
-        chapterHref: 'a',
+        chapterHref: ['a', 'a:nth-child(2)'],
         chapterDate: '.chapter-link-time',
         genres: '.komik_info-body > .komik_info-content > .komik_info-content-body > .komik_info-content-genre > a'
       },
@@ -113,6 +158,10 @@ const providers = {
   shinigami: {
     name: 'Shinigami',
     baseUrl: 'https://08.shinigami.asia',
+    mirrors: [
+      'https://09.shinigami.asia',
+      'https://07.shinigami.asia'
+    ],
     enabled: true,
     default: false,
     features: {
@@ -122,8 +171,23 @@ const providers = {
       search: true,
       detail: true,
       read: true,
-      genre: false, // Shinigami mungkin tidak punya genre list seperti Komikcast
-      genreList: false
+      genre: true, // Lewat filter taxonomy di endpoint manga/list
+      genreList: true
+    },
+    api: {
+      baseUrl: 'https://api.shngm.io/v1',
+      urlPatterns: {
+        latest: '/manga/list?page={page}&page_size=24&sort=latest&sort_order=desc',
+        popular: '/manga/list?page=1&page_size=50&sort=rank&sort_order=asc',
+        recommended: '/manga/list?page=1&page_size=50&is_recommended=true',
+        search: '/manga/list?page=1&page_size=50&q={keyword}',
+        genre: '/manga/list?page={page}&page_size=24&genre_include={genre}&genre_include_mode=or&sort=latest&sort_order=desc',
+        genreList: '/genre/list',
+        genreTaxonomy: '/manga/list?page=1&page_size=100&sort=latest&sort_order=desc',
+        detail: '/manga/detail/{slug}',
+        chapterList: '/chapter/{slug}/list?page={page}&page_size={pageSize}&sort_by=chapter_number&sort_order=desc',
+        read: '/chapter/detail/{slug}'
+      }
     },
     urlPatterns: {
       latest: '/search', // Using search as latest since structure is different
@@ -196,6 +260,7 @@ const providers = {
     baseUrl: 'https://aquareader.net',
     enabled: true,
     default: false,
+    omitFirstPage: true,
     features: {
       latest: true,
       popular: true,
@@ -210,7 +275,7 @@ const providers = {
       latest: '/page/{page}',
       popular: '/',
       recommended: '/',
-      search: '/?s={keyword}',
+      search: ['/?s={keyword}', '/search?q={keyword}', '/search/{keyword}'],
       detail: '/{slug}',
       read: '/{slug}',
       genre: '/genre/{genre}/page/{page}',
@@ -300,6 +365,11 @@ const providers = {
   }
 };
 
+// Resolve theme defaults of built-in providers
+Object.keys(providers).forEach(providerId => {
+  providers[providerId] = applyTheme(providers[providerId]);
+});
+
 /**
  * Get provider configuration
  * @param {string} providerId - Provider ID
@@ -317,6 +387,42 @@ const getDefaultProvider = () => {
   return Object.values(providers).find(p => p.default) || providers.komikcast;
 };
 
+/**
+ * Get default provider ID
+ * @returns {string} Default provider ID
+ */
+const getDefaultProviderId = () => {
+  return Object.keys(providers).find(id => providers[id].default) || 'komikcast';
+};
+
+/**
+ * Add or replace provider configuration
+ * Config dengan `theme` di-merge dengan default tema lebih dulu
+ * @param {string} providerId - Provider ID
+ * @param {object} config - Provider configuration
+ * @returns {object} Stored provider configuration
+ */
+const addProvider = (providerId, config) => {
+  providers[providerId] = {
+    enabled: true,
+    default: false,
+    features: {},
+    ...applyTheme(config)
+  };
+  return providers[providerId];
+};
+
+/**
+ * Remove provider configuration
+ * @param {string} providerId - Provider ID
+ * @returns {boolean} True if provider was removed
+ */
+const removeProvider = (providerId) => {
+  if (!providers[providerId]) return false;
+  delete providers[providerId];
+  return true;
+};
+
 /**
  * Get all enabled providers
  * @returns {Array} Array of enabled provider configurations
@@ -341,7 +447,10 @@ module.exports = {
   providers,
   getProvider,
   getDefaultProvider,
+  getDefaultProviderId,
   getEnabledProviders,
+  addProvider,
+  removeProvider,
   supportsFeature
 };
 
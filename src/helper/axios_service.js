@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { NetworkError, NotFoundError, retryWithBackoff } = require('./error_handler');
+const { getOrigin, getMirrorCandidates, markMirrorWorking } = require('./mirror_manager');
 
 // User agents for rotation
 const userAgents = [
@@ -12,6 +13,9 @@ const userAgents = [
 
 let userAgentIndex = 0;
 
+// Fixture store aktif (record/replay offline), lihat setFixtureStore
+let fixtureStore = null;
+
 /**
  * Get next user agent in rotation
  * @returns {string} User agent string
@@ -55,19 +59,37 @@ const axiosInstance = axios.create({
 });
 
 /**
- * Enhanced Axios Service with retry, timeout, and error handling
+ * Error codes that mean the mirror itself is unreachable (try next mirror)
+ */
+const MIRROR_FAILURE_CODES = [
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'DOMAIN_REDIRECT'
+];
+
+/**
+ * Fetch single URL with retry, timeout, and error handling
  * @param {string} url - URL to fetch
- * @param {object} options - Additional options
- * @param {number} options.timeout - Request timeout in milliseconds
- * @param {number} options.retries - Number of retries
- * @param {boolean} options.rotateUserAgent - Whether to rotate user agent
+ * @param {object} options - Additional options (see AxiosService)
+ * @param {function} options.shouldRetry - (error) => boolean, false to fail without retrying this URL
  * @returns {Promise} Axios response
  */
-const AxiosService = async (url, options = {}) => {
+const requestUrl = async (url, options = {}) => {
   const {
     timeout = 30000,
     retries = 3,
-    rotateUserAgent = true
+    rotateUserAgent = true,
+    method = 'get',
+    data,
+    shouldRetry
   } = options;
 
   // Validate URL
@@ -80,10 +102,17 @@ const AxiosService = async (url, options = {}) => {
 
   // Create request config
   const config = {
+    url: encodedUrl,
+    method,
     timeout,
     headers: {}
   };
 
+  // Request body (mis. POST ke endpoint AJAX)
+  if (data !== undefined) {
+    config.data = data;
+  }
+
   // Rotate user agent if enabled
   if (rotateUserAgent) {
     config.headers['User-Agent'] = getNextUserAgent();
@@ -98,7 +127,7 @@ const AxiosService = async (url, options = {}) => {
     // Retry with exponential backoff
     const response = await retryWithBackoff(
       async () => {
-        const res = await axiosInstance.get(encodedUrl, config);
+        const res = await axiosInstance.request(config);
         
         // Check if response is successful
         if (res.status === 404) {
@@ -110,7 +139,8 @@ const AxiosService = async (url, options = {}) => {
         return res;
       },
       retries,
-      1000 // Initial delay of 1 second
+      1000, // Initial delay of 1 second
+      shouldRetry
     );
 
     return response;
@@ -128,27 +158,145 @@ const AxiosService = async (url, options = {}) => {
       if (status === 404) {
         throw new NotFoundError('Resource not found');
       } else if (status >= 500) {
-        throw new NetworkError('Server error');
+        throw new NetworkError('Server error', error);
       } else {
-        throw new NetworkError(message);
+        throw new NetworkError(message, error);
       }
     } else if (error.request) {
       // Request was made but no response received
-      throw new NetworkError('No response received from server');
+      throw new NetworkError('No response received from server', error);
     } else if (error.code === 'ECONNABORTED') {
       // Timeout
-      throw new NetworkError('Request timeout');
+      throw new NetworkError('Request timeout', error);
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
       // Connection errors
-      throw new NetworkError('Connection failed');
+      throw new NetworkError('Connection failed', error);
     } else if (error instanceof NotFoundError) {
       // Preserve NotFoundError
       throw error;
     } else {
       // Other errors
-      throw new NetworkError(error.message || 'Unknown error occurred');
+      throw new NetworkError(error.message || 'Unknown error occurred', error);
+    }
+  }
+};
+
+/**
+ * Check whether error means the mirror is unreachable
+ * @param {Error} error - Error thrown by requestUrl
+ * @returns {boolean} True if next mirror should be tried
+ */
+const isMirrorFailure = (error) => {
+  const code = error.originalError?.code || error.code;
+  return MIRROR_FAILURE_CODES.includes(code);
+};
+
+/**
+ * Request URL on one mirror and remember it as working
+ * @param {object} group - Mirror group
+ * @param {string} candidate - URL rewritten to the mirror
+ * @param {object} options - Request options
+ * @returns {Promise} Axios response
+ * @throws {NetworkError} DOMAIN_REDIRECT if the mirror redirects to an unknown domain
+ */
+const requestMirror = async (group, candidate, options) => {
+  const response = await requestUrl(candidate, options);
+
+  // Domain lama sering redirect ke domain baru (atau halaman parkir)
+  const finalUrl = response.request?.res?.responseUrl;
+  const finalOrigin = finalUrl ? getOrigin(finalUrl) : null;
+
+  if (finalOrigin && finalOrigin !== getOrigin(candidate)) {
+    if (!group.mirrors.includes(finalOrigin)) {
+      const error = new NetworkError(`Mirror ${getOrigin(candidate)} redirected to unknown domain ${finalOrigin}`);
+      error.originalError = { code: 'DOMAIN_REDIRECT' };
+      throw error;
     }
+    markMirrorWorking(group, finalUrl);
+  } else {
+    markMirrorWorking(group, candidate);
   }
+
+  return response;
+};
+
+/**
+ * Request URL, failing over across provider mirrors
+ * Gagal koneksi/timeout langsung pindah ke mirror berikutnya (tanpa retry di mirror yang sama);
+ * retry dilakukan per putaran atas semua mirror, dengan backoff di antara putaran.
+ * Error lain (mis. 5xx) tetap di-retry di mirror itu dan tidak memicu failover.
+ * @param {string} url - URL to fetch
+ * @param {object} options - Request options
+ * @param {number} options.retries - Number of rounds over all mirrors
+ * @returns {Promise} Axios response
+ */
+const requestWithMirrors = async (url, options = {}) => {
+  const { group, candidates } = getMirrorCandidates(url);
+
+  if (!group || candidates.length < 2) {
+    return requestUrl(url, options);
+  }
+
+  const rounds = Math.max(1, options.retries ?? 3);
+  const mirrorOptions = { ...options, shouldRetry: (error) => !isMirrorFailure(error) };
+  let lastError = null;
+
+  for (let round = 0; round < rounds; round++) {
+    if (round > 0) {
+      const backoffDelay = 1000 * Math.pow(2, round - 1);
+      console.log(`All mirrors of '${group.key}' failed, retry round ${round + 1}/${rounds} after ${backoffDelay}ms`);
+      await new Promise(resolve => setTimeout(resolve, backoffDelay));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        return await requestMirror(group, candidate, mirrorOptions);
+      } catch (error) {
+        lastError = error;
+
+        if (!isMirrorFailure(error)) {
+          throw error;
+        }
+
+        console.warn(`Mirror ${getOrigin(candidate)} failed (${error.message}), trying next mirror`);
+      }
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * Enhanced Axios Service with retry, timeout, and error handling
+ * URL milik provider dengan `mirrors` dicoba di mirror aktif dulu, lalu mirror berikutnya
+ * saat DNS/koneksi gagal, timeout atau situs redirect ke domain yang tidak dikenal.
+ * @param {string} url - URL to fetch
+ * @param {object} options - Additional options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.retries - Number of retries (putaran atas semua mirror bila provider punya mirror)
+ * @param {boolean} options.rotateUserAgent - Whether to rotate user agent
+ * @param {string} options.method - HTTP method (default: 'get')
+ * @param {*} options.data - Request body for POST requests
+ * @returns {Promise} Axios response
+ */
+const AxiosService = async (url, options = {}) => {
+  if (!url || typeof url !== 'string') {
+    throw new NetworkError('Invalid URL provided');
+  }
+
+  if (fixtureStore) {
+    return fixtureStore.handle(url, () => requestWithMirrors(url, options), options);
+  }
+
+  return requestWithMirrors(url, options);
+};
+
+/**
+ * Route every AxiosService request through a fixture store (record/replay)
+ * @param {object|null} store - Object with handle(url, fetcher, options), or null to disable
+ */
+const setFixtureStore = (store) => {
+  fixtureStore = store;
 };
 
 /**
@@ -182,5 +330,6 @@ const batchRequest = async (urls, options = {}) => {
 module.exports = {
   AxiosService,
   batchRequest,
+  setFixtureStore,
   axiosInstance
 };
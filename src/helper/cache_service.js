@@ -2,15 +2,50 @@
  * Advanced Multi-Level Cache Service with TTL support
  * Provides sophisticated caching functionality for API responses
  * Features: Multi-level caching, cache warming, invalidation strategies, compression
+ * L1 menyimpan value yang sudah di-parse (hit tanpa decompress/JSON.parse); kompresi hanya
+ * dipakai untuk L2 memory dan store
+ * L2 dapat dipersist lewat store adapter (CACHE_STORE=file|redis), lihat cache_store.js
  */
 
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { createCacheStore } = require('./cache_store');
+const { dispatchRequest } = require('./internal_request');
+
+/**
+ * Compute strong ETag of serialized JSON body
+ * @param {Buffer|string} json - Serialized body
+ * @returns {string} Quoted ETag
+ */
+const computeEtag = (json) => `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+
+/**
+ * Supported compression encodings (CACHE_COMPRESSION env)
+ */
+const ENCODINGS = {
+  gzip: {
+    compress: (buffer) => zlib.gzipSync(buffer, { level: 6 }),
+    decompress: (buffer) => zlib.gunzipSync(buffer)
+  },
+  brotli: {
+    compress: (buffer) => zlib.brotliCompressSync(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } // Kualitas rendah: cepat, rasio tetap baik untuk JSON
+    }),
+    decompress: (buffer) => zlib.brotliDecompressSync(buffer)
+  }
+};
+
 class CacheService {
   constructor(options = {}) {
     // L1 Cache: Fast in-memory cache
     this.l1Cache = new Map();
     
-    // L2 Cache: Secondary cache (can be extended to Redis/Disk)
+    // L2 Cache: Secondary in-memory cache
     this.l2Cache = new Map();
+
+    // L2 Store: persistent/shared adapter (null = memory only)
+    // Semua set ditulis ke store; miss lokal dibaca dari store lewat getAsync
+    this.store = options.store !== undefined ? options.store : createCacheStore(process.env.CACHE_STORE);
     
     // Cache statistics
     this.stats = {
@@ -19,15 +54,43 @@ class CacheService {
       sets: 0,
       deletes: 0,
       compressions: 0,
-      decompressions: 0
+      decompressions: 0,
+      storeHits: 0,
+      storeErrors: 0,
+      sizeEvictions: 0,
+      staleServed: 0,
+      staleIfErrorServed: 0,
+      coalesced: 0,
+      revalidations: 0
     };
     
     // Configuration
     this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
     this.maxSize = options.maxSize || 1000; // Max cache entries
+    this.maxBytes = options.maxBytes || parseInt(process.env.CACHE_MAX_BYTES, 10) || 64 * 1024 * 1024; // 64MB (L1 + L2)
     this.cleanupInterval = options.cleanupInterval || 60 * 1000; // 1 minute
     this.enableCompression = options.enableCompression !== false; // Enable by default
     this.compressionThreshold = options.compressionThreshold || 1024; // 1KB
+    this.staleWhileRevalidate = options.staleWhileRevalidate !== undefined
+      ? options.staleWhileRevalidate
+      : (parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE, 10) || 60 * 1000); // 1 minute
+    this.staleIfError = options.staleIfError !== undefined
+      ? options.staleIfError
+      : (parseInt(process.env.CACHE_STALE_IF_ERROR, 10) || 10 * 60 * 1000); // 10 minutes
+    this.coalesceTimeout = options.coalesceTimeout || 30 * 1000; // Batas tunggu request yang digabung
+
+    // key -> in-flight upstream fetch (single-flight per key)
+    this.inflight = new Map();
+    // Key yang sedang di-refresh di background (stale-while-revalidate)
+    this.revalidating = new Set();
+
+    this.compressionEncoding = ENCODINGS[options.compressionEncoding || process.env.CACHE_COMPRESSION]
+      ? (options.compressionEncoding || process.env.CACHE_COMPRESSION)
+      : 'gzip';
+
+    // Total bytes of L1 + L2 entries (serialized/compressed size)
+    this.totalBytes = 0;
+    this.rawBytes = 0;
     
     // Cache warming queue
     this.warmingQueue = [];
@@ -74,41 +137,155 @@ class CacheService {
   }
 
   /**
-   * Get cached value (multi-level)
+   * Find item in memory levels (L2 hit is promoted to L1)
    * @param {string} key - Cache key
-   * @returns {object|null} Cached value or null if not found/expired
+   * @param {boolean} allowStale - Also return expired items still inside their stale window
+   * @returns {object|null} Cache item
    */
-  get(key) {
+  lookup(key, allowStale = false) {
     // Try L1 cache first
     let item = this.l1Cache.get(key);
-    let cacheLevel = 'L1';
     
-    if (!item || this.isExpired(item)) {
+    if (!item) {
       // Try L2 cache
       item = this.l2Cache.get(key);
-      cacheLevel = 'L2';
       
       if (item && !this.isExpired(item)) {
-        // Promote to L1
-        this.l1Cache.set(key, item);
+        // Promote to L1 (didekompresi sekali, hit berikutnya langsung dari value)
+        item = this.unpackItem(key, item);
+        if (item) {
+          this.putItem('L1', key, item);
+          this.evictBytes(key);
+        }
+      }
+    }
+    
+    if (!item) {
+      return null;
+    }
+    
+    if (this.isDead(item)) {
+      this.delete(key);
+      return null;
+    }
+    
+    return allowStale || !this.isExpired(item) ? item : null;
+  }
+
+  /**
+   * Find fresh or stale item in memory, falling back to L2 store
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cache item
+   */
+  async lookupAsync(key) {
+    let item = this.lookup(key, true);
+    
+    if (!item && this.store) {
+      try {
+        const stored = await this.store.get(key);
+        if (stored && !this.isDead(stored)) {
+          if (this.l1Cache.size >= this.maxSize) {
+            this.evictLRU();
+          }
+          item = this.unpackItem(key, stored);
+          if (item) {
+            this.putItem('L1', key, item);
+            this.evictBytes(key);
+            this.stats.storeHits++;
+          }
+        }
+      } catch (error) {
+        this.handleStoreError('get', error);
       }
     }
     
+    return item;
+  }
+
+  /**
+   * Get cached value (multi-level, memory only)
+   * @param {string} key - Cache key
+   * @returns {object|null} Cached value or null if not found/expired
+   */
+  get(key) {
+    const item = this.lookup(key);
+    
+    if (!item) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    return this.readItem(key, item);
+  }
+
+  /**
+   * Get cached value, falling back to L2 store on memory miss
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cached value or null if not found/expired
+   */
+  async getAsync(key) {
+    const item = await this.lookupAsync(key);
+    
     if (!item || this.isExpired(item)) {
       this.stats.misses++;
-      if (item && this.isExpired(item)) {
-        this.delete(key);
-      }
       return null;
     }
     
-    this.stats.hits++;
+    return this.readItem(key, item);
+  }
+
+  /**
+   * Get cached value including stale entries (untuk stale-while-revalidate)
+   * Entry stale dihitung sebagai miss karena tetap butuh fetch ulang
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} { value, stale, expiredFor, expiresAt, etag, lastModified } or null if not found
+   */
+  async getWithState(key) {
+    const item = await this.lookupAsync(key);
+    const stale = !!item && this.isExpired(item);
+    const value = item ? this.readItem(key, item, !stale) : null;
+    
+    if (value === null) {
+      if (!item) this.stats.misses++;
+      return null;
+    }
+    
+    if (stale) {
+      this.stats.misses++;
+    }
+    
+    // Entry lama (sebelum ETag disimpan) dihitung sekali saat dibaca
+    if (!item.etag) {
+      item.etag = computeEtag(JSON.stringify(value) ?? 'null');
+    }
+    
+    return {
+      value,
+      stale,
+      expiredFor: stale ? Date.now() - item.expiresAt : 0,
+      expiresAt: item.expiresAt,
+      etag: item.etag,
+      lastModified: item.lastModified || item.createdAt
+    };
+  }
+
+  /**
+   * Read value of cache hit and update access stats
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   * @param {boolean} countHit - Count read as cache hit
+   * @returns {*} Cached value or null if item cannot be decompressed
+   */
+  readItem(key, item, countHit = true) {
+    if (countHit) {
+      this.stats.hits++;
+    }
     
     // Decompress if needed
     let value = item.value;
-    if (item.compressed && this.enableCompression) {
+    if (item.compressed) {
       try {
-        value = this.decompress(value);
+        value = this.decompress(value, item.encoding);
         this.stats.decompressions++;
       } catch (error) {
         console.error('Cache decompression error:', error);
@@ -117,13 +294,78 @@ class CacheService {
       }
     }
     
-    // Update access time
+    // Update access time (ditulis ke store saat cleanup berikutnya)
     item.lastAccessed = Date.now();
     item.accessCount = (item.accessCount || 0) + 1;
+    item.dirty = true;
     
     return value;
   }
 
+  /**
+   * Log store failure (cache tetap jalan memory-only)
+   * @param {string} operation - Store operation
+   * @param {Error} error - Error
+   */
+  handleStoreError(operation, error) {
+    this.stats.storeErrors++;
+    console.error(`Cache store ${operation} error:`, error.message);
+  }
+
+  /**
+   * Run store operation in background
+   * @param {string} operation - Store operation name
+   * @param {function} fn - Function receiving the store
+   * @returns {Promise} Operation promise (never rejects)
+   */
+  runStore(operation, fn) {
+    if (!this.store) return Promise.resolve();
+    return Promise.resolve()
+      .then(() => fn(this.store))
+      .catch(error => this.handleStoreError(operation, error));
+  }
+
+  /**
+   * Delete entries from store matching predicate
+   * @param {function} predicate - (key, entry) => boolean
+   * @param {boolean} needsEntry - Load entry before calling predicate (for tags)
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async invalidateStore(predicate, needsEntry = false) {
+    let count = 0;
+    await this.runStore('invalidate', async store => {
+      for (const key of await store.keys()) {
+        const entry = needsEntry ? await store.get(key) : null;
+        if ((!needsEntry || entry) && predicate(key, entry) && await store.delete(key)) {
+          count++;
+        }
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Write access stats of recently read items to store
+   * @returns {Promise<void>}
+   */
+  async flushStore() {
+    if (!this.store) return;
+
+    const dirty = [];
+    [this.l1Cache, this.l2Cache].forEach(cache => {
+      cache.forEach((item, key) => {
+        if (item.dirty && !this.isDead(item)) {
+          item.dirty = false;
+          dirty.push([key, item]);
+        }
+      });
+    });
+
+    for (const [key, item] of dirty) {
+      await this.runStore('flush', store => store.set(key, this.packItem(item)));
+    }
+  }
+
   /**
    * Check if cache item is expired
    * @param {object} item - Cache item
@@ -133,12 +375,22 @@ class CacheService {
     return Date.now() > item.expiresAt;
   }
 
+  /**
+   * Check if cache item is past its stale window and must be dropped
+   * @param {object} item - Cache item
+   * @returns {boolean} Whether item is unusable
+   */
+  isDead(item) {
+    return Date.now() > (item.staleUntil || item.expiresAt);
+  }
+
   /**
    * Set cache value (multi-level)
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in milliseconds (optional)
-   * @param {object} options - Cache options
+   * @param {object} options - Cache options (level, tags, compress, staleTtl)
+   * @returns {object|undefined} Stored item (undefined if value was not cached)
    */
   set(key, value, ttl = null, options = {}) {
     // Check cache size limit
@@ -147,62 +399,230 @@ class CacheService {
     }
     
     const expiresAt = Date.now() + (ttl || this.defaultTTL);
-    let cacheValue = value;
-    let compressed = false;
-    
-    // Compress large values
-    if (this.enableCompression && options.compress !== false) {
-      const valueSize = JSON.stringify(value).length;
-      if (valueSize > this.compressionThreshold) {
-        try {
-          cacheValue = this.compress(value);
-          compressed = true;
-          this.stats.compressions++;
-        } catch (error) {
-          console.error('Cache compression error:', error);
-          compressed = false;
-        }
-      }
+
+    let json;
+    try {
+      json = Buffer.from(JSON.stringify(value) ?? 'null');
+    } catch (error) {
+      console.error('Cache serialization error:', error.message);
+      return;
     }
-    
-    const item = {
-      value: cacheValue,
-      compressed,
+
+    // Value yang lebih besar dari seluruh budget tidak di-cache
+    if (json.length > this.maxBytes) {
+      return;
+    }
+
+    const level = options.level === 'L2' || this.l1Cache.size >= this.maxSize * 0.8 ? 'L2' : 'L1';
+    const etag = computeEtag(json);
+    // Last-Modified mengikuti isi: refresh dengan konten yang sama tidak mengubahnya
+    const previous = this.l1Cache.get(key) || this.l2Cache.get(key);
+    const lastModified = previous && previous.etag === etag
+      ? previous.lastModified || previous.createdAt
+      : Date.now();
+    let item = {
+      value,
+      compressed: false,
+      encoding: null,
+      size: json.length,
+      rawSize: json.length,
       expiresAt,
+      // Entry tetap disimpan (stale) selama staleTtl setelah expiresAt
+      staleUntil: expiresAt + (options.staleTtl || 0),
       createdAt: Date.now(),
       lastAccessed: Date.now(),
       accessCount: 0,
-      level: options.level || 'L1',
-      tags: options.tags || []
+      level,
+      tags: options.tags || [],
+      etag,
+      lastModified,
+      ...(options.compress === false ? { noCompress: true } : {})
     };
-    
-    // Store in appropriate cache level
-    if (options.level === 'L2' || this.l1Cache.size >= this.maxSize * 0.8) {
-      this.l2Cache.set(key, item);
-    } else {
-      this.l1Cache.set(key, item);
+
+    // L1 menyimpan value apa adanya; L2 dikompres
+    if (level === 'L2') {
+      item = this.packItem(item, json);
     }
     
+    this.putItem(level, key, item);
+    
     this.stats.sets++;
+    this.evictBytes(key);
+
+    // Write-through ke L2 store (selalu dalam bentuk terkompresi)
+    this.runStore('set', store => store.set(key, this.packItem(item, json)));
+
+    return item;
   }
 
   /**
-   * Compress value (simple JSON string compression)
-   * @param {*} value - Value to compress
-   * @returns {string} Compressed value
+   * Build compressed copy of item for L2 memory or store
+   * Value kecil (di bawah compressionThreshold) atau yang tidak mengecil tetap disimpan apa adanya
+   * @param {object} item - Cache item (compressed or not)
+   * @param {Buffer} json - Serialized value (computed when omitted)
+   * @returns {object} Compressed item (same object if nothing changes)
+   */
+  packItem(item, json = null) {
+    if (item.compressed || item.noCompress || !this.enableCompression) {
+      return item;
+    }
+
+    try {
+      const buffer = json || Buffer.from(JSON.stringify(item.value) ?? 'null');
+      if (buffer.length <= this.compressionThreshold) {
+        return item;
+      }
+
+      const compressed = this.compress(buffer);
+      if (compressed.length >= buffer.length) {
+        return item;
+      }
+
+      this.stats.compressions++;
+      return {
+        ...item,
+        value: compressed,
+        compressed: true,
+        encoding: this.compressionEncoding,
+        size: compressed.length,
+        rawSize: buffer.length
+      };
+    } catch (error) {
+      console.error('Cache compression error:', error);
+      return item;
+    }
+  }
+
+  /**
+   * Build L1 copy of item with parsed value
+   * @param {string} key - Cache key (deleted if item cannot be decompressed)
+   * @param {object} item - Cache item from L2 memory or store
+   * @returns {object|null} L1 item or null if decompression failed
+   */
+  unpackItem(key, item) {
+    if (!item.compressed) {
+      const size = item.size || this.measure(item.value, false).size;
+      return { ...item, size, rawSize: item.rawSize || size, level: 'L1' };
+    }
+
+    try {
+      const value = this.decompress(item.value, item.encoding);
+      this.stats.decompressions++;
+      const rawSize = item.rawSize && item.rawSize !== item.size
+        ? item.rawSize
+        : this.measure(value, false).size;
+      return { ...item, value, compressed: false, encoding: null, size: rawSize, rawSize, level: 'L1' };
+    } catch (error) {
+      console.error('Cache decompression error:', error);
+      this.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Compress serialized value with zlib
+   * @param {Buffer|string|*} value - JSON buffer/string (other values are serialized first)
+   * @returns {Buffer} Compressed value
    */
   compress(value) {
-    // Simple compression: remove whitespace from JSON
-    return JSON.stringify(value);
+    const buffer = Buffer.isBuffer(value)
+      ? value
+      : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+    return ENCODINGS[this.compressionEncoding].compress(buffer);
   }
 
   /**
    * Decompress value
-   * @param {string} compressed - Compressed value
+   * @param {Buffer|string} compressed - Compressed value (string = legacy JSON entry)
+   * @param {string} encoding - Encoding used by compress (default: current encoding)
    * @returns {*} Decompressed value
    */
-  decompress(compressed) {
-    return JSON.parse(compressed);
+  decompress(compressed, encoding = null) {
+    if (typeof compressed === 'string') {
+      return JSON.parse(compressed);
+    }
+
+    const codec = ENCODINGS[encoding || this.compressionEncoding];
+    if (!codec) {
+      throw new Error(`Unknown cache encoding '${encoding}'`);
+    }
+    return JSON.parse(codec.decompress(compressed).toString('utf8'));
+  }
+
+  /**
+   * Measure stored value size (untuk entry dari store yang belum punya size)
+   * @param {*} value - Stored value
+   * @param {boolean} compressed - Whether value is compressed
+   * @returns {object} { size, rawSize }
+   */
+  measure(value, compressed) {
+    if (Buffer.isBuffer(value)) {
+      return { size: value.length, rawSize: value.length };
+    }
+    const size = Buffer.byteLength(compressed && typeof value === 'string' ? value : (JSON.stringify(value) ?? 'null'));
+    return { size, rawSize: size };
+  }
+
+  /**
+   * Put item in cache level, replacing existing entry in any level
+   * @param {string} level - 'L1' or 'L2'
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   */
+  putItem(level, key, item) {
+    this.removeItem(key);
+    (level === 'L2' ? this.l2Cache : this.l1Cache).set(key, item);
+    this.totalBytes += item.size || 0;
+    this.rawBytes += item.rawSize || item.size || 0;
+  }
+
+  /**
+   * Remove item from both levels and update byte accounting
+   * @param {string} key - Cache key
+   * @returns {boolean} True if item existed
+   */
+  removeItem(key) {
+    let removed = false;
+
+    [this.l1Cache, this.l2Cache].forEach(cache => {
+      const item = cache.get(key);
+      if (item) {
+        cache.delete(key);
+        this.totalBytes -= item.size || 0;
+        this.rawBytes -= item.rawSize || item.size || 0;
+        removed = true;
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Evict entries until total bytes fit in maxBytes
+   * L2 dikosongkan lebih dulu, lalu L1; di tiap level entry yang paling lama tidak diakses
+   * dibuang duluan. Entry tetap ada di store (bila dikonfigurasi).
+   * @param {string} protectedKey - Key that must not be evicted (baru saja di-set)
+   * @returns {number} Number of evicted entries
+   */
+  evictBytes(protectedKey = null) {
+    if (this.totalBytes <= this.maxBytes) return 0;
+
+    let evicted = 0;
+
+    for (const cache of [this.l2Cache, this.l1Cache]) {
+      const candidates = [...cache.entries()]
+        .filter(([key]) => key !== protectedKey)
+        .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+
+      for (const [key] of candidates) {
+        if (this.totalBytes <= this.maxBytes) break;
+        this.removeItem(key);
+        evicted++;
+      }
+    }
+
+    this.stats.sizeEvictions += evicted;
+    return evicted;
   }
 
   /**
@@ -223,12 +643,12 @@ class CacheService {
     });
     
     if (lruKey) {
-      // Move to L2 or delete
+      // Move to L2 (compressed) or delete
       const item = this.l1Cache.get(lruKey);
-      this.l1Cache.delete(lruKey);
+      this.removeItem(lruKey);
       
       if (this.l2Cache.size < this.maxSize) {
-        this.l2Cache.set(lruKey, { ...item, level: 'L2' });
+        this.putItem('L2', lruKey, { ...this.packItem(item), level: 'L2' });
       }
     }
   }
@@ -238,14 +658,15 @@ class CacheService {
    * @param {string} key - Cache key
    */
   delete(key) {
-    const l1Deleted = this.l1Cache.delete(key);
-    const l2Deleted = this.l2Cache.delete(key);
+    const deleted = this.removeItem(key);
     
-    if (l1Deleted || l2Deleted) {
+    if (deleted) {
       this.stats.deletes++;
     }
+
+    this.runStore('delete', store => store.delete(key));
     
-    return l1Deleted || l2Deleted;
+    return deleted;
   }
 
   /**
@@ -260,7 +681,7 @@ class CacheService {
     // Invalidate L1
     this.l1Cache.forEach((item, key) => {
       if (regex.test(key)) {
-        this.l1Cache.delete(key);
+        this.removeItem(key);
         count++;
       }
     });
@@ -268,10 +689,12 @@ class CacheService {
     // Invalidate L2
     this.l2Cache.forEach((item, key) => {
       if (regex.test(key)) {
-        this.l2Cache.delete(key);
+        this.removeItem(key);
         count++;
       }
     });
+
+    this.invalidateStore(key => regex.test(key));
     
     this.stats.deletes += count;
     return count;
@@ -289,7 +712,7 @@ class CacheService {
     // Invalidate L1
     this.l1Cache.forEach((item, key) => {
       if (item.tags && item.tags.some(tag => tagSet.has(tag))) {
-        this.l1Cache.delete(key);
+        this.removeItem(key);
         count++;
       }
     });
@@ -297,10 +720,12 @@ class CacheService {
     // Invalidate L2
     this.l2Cache.forEach((item, key) => {
       if (item.tags && item.tags.some(tag => tagSet.has(tag))) {
-        this.l2Cache.delete(key);
+        this.removeItem(key);
         count++;
       }
     });
+
+    this.invalidateStore((key, entry) => (entry.tags || []).some(tag => tagSet.has(tag)), true);
     
     this.stats.deletes += count;
     return count;
@@ -312,7 +737,10 @@ class CacheService {
   clear() {
     this.l1Cache.clear();
     this.l2Cache.clear();
+    this.totalBytes = 0;
+    this.rawBytes = 0;
     this.stats.deletes += this.stats.sets;
+    this.runStore('clear', store => store.clear());
   }
 
   /**
@@ -366,7 +794,9 @@ class CacheService {
           accessCount: item.accessCount || 0,
           expired: this.isExpired(item),
           compressed: item.compressed,
+          encoding: item.encoding || null,
           size: this.getItemSize(item),
+          rawSize: item.rawSize || this.getItemSize(item),
           tags: item.tags || []
         });
       }
@@ -384,7 +814,9 @@ class CacheService {
           accessCount: item.accessCount || 0,
           expired: this.isExpired(item),
           compressed: item.compressed,
+          encoding: item.encoding || null,
           size: this.getItemSize(item),
+          rawSize: item.rawSize || this.getItemSize(item),
           tags: item.tags || []
         });
       }
@@ -424,7 +856,9 @@ class CacheService {
       accessCount: item.accessCount || 0,
       expired: this.isExpired(item),
       compressed: item.compressed,
+      encoding: item.encoding || null,
       size: this.getItemSize(item),
+      rawSize: item.rawSize || this.getItemSize(item),
       ttl: item.expiresAt - Date.now(),
       tags: item.tags || []
     };
@@ -438,20 +872,19 @@ class CacheService {
     const now = Date.now();
     let l1Expired = 0;
     let l2Expired = 0;
-    let totalSize = 0;
+    let l1Bytes = 0;
 
     this.l1Cache.forEach(item => {
       if (this.isExpired(item)) {
         l1Expired++;
       }
-      totalSize += this.getItemSize(item);
+      l1Bytes += this.getItemSize(item);
     });
 
     this.l2Cache.forEach(item => {
       if (this.isExpired(item)) {
         l2Expired++;
       }
-      totalSize += this.getItemSize(item);
     });
 
     const hitRate = this.stats.hits + this.stats.misses > 0
@@ -462,18 +895,31 @@ class CacheService {
       l1: {
         size: this.l1Cache.size,
         expired: l1Expired,
-        active: this.l1Cache.size - l1Expired
+        active: this.l1Cache.size - l1Expired,
+        bytes: l1Bytes
       },
       l2: {
         size: this.l2Cache.size,
         expired: l2Expired,
-        active: this.l2Cache.size - l2Expired
+        active: this.l2Cache.size - l2Expired,
+        bytes: this.totalBytes - l1Bytes
       },
       total: {
         size: this.l1Cache.size + this.l2Cache.size,
         expired: l1Expired + l2Expired,
         active: (this.l1Cache.size + this.l2Cache.size) - (l1Expired + l2Expired),
-        estimatedSize: totalSize
+        estimatedSize: this.totalBytes,
+        bytes: this.totalBytes,
+        rawBytes: this.rawBytes,
+        maxBytes: this.maxBytes,
+        usage: `${(this.totalBytes / this.maxBytes * 100).toFixed(2)}%`
+      },
+      compression: {
+        enabled: this.enableCompression,
+        encoding: this.compressionEncoding,
+        threshold: this.compressionThreshold,
+        bytesSaved: this.rawBytes - this.totalBytes,
+        ratio: this.rawBytes > 0 ? Math.round((this.totalBytes / this.rawBytes) * 1000) / 1000 : 1
       },
       performance: {
         hits: this.stats.hits,
@@ -482,22 +928,31 @@ class CacheService {
         sets: this.stats.sets,
         deletes: this.stats.deletes,
         compressions: this.stats.compressions,
-        decompressions: this.stats.decompressions
-      }
+        decompressions: this.stats.decompressions,
+        storeHits: this.stats.storeHits,
+        storeErrors: this.stats.storeErrors,
+        sizeEvictions: this.stats.sizeEvictions
+      },
+      freshness: {
+        staleWhileRevalidate: this.staleWhileRevalidate,
+        staleIfError: this.staleIfError,
+        staleServed: this.stats.staleServed,
+        staleIfErrorServed: this.stats.staleIfErrorServed,
+        coalesced: this.stats.coalesced,
+        revalidations: this.stats.revalidations,
+        inflight: this.inflight.size
+      },
+      store: this.store ? this.store.getInfo() : { type: 'memory' }
     };
   }
 
   /**
-   * Estimate item size in bytes
+   * Get item size in bytes (compressed size untuk entry L2 yang dikompres)
    * @param {object} item - Cache item
-   * @returns {number} Estimated size in bytes
+   * @returns {number} Size in bytes
    */
   getItemSize(item) {
-    try {
-      return JSON.stringify(item.value).length;
-    } catch {
-      return 0;
-    }
+    return item.size || 0;
   }
 
   /**
@@ -507,27 +962,31 @@ class CacheService {
     const keysToDeleteL1 = [];
     const keysToDeleteL2 = [];
 
-    // Cleanup L1
+    // Cleanup L1 (entry stale dibiarkan sampai staleUntil)
     this.l1Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
+      if (this.isDead(item)) {
         keysToDeleteL1.push(key);
       }
     });
 
     // Cleanup L2
     this.l2Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
+      if (this.isDead(item)) {
         keysToDeleteL2.push(key);
       }
     });
 
-    keysToDeleteL1.forEach(key => this.l1Cache.delete(key));
-    keysToDeleteL2.forEach(key => this.l2Cache.delete(key));
+    keysToDeleteL1.forEach(key => this.removeItem(key));
+    keysToDeleteL2.forEach(key => this.removeItem(key));
 
     // If L1 is getting full, move some items to L2
     if (this.l1Cache.size > this.maxSize * 0.9) {
       this.evictLRU();
     }
+
+    // Persist access stats and drop expired entries from store
+    this.flushStore();
+    this.runStore('prune', store => store.prune && store.prune());
   }
 
   /**
@@ -553,37 +1012,275 @@ class CacheService {
     }
   }
 
+  /**
+   * Register in-flight upstream fetch for key (single-flight)
+   * @param {string} key - Cache key
+   * @returns {object} Flight { promise, resolve(result) }
+   */
+  beginFlight(key) {
+    let resolvePromise;
+    const flight = {
+      promise: new Promise(resolve => { resolvePromise = resolve; }),
+      resolved: false
+    };
+
+    // Handler yang tidak pernah memanggil res.json tidak boleh menahan request lain
+    const timer = setTimeout(() => flight.resolve(null), this.coalesceTimeout);
+    timer.unref();
+
+    flight.resolve = (result) => {
+      if (flight.resolved) return;
+      flight.resolved = true;
+      clearTimeout(timer);
+      if (this.inflight.get(key) === flight) {
+        this.inflight.delete(key);
+      }
+      resolvePromise(result);
+    };
+
+    this.inflight.set(key, flight);
+    return flight;
+  }
+
+  /**
+   * Check whether response status means upstream failure (stale-if-error berlaku)
+   * @param {number} statusCode - Response status
+   * @returns {boolean} True if stale entry may replace the response
+   */
+  isUpstreamFailure(statusCode) {
+    return statusCode === 429 || (statusCode >= 500 && statusCode !== 501);
+  }
+
+  /**
+   * Build Cache-Control header value
+   * s-maxage ikut diisi karena CDN Vercel hanya meng-cache response dengan s-maxage
+   * @param {number} maxAge - Remaining freshness (ms)
+   * @param {object} policy - { staleWhileRevalidate, staleIfError } in ms
+   * @returns {string} Cache-Control value
+   */
+  getCacheControl(maxAge, policy) {
+    const seconds = Math.max(0, Math.ceil(maxAge / 1000));
+    const staleWhileRevalidate = Math.floor(policy.staleWhileRevalidate / 1000);
+    const staleIfError = Math.floor(policy.staleIfError / 1000);
+    return [
+      'public',
+      `max-age=${seconds}`,
+      `s-maxage=${seconds}`,
+      staleWhileRevalidate > 0 && `stale-while-revalidate=${staleWhileRevalidate}`,
+      staleIfError > 0 && `stale-if-error=${staleIfError}`
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Check conditional request headers against cached representation
+   * If-None-Match menang atas If-Modified-Since (RFC 7232)
+   * @param {object} req - Express request
+   * @param {object} meta - { etag, lastModified }
+   * @returns {boolean} True if client copy is still valid
+   */
+  isNotModified(req, meta) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      if (ifNoneMatch.trim() === '*') return true;
+      // Weak comparison: W/"x" cocok dengan "x"
+      return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === meta.etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return !isNaN(ifModifiedSince) && Math.floor(meta.lastModified / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  /**
+   * Send cacheable response with ETag, Last-Modified and Cache-Control (304 if unchanged)
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {function} send - JSON sender (res.json or the original json method)
+   * @param {*} value - Response body
+   * @param {object} meta - { etag, lastModified }
+   * @param {number} maxAge - Remaining freshness (ms)
+   * @param {object} policy - { staleWhileRevalidate, staleIfError } in ms
+   * @returns {object} Express response
+   */
+  sendWithValidators(req, res, send, value, meta, maxAge, policy) {
+    res.set('ETag', meta.etag);
+    res.set('Last-Modified', new Date(meta.lastModified).toUTCString());
+    res.set('Cache-Control', this.getCacheControl(maxAge, policy));
+
+    if (this.isNotModified(req, meta)) {
+      return res.status(304).end();
+    }
+
+    return send(value);
+  }
+
   /**
    * Cache middleware for Express
+   * - Request bersamaan untuk key yang sama digabung ke satu fetch upstream
+   * - Entry yang baru kedaluwarsa (dalam staleWhileRevalidate) langsung dikirim dan
+   *   di-refresh di background
+   * - Bila upstream gagal, entry stale (dalam staleIfError) dikirim sebagai ganti error
+   * - Response membawa ETag/Last-Modified/Cache-Control dari TTL route dan dijawab 304
+   *   bila If-None-Match/If-Modified-Since masih cocok
    * @param {number} ttl - Time to live in milliseconds
+   * @param {object} options - Middleware options
+   * @param {number} options.staleWhileRevalidate - Grace window for serving stale while refreshing (ms)
+   * @param {number} options.staleIfError - Window for serving stale when upstream fails (ms)
    * @returns {function} Express middleware
    */
-  middleware(ttl = null) {
+  middleware(ttl = null, options = {}) {
     const self = this;
-    return (req, res, next) => {
-      const key = self.generateKey(req.originalUrl, req.query);
-      const cached = self.get(key);
-
-      if (cached) {
-        res.set('X-Cache', 'HIT');
-        // Call res.json through the chain (respecting performance middleware if present)
-        return res.json(cached);
+    const policy = {
+      staleWhileRevalidate: options.staleWhileRevalidate !== undefined
+        ? options.staleWhileRevalidate
+        : self.staleWhileRevalidate,
+      staleIfError: options.staleIfError !== undefined ? options.staleIfError : self.staleIfError
+    };
+    const staleTtl = Math.max(policy.staleWhileRevalidate, policy.staleIfError);
+    const freshFor = ttl || self.defaultTTL;
+
+    return async (req, res, next) => {
+      try {
+        await self.handleRequest(req, res, next, { ttl, policy, staleTtl, freshFor });
+      } catch (error) {
+        // Error store/serialisasi diteruskan ke errorHandler, bukan jadi unhandled rejection
+        if (res.headersSent) {
+          console.error('Cache middleware error:', error.message);
+          return;
+        }
+        next(error);
       }
+    };
+  }
 
-      // Store the current json method (might be overridden by performance middleware)
-      const currentJson = res.json.bind(res);
+  /**
+   * Serve request from cache or pass it to the route handler (body of middleware)
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {function} next - Express next function
+   * @param {object} config - { ttl, policy, staleTtl, freshFor } from middleware
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res, next, { ttl, policy, staleTtl, freshFor }) {
+    const self = this;
+    // Path + query terurut: urutan query parameter tidak menghasilkan key berbeda
+    const key = self.generateKey(req.path, req.query);
+    const cached = await self.getWithState(key);
+    const sendJson = (value) => res.json(value);
+    // Refresh dari cache warmer/revalidate: lewati HIT/STALE, entry lama tetap jadi cadangan stale-if-error
+    const refresh = !!(req.cacheWarm && req.cacheWarm.refresh);
 
-      // Override json method to cache response
-      res.json = function(data) {
-        // Cache the response
-        self.set(key, data, ttl);
+    if (cached && !cached.stale && !refresh) {
+      res.set('X-Cache', 'HIT');
+      // Call res.json through the chain (respecting performance middleware if present)
+      self.sendWithValidators(req, res, sendJson, cached.value, cached, cached.expiresAt - Date.now(), policy);
+      return;
+    }
+
+    const inflight = self.inflight.get(key);
+
+    // Stale-while-revalidate: kirim entry lama, refresh di background (sekali per key)
+    if (cached && !refresh && cached.expiredFor <= policy.staleWhileRevalidate) {
+      self.stats.staleServed++;
+      res.set('X-Cache', 'STALE');
+      self.sendWithValidators(req, res, sendJson, cached.value, cached, 0, policy);
+
+      if (!inflight) {
+        self.revalidate(key, req);
+      }
+      return;
+    }
+
+    // Request coalescing: tunggu fetch yang sedang berjalan untuk key yang sama
+    if (inflight) {
+      const result = await inflight.promise;
+
+      if (result && result.statusCode < 400) {
+        self.stats.coalesced++;
+        res.set('X-Cache', 'COALESCED');
+        self.sendWithValidators(req, res, sendJson, result.data, result.meta, freshFor, policy);
+        return;
+      }
+
+      if (cached && cached.expiredFor <= policy.staleIfError) {
+        self.stats.staleIfErrorServed++;
+        res.set('X-Cache', 'STALE-IF-ERROR');
+        self.sendWithValidators(req, res, sendJson, cached.value, cached, 0, policy);
+        return;
+      }
+
+      if (result) {
+        self.stats.coalesced++;
+        res.set('X-Cache', 'COALESCED');
+        res.set('Cache-Control', 'no-store');
+        res.status(result.statusCode).json(result.data);
+        return;
+      }
+      // Fetch sebelumnya tidak menghasilkan JSON (timeout/aborted): fetch sendiri
+    }
+
+    const flight = self.beginFlight(key);
+
+    // Store the current json method (might be overridden by performance middleware)
+    const currentJson = res.json.bind(res);
+
+    // Override json method to cache response
+    res.json = function(data) {
+      // Cache successful responses only (cache HIT is always replayed as 200)
+      if (res.statusCode < 400) {
+        const item = self.set(key, data, ttl, { staleTtl });
+        const meta = {
+          etag: item ? item.etag : computeEtag(JSON.stringify(data) ?? 'null'),
+          lastModified: item ? item.lastModified : Date.now()
+        };
+        flight.resolve({ statusCode: res.statusCode, data, meta });
         res.set('X-Cache', 'MISS');
         // Call the current json method (which may be performance middleware's override)
-        return currentJson(data);
-      };
+        return self.sendWithValidators(req, res, currentJson, data, meta, freshFor, policy);
+      }
 
-      next();
+      if (cached && self.isUpstreamFailure(res.statusCode) && cached.expiredFor <= policy.staleIfError) {
+        flight.resolve({ statusCode: res.statusCode, data });
+        self.stats.staleIfErrorServed++;
+        res.status(200);
+        res.set('X-Cache', 'STALE-IF-ERROR');
+        return self.sendWithValidators(req, res, currentJson, cached.value, cached, 0, policy);
+      }
+
+      flight.resolve({ statusCode: res.statusCode, data });
+      res.set('X-Cache', 'MISS');
+      res.set('Cache-Control', 'no-store');
+      return currentJson(data);
     };
+
+    res.on('close', () => flight.resolve(null));
+
+    next();
+  }
+
+  /**
+   * Refresh stale entry in background after the stale response was sent
+   * Route dijalankan ulang sebagai request internal dengan response terpisah (lewat app
+   * yang sedang menangani request), jadi response client yang sudah terkirim tidak disentuh.
+   * Hasilnya masuk cache lewat jalur MISS biasa; request bersamaan ikut digabung ke fetch itu.
+   * @param {string} key - Cache key
+   * @param {object} req - Express request that received the stale entry
+   */
+  revalidate(key, req) {
+    if (this.revalidating.has(key) || !req.app || typeof req.app.handle !== 'function') return;
+
+    this.revalidating.add(key);
+    this.stats.revalidations++;
+
+    dispatchRequest(req.app, req.url, { refresh: true, timeout: this.coalesceTimeout })
+      .then(response => {
+        if (response.status >= 400) {
+          console.error(`Cache revalidation of ${key} failed with status ${response.status}`);
+        }
+      })
+      .catch(error => console.error(`Cache revalidation of ${key} failed:`, error.message))
+      .finally(() => this.revalidating.delete(key));
   }
 }
 
@@ -591,4 +1288,5 @@ class CacheService {
 const cacheService = new CacheService();
 
 module.exports = cacheService;
+module.exports.CacheService = CacheService;
 
@@ -0,0 +1,488 @@
+/**
+ * Cache Store
+ * Adapter penyimpanan persisten untuk L2 CacheService, agar cache bertahan saat restart/cold
+ * start dan bisa dipakai bersama beberapa instance.
+ *
+ * Interface adapter (semua method async):
+ * - get(key)          -> entry | null (entry kedaluwarsa dianggap tidak ada)
+ * - set(key, entry)   -> simpan entry; TTL diambil dari entry.expiresAt
+ * - delete(key)       -> boolean
+ * - keys()            -> Array of keys
+ * - clear()           -> hapus semua entry milik store ini
+ * - prune()           -> (opsional) hapus entry kedaluwarsa
+ * - close()           -> (opsional) tutup koneksi
+ * - getInfo()         -> info store (sync), untuk statistik
+ *
+ * Entry = { value, compressed, encoding, size, rawSize, expiresAt, staleUntil, createdAt, lastAccessed, accessCount, tags, etag, lastModified }
+ * Entry disimpan sampai staleUntil (bila ada) agar stale-while-revalidate/stale-if-error tetap bisa dilayani
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_STATE_DIR } = require('./state_file');
+
+/**
+ * Serialize cache entry to JSON (Buffer value disimpan sebagai base64)
+ * @param {string} key - Cache key
+ * @param {object} entry - Cache entry
+ * @returns {string} JSON string
+ */
+const serializeEntry = (key, entry) => {
+  const { value, compressed, encoding, size, rawSize, expiresAt, staleUntil, createdAt, lastAccessed, accessCount, tags, etag, lastModified } = entry;
+  return JSON.stringify({
+    key,
+    value: Buffer.isBuffer(value) ? { $buffer: value.toString('base64') } : value,
+    compressed: !!compressed,
+    encoding: encoding || null,
+    size,
+    rawSize,
+    expiresAt,
+    staleUntil: staleUntil || expiresAt,
+    createdAt,
+    lastAccessed,
+    accessCount: accessCount || 0,
+    tags: tags || [],
+    etag: etag || null,
+    lastModified: lastModified || createdAt
+  });
+};
+
+/**
+ * Deserialize cache entry
+ * @param {string} json - JSON string
+ * @returns {object} { key, entry }
+ */
+const deserializeEntry = (json) => {
+  const { key, value, ...entry } = JSON.parse(json);
+  return {
+    key,
+    entry: {
+      ...entry,
+      value: value && typeof value === 'object' && typeof value.$buffer === 'string'
+        ? Buffer.from(value.$buffer, 'base64')
+        : value
+    }
+  };
+};
+
+/**
+ * Get time until which entry must be kept
+ * @param {object} entry - Cache entry
+ * @returns {number} Epoch ms
+ */
+const getDeadline = (entry) => entry.staleUntil || entry.expiresAt;
+
+// Nomor file sementara per set, agar set bersamaan untuk key yang sama tidak saling menimpa
+let tempCounter = 0;
+
+/**
+ * Filesystem store: satu file JSON per key di direktori cache
+ */
+class FileCacheStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(DEFAULT_STATE_DIR, 'cache');
+    this.pruneInterval = options.pruneInterval || 10 * 60 * 1000; // 10 minutes
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Get file path for key
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  getFile(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Read entry file
+   * @param {string} file - File path
+   * @returns {Promise<object|null>} { key, entry } or null if missing/corrupt
+   */
+  async readFile(file) {
+    try {
+      return deserializeEntry(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async get(key) {
+    const file = this.getFile(key);
+    const stored = await this.readFile(file);
+
+    if (!stored || stored.key !== key) return null;
+    if (Date.now() > getDeadline(stored.entry)) {
+      await fs.promises.unlink(file).catch(() => {});
+      return null;
+    }
+
+    return stored.entry;
+  }
+
+  async set(key, entry) {
+    if (Date.now() > getDeadline(entry)) return;
+
+    const file = this.getFile(key);
+    const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    try {
+      await fs.promises.writeFile(tempFile, serializeEntry(key, entry));
+      await fs.promises.rename(tempFile, file);
+    } catch (error) {
+      await fs.promises.unlink(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.getFile(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List entry files
+   * @returns {Promise<Array>} File paths
+   */
+  async listFiles() {
+    try {
+      const names = await fs.promises.readdir(this.dir);
+      return names.filter(name => name.endsWith('.json')).map(name => path.join(this.dir, name));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async keys() {
+    const keys = [];
+    const now = Date.now();
+
+    for (const file of await this.listFiles()) {
+      const stored = await this.readFile(file);
+      if (stored && now <= getDeadline(stored.entry)) {
+        keys.push(stored.key);
+      }
+    }
+
+    return keys;
+  }
+
+  async clear() {
+    await Promise.all((await this.listFiles()).map(file => fs.promises.unlink(file).catch(() => {})));
+  }
+
+  /**
+   * Remove expired entry files (paling sering sekali per pruneInterval)
+   * @returns {Promise<number>} Number of removed files
+   */
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) return 0;
+    this.lastPrunedAt = Date.now();
+
+    let removed = 0;
+    for (const file of await this.listFiles()) {
+      const stored = await this.readFile(file);
+      if (!stored || Date.now() > getDeadline(stored.entry)) {
+        await fs.promises.unlink(file).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  getInfo() {
+    return { type: 'file', dir: this.dir };
+  }
+}
+
+/**
+ * Parse one RESP reply from buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Start offset
+ * @returns {object|null} { value, offset } or null if reply is incomplete
+ */
+const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Invalid RESP reply type '${type}'`);
+  }
+};
+
+/**
+ * Redis store: klien RESP minimal (GET/SET PX/DEL/SCAN), kompatibel dengan Redis
+ * maupun server lain yang berbicara protokol Redis
+ */
+class RedisCacheStore {
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.password = url.password ? decodeURIComponent(url.password) : null;
+    this.username = url.username ? decodeURIComponent(url.username) : null;
+    this.db = parseInt(url.pathname.replace('/', ''), 10) || 0;
+    this.prefix = options.prefix || 'cache:';
+    this.timeout = options.timeout || 2000;
+    this.reconnectDelay = options.reconnectDelay || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.retryAt = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Connect (lazy) and authenticate
+   * Setelah koneksi gagal, command langsung ditolak sampai reconnectDelay lewat
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.connected) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+    if (Date.now() < this.retryAt) {
+      return Promise.reject(new Error(`Redis unavailable: ${this.lastError}`));
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error('Redis connect timeout')), this.timeout);
+
+      socket.on('connect', async () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connected = true;
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this.send(['SELECT', String(this.db)]);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy(error);
+          reject(error);
+        }
+      });
+
+      socket.on('data', data => this.onData(data));
+
+      socket.on('error', error => {
+        clearTimeout(timer);
+        this.lastError = error.message;
+        this.retryAt = Date.now() + this.reconnectDelay;
+        reject(error);
+      });
+
+      socket.on('close', () => {
+        clearTimeout(timer);
+        this.connected = false;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.queue.splice(0).forEach(({ reject: rejectCommand, timer: commandTimer }) => {
+          clearTimeout(commandTimer);
+          rejectCommand(new Error('Redis connection closed'));
+        });
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Handle received data and resolve queued commands in order
+   * @param {Buffer} data - Received data
+   */
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let reply;
+    try {
+      while (this.queue.length > 0 && (reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = this.queue.shift();
+        clearTimeout(timer);
+        reply.value instanceof Error ? reject(reply.value) : resolve(reply.value);
+      }
+    } catch (error) {
+      this.socket?.destroy(error);
+    }
+  }
+
+  /**
+   * Write command on connected socket
+   * @param {Array} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const payload = `*${args.length}\r\n` + args.map(arg => {
+        const value = String(arg);
+        return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+      }).join('');
+
+      // Reply yang terlambat akan tertukar urutannya, jadi koneksi diputus saat timeout
+      const timer = setTimeout(() => {
+        this.socket?.destroy(new Error('Redis command timeout'));
+      }, this.timeout);
+
+      this.queue.push({ resolve, reject, timer });
+      this.socket.write(payload);
+    });
+  }
+
+  /**
+   * Run command (connects first if needed)
+   * @param {...string} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async get(key) {
+    const json = await this.command('GET', this.prefix + key);
+    if (!json) return null;
+
+    const { entry } = deserializeEntry(json);
+    return Date.now() > getDeadline(entry) ? null : entry;
+  }
+
+  async set(key, entry) {
+    const ttl = getDeadline(entry) - Date.now();
+    if (ttl <= 0) return;
+    await this.command('SET', this.prefix + key, serializeEntry(key, entry), 'PX', String(ttl));
+  }
+
+  async delete(key) {
+    return (await this.command('DEL', this.prefix + key)) > 0;
+  }
+
+  /**
+   * Scan raw Redis keys under prefix
+   * @returns {Promise<Array>} Prefixed keys
+   */
+  async scan() {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', '200');
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async keys() {
+    return (await this.scan()).map(key => key.slice(this.prefix.length));
+  }
+
+  async clear() {
+    const keys = await this.scan();
+    for (let i = 0; i < keys.length; i += 100) {
+      await this.command('DEL', ...keys.slice(i, i + 100));
+    }
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  getInfo() {
+    return {
+      type: 'redis',
+      host: this.host,
+      port: this.port,
+      db: this.db,
+      prefix: this.prefix,
+      connected: this.connected,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Create L2 store from type (CACHE_STORE env: memory, file, redis)
+ * @param {string} type - Store type (default: memory)
+ * @param {object} options - Store options
+ * @returns {object|null} Store adapter, or null for memory-only L2
+ */
+const createCacheStore = (type, options = {}) => {
+  switch ((type || 'memory').toLowerCase()) {
+    case 'memory':
+      return null;
+    case 'file':
+      return new FileCacheStore({
+        dir: options.dir || process.env.CACHE_STORE_DIR || path.join(DEFAULT_STATE_DIR, 'cache'),
+        ...options
+      });
+    case 'redis':
+      return new RedisCacheStore({
+        url: options.url || process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+        prefix: options.prefix || process.env.CACHE_REDIS_PREFIX || 'komik:cache:',
+        ...options
+      });
+    default:
+      console.warn(`Unknown cache store '${type}', using memory-only L2`);
+      return null;
+  }
+};
+
+module.exports = {
+  FileCacheStore,
+  RedisCacheStore,
+  createCacheStore,
+  serializeEntry,
+  deserializeEntry,
+  parseReply
+};
@@ -2,6 +2,8 @@
  * Data validation and normalization utilities
  */
 
+const { canonicalizeUrl } = require('./mirror_manager');
+
 /**
  * Sanitize string to prevent XSS
  * @param {string} str - String to sanitize
@@ -23,7 +25,8 @@ const sanitizeString = (str) => {
 const normalizeUrl = (url, baseUrl = '') => {
   if (!url || typeof url !== 'string') return '';
   
-  let normalized = url.trim();
+  // Mirror domain apa pun diganti ke base URL kanonik agar slug tetap stabil
+  let normalized = canonicalizeUrl(url.trim());
   
   // Remove base URL if present
   if (baseUrl && normalized.includes(baseUrl)) {
@@ -231,6 +234,40 @@ const sortItems = (items, sortBy = 'title', order = 'asc') => {
   return sorted;
 };
 
+/**
+ * Slice detail chapter list into one page
+ * Detail yang sudah dipaginasi provider (punya `chapter_pagination`) dikembalikan apa adanya
+ * @param {object} detail - Comic detail with `chapter` array
+ * @param {object} options - Paging options
+ * @param {number} options.chapterPage - Chapter page (1-based)
+ * @param {number} options.chapterPageSize - Chapters per page
+ * @returns {object} Comic detail with paged chapters and `chapter_pagination`
+ */
+const paginateChapters = (detail, options = {}) => {
+  const { chapterPage, chapterPageSize = 50 } = options;
+
+  if (!chapterPage || !detail || !Array.isArray(detail.chapter) || detail.chapter_pagination) {
+    return detail;
+  }
+
+  const total = detail.chapter.length;
+  const totalPages = Math.max(1, Math.ceil(total / chapterPageSize));
+  const start = (chapterPage - 1) * chapterPageSize;
+
+  return {
+    ...detail,
+    chapter: detail.chapter.slice(start, start + chapterPageSize),
+    chapter_pagination: {
+      current_page: chapterPage,
+      page_size: chapterPageSize,
+      total,
+      total_pages: totalPages,
+      has_next: chapterPage < totalPages,
+      has_prev: chapterPage > 1
+    }
+  };
+};
+
 /**
  * Validate required fields
  * @param {object} data - Data to validate
@@ -263,6 +300,7 @@ module.exports = {
   normalizePagination,
   filterItems,
   sortItems,
+  paginateChapters,
   validateRequired
 };
 
@@ -45,6 +45,34 @@ class RateLimitError extends AppError {
   }
 }
 
+class CircuitOpenError extends AppError {
+  constructor(message = 'Provider temporarily unavailable', retryAfter = null) {
+    super(message, 503, 'CIRCUIT_OPEN', true);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UnsupportedFeatureError extends AppError {
+  constructor(message = 'Feature not supported by provider', details = {}) {
+    super(message, 501, 'FEATURE_NOT_SUPPORTED', true);
+    this.details = details;
+  }
+}
+
+class ProviderUnavailableError extends AppError {
+  constructor(message = 'Provider is not available', details = {}) {
+    super(message, 422, 'PROVIDER_UNAVAILABLE', true);
+    this.details = details;
+  }
+}
+
+class SchemaViolationError extends AppError {
+  constructor(message = 'Scraper output violates schema', details = []) {
+    super(message, 502, 'SCHEMA_VIOLATION', true);
+    this.details = details;
+  }
+}
+
 /**
  * Error handler middleware for Express
  * @param {Error} err - Error object
@@ -68,11 +96,14 @@ const errorHandler = (err, req, res, next) => {
 
   // Handle specific error types
   if (err instanceof AppError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', err.retryAfter);
+    }
     return res.status(err.statusCode).json({
       status: 'error',
       code: err.code,
       message: err.message,
-      data: err.errors || []
+      data: err.details || err.errors || []
     });
   }
 
@@ -125,14 +156,15 @@ const asyncHandler = (fn) => {
  * @param {function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} delay - Initial delay in milliseconds
+ * @param {function} shouldRetry - (error) => boolean, false to fail immediately
  * @returns {Promise} Promise that resolves or rejects
  */
-const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000) => {
+const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000, shouldRetry = () => true) => {
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await fn();
     } catch (error) {
-      if (i === maxRetries - 1) {
+      if (i === maxRetries - 1 || !shouldRetry(error)) {
         throw error;
       }
       
@@ -150,6 +182,10 @@ module.exports = {
   NotFoundError,
   ValidationError,
   RateLimitError,
+  CircuitOpenError,
+  UnsupportedFeatureError,
+  ProviderUnavailableError,
+  SchemaViolationError,
   errorHandler,
   asyncHandler,
   retryWithBackoff
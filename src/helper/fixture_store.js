@@ -0,0 +1,109 @@
+/**
+ * Fixture Store
+ * Merekam raw response AxiosService ke file JSON dan memutarnya ulang secara offline,
+ * dipakai oleh scripts/fixtures.js untuk mendeteksi selector yang rusak tanpa jaringan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { NetworkError, NotFoundError } = require('./error_handler');
+
+class FixtureStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.dir - Directory for fixture files
+   * @param {string} options.mode - 'record' (fetch and save) or 'replay' (offline)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.mode = options.mode || 'replay';
+    this.used = new Set();
+  }
+
+  /**
+   * Get fixture file path for request
+   * POST dibedakan lewat method dan body (mis. admin-ajax.php dengan ID berbeda)
+   * @param {string} url - Requested URL
+   * @param {object} options - Request options (method, data)
+   * @returns {string} File path
+   */
+  getFile(url, options = {}) {
+    const method = (options.method || 'get').toUpperCase();
+    const key = method === 'GET' ? url : `${method} ${url} ${options.data || ''}`;
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Save response (or error) for URL
+   * @param {string} url - Requested URL
+   * @param {object} entry - Fixture entry
+   * @param {object} options - Request options (method, data)
+   */
+  save(url, entry, options = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(
+      this.getFile(url, options),
+      JSON.stringify({ source: 'recorded', url, method: options.method || 'get', ...entry }, null, 2)
+    );
+  }
+
+  /**
+   * Load fixture for URL
+   * @param {string} url - Requested URL
+   * @param {object} options - Request options (method, data)
+   * @returns {object} Axios-like response
+   * @throws {NetworkError} If no fixture was recorded for URL
+   */
+  load(url, options = {}) {
+    const file = this.getFile(url, options);
+
+    if (!fs.existsSync(file)) {
+      throw new NetworkError(`No fixture recorded for ${url}`);
+    }
+
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.used.add(path.basename(file));
+
+    if (entry.error) {
+      throw entry.error.code === 'NOT_FOUND'
+        ? new NotFoundError(entry.error.message)
+        : new NetworkError(entry.error.message);
+    }
+
+    return {
+      status: entry.status,
+      headers: { 'content-type': entry.contentType || '' },
+      data: entry.data
+    };
+  }
+
+  /**
+   * Handle request in current mode
+   * @param {string} url - Requested URL
+   * @param {Function} fetcher - Real request function (record mode)
+   * @param {object} options - Request options (method, data)
+   * @returns {Promise<object>} Axios-like response
+   */
+  async handle(url, fetcher, options = {}) {
+    if (this.mode === 'replay') {
+      return this.load(url, options);
+    }
+
+    try {
+      const response = await fetcher();
+      this.save(url, {
+        status: response.status,
+        contentType: response.headers?.['content-type'] || '',
+        data: response.data
+      }, options);
+      return response;
+    } catch (error) {
+      this.save(url, { error: { code: error.code || 'NETWORK_ERROR', message: error.message } }, options);
+      throw error;
+    }
+  }
+}
+
+module.exports = FixtureStore;
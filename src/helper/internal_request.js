@@ -0,0 +1,80 @@
+/**
+ * Internal Request
+ * Menjalankan request GET lewat Express app/router dengan request dan response terpisah
+ * (tanpa socket). Dipakai cache warmer dan refresh stale-while-revalidate, jadi handler
+ * tidak pernah menulis ke response client yang sudah terkirim.
+ */
+
+const http = require('http');
+const net = require('net');
+
+/**
+ * Dispatch internal GET request
+ * Handler tidak bisa dibatalkan. Saat timeout response ditutup seperti client disconnect
+ * (cache middleware melepas request yang digabung ke fetch ini), lalu promise ditolak setelah
+ * handler selesai atau setelah satu timeout lagi, jadi pemanggil tidak menumpuk handler yang
+ * masih berjalan.
+ * @param {function} handler - Express app or router
+ * @param {string} url - Request URL
+ * @param {object} options - Request options
+ * @param {boolean} options.refresh - Bypass fresh/stale cache entries and fetch again
+ * @param {number} options.timeout - Timeout in milliseconds (0 = none)
+ * @returns {Promise<object>} { status, cache, body }
+ */
+const dispatchRequest = (handler, url, options = {}) => new Promise((resolve, reject) => {
+  const req = new http.IncomingMessage(new net.Socket());
+  req.method = 'GET';
+  req.url = url;
+  req.headers = { host: 'localhost', accept: 'application/json' };
+  req.cacheWarm = { refresh: !!options.refresh };
+
+  const res = new http.ServerResponse(req);
+  let settled = false;
+  let timedOut = false;
+  let timer = null;
+
+  const settle = (error, result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+
+    if (timedOut) {
+      reject(new Error(`Timed out after ${options.timeout}ms`));
+    } else if (error) {
+      reject(error);
+    } else {
+      resolve(result);
+    }
+  };
+
+  if (options.timeout > 0) {
+    timer = setTimeout(() => {
+      timedOut = true;
+      res.emit('close');
+      timer = setTimeout(() => settle(), options.timeout);
+      timer.unref();
+    }, options.timeout);
+    timer.unref();
+  }
+
+  // Body ditangkap di res.end dan 'finish' dipicu sendiri (dipakai performance middleware)
+  const end = res.end;
+  res.end = function(chunk, encoding, callback) {
+    const result = end.call(this, chunk, encoding, callback);
+
+    settle(null, {
+      status: res.statusCode,
+      cache: res.getHeader('X-Cache') || null,
+      body: chunk && typeof chunk !== 'function' ? chunk.toString() : ''
+    });
+
+    res.emit('finish');
+    return result;
+  };
+
+  handler.handle(req, res, (error) => settle(error, { status: 404, cache: null, body: '' }));
+});
+
+module.exports = {
+  dispatchRequest
+};
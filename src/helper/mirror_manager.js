@@ -0,0 +1,171 @@
+/**
+ * Mirror Manager
+ * Mengelola daftar mirror domain per provider (config `mirrors` dan `api.mirrors`),
+ * mengingat mirror yang sedang bekerja, dan mengubah URL mirror apa pun ke base URL kanonik.
+ */
+
+const { providers } = require('../config/providers');
+
+// Active mirror per group key (`<providerId>` atau `<providerId>:api`)
+const activeMirrors = new Map();
+
+// Mirror groups yang sudah dibangun dan config provider yang dipakai untuk membangunnya
+let groupCache = { configs: [], groups: [], byOrigin: new Map() };
+
+/**
+ * Get origin of URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Origin (protocol + host) or null if not absolute
+ */
+const getOrigin = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build mirror groups from provider configuration
+ * Hasilnya di-cache dan hanya dibangun ulang bila daftar config provider berubah
+ * (addProvider/removeProvider selalu membuat atau menghapus objek config)
+ * @returns {object} { groups, byOrigin } - Mirror groups { key, providerId, baseUrl, mirrors } and origin index
+ */
+const getMirrorIndex = () => {
+  const configs = Object.values(providers);
+  if (configs.length === groupCache.configs.length && configs.every((config, i) => config === groupCache.configs[i])) {
+    return groupCache;
+  }
+
+  const groups = [];
+
+  Object.entries(providers).forEach(([providerId, provider]) => {
+    const addGroup = (key, baseUrl, mirrors = []) => {
+      const origin = getOrigin(baseUrl);
+      if (!origin) return;
+
+      // baseUrl selalu jadi mirror pertama, sisanya sesuai urutan config
+      const origins = [origin, ...mirrors.map(getOrigin).filter(Boolean)];
+      groups.push({
+        key,
+        providerId,
+        baseUrl: baseUrl.replace(/\/+$/, ''),
+        origin,
+        mirrors: [...new Set(origins)]
+      });
+    };
+
+    addGroup(providerId, provider.baseUrl, provider.mirrors);
+    if (provider.api?.baseUrl) {
+      addGroup(`${providerId}:api`, provider.api.baseUrl, provider.api.mirrors);
+    }
+  });
+
+  // Origin yang dipakai beberapa group: group pertama menang (sama seperti find)
+  const byOrigin = new Map();
+  groups.forEach(group => group.mirrors.forEach(origin => {
+    if (!byOrigin.has(origin)) byOrigin.set(origin, group);
+  }));
+
+  groupCache = { configs, groups, byOrigin };
+  return groupCache;
+};
+
+/**
+ * Find mirror group that owns a URL
+ * @param {string} url - Absolute URL
+ * @returns {object|null} Mirror group
+ */
+const findMirrorGroup = (url) => {
+  const origin = getOrigin(url);
+  if (!origin) return null;
+
+  return getMirrorIndex().byOrigin.get(origin) || null;
+};
+
+/**
+ * Get mirrors to try for a group, active mirror first
+ * @param {object} group - Mirror group
+ * @returns {Array} Ordered origins
+ */
+const getOrderedMirrors = (group) => {
+  const active = activeMirrors.get(group.key);
+  if (!active || !group.mirrors.includes(active)) {
+    return group.mirrors;
+  }
+  return [active, ...group.mirrors.filter(origin => origin !== active)];
+};
+
+/**
+ * Get candidate URLs for a request, rewritten to each mirror in order
+ * @param {string} url - Requested URL
+ * @returns {object} { group, candidates } (group null if URL has no mirrors)
+ */
+const getMirrorCandidates = (url) => {
+  const group = findMirrorGroup(url);
+  if (!group || group.mirrors.length < 2) {
+    return { group, candidates: [url] };
+  }
+
+  const origin = getOrigin(url);
+  return {
+    group,
+    candidates: getOrderedMirrors(group).map(mirror => mirror + url.slice(origin.length))
+  };
+};
+
+/**
+ * Remember working mirror for a group
+ * @param {object} group - Mirror group
+ * @param {string} url - URL that responded successfully
+ */
+const markMirrorWorking = (group, url) => {
+  const origin = getOrigin(url);
+  if (!group || !origin || !group.mirrors.includes(origin)) return;
+
+  const previous = activeMirrors.get(group.key) || group.origin;
+  if (previous !== origin) {
+    console.log(`Mirror for '${group.key}' switched from ${previous} to ${origin}`);
+  }
+  activeMirrors.set(group.key, origin);
+};
+
+/**
+ * Rewrite URL on any known mirror to the provider's canonical base URL
+ * @param {string} url - URL to canonicalize
+ * @returns {string} Canonical URL (unchanged if not on a known mirror)
+ */
+const canonicalizeUrl = (url) => {
+  if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return url;
+  }
+
+  const group = findMirrorGroup(url);
+  if (!group) return url;
+
+  const origin = getOrigin(url);
+  return group.origin + url.slice(origin.length);
+};
+
+/**
+ * Get mirror status for all providers
+ * @returns {object} Active mirror per group
+ */
+const getMirrorStatus = () => {
+  return getMirrorIndex().groups.reduce((status, group) => {
+    status[group.key] = {
+      active: activeMirrors.get(group.key) || group.origin,
+      mirrors: group.mirrors
+    };
+    return status;
+  }, {});
+};
+
+module.exports = {
+  getOrigin,
+  findMirrorGroup,
+  getMirrorCandidates,
+  markMirrorWorking,
+  canonicalizeUrl,
+  getMirrorStatus
+};
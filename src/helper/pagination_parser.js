@@ -0,0 +1,177 @@
+/**
+ * Pagination Parser
+ * Membaca semua link halaman (angka, ellipsis, next/last, `?page=N` dan `/page/N`)
+ * untuk menentukan halaman aktif, jumlah halaman dan total item bila situs menampilkannya.
+ * Dipakai bersama oleh Komikcast (lewat scraper engine) dan Aqua Reader.
+ */
+
+/**
+ * Pagination container selectors (WordPress, Madara, MangaStream, Bootstrap)
+ */
+const PAGINATION_SELECTOR = '.pagination, .nav-links, .wp-pagenavi, .pagenavi, .page-nav, .hpage, ul.pager, nav[aria-label*="agination"]';
+
+const CURRENT_SELECTOR = '.current, .active, [aria-current="page"]';
+
+/**
+ * Elements that usually show the number of results
+ */
+const TOTAL_SELECTOR = '.total-items, .result-count, .results-count, .search-count, .c-blog__heading';
+
+const NEXT_PATTERN = /^(next|berikutnya|selanjutnya|›|»|>|→)/i;
+const LAST_PATTERN = /^(last|terakhir|akhir|»»|>>)/i;
+const PAGE_OF_PATTERN = /(?:page|halaman)\s+(\d+)\s+(?:of|dari)\s+([\d.,]+)/i;
+const TOTAL_PATTERN = /([\d][\d.,]*)\s*(?:results?|items?|komik|manga|manhwa|manhua|series|hasil|judul|titles?)\b/i;
+
+/**
+ * Parse integer, ignoring thousands separators ("1.234", "1,234")
+ * @param {string} text - Text to parse
+ * @returns {number|null} Integer or null
+ */
+const parseNumber = (text) => {
+  const cleaned = String(text || '').trim().replace(/[.,]/g, '');
+  return /^\d+$/.test(cleaned) ? parseInt(cleaned, 10) : null;
+};
+
+/**
+ * Get text of elements with a space between every text node
+ * `.text()` cheerio menempelkan teks elemen bersebelahan ("Page 1 of 5" + "1" -> "...51")
+ * @param {object} elements - Cheerio selection
+ * @returns {string} Text with normalized whitespace
+ */
+const getSeparatedText = (elements) => {
+  const texts = [];
+  const walk = (node) => {
+    if (node.type === 'text') {
+      texts.push(node.data);
+    } else {
+      (node.children || []).forEach(walk);
+    }
+  };
+
+  elements.each((i, el) => walk(el));
+  return texts.join(' ').replace(/\s+/g, ' ');
+};
+
+/**
+ * Get page number from pagination URL (`/page/N`, `?page=N`, `?paged=N`, `?p=N`)
+ * @param {string} href - Link URL
+ * @returns {number|null} Page number or null
+ */
+const getPageFromUrl = (href) => {
+  if (!href || typeof href !== 'string') return null;
+
+  const match = href.match(/\/page\/(\d+)/i) || href.match(/[?&](?:page|paged|pg|p)=(\d+)/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Find total item count shown on the page
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio element
+ * @param {string} totalSelector - Extra selector for total count (optional)
+ * @returns {number|null} Total items or null
+ */
+const extractTotalItems = ($, element, totalSelector) => {
+  const selector = totalSelector ? `${totalSelector}, ${TOTAL_SELECTOR}` : TOTAL_SELECTOR;
+  let total = null;
+
+  element.find(selector).each((i, el) => {
+    const match = $(el).text().replace(/\s+/g, ' ').match(TOTAL_PATTERN);
+    const value = match ? parseNumber(match[1]) : null;
+    if (value !== null) {
+      total = value;
+      return false;
+    }
+  });
+
+  return total;
+};
+
+/**
+ * Parse pagination from element
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio element containing the pagination
+ * @param {object} options - Parser options
+ * @param {string} options.currentSelector - Selector for current page element (optional)
+ * @param {string} options.totalSelector - Selector for total item count (optional)
+ * @param {number} options.currentPage - Requested page, used when none is marked current
+ * @returns {object} { current_page, length_page, total_items? }
+ */
+const parsePagination = ($, element, options = {}) => {
+  const { currentSelector, totalSelector } = options;
+  const pages = new Set();
+  let currentPage = null;
+  let hasNext = false;
+
+  let containers = element.find(PAGINATION_SELECTOR);
+  if (containers.length === 0 && currentSelector) {
+    containers = element.find(currentSelector).parent();
+  }
+  if (containers.length === 0) {
+    containers = element.find('.page-numbers').parent();
+  }
+
+  containers.find('a, span, li, button').each((i, el) => {
+    const $el = $(el);
+    const text = $el.text().trim();
+    const className = $el.attr('class') || '';
+    const number = parseNumber(text);
+    const hrefPage = getPageFromUrl($el.attr('href'));
+
+    if (number !== null && text.length <= 6) {
+      pages.add(number);
+    }
+    if (hrefPage !== null) {
+      pages.add(hrefPage);
+    }
+
+    if (/\bnext\b/i.test(className) || $el.attr('rel') === 'next' || NEXT_PATTERN.test(text)) {
+      hasNext = true;
+    }
+
+    // Link "last" sering hanya membawa nomor halaman terakhir di URL
+    if ((/\blast\b/i.test(className) || LAST_PATTERN.test(text)) && hrefPage !== null) {
+      pages.add(hrefPage);
+    }
+
+    if (currentPage === null && number !== null && $el.is(CURRENT_SELECTOR)) {
+      currentPage = number;
+    }
+  });
+
+  // "Page 3 of 120" (wp-pagenavi), teks dipisah per node agar angka link sesudahnya tidak menempel
+  const pageOf = getSeparatedText(containers).match(PAGE_OF_PATTERN);
+  if (pageOf) {
+    currentPage = currentPage || parseInt(pageOf[1], 10);
+    pages.add(parseNumber(pageOf[2]));
+  }
+
+  if (currentPage === null && currentSelector) {
+    currentPage = parseNumber(element.find(currentSelector).first().text());
+  }
+
+  currentPage = currentPage || parseInt(options.currentPage, 10) || 1;
+
+  let lengthPage = Math.max(currentPage, ...[...pages].filter(Number.isInteger));
+  if (hasNext && lengthPage <= currentPage) {
+    lengthPage = currentPage + 1;
+  }
+
+  const pagination = {
+    current_page: currentPage,
+    length_page: lengthPage
+  };
+
+  const totalItems = extractTotalItems($, element, totalSelector);
+  if (totalItems !== null) {
+    pagination.total_items = totalItems;
+  }
+
+  return pagination;
+};
+
+module.exports = {
+  parsePagination,
+  getPageFromUrl,
+  extractTotalItems
+};
@@ -0,0 +1,53 @@
+/**
+ * State File
+ * Baca/tulis state JSON service background (crawler, update tracker, webhook) ke disk.
+ * Penulisan lewat file sementara + rename agar state tidak rusak bila proses mati saat menulis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default directory for state files (override per file lewat env masing-masing service)
+ */
+const DEFAULT_STATE_DIR = path.join(process.cwd(), 'data');
+
+/**
+ * Read JSON state file
+ * @param {string} file - File path
+ * @returns {*} Parsed state or null if file is missing or unreadable
+ */
+const readState = (file) => {
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read state file ${file}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Write JSON state file atomically
+ * @param {string} file - File path
+ * @param {*} state - State to write
+ * @returns {boolean} True if state was written
+ */
+const writeState = (file, state) => {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state));
+    fs.renameSync(tempFile, file);
+    return true;
+  } catch (error) {
+    console.error(`Failed to write state file ${file}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_STATE_DIR,
+  readState,
+  writeState
+};
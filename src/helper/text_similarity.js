@@ -0,0 +1,181 @@
+/**
+ * Text similarity utilities
+ * Normalisasi judul dan fuzzy matching untuk mencocokkan komik lintas provider
+ */
+
+/**
+ * Words that carry no identity (label tipe/bahasa yang sering ditempel di judul)
+ */
+const NOISE_WORDS = new Set([
+  'komik', 'manga', 'manhwa', 'manhua', 'webtoon',
+  'bahasa', 'indonesia', 'sub', 'indo'
+]);
+
+/**
+ * Normalize text: lowercase, remove diacritics and punctuation, collapse spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text || typeof text !== 'string') return '';
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+    .replace(/['\u2019`]/g, '') // "Hero's" -> "heros"
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalize comic title (normalizeText tanpa noise words)
+ * @param {string} title - Comic title
+ * @returns {string} Normalized title
+ */
+const normalizeTitle = (title) => {
+  const normalized = normalizeText(title);
+  const tokens = normalized.split(' ').filter(token => token && !NOISE_WORDS.has(token));
+  // Judul yang hanya berisi noise word tetap dipakai apa adanya
+  return tokens.length > 0 ? tokens.join(' ') : normalized;
+};
+
+/**
+ * Split normalized text into tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens
+ */
+const tokenize = (text) => {
+  return normalizeText(text).split(' ').filter(Boolean);
+};
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return b.length;
+  if (!b) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // Deletion
+        current[j - 1] + 1, // Insertion
+        previous[j - 1] + cost // Substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Edit distance that counts swapping two adjacent letters as one edit
+ * (optimal string alignment), cocok untuk typo ketikan seperti "peice"
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const transpositionDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return b.length;
+  if (!b) return a.length;
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1, // Deletion
+        rows[i][j - 1] + 1, // Insertion
+        rows[i - 1][j - 1] + cost // Substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1); // Transposition
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Edit-distance similarity ratio
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity (0-1)
+ */
+const stringSimilarity = (a, b) => {
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+  const maxLength = Math.max(a.length, b.length);
+  return 1 - (levenshtein(a, b) / maxLength);
+};
+
+/**
+ * Token set similarity (Dice coefficient over tokens)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity (0-1)
+ */
+const tokenSimilarity = (a, b) => {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  if (tokensA.size === 0 && tokensB.size === 0) return 1;
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+
+  return (2 * shared) / (tokensA.size + tokensB.size);
+};
+
+/**
+ * Combined title similarity (nilai terbaik dari edit distance dan token set)
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity (0-1)
+ */
+const titleSimilarity = (a, b) => {
+  const normalizedA = normalizeTitle(a);
+  const normalizedB = normalizeTitle(b);
+  if (normalizedA === normalizedB) return 1;
+  return Math.max(
+    stringSimilarity(normalizedA, normalizedB),
+    tokenSimilarity(normalizedA, normalizedB)
+  );
+};
+
+/**
+ * Convert text to URL-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug
+ */
+const slugify = (text) => {
+  return normalizeText(text).replace(/\s+/g, '-');
+};
+
+module.exports = {
+  normalizeText,
+  normalizeTitle,
+  tokenize,
+  levenshtein,
+  transpositionDistance,
+  stringSimilarity,
+  tokenSimilarity,
+  titleSimilarity,
+  slugify
+};
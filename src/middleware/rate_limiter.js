@@ -128,6 +128,11 @@ class RateLimiter {
     } = options;
 
     return (req, res, next) => {
+      // Request internal dari cache warmer tidak dihitung sebagai client
+      if (req.cacheWarm) {
+        return next();
+      }
+
       const clientId = this.getClientId(req);
       const result = this.checkLimit(clientId, max, windowMs);
 
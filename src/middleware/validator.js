@@ -2,7 +2,8 @@
  * Input validation middleware
  */
 
-const { ValidationError } = require('../helper/error_handler');
+const { ValidationError, AppError } = require('../helper/error_handler');
+const { negotiateProvider } = require('../services/provider_manager');
 
 /**
  * Validate page parameter (optional, defaults to 1)
@@ -33,6 +34,47 @@ const validatePage = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate chapter paging parameters for detail (optional)
+ * chapterPage kosong berarti daftar chapter lengkap
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const validateChapterPaging = (req, res, next) => {
+  const { chapterPage, chapterPageSize } = req.query;
+  
+  if (chapterPage === undefined || chapterPage === '') {
+    delete req.query.chapterPage;
+    delete req.query.chapterPageSize;
+    return next();
+  }
+  
+  const pageNum = parseInt(chapterPage);
+  if (isNaN(pageNum) || pageNum < 1) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'VALIDATION_ERROR',
+      message: 'chapterPage must be a positive integer',
+      data: []
+    });
+  }
+  
+  const sizeNum = chapterPageSize === undefined || chapterPageSize === '' ? 50 : parseInt(chapterPageSize);
+  if (isNaN(sizeNum) || sizeNum < 1 || sizeNum > 100) {
+    return res.status(400).json({
+      status: 'error',
+      code: 'VALIDATION_ERROR',
+      message: 'chapterPageSize must be an integer between 1 and 100',
+      data: []
+    });
+  }
+  
+  req.query.chapterPage = pageNum;
+  req.query.chapterPageSize = sizeNum;
+  next();
+};
+
 /**
  * Validate keyword parameter
  * @param {object} req - Express request
@@ -99,8 +141,49 @@ const validateSort = (req, res, next) => {
   next();
 };
 
+/**
+ * Require provider capability for route
+ * Provider yang tidak mendukung fitur ditolak (501/422) kecuali `fallback=true`,
+ * yang mengalihkan request ke provider lain yang mendukung.
+ * Dipasang sebelum cache middleware agar cache HIT juga melewati negosiasi dan membawa
+ * header X-Provider-Fallback (key cache memakai provider hasil negosiasi).
+ * @param {string} feature - Feature name (key of provider features)
+ * @returns {function} Express middleware
+ */
+const requireFeature = (feature) => (req, res, next) => {
+  const allowFallback = req.query.fallback === 'true' || req.query.fallback === '1';
+  
+  try {
+    const { providerId, requested, fallback } = negotiateProvider(req.query.provider, feature, allowFallback);
+    
+    // Tanpa provider eksplisit route tetap bebas memakai default/multi-provider
+    if (req.query.provider || fallback) {
+      req.query.provider = providerId;
+    }
+    
+    if (fallback) {
+      res.set('X-Provider-Fallback', `${requested}->${providerId}`);
+    }
+    
+    next();
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      return next(error);
+    }
+    
+    return res.status(error.statusCode).json({
+      status: 'error',
+      code: error.code,
+      message: error.message,
+      data: error.details || []
+    });
+  }
+};
+
 module.exports = {
+  requireFeature,
   validatePage,
+  validateChapterPaging,
   validateKeyword,
   validateSort
 };
@@ -1,10 +1,16 @@
 const router = require('express')();
 const { responseApi } = require('./helper/response_api');
-const { asyncHandler, errorHandler } = require('./helper/error_handler');
+const { asyncHandler, errorHandler, UnsupportedFeatureError } = require('./helper/error_handler');
 const cacheService = require('./helper/cache_service');
 const { defaultRateLimiter, strictRateLimiter } = require('./middleware/rate_limiter');
 const { performanceMiddleware, performanceMonitor } = require('./middleware/performance');
-const { validatePage, validateKeyword, validateSort } = require('./middleware/validator');
+const {
+  validatePage,
+  validateChapterPaging,
+  validateKeyword,
+  validateSort,
+  requireFeature
+} = require('./middleware/validator');
 const { filterItems, sortItems } = require('./helper/data_validator');
 const {
   getLatestComics,
@@ -20,6 +26,13 @@ const { listProviders, getProviderInfo } = require('./services/provider_manager'
 const apiService = require('./services/api_service');
 const QueryBuilder = require('./services/query_builder');
 const dashboardService = require('./services/dashboard_service');
+const schemaContract = require('./services/schema_contract');
+const searchIndex = require('./services/search_index');
+const catalogCrawler = require('./services/catalog_crawler');
+const updateTracker = require('./services/update_tracker');
+const webhookService = require('./services/webhook_service');
+const healthProber = require('./services/health_prober');
+const cacheWarmer = require('./services/cache_warmer');
 
 // Apply performance monitoring to all routes
 router.use(performanceMiddleware);
@@ -56,17 +69,30 @@ router.get('/health', (req, res) => {
 // Providers list endpoint
 router.get('/providers',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  cacheService.middleware(30 * 1000), // Short TTL: includes live circuit state
   (req, res) => {
     const providers = listProviders();
     return responseApi(res, 200, 'success', providers);
   }
 );
 
+// Provider health endpoint (active probe results)
+// ?probe=true menjalankan canary call sekarang sebelum membuat report
+router.get('/providers/health',
+  strictRateLimiter,
+  asyncHandler(async (req, res) => {
+    if (req.query.probe === 'true') {
+      await healthProber.probeAll();
+    }
+    
+    return responseApi(res, 200, 'success', healthProber.getReport());
+  })
+);
+
 // Provider info endpoint (singular - for backward compatibility)
 router.get('/provider',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  cacheService.middleware(30 * 1000), // Short TTL: includes live circuit state
   (req, res) => {
     // Redirect to /providers for backward compatibility
     const providers = listProviders();
@@ -77,7 +103,7 @@ router.get('/provider',
 // Single provider info endpoint
 router.get('/provider/:id',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  cacheService.middleware(30 * 1000), // Short TTL: includes live circuit state
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const provider = getProviderInfo(id.toLowerCase());
@@ -93,6 +119,7 @@ router.get('/provider/:id',
 // Latest comics endpoint with caching (5 minutes) - Enhanced version
 router.get('/terbaru',
   defaultRateLimiter,
+  requireFeature('latest'),
   cacheService.middleware(5 * 60 * 1000),
   validatePage,
   validateSort,
@@ -177,6 +204,7 @@ router.get('/terbaru',
 // Genre list endpoint with caching (15 minutes)
 router.get('/genre',
   defaultRateLimiter,
+  requireFeature('genreList'),
   cacheService.middleware(15 * 60 * 1000),
   asyncHandler(async (req, res) => {
     const { provider } = req.query;
@@ -193,6 +221,7 @@ router.get('/genre',
 // Comics by genre endpoint with caching (5 minutes)
 router.get('/genre/:url',
   defaultRateLimiter,
+  requireFeature('genre'),
   cacheService.middleware(5 * 60 * 1000),
   validatePage,
   asyncHandler(async (req, res) => {
@@ -219,21 +248,40 @@ router.get('/genre/:url',
 // Comic detail endpoint with caching (10 minutes) - Enhanced version
 router.get('/detail/:url',
   defaultRateLimiter,
+  requireFeature('detail'),
   cacheService.middleware(10 * 60 * 1000),
+  validateChapterPaging,
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { 
       provider,
+      chapterPage, // Paged chapter list (omit for full list)
+      chapterPageSize,
       advanced, // Use advanced processing
+      merged, // Merge chapters from every provider
       enrich, // Enable data enrichment
       optimize // Enable response optimization
     } = req.query;
     
+    // Merged detail: chapter list reconciled across providers
+    if (merged === 'true' || merged === '1') {
+      const result = await apiService.getMergedComicDetail({
+        url,
+        provider,
+        enrich: enrich !== 'false',
+        optimize: optimize !== 'false'
+      });
+
+      return res.status(200).json(result);
+    }
+    
     // Use advanced processing if requested
     if (advanced === 'true' || advanced === '1') {
       const result = await apiService.getComicDetail({
         url,
         provider,
+        chapterPage,
+        chapterPageSize,
         enrich: enrich !== 'false',
         optimize: optimize !== 'false'
       });
@@ -243,7 +291,7 @@ router.get('/detail/:url',
 
     // Legacy processing (backward compatibility)
     try {
-      const detail = await getComicDetail(url, provider);
+      const detail = await getComicDetail(url, provider, { chapterPage, chapterPageSize });
       return responseApi(res, 200, 'success', detail || {});
     } catch (error) {
       // Error will be handled by errorHandler middleware
@@ -252,9 +300,33 @@ router.get('/detail/:url',
   })
 );
 
+// Canonical comic endpoint with caching (10 minutes)
+// ID kanonik sama untuk seri yang sama di semua provider
+router.get('/comic/:canonicalId',
+  defaultRateLimiter,
+  cacheService.middleware(10 * 60 * 1000),
+  asyncHandler(async (req, res) => {
+    const { canonicalId } = req.params;
+    const { provider, merged, enrich, optimize } = req.query;
+    const options = {
+      canonicalId: canonicalId.toLowerCase(),
+      provider,
+      enrich: enrich !== 'false',
+      optimize: optimize !== 'false'
+    };
+
+    const result = merged === 'true' || merged === '1'
+      ? await apiService.getMergedComicDetail(options)
+      : await apiService.getComicByCanonicalId(options);
+
+    return res.status(200).json(result);
+  })
+);
+
 // Read chapter endpoint with caching (15 minutes)
 router.get('/read/:url',
   defaultRateLimiter,
+  requireFeature('read'),
   cacheService.middleware(15 * 60 * 1000),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
@@ -269,9 +341,48 @@ router.get('/read/:url',
   })
 );
 
+// Local index search (?source=index): dijawab dari search index tanpa request ke situs,
+// jadi cukup default rate limit dan tanpa cache
+router.get('/search',
+  (req, res, next) => (req.query.source === 'index' ? next() : next('route')),
+  defaultRateLimiter,
+  validateKeyword,
+  asyncHandler(async (req, res) => {
+    const { keyword, genre, type, status, minRating, maxRating, provider, page, limit } = req.query;
+
+    if (!searchIndex.enabled) {
+      throw new UnsupportedFeatureError('Local search index is disabled', { capability: 'searchIndex' });
+    }
+
+    const result = searchIndex.search(keyword, {
+      genre,
+      type,
+      status,
+      minRating: minRating ? parseFloat(minRating) : undefined,
+      maxRating: maxRating ? parseFloat(maxRating) : undefined,
+      provider,
+      page,
+      limit
+    });
+
+    return responseApi(res, 200, 'success', result);
+  })
+);
+
+// Chapter update feed: new-chapter events since timestamp, with cursor pagination
+router.get('/updates',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { since, cursor, limit, provider } = req.query;
+    const updates = updateTracker.getUpdates({ since, cursor, limit, provider });
+    return responseApi(res, 200, 'success', updates);
+  })
+);
+
 // Search endpoint with strict rate limiting and caching (2 minutes) - Enhanced version
 router.get('/search',
   strictRateLimiter,
+  requireFeature('search'),
   cacheService.middleware(2 * 60 * 1000),
   validateKeyword,
   validateSort,
@@ -347,6 +458,7 @@ router.get('/search',
 // Popular comics endpoint with caching (10 minutes) - Enhanced version
 router.get('/popular',
   defaultRateLimiter,
+  requireFeature('popular'),
   cacheService.middleware(10 * 60 * 1000),
   validateSort,
   asyncHandler(async (req, res) => {
@@ -415,6 +527,7 @@ router.get('/popular',
 // Recommended comics endpoint with caching (10 minutes)
 router.get('/recommended',
   defaultRateLimiter,
+  requireFeature('recommended'),
   cacheService.middleware(10 * 60 * 1000),
   validateSort,
   asyncHandler(async (req, res) => {
@@ -450,7 +563,7 @@ router.get('/recommended',
 // Dashboard stats endpoint
 router.get('/api/dashboard/stats',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000), // Cache for 5 minutes
+  cacheService.middleware(30 * 1000), // Cache for 30 seconds (live provider health)
   (req, res) => {
     try {
       const stats = dashboardService.getStats();
@@ -461,6 +574,65 @@ router.get('/api/dashboard/stats',
   }
 );
 
+// Dashboard search index endpoint (local index built from scraped listings)
+router.get('/api/dashboard/index',
+  defaultRateLimiter,
+  (req, res) => {
+    try {
+      return responseApi(res, 200, 'success', searchIndex.getStats());
+    } catch (error) {
+      return responseApi(res, 500, 'error', { message: error.message });
+    }
+  }
+);
+
+router.delete('/api/dashboard/index',
+  defaultRateLimiter,
+  (req, res) => {
+    try {
+      const { provider } = req.query;
+      const removed = searchIndex.clear(provider || null);
+      return responseApi(res, 200, 'success', {
+        message: provider ? `Search index cleared for provider: ${provider}` : 'Search index cleared',
+        removed
+      });
+    } catch (error) {
+      return responseApi(res, 500, 'error', { message: error.message });
+    }
+  }
+);
+
+// Dashboard schema drift endpoint (scraper output contract violations)
+router.get('/api/dashboard/schema',
+  defaultRateLimiter,
+  (req, res) => {
+    try {
+      const { provider } = req.query;
+      const stats = provider
+        ? { strict: schemaContract.strict, providers: { [provider]: schemaContract.getStats(provider) } }
+        : schemaContract.getStats();
+      return responseApi(res, 200, 'success', stats);
+    } catch (error) {
+      return responseApi(res, 500, 'error', { message: error.message });
+    }
+  }
+);
+
+router.delete('/api/dashboard/schema',
+  defaultRateLimiter,
+  (req, res) => {
+    try {
+      const { provider } = req.query;
+      schemaContract.reset(provider || null);
+      return responseApi(res, 200, 'success', {
+        message: provider ? `Schema stats reset for provider: ${provider}` : 'All schema stats reset'
+      });
+    } catch (error) {
+      return responseApi(res, 500, 'error', { message: error.message });
+    }
+  }
+);
+
 // Dashboard analytics endpoint
 router.get('/api/dashboard/analytics',
   defaultRateLimiter,
@@ -560,25 +732,154 @@ router.delete('/api/dashboard/cache/manage',
   }
 );
 
+router.get('/api/dashboard/cache/manage/warm',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', cacheWarmer.getStats());
+  }
+);
+
+// Warm cache by running route URLs or { route, params, query } descriptors through the real handlers
 router.post('/api/dashboard/cache/manage/warm',
   defaultRateLimiter,
   asyncHandler(async (req, res) => {
-    try {
-      const { keys } = req.body;
-      
-      if (!Array.isArray(keys) || keys.length === 0) {
-        return responseApi(res, 400, 'error', { message: 'Keys array is required' });
+    const { keys, concurrency, refresh, scheduled } = req.body || {};
+
+    // Jalankan warm-list terjadwal sekarang (latest pages + detail populer per provider)
+    if (scheduled === true && keys === undefined) {
+      const report = await cacheWarmer.warmScheduled();
+      if (!report) {
+        return responseApi(res, 409, 'error', { message: 'Scheduled cache warming is already running' });
       }
-      
-      // Note: This is a placeholder - actual cache warming would need to fetch data
-      // For now, we'll just return success
-      return responseApi(res, 200, 'success', { 
-        message: `Cache warming requested for ${keys.length} keys`,
-        keys: keys.length
-      });
-    } catch (error) {
-      throw error;
+      return responseApi(res, 200, 'success', report);
     }
+
+    const report = await cacheWarmer.warm(keys, { concurrency, refresh: refresh === true });
+
+    return responseApi(res, 200, 'success', {
+      message: `Cache warmed for ${report.succeeded} of ${report.total} keys`,
+      ...report
+    });
+  })
+);
+
+// Catalog crawler endpoints (background crawl of latest, genre and detail pages)
+router.get('/api/dashboard/crawler/status',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', catalogCrawler.getStatus());
+  }
+);
+
+router.post('/api/dashboard/crawler/start',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const {
+      providers,
+      restart,
+      maxPages,
+      maxGenrePages,
+      genres,
+      details,
+      concurrency,
+      delayMs
+    } = req.body || {};
+
+    if (providers !== undefined && !Array.isArray(providers)) {
+      return responseApi(res, 400, 'error', { message: 'providers must be an array' });
+    }
+
+    const status = catalogCrawler.start({
+      providers,
+      restart: restart === true,
+      maxPages,
+      maxGenrePages,
+      genres,
+      details,
+      concurrency,
+      delayMs
+    });
+
+    return responseApi(res, 202, 'success', status);
+  })
+);
+
+router.post('/api/dashboard/crawler/stop',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const status = await catalogCrawler.stop();
+    return responseApi(res, 200, 'success', status);
+  })
+);
+
+// Webhook endpoints (signed POST on new chapters and provider status changes)
+router.get('/api/webhooks',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.listSubscriptions());
+  }
+);
+
+router.post('/api/webhooks',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { url, secret, events, providers, canonicalIds, genres, description } = req.body || {};
+    const subscription = await webhookService.register({ url, secret, events, providers, canonicalIds, genres, description });
+    return responseApi(res, 201, 'success', subscription);
+  })
+);
+
+router.get('/api/webhooks/deliveries',
+  defaultRateLimiter,
+  (req, res) => {
+    const { subscription, status, limit } = req.query;
+    return responseApi(res, 200, 'success', webhookService.getDeliveries({ subscription, status, limit }));
+  }
+);
+
+router.get('/api/webhooks/dead-letters',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.getDeadLetters(req.query.subscription || null));
+  }
+);
+
+router.delete('/api/webhooks/dead-letters',
+  defaultRateLimiter,
+  (req, res) => {
+    const removed = webhookService.clearDeadLetters(req.query.subscription || null);
+    return responseApi(res, 200, 'success', { removed });
+  }
+);
+
+router.post('/api/webhooks/dead-letters/:deliveryId/retry',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const delivery = webhookService.redeliver(req.params.deliveryId);
+    return responseApi(res, 202, 'success', delivery);
+  })
+);
+
+router.get('/api/webhooks/:id',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    return responseApi(res, 200, 'success', webhookService.getSubscription(req.params.id));
+  })
+);
+
+router.delete('/api/webhooks/:id',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    webhookService.remove(req.params.id);
+    return responseApi(res, 200, 'success', { message: `Webhook removed: ${req.params.id}` });
+  })
+);
+
+router.post('/api/webhooks/:id/test',
+  defaultRateLimiter,
+  asyncHandler(async (req, res) => {
+    const result = await webhookService.ping(req.params.id);
+    return responseApi(res, 200, 'success', result);
   })
 );
 
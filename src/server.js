@@ -4,8 +4,12 @@ const app = express();
 const cors = require('cors');
 const helmet = require('helmet').default;
 const { router } = require('./router');
+const { discoverProviders } = require('./services/provider_manager');
 require('dotenv').config();
 
+// Load provider plugins (src/providers atau PROVIDERS_DIR)
+discoverProviders();
+
 // Trust proxy for rate limiting (if behind reverse proxy)
 app.set('trust proxy', 1);
 
@@ -43,4 +47,29 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Background provider health probing (disable with HEALTH_PROBE_ENABLED=false)
+  if (process.env.HEALTH_PROBE_ENABLED !== 'false') {
+    require('./services/health_prober').start();
+  }
+
+  // Periodic latest-list snapshots for /updates (disable with UPDATE_TRACKER_ENABLED=false)
+  if (process.env.UPDATE_TRACKER_ENABLED !== 'false') {
+    require('./services/update_tracker').start();
+  }
+
+  // Webhook delivery for update tracker and circuit breaker events (disable with WEBHOOKS_ENABLED=false)
+  if (process.env.WEBHOOKS_ENABLED !== 'false') {
+    require('./services/webhook_service').start();
+  }
+
+  // Scheduled cache warming of latest pages and popular details (disable with CACHE_WARM_ENABLED=false)
+  if (process.env.CACHE_WARM_ENABLED !== 'false') {
+    require('./services/cache_warmer').start();
+  }
+
+  // Resume catalog crawl interrupted by restart (disable with CRAWLER_AUTO_RESUME=false)
+  if (process.env.CRAWLER_AUTO_RESUME !== 'false') {
+    require('./services/catalog_crawler').resumeInterrupted();
+  }
 }
@@ -3,11 +3,28 @@
  * Integrates all processing components untuk efficient data handling
  */
 
-const { DataProcessor, DataEnrichmentService, BatchProcessor, DataAggregationService } = require('./data_processor');
+const {
+  DataProcessor,
+  DataEnrichmentService,
+  BatchProcessor,
+  DataAggregationService,
+  ChapterReconciliationService
+} = require('./data_processor');
 const QueryBuilder = require('./query_builder');
 const ParallelProcessor = require('./parallel_processor');
 const ResponseOptimizer = require('./response_optimizer');
-const { executeScraper, listProviders } = require('./provider_manager');
+const {
+  executeScraper,
+  executeScraperWithoutFallback,
+  listProviders,
+  resolveProvider
+} = require('./provider_manager');
+const comicIdentity = require('./comic_identity');
+const searchRanker = require('./search_ranker');
+const searchIndex = require('./search_index');
+const { getDefaultProviderId } = require('../config/providers');
+const { NotFoundError } = require('../helper/error_handler');
+const { paginateChapters } = require('../helper/data_validator');
 
 /**
  * Advanced API Service
@@ -34,9 +51,9 @@ class ApiService {
     // Normalization stage
     this.processor.addStage('normalize', (data, context) => {
       if (Array.isArray(data)) {
-        return data.map(item => this.normalizeItem(item));
+        return data.map(item => this.normalizeItem(item, context));
       }
-      return this.normalizeItem(data);
+      return this.normalizeItem(data, context);
     });
 
     // Enrichment stage
@@ -59,11 +76,21 @@ class ApiService {
   /**
    * Normalize item
    * @param {object} item - Item to normalize
+   * @param {object} context - Processing context
    * @returns {object} Normalized item
    */
-  normalizeItem(item) {
-    // Basic normalization - can be extended
-    return item;
+  normalizeItem(item, context = {}) {
+    if (!item || typeof item !== 'object' || item.canonicalId) {
+      return item;
+    }
+
+    // Attach cross-provider canonical ID
+    const canonicalId = comicIdentity.identify(
+      context.slug ? { ...item, href: context.slug } : item,
+      item._source || context.sourceProvider
+    );
+
+    return canonicalId ? { ...item, canonicalId } : item;
   }
 
   /**
@@ -94,6 +121,7 @@ class ApiService {
       const allProviders = listProviders();
       providersList = allProviders.map(p => p.id);
     }
+    context.sourceProvider = providersList.length === 1 ? resolveProvider(providersList[0]) : null;
 
     // Process providers
     let result;
@@ -206,8 +234,74 @@ class ApiService {
     };
   }
 
+  /**
+   * Fetch search results from providers
+   * @param {Array} providersList - Provider IDs
+   * @param {string} keyword - Search keyword
+   * @returns {Promise<object>} Result with data and metadata
+   */
+  async fetchSearchResults(providersList, keyword) {
+    try {
+      if (providersList.length > 1) {
+        return await ParallelProcessor.processProviders(
+          providersList,
+          'searchComics',
+          [keyword],
+          {
+            aggregate: true,
+            aggregateOptions: {
+              deduplicate: true,
+              sortBy: 'qualityScore'
+            }
+          }
+        );
+      }
+
+      const data = await executeScraper(providersList[0], 'searchComics', keyword);
+      return {
+        success: true,
+        providers: providersList,
+        data: Array.isArray(data) ? data : (data.data || [])
+      };
+    } catch (error) {
+      // If all providers fail, return empty result
+      return {
+        success: false,
+        providers: providersList,
+        data: [],
+        metadata: {
+          error: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Match keyword against comics already in the search index (typo lewat trie index)
+   * @param {Array} providersList - Provider IDs to search
+   * @param {string} keyword - Original keyword
+   * @returns {Array} Comics scoring at least searchRanker.minScore, best match first
+   */
+  searchIndexed(providersList, keyword) {
+    const providerIds = new Set(providersList.map(id => resolveProvider(id)));
+    const { data } = searchIndex.search(keyword, {
+      provider: providerIds.size === 1 ? [...providerIds][0] : undefined,
+      limit: 100
+    });
+
+    return searchRanker.rank(
+      data.filter(comic => providerIds.has(comic.provider)),
+      keyword,
+      { minScore: searchRanker.minScore, sort: false }
+    );
+  }
+
   /**
    * Search comics with advanced processing
+   * Hasil diurutkan berdasarkan relevansi (`score`) kecuali query.sortBy diisi.
+   * Jika keyword tidak menemukan apa pun (typo), komik yang sudah ada di search index
+   * dicocokkan lebih dulu (tanpa request ke situs); baru bila kosong search diulang dengan
+   * keyword yang dilonggarkan. Hanya hasil yang cukup mirip dengan keyword asli yang dipakai.
    * @param {object} options - Search options
    * @returns {Promise<object>} Search results
    */
@@ -218,7 +312,8 @@ class ApiService {
       providers = null,
       query = {},
       enrich = true,
-      optimize = true
+      optimize = true,
+      typoTolerance = true
     } = options;
 
     if (!keyword) {
@@ -237,41 +332,39 @@ class ApiService {
       const allProviders = listProviders();
       providersList = allProviders.map(p => p.id);
     }
+    context.sourceProvider = providersList.length === 1 ? resolveProvider(providersList[0]) : null;
 
     // Process providers
-    let result;
-    try {
-      if (providersList.length > 1) {
-        result = await ParallelProcessor.processProviders(
-          providersList,
-          'searchComics',
-          [keyword],
-          {
-            aggregate: true,
-            aggregateOptions: {
-              deduplicate: true,
-              sortBy: 'qualityScore'
-            }
-          }
-        );
-      } else {
-        const data = await executeScraper(providersList[0], 'searchComics', keyword);
-        result = {
-          success: true,
-          providers: providersList,
-          data: Array.isArray(data) ? data : (data.data || [])
-        };
+    let result = await this.fetchSearchResults(providersList, keyword);
+    let minScore = 0;
+    let fallbackQuery = null;
+    let fallbackSource = null;
+
+    if (typoTolerance && (!Array.isArray(result.data) || result.data.length === 0)) {
+      const indexed = this.searchIndexed(providersList, keyword);
+      if (indexed.length > 0) {
+        result = { ...result, data: indexed };
+        minScore = searchRanker.minScore;
+        fallbackSource = 'index';
       }
-    } catch (error) {
-      // If all providers fail, return empty result
-      result = {
-        success: false,
-        providers: providersList,
-        data: [],
-        metadata: {
-          error: error.message
+    }
+
+    if (typoTolerance && !fallbackSource && (!Array.isArray(result.data) || result.data.length === 0)) {
+      for (const relaxed of searchRanker.getFallbackQueries(keyword)) {
+        const fallback = await this.fetchSearchResults(providersList, relaxed);
+        const matches = searchRanker.rank(fallback.data || [], keyword, {
+          minScore: searchRanker.minScore,
+          sort: false
+        });
+
+        if (matches.length > 0) {
+          result = { ...fallback, data: matches };
+          minScore = searchRanker.minScore;
+          fallbackQuery = relaxed;
+          fallbackSource = 'remote';
+          break;
         }
-      };
+      }
     }
 
     let comics = [];
@@ -279,10 +372,12 @@ class ApiService {
       comics = Array.isArray(result.data) ? result.data : [];
     }
 
-    // Apply query builder
-    if (Object.keys(query).length > 0 && comics.length > 0) {
+    // Apply query builder (keyword matching is handled by the ranker below)
+    const filters = { ...query };
+    delete filters.search;
+    if (Object.keys(filters).length > 0 && comics.length > 0) {
       try {
-        const queryBuilder = QueryBuilder.fromQuery({ ...query, search: keyword });
+        const queryBuilder = QueryBuilder.fromQuery(filters);
         const queryResult = queryBuilder.execute(comics);
         comics = Array.isArray(queryResult.data) ? queryResult.data : comics;
       } catch (error) {
@@ -291,6 +386,9 @@ class ApiService {
       }
     }
 
+    // Relevance ranking; explicit sortBy keeps the query builder order
+    comics = searchRanker.rank(comics, keyword, { minScore, sort: !filters.sortBy });
+
     // Process through pipeline
     if (enrich && comics.length > 0) {
       try {
@@ -316,6 +414,9 @@ class ApiService {
         keyword,
         providers: providersList,
         total: comics.length,
+        sortedBy: filters.sortBy || 'relevance',
+        ...(fallbackSource ? { fallbackSource } : {}),
+        ...(fallbackQuery ? { fallbackQuery } : {}),
         ...result.metadata
       }
     };
@@ -347,6 +448,7 @@ class ApiService {
       const allProviders = listProviders();
       providersList = allProviders.map(p => p.id);
     }
+    context.sourceProvider = providersList.length === 1 ? resolveProvider(providersList[0]) : null;
 
     // Process providers
     let result;
@@ -446,42 +548,14 @@ class ApiService {
   }
 
   /**
-   * Get comic detail with advanced processing
-   * @param {object} options - Detail options
-   * @returns {Promise<object>} Comic detail
+   * Run comic detail through pipeline, chapter enrichment and optimizer
+   * @param {object} comic - Comic detail from scraper
+   * @param {object} context - Processing context
+   * @param {object} options - Processing options
+   * @returns {Promise<object>} Processed comic detail
    */
-  async getComicDetail(options = {}) {
-    const {
-      url,
-      provider = null,
-      enrich = true,
-      optimize = true
-    } = options;
-
-    if (!url) {
-      throw new Error('URL is required');
-    }
-
-    const context = { url, provider };
-
-    // Get detail
-    const providersList = provider ? [provider] : listProviders().map(p => p.id);
-    let detail;
-
-    // Try providers with fallback
-    try {
-      detail = await ParallelProcessor.processWithFallback(
-        providersList,
-        'getComicDetail',
-        [url],
-        { timeout: 30000 }
-      );
-    } catch (error) {
-      // If all providers fail, throw error
-      throw new Error(`Failed to get comic detail: ${error.message}`);
-    }
-
-    let comic = detail.data || {};
+  async processDetail(comic, context, options = {}) {
+    const { enrich = true, optimize = true } = options;
 
     // Process through pipeline
     if (enrich && comic && typeof comic === 'object') {
@@ -521,6 +595,284 @@ class ApiService {
       }
     }
 
+    return comic;
+  }
+
+  /**
+   * Search providers for a title so their slugs get registered in comic identity
+   * @param {string} keyword - Title to search
+   * @param {Array} providerIds - Providers to search (defaults to all with search feature)
+   * @returns {Promise<void>}
+   */
+  async discoverSources(keyword, providerIds = null) {
+    const targets = providerIds ||
+      listProviders().filter(p => p.enabled && p.features.search).map(p => p.id);
+
+    if (!keyword || targets.length === 0) {
+      return;
+    }
+
+    // Tanpa fallback: hasil provider lain tidak boleh tercatat sebagai slug provider ini
+    const results = await Promise.allSettled(targets.map(providerId =>
+      executeScraperWithoutFallback(providerId, 'searchComics', keyword)
+    ));
+
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') return;
+      const data = result.value;
+      comicIdentity.annotate(Array.isArray(data) ? data : (data?.data || []), targets[index]);
+    });
+  }
+
+  /**
+   * Order identity sources: requested provider first, then default provider, then the rest
+   * @param {object} sources - Provider ID -> slug
+   * @param {string} provider - Requested provider
+   * @returns {Array} Ordered provider IDs
+   */
+  orderSources(sources, provider = null) {
+    const defaultProviderId = getDefaultProviderId();
+    const requested = provider ? resolveProvider(provider) : null;
+
+    return Object.keys(sources).sort((a, b) => {
+      const rank = id => (id === requested ? 0 : id === defaultProviderId ? 1 : 2);
+      return rank(a) - rank(b);
+    });
+  }
+
+  /**
+   * Get comic detail merged across every provider that has the series
+   * Chapter dicocokkan lewat nomor chapter; tiap chapter mencantumkan semua provider-nya
+   * @param {object} options - Detail options
+   * @param {string} options.url - Comic slug (dipakai jika canonicalId kosong)
+   * @param {string} options.canonicalId - Canonical comic ID
+   * @returns {Promise<object>} Merged comic detail
+   */
+  async getMergedComicDetail(options = {}) {
+    const {
+      url = null,
+      canonicalId: requestedId = null,
+      provider = null,
+      enrich = true,
+      optimize = true,
+      timeout = 30000
+    } = options;
+
+    if (!url && !requestedId) {
+      throw new Error('URL or canonical ID is required');
+    }
+
+    const details = new Map();
+    let canonicalId = requestedId;
+
+    // Detail awal lewat slug provider untuk menentukan identitas komik
+    if (!canonicalId) {
+      const providersList = provider ? [provider] : listProviders().map(p => p.id);
+      const primary = await ParallelProcessor.processWithFallback(
+        providersList,
+        'getComicDetail',
+        [url],
+        { timeout }
+      );
+      const primaryProvider = resolveProvider(primary.provider);
+
+      canonicalId = comicIdentity.identify({ ...primary.data, href: url }, primaryProvider);
+      details.set(primaryProvider, { success: true, slug: comicIdentity.get(canonicalId)?.sources[primaryProvider] || url, data: primary.data });
+    }
+
+    let identity = comicIdentity.get(canonicalId);
+    if (!identity) {
+      await this.discoverSources(canonicalId.replace(/-(\d+)$/, '').replace(/-/g, ' '));
+      identity = comicIdentity.get(canonicalId);
+    }
+
+    if (!identity) {
+      throw new NotFoundError(`Comic '${canonicalId}' not found`);
+    }
+
+    // Cari provider lain yang belum diketahui punya seri ini
+    const missing = listProviders()
+      .filter(p => p.enabled && p.features.search && p.features.detail && !identity.sources[p.id])
+      .map(p => p.id);
+    if (missing.length > 0) {
+      await this.discoverSources(identity.title, missing);
+      identity = comicIdentity.get(canonicalId);
+    }
+
+    const providerIds = this.orderSources(identity.sources, provider);
+
+    // Ambil detail dari semua provider secara paralel
+    await Promise.all(providerIds.filter(id => !details.has(id)).map(async providerId => {
+      const slug = identity.sources[providerId];
+      let timer;
+
+      try {
+        const data = await Promise.race([
+          executeScraperWithoutFallback(providerId, 'getComicDetail', slug),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timeout for provider ${providerId}`)), timeout);
+          })
+        ]);
+        details.set(providerId, { success: true, slug, data });
+      } catch (error) {
+        details.set(providerId, { success: false, slug, error: error.message });
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+
+    const successful = providerIds.filter(id => details.get(id)?.success);
+    if (successful.length === 0) {
+      throw new NotFoundError(`Comic '${canonicalId}' is not available from any provider: ${providerIds.join(', ')}`);
+    }
+
+    const chapters = ChapterReconciliationService.reconcile(successful.map(id => ({
+      provider: id,
+      chapters: details.get(id).data.chapter
+    })));
+
+    // Metadata komik dari provider dengan prioritas tertinggi yang berhasil
+    const primaryProvider = successful[0];
+    const comic = await this.processDetail(
+      { ...details.get(primaryProvider).data, canonicalId, chapter: chapters },
+      { url: identity.sources[primaryProvider], provider: primaryProvider },
+      { enrich, optimize }
+    );
+
+    const coverage = ChapterReconciliationService.getCoverage(chapters, successful);
+
+    return {
+      status: 'success',
+      data: comic,
+      metadata: {
+        canonicalId,
+        merged: true,
+        primaryProvider,
+        totalChapters: chapters.length,
+        providers: providerIds.map(id => {
+          const detail = details.get(id);
+          return {
+            provider: id,
+            slug: detail.slug,
+            success: detail.success,
+            ...(detail.success ? coverage[id] : { error: detail.error })
+          };
+        })
+      }
+    };
+  }
+
+  /**
+   * Get comic detail by canonical ID
+   * Mencoba setiap provider yang punya seri ini (provider diminta dulu, lalu default)
+   * @param {object} options - Detail options
+   * @returns {Promise<object>} Comic detail
+   */
+  async getComicByCanonicalId(options = {}) {
+    const {
+      canonicalId,
+      provider = null,
+      enrich = true,
+      optimize = true
+    } = options;
+
+    if (!canonicalId) {
+      throw new Error('Canonical ID is required');
+    }
+
+    let identity = comicIdentity.get(canonicalId);
+
+    // ID belum dikenal (mis. setelah restart): cari judulnya di semua provider
+    if (!identity || Object.keys(identity.sources).length === 0) {
+      await this.discoverSources(canonicalId.replace(/-(\d+)$/, '').replace(/-/g, ' '));
+      identity = comicIdentity.get(canonicalId);
+    }
+
+    if (!identity || Object.keys(identity.sources).length === 0) {
+      throw new NotFoundError(`Comic '${canonicalId}' not found`);
+    }
+
+    const providerIds = this.orderSources(identity.sources, provider);
+
+    const errors = [];
+
+    for (const providerId of providerIds) {
+      const slug = identity.sources[providerId];
+
+      try {
+        const data = await executeScraperWithoutFallback(providerId, 'getComicDetail', slug);
+        const comic = await this.processDetail(
+          { ...data, canonicalId },
+          { url: slug, provider: providerId },
+          { enrich, optimize }
+        );
+
+        return {
+          status: 'success',
+          data: comic,
+          metadata: {
+            canonicalId,
+            provider: providerId,
+            slug,
+            sources: identity.sources,
+            fallback: providerIds.indexOf(providerId) > 0,
+            errors: errors.length > 0 ? errors : undefined
+          }
+        };
+      } catch (error) {
+        errors.push({ provider: providerId, error: error.message });
+      }
+    }
+
+    throw new NotFoundError(`Comic '${canonicalId}' is not available from any provider: ${errors.map(e => e.provider).join(', ')}`);
+  }
+
+  /**
+   * Get comic detail with advanced processing
+   * @param {object} options - Detail options
+   * @returns {Promise<object>} Comic detail
+   */
+  async getComicDetail(options = {}) {
+    const {
+      url,
+      provider = null,
+      chapterPage = null,
+      chapterPageSize = 50,
+      enrich = true,
+      optimize = true
+    } = options;
+
+    if (!url) {
+      throw new Error('URL is required');
+    }
+
+    const context = { url, provider };
+    const chapterOptions = chapterPage ? { chapterPage, chapterPageSize } : {};
+
+    // Get detail
+    const providersList = provider ? [provider] : listProviders().map(p => p.id);
+    let detail;
+
+    // Try providers with fallback
+    try {
+      detail = await ParallelProcessor.processWithFallback(
+        providersList,
+        'getComicDetail',
+        [url, chapterOptions],
+        { timeout: 30000 }
+      );
+    } catch (error) {
+      // If all providers fail, throw error
+      throw new Error(`Failed to get comic detail: ${error.message}`);
+    }
+
+    detail.data = paginateChapters(detail.data, chapterOptions);
+
+    context.sourceProvider = detail.provider;
+    context.slug = url;
+
+    const comic = await this.processDetail(detail.data || {}, context, { enrich, optimize });
+
     return {
       status: 'success',
       data: comic,
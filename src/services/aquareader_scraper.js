@@ -1,65 +1,277 @@
 /**
  * Aqua Reader Scraper Service
  * Scraping logic khusus untuk Aqua Reader (https://aquareader.net/)
- * Menggunakan HTML scraping dengan Cheerio
+ * Data diambil dari sumber paling terstruktur yang tersedia (JSON-LD, OpenGraph, markup
+ * tema Madara dan endpoint AJAX chapter-nya); selector heuristik hanya dipakai sebagai
+ * jalan terakhir. Detail dan chapter membawa skor `confidence` per field.
+ * URL dibangun dari `urlPatterns` di config/providers.js, parsing lewat engine hooks
  */
 
 const cheerio = require('cheerio');
 const { AxiosService } = require('../helper/axios_service');
-const { ParseError, NotFoundError } = require('../helper/error_handler');
+const { NotFoundError } = require('../helper/error_handler');
 const {
   normalizeComicItem,
   normalizeChapterItem,
   normalizeUrl,
-  normalizeRating,
-  normalizePagination
+  normalizeRating
 } = require('../helper/data_validator');
+const { getProvider } = require('../config/providers');
+const { createScraper } = require('./scraper_engine');
+const { parsePagination } = require('../helper/pagination_parser');
+const { getMadaraTitle, fetchAjaxChapters } = require('../themes/shared');
 
-const BASE_URL = 'https://aquareader.net';
+const BASE_URL = getProvider('aquareader').baseUrl;
 
 /**
- * Extract pagination info from element
+ * Confidence per extraction source (data terstruktur > markup Madara > heuristik)
+ */
+const CONFIDENCE = {
+  jsonLd: 0.95,
+  madara: 0.9,
+  ajax: 0.9,
+  openGraph: 0.8,
+  jsonLdPage: 0.7, // WebPage/Article generik, judul sering membawa nama situs
+  heuristic: 0.4
+};
+
+/**
+ * JSON-LD types describing the series itself vs. the page
+ */
+const SERIES_TYPES = ['ComicSeries', 'Book', 'CreativeWorkSeries', 'CreativeWork'];
+const PAGE_TYPES = ['WebPage', 'ItemPage', 'Article'];
+
+/**
+ * Detail fields reported in `confidence`
+ */
+const DETAIL_FIELDS = ['title', 'rating', 'status', 'type', 'released', 'author', 'genre', 'description', 'thumbnail', 'chapter'];
+
+/**
+ * Madara list layouts (arsip manga, hasil search, slider home)
+ */
+const MADARA_LIST_LAYOUTS = [
+  {
+    item: '.page-item-detail',
+    title: '.post-title a',
+    thumbnail: '.item-thumb img',
+    chapter: '.chapter-item .chapter a',
+    rating: '.score'
+  },
+  {
+    item: '.c-tabs-item__content',
+    title: '.post-title a',
+    thumbnail: '.tab-thumb img',
+    chapter: '.latest-chap .chapter a',
+    rating: '.score'
+  },
+  {
+    item: '.slider__item',
+    title: '.post-title a',
+    thumbnail: '.slider__thumb img',
+    chapter: '.chapter-item .chapter a',
+    rating: '.score'
+  }
+];
+
+/**
+ * Madara `.post-content_item` labels mapped to detail fields
+ */
+const MADARA_INFO_LABELS = {
+  author: /^(author|penulis|pengarang)/i,
+  type: /^(type|tipe|jenis)/i,
+  status: /^status/i,
+  released: /^(release|rilis|terbit)/i
+};
+
+/**
+ * Get image URL, preferring lazy-load attributes over placeholder `src`
+ * @param {object} $img - Cheerio image element
+ * @returns {string} Image URL
+ */
+const getImageSrc = ($img) => {
+  if (!$img || $img.length === 0) return '';
+
+  const srcset = ($img.attr('data-srcset') || '').split(',')[0].trim().split(/\s+/)[0];
+  return ($img.attr('data-src') ||
+    $img.attr('data-lazy-src') ||
+    $img.attr('data-url') ||
+    srcset ||
+    $img.attr('src') || '').trim();
+};
+
+/**
+ * Convert image URL to absolute URL
+ * Gambar (cover, panel) dibuka langsung oleh client, jadi tidak dijadikan path relatif
+ * @param {string} src - Image URL (absolute, protocol-relative or relative)
+ * @returns {string} Absolute image URL
+ */
+const toImageUrl = (src) => {
+  if (!src || typeof src !== 'string') return '';
+
+  const url = src.trim();
+  if (/^https?:\/\//i.test(url)) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  if (url.startsWith('data:')) return '';
+  return `${BASE_URL}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Create collector that keeps the highest-confidence value per field
+ * @returns {object} Collector { values, confidence, set(field, value, score) }
+ */
+const createFieldCollector = () => {
+  const values = {};
+  const confidence = {};
+
+  return {
+    values,
+    confidence,
+    set(field, value, score) {
+      const isEmpty = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+
+      if (isEmpty || (confidence[field] || 0) >= score) return;
+      values[field] = value;
+      confidence[field] = score;
+    }
+  };
+};
+
+/**
+ * Parse JSON-LD blocks into a flat node list (`@graph` dan array ikut diratakan)
  * @param {object} $ - Cheerio instance
- * @param {object} element - Cheerio element
- * @returns {object} Pagination info
- */
-const extractPagination = ($, element) => {
-  let currentPage = 1;
-  let lengthPage = 1;
-
-  // Try to find pagination
-  const paginationLinks = element.find('.pagination a, .page-numbers, .pagination .page');
-  if (paginationLinks.length > 0) {
-    // Find current page
-    const currentEl = element.find('.pagination .current, .page-numbers.current, .pagination .active');
-    if (currentEl.length) {
-      currentPage = parseInt(currentEl.text().trim()) || 1;
+ * @returns {Array} JSON-LD nodes
+ */
+const parseJsonLd = ($) => {
+  const nodes = [];
+  const collect = (data) => {
+    if (Array.isArray(data)) {
+      data.forEach(collect);
+      return;
     }
+    if (!data || typeof data !== 'object') return;
+    if (data['@graph']) collect(data['@graph']);
+    if (data['@type']) nodes.push(data);
+  };
 
-    // Find last page
-    const lastPageEl = element.find('.pagination a:last-child, .page-numbers:last-child').not('.next');
-    if (lastPageEl.length) {
-      const lastPageText = lastPageEl.text().trim();
-      if (lastPageText && !isNaN(lastPageText)) {
-        lengthPage = parseInt(lastPageText);
-      }
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      collect(JSON.parse($(el).contents().text()));
+    } catch (error) {
+      // JSON-LD yang rusak diabaikan
     }
-  }
+  });
+
+  return nodes;
+};
+
+/**
+ * Find first JSON-LD node of given types
+ * @param {Array} nodes - JSON-LD nodes
+ * @param {Array} types - Accepted `@type` values
+ * @returns {object|null} Node
+ */
+const findJsonLdNode = (nodes, types) => {
+  return nodes.find(node => {
+    const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return nodeTypes.some(type => types.includes(type));
+  }) || null;
+};
+
+/**
+ * Get text from JSON-LD value (string, `{ name }` object or array)
+ * @param {*} value - JSON-LD value
+ * @returns {string} Text
+ */
+const jsonLdText = (value) => {
+  if (!value) return '';
+  if (Array.isArray(value)) return value.map(jsonLdText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return String(value.name || value['@value'] || '').trim();
+  return String(value).trim();
+};
+
+/**
+ * Get image URL from JSON-LD value (string, ImageObject or array)
+ * @param {*} value - JSON-LD image value
+ * @returns {string} Image URL
+ */
+const jsonLdImage = (value) => {
+  if (!value) return '';
+  if (Array.isArray(value)) return jsonLdImage(value[0]);
+  if (typeof value === 'object') return value.url || value.contentUrl || '';
+  return String(value);
+};
+
+/**
+ * Remove " - Site Name" suffix from page title
+ * @param {string} title - Page title
+ * @param {string} siteName - og:site_name (optional)
+ * @returns {string} Title
+ */
+const stripSiteName = (title, siteName) => {
+  if (!title) return '';
+
+  return [siteName, getProvider('aquareader').name]
+    .filter(Boolean)
+    .reduce((result, name) => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return result.replace(new RegExp(`\\s*[-–|:]\\s*${escaped}\\s*$`, 'i'), '');
+    }, title.trim())
+    .trim();
+};
+
+/**
+ * Read OpenGraph and meta tags
+ * @param {object} $ - Cheerio instance
+ * @returns {object} { title, image, description, siteName }
+ */
+const readOpenGraph = ($) => {
+  const meta = (name) => (
+    $(`meta[property="${name}"]`).attr('content') ||
+    $(`meta[name="${name}"]`).attr('content') || ''
+  ).trim();
+  const siteName = meta('og:site_name');
 
   return {
-    current_page: currentPage,
-    length_page: lengthPage || 1
+    title: stripSiteName(meta('og:title'), siteName),
+    image: meta('og:image'),
+    description: meta('og:description') || meta('description'),
+    siteName
   };
 };
 
 /**
- * Extract comic item from list element
+ * Extract genre links from anchors
+ * @param {object} $ - Cheerio instance
+ * @param {object} anchors - Cheerio anchor elements
+ * @returns {Array} Array of genres
+ */
+const extractGenreAnchors = ($, anchors) => {
+  const genres = [];
+  const seenGenres = new Set();
+
+  anchors.each((i, el) => {
+    const $el = $(el);
+    const title = $el.text().trim();
+    const href = $el.attr('href') || '';
+
+    if (title && href && title.length < 50 && !seenGenres.has(title.toLowerCase())) {
+      seenGenres.add(title.toLowerCase());
+      genres.push({ title, href: normalizeUrl(href, BASE_URL) });
+    }
+  });
+
+  return genres;
+};
+
+/**
+ * Extract comic items with heuristic selectors (last resort)
  * @param {object} $ - Cheerio instance
  * @param {object} element - Cheerio element
  * @param {string} baseSelector - Base selector for items
  * @returns {Array} Array of comic items
  */
-const extractComicList = ($, element, baseSelector) => {
+const extractComicListHeuristic = ($, element, baseSelector) => {
   const comics = [];
 
   // First try Aqua Reader specific selectors
@@ -109,7 +321,7 @@ const extractComicList = ($, element, baseSelector) => {
         comics.push(normalizeComicItem({
           title,
           href: normalizeUrl(href, BASE_URL),
-          thumbnail: normalizeUrl(thumbnail, BASE_URL),
+          thumbnail: toImageUrl(thumbnail),
           type,
           chapter: chapterText ? `Chapter ${chapterText}` : '',
           rating,
@@ -153,7 +365,7 @@ const extractComicList = ($, element, baseSelector) => {
           comics.push(normalizeComicItem({
             title,
             href: normalizeUrl(href, BASE_URL),
-            thumbnail: normalizeUrl(thumbnail, BASE_URL),
+            thumbnail: toImageUrl(thumbnail),
             chapter: chapterText ? `Chapter ${chapterText}` : '',
             rating
           }, BASE_URL));
@@ -168,536 +380,631 @@ const extractComicList = ($, element, baseSelector) => {
 };
 
 /**
- * Get latest comics
- * @param {number} page - Page number
- * @returns {Promise<object>} Latest comics with pagination
+ * Extract comic items using Madara list layouts
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio element
+ * @returns {Array} Array of comic items
  */
-const getLatestComics = async (page = 1) => {
-  try {
-    // Try different URL patterns for latest comics
-    const url = page > 1 
-      ? `${BASE_URL}/page/${page}` 
-      : BASE_URL;
-    
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200) {
-      throw new ParseError('Failed to fetch latest comics');
-    }
+const extractMadaraList = ($, element) => {
+  const comics = [];
+  const seenHrefs = new Set();
 
-    const $ = cheerio.load(response.data);
-    
-    // Aqua Reader uses .slider__item for comic items
-    let container = $('body');
-    
-    // Extract comics using Aqua Reader specific selectors
-    let comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
-    
-    // If still no comics, try finding all h4 with links to /manga/
-    if (comics.length === 0) {
-      $('h4 a[href*="/manga/"]').each((i, el) => {
-        try {
-          const $el = $(el);
-          const $parent = $el.closest('.slider__item, .item__wrap, .post-item, article, .item');
-          const title = $el.text().trim();
-          const href = $el.attr('href') || '';
-          const thumbnail = $parent.find('img').first().attr('src') || 
-                           $el.closest('a').find('img').attr('src') || '';
-          
-          if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, BASE_URL))) {
-            // Try to find chapter info in nearby elements
-            const parentText = $parent.text();
-            const chapterMatch = parentText.match(/Ch\.?\s*(\d+)|Chapter\s*(\d+)/i);
-            const chapterText = chapterMatch ? (chapterMatch[1] || chapterMatch[2] || chapterMatch[0]) : '';
-            
-            comics.push(normalizeComicItem({
-              title,
-              href: normalizeUrl(href, BASE_URL),
-              thumbnail: normalizeUrl(thumbnail, BASE_URL),
-              chapter: chapterText ? `Chapter ${chapterText}` : ''
-            }, BASE_URL));
-          }
-        } catch (error) {
-          console.error('Error extracting comic from h4:', error);
-        }
-      });
-    }
+  MADARA_LIST_LAYOUTS.forEach(layout => {
+    element.find(layout.item).each((i, data) => {
+      const $item = $(data);
+      const $link = $item.find(layout.title).first();
+      const title = $link.text().trim();
+      const href = normalizeUrl($link.attr('href') || '', BASE_URL);
+
+      if (!title || !href || seenHrefs.has(href)) return;
+      seenHrefs.add(href);
+
+      const rating = parseFloat($item.find(layout.rating).first().text().trim());
+
+      comics.push(normalizeComicItem({
+        title,
+        href,
+        thumbnail: toImageUrl(getImageSrc($item.find(layout.thumbnail).first())),
+        chapter: $item.find(layout.chapter).first().text().trim(),
+        rating: isNaN(rating) ? '' : rating
+      }, BASE_URL));
+    });
+  });
 
-    const pagination = extractPagination($, container);
-
-    return {
-      current_page: page,
-      length_page: pagination.length_page || 1,
-      has_next: page < (pagination.length_page || 1),
-      has_prev: page > 1,
-      data: comics.slice(0, 50) // Limit to 50 items per page
-    };
-  } catch (error) {
-    throw new ParseError(`Error scraping latest comics: ${error.message}`, error);
-  }
+  return comics;
 };
 
 /**
- * Get comics by genre
- * @param {string} genreUrl - Genre URL slug
- * @param {number} page - Page number
- * @returns {Promise<object>} Comics by genre with pagination
+ * Extract comic list: Madara layouts first, heuristic selectors as last resort
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio element
+ * @param {string} baseSelector - Base selector for heuristic items
+ * @returns {Array} Array of comic items
  */
-const getComicsByGenre = async (genreUrl, page = 1) => {
-  try {
-    const url = page > 1 
-      ? `${BASE_URL}/genre/${genreUrl}/page/${page}`
-      : `${BASE_URL}/genre/${genreUrl}`;
-    
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200) {
-      throw new ParseError('Failed to fetch comics by genre');
-    }
-
-    const $ = cheerio.load(response.data);
-    
-    let container = $('main, #main, .main-content, .content, #content, .comic-list');
-    if (container.length === 0) {
-      container = $('body');
-    }
-
-    const comics = extractComicList($, container, '.comic-item, .manga-item, article, .post, .item');
-    const pagination = extractPagination($, container);
-
-    return {
-      current_page: page,
-      length_page: pagination.length_page || 1,
-      has_next: page < (pagination.length_page || 1),
-      has_prev: page > 1,
-      data: comics
-    };
-  } catch (error) {
-    throw new ParseError(`Error scraping comics by genre: ${error.message}`, error);
-  }
+const extractComicList = ($, element, baseSelector) => {
+  const comics = extractMadaraList($, element);
+  return comics.length > 0 ? comics : extractComicListHeuristic($, element, baseSelector);
 };
 
 /**
- * Get all genres
- * @returns {Promise<Array>} Array of genres
+ * Parse latest comics page
+ * @param {object} response - Axios response
+ * @param {object} context - Scraper context
+ * @returns {object} Latest comics with pagination
  */
-const getGenres = async () => {
-  try {
-    const response = await AxiosService(BASE_URL);
-    
-    if (response.status !== 200) {
-      throw new ParseError('Failed to fetch genres');
-    }
+const parseLatestComics = (response, { params }) => {
+  const { page } = params;
+  const $ = cheerio.load(response.data);
 
-    const $ = cheerio.load(response.data);
-    const genres = [];
-    const seenHrefs = new Set();
+  // Aqua Reader uses .slider__item for comic items
+  let container = $('body');
 
-    // Aqua Reader uses /manga-genre/ for genre links
-    // Look for links that contain /manga-genre/ or /genre/
-    $('a[href*="/manga-genre/"], a[href*="/genre/"]').each((i, el) => {
-      const $el = $(el);
-      const title = $el.text().trim();
-      const href = $el.attr('href') || '';
-      
-      // Filter out non-genre links and get clean genre names
-      if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) && 
-          !href.includes('/manga/') && title.length > 1 && title.length < 50) {
-        const normalizedHref = normalizeUrl(href, BASE_URL);
-        
-        if (!seenHrefs.has(normalizedHref) && !title.toLowerCase().includes('all')) {
-          seenHrefs.add(normalizedHref);
-          genres.push({
-            title: title.replace(/[:\-]/g, '').trim(),
-            href: normalizedHref
-          });
+  // Extract comics using Aqua Reader specific selectors
+  let comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
+
+  // If still no comics, try finding all h4 with links to /manga/
+  if (comics.length === 0) {
+    $('h4 a[href*="/manga/"]').each((i, el) => {
+      try {
+        const $el = $(el);
+        const $parent = $el.closest('.slider__item, .item__wrap, .post-item, article, .item');
+        const title = $el.text().trim();
+        const href = $el.attr('href') || '';
+        const thumbnail = $parent.find('img').first().attr('src') || 
+                         $el.closest('a').find('img').attr('src') || '';
+
+        if (title && href && href.includes('/manga/') && !comics.find(c => c.href === normalizeUrl(href, BASE_URL))) {
+          // Try to find chapter info in nearby elements
+          const parentText = $parent.text();
+          const chapterMatch = parentText.match(/Ch\.?\s*(\d+)|Chapter\s*(\d+)/i);
+          const chapterText = chapterMatch ? (chapterMatch[1] || chapterMatch[2] || chapterMatch[0]) : '';
+
+          comics.push(normalizeComicItem({
+            title,
+            href: normalizeUrl(href, BASE_URL),
+            thumbnail: toImageUrl(thumbnail),
+            chapter: chapterText ? `Chapter ${chapterText}` : ''
+          }, BASE_URL));
         }
+      } catch (error) {
+        console.error('Error extracting comic from h4:', error);
       }
     });
+  }
 
-    // Also check navigation menus
-    $('nav a, .menu a, .navigation a').each((i, el) => {
-      const $el = $(el);
-      const title = $el.text().trim();
-      const href = $el.attr('href') || '';
-      
-      if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) &&
-          !seenHrefs.has(normalizeUrl(href, BASE_URL))) {
-        const normalizedHref = normalizeUrl(href, BASE_URL);
+  const pagination = parsePagination($, container, { currentPage: page });
+
+  return {
+    current_page: page,
+    length_page: Math.max(pagination.length_page, page),
+    has_next: page < pagination.length_page,
+    has_prev: page > 1,
+    ...(pagination.total_items !== undefined ? { total_items: pagination.total_items } : {}),
+    data: comics.slice(0, 50) // Limit to 50 items per page
+  };
+};
+
+/**
+ * Parse comics by genre page
+ * @param {object} response - Axios response
+ * @param {object} context - Scraper context
+ * @returns {object} Comics by genre with pagination
+ */
+const parseComicsByGenre = (response, { params }) => {
+  const { page } = params;
+  const $ = cheerio.load(response.data);
+
+  let container = $('main, #main, .main-content, .content, #content, .comic-list');
+  if (container.length === 0) {
+    container = $('body');
+  }
+
+  const comics = extractComicList($, container, '.comic-item, .manga-item, article, .post, .item');
+  const pagination = parsePagination($, container, { currentPage: page });
+
+  return {
+    current_page: page,
+    length_page: Math.max(pagination.length_page, page),
+    has_next: page < pagination.length_page,
+    has_prev: page > 1,
+    ...(pagination.total_items !== undefined ? { total_items: pagination.total_items } : {}),
+    data: comics
+  };
+};
+
+/**
+ * Parse genre list from home page
+ * @param {object} response - Axios response
+ * @returns {Array} Array of genres
+ */
+const parseGenres = (response) => {
+  const $ = cheerio.load(response.data);
+  const genres = [];
+  const seenHrefs = new Set();
+
+  // Aqua Reader uses /manga-genre/ for genre links
+  // Look for links that contain /manga-genre/ or /genre/
+  $('a[href*="/manga-genre/"], a[href*="/genre/"]').each((i, el) => {
+    const $el = $(el);
+    const title = $el.text().trim();
+    const href = $el.attr('href') || '';
+
+    // Filter out non-genre links and get clean genre names
+    if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) && 
+        !href.includes('/manga/') && title.length > 1 && title.length < 50) {
+      const normalizedHref = normalizeUrl(href, BASE_URL);
+
+      if (!seenHrefs.has(normalizedHref) && !title.toLowerCase().includes('all')) {
         seenHrefs.add(normalizedHref);
         genres.push({
           title: title.replace(/[:\-]/g, '').trim(),
           href: normalizedHref
         });
       }
-    });
+    }
+  });
+
+  // Also check navigation menus
+  $('nav a, .menu a, .navigation a').each((i, el) => {
+    const $el = $(el);
+    const title = $el.text().trim();
+    const href = $el.attr('href') || '';
+
+    if (title && href && (href.includes('/manga-genre/') || href.includes('/genre/')) &&
+        !seenHrefs.has(normalizeUrl(href, BASE_URL))) {
+      const normalizedHref = normalizeUrl(href, BASE_URL);
+      seenHrefs.add(normalizedHref);
+      genres.push({
+        title: title.replace(/[:\-]/g, '').trim(),
+        href: normalizedHref
+      });
+    }
+  });
+
+  // Remove duplicates and sort
+  const uniqueGenres = [];
+  const titleSet = new Set();
+  genres.forEach(genre => {
+    if (!titleSet.has(genre.title.toLowerCase())) {
+      titleSet.add(genre.title.toLowerCase());
+      uniqueGenres.push(genre);
+    }
+  });
+
+  return uniqueGenres.sort((a, b) => a.title.localeCompare(b.title));
+};
+
+/**
+ * Build absolute detail URL for context slug
+ * @param {object} context - Scraper context
+ * @returns {string} Detail URL
+ */
+const getDetailUrl = ({ params, buildUrl }) => {
+  return buildUrl('detail', { slug: String(params.slug || '').replace(/^\/+|\/+$/g, '') });
+};
+
+/**
+ * Collect detail fields from JSON-LD
+ * Node seri (ComicSeries/Book) dipercaya penuh; WebPage/Article hanya untuk judul, cover, deskripsi
+ * @param {object} fields - Field collector
+ * @param {object} $ - Cheerio instance
+ * @param {string} siteName - og:site_name
+ */
+const collectJsonLd = (fields, $, siteName) => {
+  const nodes = parseJsonLd($);
+  const series = findJsonLdNode(nodes, SERIES_TYPES);
+  const node = series || findJsonLdNode(nodes, PAGE_TYPES);
+  if (!node) return;
+
+  const score = series ? CONFIDENCE.jsonLd : CONFIDENCE.jsonLdPage;
+  fields.set('title', stripSiteName(jsonLdText(node.name || node.headline), siteName), score);
+  fields.set('thumbnail', jsonLdImage(node.image || node.thumbnailUrl), score);
+  fields.set('description', jsonLdText(node.description), score);
+
+  if (series) {
+    const year = String(node.datePublished || '').match(/\b(19|20)\d{2}\b/);
+    fields.set('author', jsonLdText(node.author || node.creator), score);
+    fields.set('released', year ? year[0] : '', score);
+    fields.set('rating', node.aggregateRating?.ratingValue ?? '', score);
+    fields.set('status', jsonLdText(node.creativeWorkStatus), score);
+  }
+};
 
-    // Remove duplicates and sort
-    const uniqueGenres = [];
-    const titleSet = new Set();
-    genres.forEach(genre => {
-      if (!titleSet.has(genre.title.toLowerCase())) {
-        titleSet.add(genre.title.toLowerCase());
-        uniqueGenres.push(genre);
+/**
+ * Collect detail fields from Madara theme markup
+ * @param {object} fields - Field collector
+ * @param {object} $ - Cheerio instance
+ */
+const collectMadaraDetail = (fields, $) => {
+  fields.set('title', getMadaraTitle($), CONFIDENCE.madara);
+  fields.set('thumbnail', getImageSrc($('.summary_image img').first()), CONFIDENCE.madara);
+  fields.set('description', $('.description-summary .summary__content, .summary__content, .manga-excerpt').first().text().trim(), CONFIDENCE.madara);
+  fields.set('rating', $('.post-total-rating .score, #averagerate').first().text().trim(), CONFIDENCE.madara);
+  fields.set('genre', extractGenreAnchors($, $('.genres-content a')), CONFIDENCE.madara);
+
+  $('.post-content_item').each((i, el) => {
+    const label = $(el).find('.summary-heading').text().trim();
+    const $value = $(el).find('.summary-content');
+    const value = $value.find('a').length > 0
+      ? $value.find('a').map((j, a) => $(a).text().trim()).get().filter(Boolean).join(', ')
+      : $value.text().trim();
+
+    Object.entries(MADARA_INFO_LABELS).forEach(([field, pattern]) => {
+      if (pattern.test(label)) {
+        fields.set(field, value, CONFIDENCE.madara);
       }
     });
+  });
+};
 
-    return uniqueGenres.sort((a, b) => a.title.localeCompare(b.title));
-  } catch (error) {
-    throw new ParseError(`Error scraping genres: ${error.message}`, error);
+/**
+ * Collect detail fields with generic selectors (last resort)
+ * @param {object} fields - Field collector
+ * @param {object} $ - Cheerio instance
+ */
+const collectHeuristicDetail = (fields, $) => {
+  const score = CONFIDENCE.heuristic;
+
+  fields.set('title', $('h1, .title, .comic-title, .series-title, header h1').first().text().trim(), score);
+  fields.set('thumbnail', getImageSrc($('.cover img, .thumbnail img, .poster img, .comic-cover img, img[src*="cover"], img[src*="poster"]').first()), score);
+  fields.set('description', $('.description, .synopsis, .summary, .content p, .about p').first().text().trim(), score);
+
+  const metaText = $('.meta, .info, .details, .series-info').text();
+  const ratingMatch = metaText.match(/rating[:\s]*([\d.]+)/i) || $('.rating, .score').text().match(/([\d.]+)/);
+  const authorMatch = metaText.match(/author[:\s]*([^\n]+)/i);
+  const statusMatch = metaText.match(/status[:\s]*([^\n]+)/i);
+  const typeMatch = metaText.match(/type[:\s]*(manhwa|manhua|manga)/i);
+  const releasedMatch = metaText.match(/released[:\s]*([^\n]+)/i);
+
+  fields.set('rating', ratingMatch ? ratingMatch[1] : '', score);
+  fields.set('author', authorMatch ? authorMatch[1].trim() : $('.author, [class*="author"]').text().trim(), score);
+  fields.set('status', statusMatch ? statusMatch[1].trim() : $('.status, [class*="status"]').text().trim(), score);
+  fields.set('type', typeMatch ? typeMatch[1] : $('.type, [class*="type"]').text().trim(), score);
+  fields.set('released', releasedMatch ? releasedMatch[1].trim() : $('.released, .year, [class*="released"]').text().trim(), score);
+
+  const genreSelectors = [
+    '.genres a, .genre a, .tags a',
+    'a[href*="/manga-genre/"]',
+    '.manga-genres a, .wp-manga-genres a'
+  ];
+
+  for (const selector of genreSelectors) {
+    const genres = extractGenreAnchors($, $(selector).filter((i, el) => {
+      const href = $(el).attr('href') || '';
+      return href.includes('/manga-genre/') || href.includes('/genre/');
+    }));
+
+    // Jumlah genre wajar biasanya 1-20
+    if (genres.length > 0 && genres.length < 20) {
+      fields.set('genre', genres, score);
+      break;
+    }
   }
 };
 
 /**
- * Get comic detail
- * @param {string} url - Comic URL slug
- * @returns {Promise<object>} Comic detail
+ * Extract chapters from Madara chapter list markup
+ * @param {object} $ - Cheerio instance
+ * @returns {Array} Array of chapters
  */
-const getComicDetail = async (url) => {
-  try {
-    // Clean URL - remove leading/trailing slashes and ensure it's a valid path
-    const cleanUrl = url.replace(/^\/+|\/+$/g, '');
-    const comicUrl = `${BASE_URL}/${cleanUrl}`;
-    
-    const response = await AxiosService(comicUrl);
-    
-    if (response.status !== 200) {
-      throw new NotFoundError('Comic not found');
+const extractMadaraChapters = ($) => {
+  const chapters = [];
+
+  $('li.wp-manga-chapter').each((i, el) => {
+    const $el = $(el);
+    const $link = $el.find('a').first();
+    const title = $link.text().trim();
+    const href = $link.attr('href') || '';
+
+    if (title && href) {
+      chapters.push(normalizeChapterItem({
+        title,
+        href: normalizeUrl(href, BASE_URL),
+        date: $el.find('.chapter-release-date').text().trim()
+      }, BASE_URL));
     }
+  });
 
-    const $ = cheerio.load(response.data);
-    
-    // Try multiple selectors for title
-    const title = $('h1, .title, .comic-title, .series-title, header h1').first().text().trim() || '';
-    
-    // Try multiple selectors for thumbnail
-    const thumbnail = $('.cover img, .thumbnail img, .poster img, .comic-cover img, img[src*="cover"], img[src*="poster"]').first().attr('src') ||
-                     $('.cover img, .thumbnail img, .poster img, .comic-cover img').first().attr('data-src') || '';
-    
-    // Try multiple selectors for description
-    const description = $('.description, .synopsis, .summary, .content p, .about p').first().text().trim() || 
-                       $('meta[name="description"]').attr('content') || '';
-    
-    // Try to extract metadata
-    const metaText = $('.meta, .info, .details, .series-info').text();
-    const ratingMatch = metaText.match(/rating[:\s]*([\d.]+)/i) || 
-                       $('.rating, .score').text().match(/([\d.]+)/);
-    const rating = ratingMatch ? ratingMatch[1] : '';
-    
-    const authorMatch = metaText.match(/author[:\s]*([^\n]+)/i);
-    const author = authorMatch ? authorMatch[1].trim() : 
-                  $('.author, [class*="author"]').text().trim() || '';
-    
-    const statusMatch = metaText.match(/status[:\s]*([^\n]+)/i);
-    const status = statusMatch ? statusMatch[1].trim() :
-                  $('.status, [class*="status"]').text().trim() || '';
-    
-    const typeMatch = metaText.match(/type[:\s]*(manhwa|manhua|manga)/i);
-    const type = typeMatch ? typeMatch[1] :
-                $('.type, [class*="type"]').text().trim() || '';
-    
-    const releasedMatch = metaText.match(/released[:\s]*([^\n]+)/i);
-    const released = releasedMatch ? releasedMatch[1].trim() :
-                    $('.released, .year, [class*="released"]').text().trim() || '';
-
-    // Extract chapters
-    const chapters = [];
-    const chapterSelectors = [
-      '.chapters a, .chapter-list a',
-      '.chapter-item a, .chapter-link',
-      'a[href*="/chapter/"], a[href*="/read/"]',
-      '.episodes a, .episode-list a'
-    ];
-
-    for (const selector of chapterSelectors) {
-      $(selector).each((i, el) => {
-        const $el = $(el);
-        const chapterTitle = $el.text().trim();
-        const chapterHref = $el.attr('href') || '';
-        const chapterDate = $el.closest('li, .item').find('.date, .time').text().trim() || '';
-        
-        if (chapterTitle && chapterHref) {
-          chapters.push(normalizeChapterItem({
-            title: chapterTitle,
-            href: normalizeUrl(chapterHref, BASE_URL),
-            date: chapterDate
-          }, BASE_URL));
-        }
-      });
-      
-      if (chapters.length > 0) break;
-    }
+  return chapters;
+};
 
-    // Extract genres - Aqua Reader specific
-    const genres = [];
-    const seenGenres = new Set();
-    
-    // Try multiple selectors for genres
-    const genreSelectors = [
-      '.genres a, .genre a, .tags a',
-      'a[href*="/manga-genre/"]',
-      '.manga-genres a, .wp-manga-genres a',
-      '[class*="genre"] a[href*="/manga-genre/"]'
-    ];
-    
-    for (const selector of genreSelectors) {
-      $(selector).each((i, el) => {
-        const $el = $(el);
-        const genreTitle = $el.text().trim();
-        const genreHref = $el.attr('href') || '';
-        
-        // Only include if it's a genre link and not already seen
-        if (genreTitle && genreHref && 
-            (genreHref.includes('/manga-genre/') || genreHref.includes('/genre/')) &&
-            genreTitle.length > 1 && genreTitle.length < 50 &&
-            !seenGenres.has(genreTitle.toLowerCase())) {
-          seenGenres.add(genreTitle.toLowerCase());
-          genres.push({
-            title: genreTitle,
-            href: normalizeUrl(genreHref, BASE_URL)
-          });
-        }
-      });
-      
-      // Limit to reasonable number of genres (usually 5-15)
-      if (genres.length > 0 && genres.length < 20) {
-        break;
+/**
+ * Extract chapters with generic selectors (last resort)
+ * @param {object} $ - Cheerio instance
+ * @returns {Array} Array of chapters
+ */
+const extractHeuristicChapters = ($) => {
+  const chapters = [];
+  const chapterSelectors = [
+    '.chapters a, .chapter-list a',
+    '.chapter-item a, .chapter-link',
+    'a[href*="/chapter/"], a[href*="/read/"]',
+    '.episodes a, .episode-list a'
+  ];
+
+  for (const selector of chapterSelectors) {
+    $(selector).each((i, el) => {
+      const $el = $(el);
+      const chapterTitle = $el.text().trim();
+      const chapterHref = $el.attr('href') || '';
+      const chapterDate = $el.closest('li, .item').find('.date, .time').text().trim() || '';
+
+      if (chapterTitle && chapterHref) {
+        chapters.push(normalizeChapterItem({
+          title: chapterTitle,
+          href: normalizeUrl(chapterHref, BASE_URL),
+          date: chapterDate
+        }, BASE_URL));
       }
-    }
-
-    if (!title) {
-      throw new NotFoundError('Comic not found');
-    }
+    });
 
-    return {
-      title,
-      rating: normalizeRating(rating),
-      status: status || 'Unknown',
-      type: type || '',
-      released: released || '',
-      author: author || '',
-      genre: genres,
-      description: description || '',
-      thumbnail: normalizeUrl(thumbnail, BASE_URL),
-      chapter: chapters
-    };
-  } catch (error) {
-    if (error instanceof NotFoundError) {
-      throw error;
-    }
-    throw new ParseError(`Error scraping comic detail: ${error.message}`, error);
+    if (chapters.length > 0) break;
   }
+
+  return chapters;
 };
 
 /**
- * Read chapter (get images)
- * @param {string} url - Chapter URL
- * @returns {Promise<object>} Chapter data with images
+ * Parse comic detail page
+ * Sumber per field: JSON-LD -> markup Madara -> OpenGraph -> heuristik;
+ * chapter: markup Madara -> endpoint AJAX -> heuristik
+ * @param {object} response - Axios response
+ * @param {object} context - Scraper context
+ * @returns {Promise<object>} Comic detail with per-field `confidence` (0-1)
  */
-const readChapter = async (url) => {
-  try {
-    // Clean URL
-    const cleanUrl = url.replace(/^\/+|\/+$/g, '');
-    const chapterUrl = `${BASE_URL}/${cleanUrl}`;
-    
-    const response = await AxiosService(chapterUrl);
-    
-    if (response.status !== 200) {
-      throw new NotFoundError('Chapter not found');
-    }
-
-    const $ = cheerio.load(response.data);
-    
-    // Try multiple selectors for chapter title
-    const title = $('h1, .title, .chapter-title, .episode-title').first().text().trim() || '';
-    
-    // Try multiple selectors for images
-    const panels = [];
-    const imageSelectors = [
-      '.reading-content img, .chapter-content img',
-      '.comic-images img, .manga-images img',
-      '.panel img, .page img',
-      '.reader img, .viewer img',
-      'img[src*="chapter"], img[src*="page"], img[src*="image"]'
-    ];
-
-    for (const selector of imageSelectors) {
-      $(selector).each((i, el) => {
-        const $el = $(el);
-        const src = $el.attr('src') || 
-                   $el.attr('data-src') || 
-                   $el.attr('data-lazy-src') ||
-                   $el.attr('data-url') || '';
-        
-        if (src && !src.includes('logo') && !src.includes('avatar') && !src.includes('icon')) {
-          const fullUrl = normalizeUrl(src, BASE_URL);
-          if (!panels.includes(fullUrl)) {
-            panels.push(fullUrl);
-          }
-        }
-      });
-      
-      if (panels.length > 0) break;
-    }
+const parseComicDetail = async (response, context) => {
+  const $ = cheerio.load(response.data);
+  const fields = createFieldCollector();
+  const openGraph = readOpenGraph($);
+
+  collectJsonLd(fields, $, openGraph.siteName);
+  collectMadaraDetail(fields, $);
+  fields.set('title', openGraph.title, CONFIDENCE.openGraph);
+  fields.set('thumbnail', openGraph.image, CONFIDENCE.openGraph);
+  fields.set('description', openGraph.description, CONFIDENCE.openGraph);
+  collectHeuristicDetail(fields, $);
+
+  fields.set('chapter', extractMadaraChapters($), CONFIDENCE.madara);
+  if (!fields.values.chapter) {
+    const chapters = await fetchAjaxChapters($, {
+      detailUrl: getDetailUrl(context),
+      baseUrl: BASE_URL,
+      fetch: AxiosService,
+      parseChapters: (chapterResponse) => extractMadaraChapters(cheerio.load(chapterResponse.data))
+    });
+    fields.set('chapter', chapters, CONFIDENCE.ajax);
+  }
+  fields.set('chapter', extractHeuristicChapters($), CONFIDENCE.heuristic);
 
-    if (panels.length === 0) {
-      throw new NotFoundError('No images found in chapter');
-    }
+  const { values, confidence } = fields;
 
-    return {
-      title: title || 'Chapter',
-      panel: panels
-    };
-  } catch (error) {
-    if (error instanceof NotFoundError) {
-      throw error;
-    }
-    throw new ParseError(`Error scraping chapter: ${error.message}`, error);
+  if (!values.title) {
+    throw new NotFoundError('Comic not found');
   }
+
+  return {
+    title: values.title,
+    rating: normalizeRating(values.rating),
+    status: values.status || 'Unknown',
+    type: values.type || '',
+    released: values.released || '',
+    author: values.author || '',
+    genre: values.genre || [],
+    description: values.description || '',
+    thumbnail: toImageUrl(values.thumbnail),
+    chapter: values.chapter || [],
+    confidence: DETAIL_FIELDS.reduce((scores, field) => {
+      scores[field] = confidence[field] || 0;
+      return scores;
+    }, {})
+  };
 };
 
 /**
- * Search comics
- * @param {string} keyword - Search keyword
- * @returns {Promise<Array>} Array of search results
+ * Collect panel URLs from image elements
+ * @param {object} $ - Cheerio instance
+ * @param {object} images - Cheerio image elements
+ * @returns {Array} Panel URLs
  */
-const searchComics = async (keyword) => {
-  try {
-    // Try different search URL patterns
-    const searchUrls = [
-      `${BASE_URL}/?s=${encodeURIComponent(keyword)}`,
-      `${BASE_URL}/search?q=${encodeURIComponent(keyword)}`,
-      `${BASE_URL}/search/${encodeURIComponent(keyword)}`
-    ];
+const collectPanels = ($, images) => {
+  const panels = [];
 
-    let response = null;
-    for (const url of searchUrls) {
-      try {
-        response = await AxiosService(url);
-        if (response.status === 200) break;
-      } catch (e) {
-        continue;
+  images.each((i, el) => {
+    const src = getImageSrc($(el));
+
+    if (src && !src.includes('logo') && !src.includes('avatar') && !src.includes('icon')) {
+      const fullUrl = toImageUrl(src);
+      if (!panels.includes(fullUrl)) {
+        panels.push(fullUrl);
       }
     }
+  });
 
-    if (!response || response.status !== 200) {
-      throw new ParseError('Failed to search comics');
-    }
+  return panels;
+};
 
-    const $ = cheerio.load(response.data);
-    
-    let container = $('main, #main, .main-content, .content, #content, .search-results, .results');
-    if (container.length === 0) {
-      container = $('body');
+/**
+ * Get panels from Madara `chapter_preloaded_images` script variable
+ * @param {object} $ - Cheerio instance
+ * @returns {Array} Panel URLs
+ */
+const getPreloadedPanels = ($) => {
+  let panels = [];
+
+  $('script').each((i, el) => {
+    const match = $(el).html()?.match(/chapter_preloaded_images\s*=\s*(\[[^\]]*\])/);
+    if (!match) return;
+
+    try {
+      panels = JSON.parse(match[1])
+        .map(src => typeof src === 'string' ? toImageUrl(src) : '')
+        .filter(Boolean);
+    } catch (error) {
+      panels = [];
     }
+    return false;
+  });
 
-    const comics = extractComicList($, container, '.comic-item, .manga-item, article, .post, .item, .search-item');
+  return panels;
+};
+
+/**
+ * Parse chapter page (get images)
+ * @param {object} response - Axios response
+ * @returns {object} Chapter data with images and per-field `confidence`
+ */
+const parseChapter = (response) => {
+  const $ = cheerio.load(response.data);
+  const fields = createFieldCollector();
+
+  fields.set('title', $('#chapter-heading').first().text().trim(), CONFIDENCE.madara);
+  fields.set('title', readOpenGraph($).title, CONFIDENCE.openGraph);
+  fields.set('title', $('h1, .title, .chapter-title, .episode-title').first().text().trim(), CONFIDENCE.heuristic);
+
+  fields.set('panel', collectPanels($, $('.reading-content .page-break img, .reading-content img.wp-manga-chapter-img')), CONFIDENCE.madara);
+  fields.set('panel', getPreloadedPanels($), CONFIDENCE.madara);
+
+  // Last resort: selector generik
+  const imageSelectors = [
+    '.reading-content img, .chapter-content img',
+    '.comic-images img, .manga-images img',
+    '.panel img, .page img',
+    '.reader img, .viewer img',
+    'img[src*="chapter"], img[src*="page"], img[src*="image"]'
+  ];
+
+  for (const selector of imageSelectors) {
+    if (fields.values.panel) break;
+    fields.set('panel', collectPanels($, $(selector)), CONFIDENCE.heuristic);
+  }
+
+  const { values, confidence } = fields;
 
-    return comics;
-  } catch (error) {
-    throw new ParseError(`Error searching comics: ${error.message}`, error);
+  if (!values.panel) {
+    throw new NotFoundError('No images found in chapter');
   }
+
+  return {
+    title: values.title || 'Chapter',
+    panel: values.panel,
+    confidence: {
+      title: confidence.title || 0,
+      panel: confidence.panel || 0
+    }
+  };
 };
 
 /**
- * Get popular comics
- * @returns {Promise<Array>} Array of popular comics
+ * Parse search results page
+ * @param {object} response - Axios response
+ * @returns {Array} Array of search results
  */
-const getPopularComics = async () => {
-  try {
-    const response = await AxiosService(BASE_URL);
-    
-    if (response.status !== 200) {
-      throw new ParseError('Failed to fetch popular comics');
-    }
+const parseSearchResults = (response) => {
+  const $ = cheerio.load(response.data);
+
+  let container = $('main, #main, .main-content, .content, #content, .search-results, .results');
+  if (container.length === 0) {
+    container = $('body');
+  }
 
-    const $ = cheerio.load(response.data);
-    
-    // Aqua Reader popular section - look for sections with "Hot" or "Popular" headings
-    let container = $('body');
-    let comics = [];
+  const comics = extractComicList($, container, '.comic-item, .manga-item, article, .post, .item, .search-item');
 
-    // Find sections marked as "Hot" or "Popular"
-    $('h2, h3, h4').each((i, el) => {
-      const $el = $(el);
-      const text = $el.text().toLowerCase();
-      if (text.includes('popular') || text.includes('hot') || text.includes('trending')) {
-        // Get the parent container and find slider items within it
-        const section = $el.closest('.widget, .section, .container, .wrap').length ? 
-                       $el.closest('.widget, .section, .container, .wrap') : 
-                       $el.parent().nextAll().addBack().parent();
-        const sectionComics = extractComicList($, section, '.slider__item, .item__wrap, .post-item');
-        comics.push(...sectionComics);
-      }
-    });
+  return comics;
+};
 
-    // If no comics found in specific sections, extract from all slider items
-    if (comics.length === 0) {
-      comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
+/**
+ * Parse popular comics from home page
+ * @param {object} response - Axios response
+ * @returns {Array} Array of popular comics
+ */
+const parsePopularComics = (response) => {
+  const $ = cheerio.load(response.data);
+
+  // Aqua Reader popular section - look for sections with "Hot" or "Popular" headings
+  let container = $('body');
+  let comics = [];
+
+  // Find sections marked as "Hot" or "Popular"
+  $('h2, h3, h4').each((i, el) => {
+    const $el = $(el);
+    const text = $el.text().toLowerCase();
+    if (text.includes('popular') || text.includes('hot') || text.includes('trending')) {
+      // Get the parent container and find slider items within it
+      const section = $el.closest('.widget, .section, .container, .wrap').length ? 
+                     $el.closest('.widget, .section, .container, .wrap') : 
+                     $el.parent().nextAll().addBack().parent();
+      const sectionComics = extractComicList($, section, '.slider__item, .item__wrap, .post-item');
+      comics.push(...sectionComics);
     }
-    
-    // Remove duplicates
-    const uniqueComics = [];
-    const seenHrefs = new Set();
-    comics.forEach(comic => {
-      if (!seenHrefs.has(comic.href)) {
-        seenHrefs.add(comic.href);
-        uniqueComics.push(comic);
-      }
-    });
+  });
 
-    return uniqueComics.slice(0, 50); // Limit to 50 items
-  } catch (error) {
-    throw new ParseError(`Error scraping popular comics: ${error.message}`, error);
+  // If no comics found in specific sections, extract from all slider items
+  if (comics.length === 0) {
+    comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
   }
+
+  // Remove duplicates
+  const uniqueComics = [];
+  const seenHrefs = new Set();
+  comics.forEach(comic => {
+    if (!seenHrefs.has(comic.href)) {
+      seenHrefs.add(comic.href);
+      uniqueComics.push(comic);
+    }
+  });
+
+  return uniqueComics.slice(0, 50); // Limit to 50 items
 };
 
 /**
- * Get recommended comics
- * @returns {Promise<Array>} Array of recommended comics
+ * Parse recommended comics from home page
+ * @param {object} response - Axios response
+ * @returns {Array} Array of recommended comics
  */
-const getRecommendedComics = async () => {
-  try {
-    const response = await AxiosService(BASE_URL);
-    
-    if (response.status !== 200) {
-      throw new ParseError('Failed to fetch recommended comics');
+const parseRecommendedComics = (response) => {
+  const $ = cheerio.load(response.data);
+
+  // Aqua Reader recommended section - similar to popular
+  let container = $('body');
+  let comics = [];
+
+  // Extract from all slider items (recommended are usually in the main sections)
+  comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
+
+  // Remove duplicates
+  const uniqueComics = [];
+  const seenHrefs = new Set();
+  comics.forEach(comic => {
+    if (!seenHrefs.has(comic.href)) {
+      seenHrefs.add(comic.href);
+      uniqueComics.push(comic);
     }
+  });
 
-    const $ = cheerio.load(response.data);
-    
-    // Aqua Reader recommended section - similar to popular
-    let container = $('body');
-    let comics = [];
-
-    // Extract from all slider items (recommended are usually in the main sections)
-    comics = extractComicList($, container, '.slider__item, .item__wrap, .post-item');
-    
-    // Remove duplicates
-    const uniqueComics = [];
-    const seenHrefs = new Set();
-    comics.forEach(comic => {
-      if (!seenHrefs.has(comic.href)) {
-        seenHrefs.add(comic.href);
-        uniqueComics.push(comic);
-      }
-    });
+  return uniqueComics.slice(0, 50); // Limit to 50 items
+};
 
-    return uniqueComics.slice(0, 50); // Limit to 50 items
-  } catch (error) {
-    throw new ParseError(`Error scraping recommended comics: ${error.message}`, error);
-  }
+/**
+ * Build URL for slug-based pages (slug may be passed with leading/trailing slashes)
+ * @param {string} operation - Operation key
+ * @returns {Function} URL hook
+ */
+const slugUrl = (operation) => ({ slug }, { buildUrl }) => {
+  return buildUrl(operation, { slug: slug.replace(/^\/+|\/+$/g, '') });
 };
 
+const scraper = createScraper('aquareader', {
+  latest: { parse: parseLatestComics },
+  genre: { parse: parseComicsByGenre },
+  genreList: { parse: parseGenres },
+  detail: { url: slugUrl('detail'), parse: parseComicDetail },
+  read: { url: slugUrl('read'), parse: parseChapter },
+  search: { parse: parseSearchResults },
+  popular: { parse: parsePopularComics },
+  recommended: { parse: parseRecommendedComics }
+});
+
 module.exports = {
-  getLatestComics,
-  getComicsByGenre,
-  getGenres,
-  getComicDetail,
-  readChapter,
-  searchComics,
-  getPopularComics,
-  getRecommendedComics,
+  ...scraper,
   BASE_URL
 };
-
@@ -0,0 +1,361 @@
+/**
+ * Cache Warmer
+ * Menjalankan request GET internal lewat router, jadi handler, validator dan cache middleware
+ * yang dipakai sama persis dengan request client dan hasilnya tersimpan di cache sebelum diminta.
+ * Dipakai oleh `POST /api/dashboard/cache/manage/warm` dan warm-list terjadwal
+ * (halaman awal `/terbaru` per provider dan detail komik populer teratas).
+ *
+ * Cache key dibentuk dari path dan query yang diurutkan, jadi urutan query parameter tidak
+ * berpengaruh. Warm-list memakai bentuk yang dipanggil client: tanpa `page=1` dan tanpa
+ * `provider` untuk default provider.
+ */
+
+const { getDefaultProviderId } = require('../config/providers');
+const { listProviders } = require('./provider_manager');
+const { ValidationError } = require('../helper/error_handler');
+const { dispatchRequest } = require('../helper/internal_request');
+
+// Batas jumlah key per permintaan warm dan concurrency maksimum
+const MAX_KEYS = 100;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Parse non-negative integer option (0 is allowed to disable a warm-list part)
+ * @param {*} value - Raw value
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+const toCount = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Build request URL from warm key
+ * @param {string|object} key - Route URL ('/terbaru?page=2') or descriptor
+ *   { route: '/detail/:url', params: { url }, query: { provider } }
+ * @returns {string} Request URL
+ * @throws {ValidationError} If key is malformed or a route parameter is missing
+ */
+const buildUrl = (key) => {
+  let url;
+
+  if (typeof key === 'string') {
+    url = key.trim();
+  } else if (key && typeof key === 'object' && typeof key.route === 'string') {
+    const params = key.params || {};
+    const path = key.route.trim().replace(/:(\w+)/g, (match, name) => {
+      if (params[name] === undefined || params[name] === null || params[name] === '') {
+        throw new ValidationError(`Missing route parameter '${name}' for ${key.route}`);
+      }
+      return encodeURIComponent(params[name]);
+    });
+
+    const query = new URLSearchParams();
+    Object.entries(key.query || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) query.append(name, String(value));
+    });
+
+    const search = query.toString();
+    url = search ? `${path}${path.includes('?') ? '&' : '?'}${search}` : path;
+  } else {
+    throw new ValidationError('Warm key must be a route URL or { route, params, query } descriptor');
+  }
+
+  if (!/^\/(?!\/)/.test(url)) {
+    throw new ValidationError(`Invalid route URL '${url}' (must start with '/')`);
+  }
+
+  return url;
+};
+
+/**
+ * Cache Warmer
+ */
+class CacheWarmer {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.CACHE_WARM_CONCURRENCY, 10) || 3;
+    this.timeout = options.timeout || parseInt(process.env.CACHE_WARM_TIMEOUT, 10) || 30 * 1000;
+    this.interval = options.interval || parseInt(process.env.CACHE_WARM_INTERVAL, 10) || 4 * 60 * 1000; // Di bawah TTL /terbaru (5 menit)
+    this.pages = toCount(options.pages ?? process.env.CACHE_WARM_PAGES, 1); // Halaman /terbaru per provider
+    this.popular = toCount(options.popular ?? process.env.CACHE_WARM_POPULAR, 5); // Detail komik populer per provider
+    // Route tambahan untuk warm-list terjadwal, mis. '/terbaru,/genre'
+    this.routes = options.routes || (process.env.CACHE_WARM_ROUTES || '')
+      .split(',')
+      .map(route => route.trim())
+      .filter(Boolean);
+
+    // Express app/router yang menjalankan request (default: router API)
+    this.handler = options.handler || null;
+
+    this.timer = null;
+    this.isWarming = false;
+    this.lastRun = null;
+
+    this.stats = {
+      runs: 0,
+      requests: 0,
+      succeeded: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Get request handler
+   * Router di-require saat dipakai karena router sendiri me-require modul ini
+   * @returns {function} Express app or router
+   */
+  getHandler() {
+    if (!this.handler) {
+      this.handler = require('../router').router;
+    }
+    return this.handler;
+  }
+
+  /**
+   * Run internal GET request through the router
+   * @param {string} url - Request URL
+   * @param {object} options - Request options
+   * @param {boolean} options.refresh - Bypass fresh cache entries and fetch again
+   * @returns {Promise<object>} { status, cache, body }
+   */
+  dispatch(url, options = {}) {
+    // Timeout tidak membatalkan handler; promise baru selesai saat handler selesai
+    // (lihat dispatchRequest), jadi worker tidak menumpuk request di atas concurrency
+    return dispatchRequest(this.getHandler(), url, { refresh: options.refresh, timeout: this.timeout });
+  }
+
+  /**
+   * Warm one key
+   * @param {string|object} key - Route URL or descriptor
+   * @param {object} options - Warm options
+   * @param {boolean} options.refresh - Bypass fresh cache entries and fetch again
+   * @returns {Promise<object>} { result, payload } - Per-key result and parsed JSON body
+   */
+  async warmOne(key, options = {}) {
+    const startedAt = Date.now();
+    let url = typeof key === 'string' ? key : key?.route;
+
+    try {
+      url = buildUrl(key);
+      const response = await this.dispatch(url, options);
+
+      let payload = null;
+      try {
+        payload = response.body ? JSON.parse(response.body) : null;
+      } catch (error) {
+        payload = null;
+      }
+
+      // STALE-IF-ERROR berarti upstream gagal dan client masih menerima data lama
+      const success = response.status < 400 && response.cache !== 'STALE-IF-ERROR';
+      const message = payload?.message || payload?.data?.message;
+
+      return {
+        result: {
+          key: url,
+          success,
+          status: response.status,
+          cache: response.cache,
+          duration: Date.now() - startedAt,
+          ...(success ? {} : { error: message || `Request failed with status ${response.status}` })
+        },
+        payload: success ? payload : null
+      };
+    } catch (error) {
+      return {
+        result: {
+          key: url || null,
+          success: false,
+          status: null,
+          cache: null,
+          duration: Date.now() - startedAt,
+          error: error.message
+        },
+        payload: null
+      };
+    }
+  }
+
+  /**
+   * Warm keys with bounded concurrency
+   * @param {Array} keys - Route URLs or { route, params, query } descriptors
+   * @param {object} options - Warm options
+   * @param {number} options.concurrency - Parallel requests (default: CACHE_WARM_CONCURRENCY, max: 10)
+   * @param {boolean} options.refresh - Bypass fresh cache entries and fetch again
+   * @param {Function} options.onPayload - Called with (key, payload) for every successful response
+   * @returns {Promise<object>} { total, succeeded, failed, duration, results }
+   * @throws {ValidationError} If keys is not a non-empty array within limit
+   */
+  async warm(keys, options = {}) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new ValidationError('Keys array is required');
+    }
+    if (keys.length > MAX_KEYS) {
+      throw new ValidationError(`At most ${MAX_KEYS} keys can be warmed per request`);
+    }
+
+    const startedAt = Date.now();
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(options.concurrency, 10) || this.concurrency));
+    const results = new Array(keys.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < keys.length) {
+        const index = next++;
+        const { result, payload } = await this.warmOne(keys[index], options);
+        results[index] = result;
+
+        if (payload && options.onPayload) {
+          options.onPayload(keys[index], payload);
+        }
+      }
+    };
+
+    const workers = Math.min(concurrency, keys.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const succeeded = results.filter(result => result.success).length;
+    this.stats.requests += results.length;
+    this.stats.succeeded += succeeded;
+    this.stats.failed += results.length - succeeded;
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      duration: Date.now() - startedAt,
+      results
+    };
+  }
+
+  /**
+   * Build scheduled warm-list: latest pages and popular list per enabled provider plus CACHE_WARM_ROUTES
+   * @returns {Array} Warm keys
+   */
+  getWarmList() {
+    const keys = [...this.routes];
+    const defaultProvider = getDefaultProviderId();
+
+    listProviders().filter(provider => provider.enabled).forEach(provider => {
+      // Default provider di-warm tanpa ?provider= karena itu bentuk request client paling umum
+      const providerQuery = provider.id === defaultProvider ? {} : { provider: provider.id };
+
+      if (provider.features.latest) {
+        for (let page = 1; page <= this.pages; page++) {
+          keys.push({ route: '/terbaru', query: page === 1 ? providerQuery : { page, ...providerQuery } });
+        }
+      }
+      if (this.popular > 0 && provider.features.popular && provider.features.detail) {
+        keys.push({ route: '/popular', query: providerQuery });
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Warm scheduled warm-list, then details of top popular comics from the popular responses
+   * @returns {Promise<object|null>} Run report or null if a run is already in progress
+   */
+  async warmScheduled() {
+    if (this.isWarming) return null;
+
+    this.isWarming = true;
+    const startedAt = Date.now();
+
+    try {
+      const keys = this.getWarmList();
+      const details = [];
+
+      const list = keys.length > 0
+        ? await this.warm(keys.slice(0, MAX_KEYS), {
+          refresh: true,
+          onPayload: (key, payload) => {
+            if (key?.route !== '/popular' || !Array.isArray(payload.data)) return;
+            payload.data.slice(0, this.popular).forEach(comic => {
+              const slug = String(comic?.href || '').trim().replace(/^\/+|\/+$/g, '');
+              if (slug) {
+                details.push({ route: '/detail/:url', params: { url: slug }, query: { provider: key.query.provider } });
+              }
+            });
+          }
+        })
+        : { results: [] };
+
+      const detail = details.length > 0
+        ? await this.warm(details.slice(0, MAX_KEYS), { refresh: true })
+        : { results: [] };
+
+      const results = [...list.results, ...detail.results];
+      const succeeded = results.filter(result => result.success).length;
+
+      this.stats.runs++;
+      this.lastRun = {
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        duration: Date.now() - startedAt,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        failures: results.filter(result => !result.success).slice(0, 20)
+      };
+
+      return { ...this.lastRun, results };
+    } finally {
+      this.isWarming = false;
+    }
+  }
+
+  /**
+   * Start periodic warming
+   * @param {boolean} immediate - Warm right away
+   */
+  start(immediate = true) {
+    this.stop();
+
+    this.timer = setInterval(() => {
+      this.warmScheduled().catch(error => console.error('Cache warming error:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    if (immediate) {
+      this.warmScheduled().catch(error => console.error('Cache warming error:', error.message));
+    }
+  }
+
+  /**
+   * Stop periodic warming
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get warmer statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      running: !!this.timer,
+      warming: this.isWarming,
+      interval: this.interval,
+      concurrency: this.concurrency,
+      pages: this.pages,
+      popular: this.popular,
+      routes: this.routes,
+      lastRun: this.lastRun,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+const cacheWarmer = new CacheWarmer();
+
+module.exports = cacheWarmer;
+module.exports.CacheWarmer = CacheWarmer;
+module.exports.buildUrl = buildUrl;
@@ -0,0 +1,550 @@
+/**
+ * Catalog Crawler
+ * Menjelajahi katalog setiap provider di background: halaman getLatestComics, lalu
+ * getComicsByGenre untuk setiap genre, lalu getComicDetail untuk setiap komik yang ditemukan.
+ * Progress disimpan ke file sehingga crawl bisa dilanjutkan setelah restart.
+ * Hasil scraper lewat provider_manager, jadi search index dan statistik ikut terisi.
+ */
+
+const path = require('path');
+const { getProvider } = require('../config/providers');
+const {
+  executeScraperWithoutFallback,
+  listProviders,
+  providerSupportsFeature
+} = require('./provider_manager');
+const { ValidationError } = require('../helper/error_handler');
+const { DEFAULT_STATE_DIR, readState, writeState } = require('../helper/state_file');
+
+/**
+ * Default crawl options (provider bisa override lewat `crawler` di config/providers.js)
+ */
+const DEFAULT_OPTIONS = {
+  concurrency: 2, // Request paralel per provider
+  delayMs: 1500, // Jeda setelah setiap request per worker
+  maxPages: 50, // Batas halaman latest
+  maxGenrePages: 10, // Batas halaman per genre
+  genres: true,
+  details: true,
+  maxRetries: 2,
+  maxComics: 20000 // Batas komik yang dicatat per provider (seen + antrean detail)
+};
+
+// Maximum wait for an open circuit before retrying the same step
+const MAX_CIRCUIT_WAIT = 5 * 60 * 1000;
+
+const PHASES = ['latest', 'genres', 'details', 'done'];
+
+/**
+ * Catalog Crawler
+ */
+class CatalogCrawler {
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || process.env.CRAWLER_STATE_FILE ||
+      path.join(DEFAULT_STATE_DIR, 'crawler_state.json');
+    this.saveInterval = options.saveInterval || 5000;
+
+    this.job = null;
+    this.running = false;
+    this.stopRequested = false;
+    this.runPromise = null;
+    this.lastSavedAt = 0;
+
+    // Pending waits, released early by stop()
+    this.waiting = new Set();
+  }
+
+  /**
+   * Wait for given time (selesai lebih cepat bila crawl dihentikan)
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      const entry = {
+        release: () => {
+          clearTimeout(entry.timer);
+          this.waiting.delete(entry);
+          resolve();
+        }
+      };
+      entry.timer = setTimeout(entry.release, ms);
+      this.waiting.add(entry);
+    });
+  }
+
+  /**
+   * Load persisted job from state file
+   * @returns {object|null} Job or null if no state was saved
+   */
+  loadState() {
+    return readState(this.stateFile);
+  }
+
+  /**
+   * Persist job to state file
+   * @param {boolean} force - Save even if last save was recent
+   */
+  saveState(force = false) {
+    if (!this.job || (!force && Date.now() - this.lastSavedAt < this.saveInterval)) return;
+
+    this.job.updatedAt = new Date().toISOString();
+    if (writeState(this.stateFile, this.job)) {
+      this.lastSavedAt = Date.now();
+    }
+  }
+
+  /**
+   * Create progress record for provider
+   * @returns {object} Provider progress
+   */
+  createProgress() {
+    return {
+      phase: 'latest',
+      latest: { page: 1, lengthPage: null },
+      genres: { list: null, index: 0, page: 1 },
+      details: { done: 0, failed: 0 },
+      seen: [],
+      queue: [],
+      inFlight: [], // Href detail yang sedang di-request (dikembalikan ke queue saat resume)
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      lastError: null,
+      finishedAt: null
+    };
+  }
+
+  /**
+   * Put details that were in flight when the job was interrupted back on the queue
+   * @param {object} progress - Provider progress
+   */
+  requeueInFlight(progress) {
+    if (!Array.isArray(progress.inFlight)) {
+      progress.inFlight = [];
+      return;
+    }
+    if (progress.inFlight.length === 0) return;
+
+    const queued = new Set(progress.queue);
+    progress.queue.unshift(...progress.inFlight.filter(href => !queued.has(href)));
+    progress.inFlight = [];
+  }
+
+  /**
+   * Get crawl options for provider
+   * `crawler` di config provider adalah batas sopan situs: concurrency tidak bisa dinaikkan
+   * dan delayMs tidak bisa diturunkan lewat opsi job
+   * @param {string} providerId - Provider ID
+   * @returns {object} Options
+   */
+  getProviderOptions(providerId) {
+    const limits = getProvider(providerId)?.crawler || {};
+    const options = { ...DEFAULT_OPTIONS, ...limits, ...this.job.options };
+
+    if (limits.concurrency) options.concurrency = Math.min(options.concurrency, limits.concurrency);
+    if (limits.delayMs) options.delayMs = Math.max(options.delayMs, limits.delayMs);
+
+    return options;
+  }
+
+  /**
+   * Start crawl (melanjutkan job yang belum selesai kecuali `restart` diisi)
+   * @param {object} options - Crawl options
+   * @param {Array} options.providers - Provider IDs (default: all enabled providers)
+   * @param {boolean} options.restart - Discard unfinished job and start over
+   * @param {number} options.maxPages - Maximum latest pages per provider
+   * @param {number} options.maxGenrePages - Maximum pages per genre
+   * @param {boolean} options.genres - Crawl genre listings
+   * @param {boolean} options.details - Fetch detail of every discovered comic
+   * @param {number} options.concurrency - Parallel requests per provider
+   * @param {number} options.delayMs - Politeness delay after each request
+   * @param {number} options.maxComics - Maximum comics recorded per provider
+   * @returns {object} Job status
+   * @throws {ValidationError} If a requested provider does not exist
+   */
+  start(options = {}) {
+    if (this.running) {
+      return this.getStatus();
+    }
+
+    const { restart = false, providers = null, ...crawlOptions } = options;
+    const previous = this.job || this.loadState();
+
+    if (previous && previous.status !== 'completed' && !restart) {
+      this.job = previous;
+    } else {
+      const enabled = listProviders().filter(provider => provider.enabled).map(provider => provider.id);
+      const providerIds = providers && providers.length > 0 ? providers : enabled;
+      const unknown = providerIds.filter(id => !getProvider(id));
+
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown provider(s): ${unknown.join(', ')}`);
+      }
+
+      const jobOptions = {};
+      const invalid = [];
+      Object.keys(DEFAULT_OPTIONS).forEach(key => {
+        const value = crawlOptions[key];
+        if (value === undefined) return;
+
+        const min = key === 'delayMs' || key === 'maxRetries' ? 0 : 1;
+        const valid = typeof DEFAULT_OPTIONS[key] === 'number'
+          ? Number.isInteger(value) && value >= min
+          : typeof value === 'boolean';
+
+        if (valid) {
+          jobOptions[key] = value;
+        } else {
+          invalid.push(key);
+        }
+      });
+
+      if (invalid.length > 0) {
+        throw new ValidationError(`Invalid crawl option(s): ${invalid.join(', ')}`);
+      }
+
+      this.job = {
+        id: `crawl-${Date.now()}`,
+        status: 'running',
+        options: jobOptions,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        finishedAt: null,
+        providers: {}
+      };
+      providerIds.forEach(id => {
+        this.job.providers[id] = this.createProgress();
+      });
+    }
+
+    Object.values(this.job.providers).forEach(progress => this.requeueInFlight(progress));
+
+    this.job.status = 'running';
+    this.job.resumedAt = new Date().toISOString();
+    this.running = true;
+    this.stopRequested = false;
+    this.saveState(true);
+
+    this.runPromise = this.run()
+      .catch(error => {
+        console.error('Catalog crawler error:', error.message);
+        this.job.status = 'failed';
+        this.job.lastError = error.message;
+      })
+      .finally(() => {
+        this.running = false;
+        this.saveState(true);
+      });
+
+    return this.getStatus();
+  }
+
+  /**
+   * Resume job interrupted by restart (status masih 'running' di state file)
+   * @returns {boolean} True if a job was resumed
+   */
+  resumeInterrupted() {
+    const saved = this.loadState();
+    if (!saved || saved.status !== 'running') return false;
+
+    this.job = saved;
+    this.start();
+    return true;
+  }
+
+  /**
+   * Stop crawl; progress is kept so start() resumes it
+   * @returns {Promise<object>} Job status after current requests finish
+   */
+  async stop() {
+    if (this.running) {
+      this.stopRequested = true;
+      [...this.waiting].forEach(entry => entry.release());
+      await this.runPromise;
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Crawl every provider of the job in parallel
+   * @returns {Promise<void>}
+   */
+  async run() {
+    await Promise.all(Object.keys(this.job.providers).map(providerId => this.crawlProvider(providerId)));
+
+    if (this.stopRequested) {
+      this.job.status = 'stopped';
+    } else {
+      this.job.status = 'completed';
+      this.job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Run provider phases from its saved position
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<void>}
+   */
+  async crawlProvider(providerId) {
+    const progress = this.job.providers[providerId];
+
+    while (!this.stopRequested && progress.phase !== 'done') {
+      if (progress.phase === 'latest') {
+        await this.crawlLatest(providerId, progress);
+      } else if (progress.phase === 'genres') {
+        await this.crawlGenres(providerId, progress);
+      } else {
+        await this.crawlDetails(providerId, progress);
+      }
+
+      if (!this.stopRequested) {
+        progress.phase = PHASES[PHASES.indexOf(progress.phase) + 1];
+        this.saveState(true);
+      }
+    }
+
+    if (progress.phase === 'done' && !progress.finishedAt) {
+      progress.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Call scraper with politeness delay, retries and circuit-breaker backoff
+   * @param {string} providerId - Provider ID
+   * @param {object} progress - Provider progress
+   * @param {string} functionName - Scraper function name
+   * @param {...*} args - Scraper arguments
+   * @returns {Promise<*>} Scraper result, or undefined if the step failed or crawl was stopped
+   */
+  async request(providerId, progress, functionName, ...args) {
+    const { delayMs, maxRetries } = this.getProviderOptions(providerId);
+
+    for (let attempt = 0; !this.stopRequested; attempt++) {
+      try {
+        progress.requests++;
+        const result = await executeScraperWithoutFallback(providerId, functionName, ...args);
+        await this.wait(delayMs);
+        return result;
+      } catch (error) {
+        progress.lastError = `${functionName}(${args.join(', ')}): ${error.message}`;
+
+        if (error.code === 'CIRCUIT_OPEN') {
+          // Provider sedang dianggap down: tunggu cooldown tanpa menghabiskan retry
+          await this.wait(Math.min(MAX_CIRCUIT_WAIT, (error.retryAfter || 30) * 1000));
+          attempt--;
+          continue;
+        }
+
+        if (error.code === 'NOT_FOUND' || error.code === 'FEATURE_NOT_SUPPORTED' || attempt >= maxRetries) {
+          progress.errors++;
+          await this.wait(delayMs);
+          return undefined;
+        }
+
+        progress.retries++;
+        await this.wait(delayMs * (attempt + 2));
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Add comics from listing to detail queue
+   * Komik di atas maxComics tidak dicatat, jadi state file tidak tumbuh tanpa batas
+   * @param {object} progress - Provider progress
+   * @param {Array} comics - Comic items
+   * @param {number} maxComics - Maximum comics recorded for provider
+   * @returns {number} Number of newly discovered comics
+   */
+  discover(progress, comics, maxComics = DEFAULT_OPTIONS.maxComics) {
+    if (!progress.seenSet) {
+      Object.defineProperty(progress, 'seenSet', { value: new Set(progress.seen), enumerable: false });
+    }
+
+    let discovered = 0;
+    (comics || []).forEach(comic => {
+      const href = comic?.href;
+      if (!href || progress.seenSet.has(href)) return;
+      if (progress.seen.length >= maxComics) {
+        progress.skipped = (progress.skipped || 0) + 1;
+        return;
+      }
+      progress.seenSet.add(href);
+      progress.seen.push(href);
+      progress.queue.push(href);
+      discovered++;
+    });
+
+    return discovered;
+  }
+
+  /**
+   * Walk latest pages
+   * @param {string} providerId - Provider ID
+   * @param {object} progress - Provider progress
+   * @returns {Promise<void>}
+   */
+  async crawlLatest(providerId, progress) {
+    if (!providerSupportsFeature(providerId, 'latest')) return;
+
+    const { maxPages, maxComics } = this.getProviderOptions(providerId);
+    const state = progress.latest;
+
+    while (!this.stopRequested && state.page <= maxPages &&
+      (state.lengthPage === null || state.page <= state.lengthPage)) {
+      const result = await this.request(providerId, progress, 'getLatestComics', state.page);
+      if (this.stopRequested) return;
+
+      if (result) {
+        state.lengthPage = result.length_page || state.lengthPage || state.page;
+        // Halaman tanpa komik baru berarti katalog sudah habis
+        if (!Array.isArray(result.data) || result.data.length === 0) return;
+        this.discover(progress, result.data, maxComics);
+      }
+
+      state.page++;
+      this.saveState();
+    }
+  }
+
+  /**
+   * Walk genre listings
+   * @param {string} providerId - Provider ID
+   * @param {object} progress - Provider progress
+   * @returns {Promise<void>}
+   */
+  async crawlGenres(providerId, progress) {
+    const { genres, maxGenrePages, maxComics } = this.getProviderOptions(providerId);
+    if (!genres || !providerSupportsFeature(providerId, 'genre')) return;
+
+    const state = progress.genres;
+
+    if (!state.list) {
+      if (!providerSupportsFeature(providerId, 'genreList')) return;
+      const list = await this.request(providerId, progress, 'getGenres');
+      if (this.stopRequested) return;
+      state.list = Array.isArray(list) ? list.map(genre => genre.href).filter(Boolean) : [];
+      this.saveState(true);
+    }
+
+    while (!this.stopRequested && state.index < state.list.length) {
+      const genre = state.list[state.index];
+      const result = await this.request(providerId, progress, 'getComicsByGenre', genre, state.page);
+      if (this.stopRequested) return;
+
+      const hasData = result && Array.isArray(result.data) && result.data.length > 0;
+      if (hasData) {
+        this.discover(progress, result.data, maxComics);
+      }
+
+      const lastPage = Math.min(maxGenrePages, result?.length_page || state.page);
+      if (!hasData || state.page >= lastPage) {
+        state.index++;
+        state.page = 1;
+      } else {
+        state.page++;
+      }
+      this.saveState();
+    }
+  }
+
+  /**
+   * Fetch detail of every queued comic with per-provider concurrency
+   * Href yang sedang di-request disimpan di inFlight sampai selesai, jadi crash di tengah
+   * request tidak menghilangkan detail tersebut dari state
+   * @param {string} providerId - Provider ID
+   * @param {object} progress - Provider progress
+   * @returns {Promise<void>}
+   */
+  async crawlDetails(providerId, progress) {
+    const { details, concurrency } = this.getProviderOptions(providerId);
+    if (!details || !providerSupportsFeature(providerId, 'detail')) return;
+
+    const worker = async () => {
+      while (!this.stopRequested && progress.queue.length > 0) {
+        const href = progress.queue.shift();
+        progress.inFlight.push(href);
+        const detail = await this.request(providerId, progress, 'getComicDetail', href);
+        progress.inFlight.splice(progress.inFlight.indexOf(href), 1);
+
+        if (detail) {
+          progress.details.done++;
+        } else if (this.stopRequested) {
+          progress.queue.unshift(href); // Dicoba lagi saat crawl dilanjutkan
+        } else {
+          progress.details.failed++;
+        }
+        this.saveState();
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, progress.queue.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  /**
+   * Get crawl status
+   * @returns {object} Status
+   */
+  getStatus() {
+    if (!this.job) {
+      return { running: false, job: null };
+    }
+
+    const providers = {};
+    Object.entries(this.job.providers).forEach(([providerId, progress]) => {
+      const { concurrency, delayMs } = this.getProviderOptions(providerId);
+      providers[providerId] = {
+        phase: progress.phase,
+        concurrency,
+        delayMs,
+        latest: {
+          page: progress.latest.page,
+          lengthPage: progress.latest.lengthPage
+        },
+        genres: {
+          total: progress.genres.list ? progress.genres.list.length : null,
+          done: progress.genres.index,
+          page: progress.genres.page
+        },
+        details: {
+          done: progress.details.done,
+          failed: progress.details.failed,
+          pending: progress.queue.length,
+          inFlight: progress.inFlight ? progress.inFlight.length : 0
+        },
+        discovered: progress.seen.length,
+        skipped: progress.skipped || 0,
+        requests: progress.requests,
+        retries: progress.retries,
+        errors: progress.errors,
+        lastError: progress.lastError,
+        finishedAt: progress.finishedAt
+      };
+    });
+
+    return {
+      running: this.running,
+      stopping: this.running && this.stopRequested,
+      job: {
+        id: this.job.id,
+        status: this.job.status,
+        options: { ...DEFAULT_OPTIONS, ...this.job.options },
+        startedAt: this.job.startedAt,
+        resumedAt: this.job.resumedAt || null,
+        updatedAt: this.job.updatedAt,
+        finishedAt: this.job.finishedAt,
+        lastError: this.job.lastError || null,
+        providers
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const catalogCrawler = new CatalogCrawler();
+
+module.exports = catalogCrawler;
+module.exports.CatalogCrawler = CatalogCrawler;
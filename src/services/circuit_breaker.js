@@ -0,0 +1,321 @@
+/**
+ * Circuit Breaker Service
+ * Melacak kesehatan tiap provider dan memutus request ke provider yang sedang gagal
+ * States: closed (normal), open (fail fast), half-open (trial request setelah cool-down)
+ */
+
+const { getProvider } = require('../config/providers');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Default breaker options (dapat di-override lewat `circuitBreaker` di config provider)
+ */
+const DEFAULT_OPTIONS = {
+  windowSize: 20, // Jumlah hasil request terakhir yang dihitung
+  minimumRequests: 5, // Minimal request di window sebelum breaker bisa terbuka
+  failureRateThreshold: 0.5, // Rasio gagal (0-1) yang membuka breaker
+  cooldownMs: 30 * 1000, // Lama breaker terbuka sebelum half-open
+  halfOpenMaxRequests: 1 // Trial request bersamaan saat half-open
+};
+
+/**
+ * Circuit breaker for a single provider
+ */
+class CircuitBreaker {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = STATES.CLOSED;
+
+    // Rolling window of outcomes (true = success, false = failure)
+    this.window = [];
+
+    this.totalSuccesses = 0;
+    this.totalFailures = 0;
+    this.rejected = 0;
+    this.halfOpenInFlight = 0;
+
+    this.openedAt = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.lastStateChangeAt = Date.now();
+
+    this.listeners = [];
+  }
+
+  /**
+   * Listen to state changes of this breaker
+   * @param {Function} listener - Called with (providerId, previousState, state, breaker)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Change breaker state and notify listeners
+   * @param {string} state - New state
+   */
+  transition(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.lastStateChangeAt = Date.now();
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+      this.window = [];
+    }
+
+    this.halfOpenInFlight = 0;
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.id, previous, state, this);
+      } catch (error) {
+        console.error(`Circuit breaker listener error for '${this.id}':`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Check whether a request may pass through the breaker
+   * Memindahkan open -> half-open setelah cool-down selesai
+   * @returns {boolean} True if request is allowed
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.options.cooldownMs) {
+        this.rejected++;
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.options.halfOpenMaxRequests) {
+        this.rejected++;
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Push outcome to rolling window
+   * @param {boolean} success - Request outcome
+   */
+  pushOutcome(success) {
+    this.window.push(success);
+    if (this.window.length > this.options.windowSize) {
+      this.window.shift();
+    }
+  }
+
+  /**
+   * Record successful request
+   */
+  recordSuccess() {
+    this.totalSuccesses++;
+    this.lastSuccessAt = Date.now();
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.CLOSED);
+    }
+
+    this.pushOutcome(true);
+  }
+
+  /**
+   * Record failed request
+   * @param {Error} error - Error that caused the failure
+   */
+  recordFailure(error) {
+    this.totalFailures++;
+    this.lastFailureAt = Date.now();
+    this.lastError = error ? { code: error.code || 'UNKNOWN', message: error.message } : null;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+
+    this.pushOutcome(false);
+
+    if (
+      this.state === STATES.CLOSED &&
+      this.window.length >= this.options.minimumRequests &&
+      this.getFailureRate() >= this.options.failureRateThreshold
+    ) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Get failure rate of the rolling window
+   * @returns {number} Failure rate (0-1)
+   */
+  getFailureRate() {
+    if (this.window.length === 0) return 0;
+    return this.window.filter(success => !success).length / this.window.length;
+  }
+
+  /**
+   * Reset breaker to closed state
+   */
+  reset() {
+    this.transition(STATES.CLOSED);
+    this.window = [];
+    this.lastError = null;
+  }
+
+  /**
+   * Get breaker snapshot
+   * @returns {object} Breaker state and counters
+   */
+  getState() {
+    const recentFailures = this.window.filter(success => !success).length;
+
+    return {
+      state: this.state,
+      failureRate: Math.round(this.getFailureRate() * 100 * 100) / 100,
+      recentRequests: this.window.length,
+      recentFailures,
+      totalSuccesses: this.totalSuccesses,
+      totalFailures: this.totalFailures,
+      rejected: this.rejected,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.options.cooldownMs).toISOString()
+        : null
+    };
+  }
+}
+
+/**
+ * Registry of circuit breakers keyed by provider ID
+ */
+class CircuitBreakerRegistry {
+  constructor() {
+    this.breakers = new Map();
+    this.listeners = [];
+  }
+
+  /**
+   * Listen to state changes of every breaker
+   * @param {Function} listener - Called with (providerId, previousState, state, breaker)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of breaker state change
+   * @param {string} providerId - Provider ID
+   * @param {string} previous - Previous state
+   * @param {string} state - New state
+   * @param {CircuitBreaker} breaker - Breaker that changed state
+   */
+  notify(providerId, previous, state, breaker) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(providerId, previous, state, breaker);
+      } catch (error) {
+        console.error(`Circuit breaker listener error for '${providerId}':`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Get (or create) breaker for provider
+   * @param {string} providerId - Provider ID
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  get(providerId) {
+    if (!this.breakers.has(providerId)) {
+      const provider = getProvider(providerId);
+      const breaker = new CircuitBreaker(providerId, provider?.circuitBreaker);
+      breaker.subscribe((...args) => this.notify(...args));
+      this.breakers.set(providerId, breaker);
+    }
+    return this.breakers.get(providerId);
+  }
+
+  /**
+   * Get breaker snapshot for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Breaker state
+   */
+  getState(providerId) {
+    return this.get(providerId).getState();
+  }
+
+  /**
+   * Map breaker state to simple health label
+   * @param {string} providerId - Provider ID
+   * @returns {string} healthy, degraded or unhealthy
+   */
+  getHealth(providerId) {
+    const breaker = this.get(providerId);
+
+    if (breaker.state === STATES.OPEN) return 'unhealthy';
+    if (breaker.state === STATES.HALF_OPEN || breaker.getFailureRate() > 0) return 'degraded';
+    return 'healthy';
+  }
+
+  /**
+   * Remove breaker for provider
+   * @param {string} providerId - Provider ID
+   */
+  remove(providerId) {
+    this.breakers.delete(providerId);
+  }
+
+  /**
+   * Reset breaker(s)
+   * @param {string} providerId - Provider ID (reset all if omitted)
+   */
+  reset(providerId) {
+    if (providerId) {
+      this.breakers.get(providerId)?.reset();
+      return;
+    }
+    this.breakers.forEach(breaker => breaker.reset());
+  }
+}
+
+// Export singleton instance
+const circuitBreakers = new CircuitBreakerRegistry();
+
+// Log perubahan state lewat mekanisme subscriber yang sama dengan webhook
+circuitBreakers.subscribe((providerId, previous, state) => {
+  console.warn(`Circuit breaker '${providerId}': ${previous} -> ${state}`);
+});
+
+module.exports = {
+  STATES,
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  circuitBreakers
+};
@@ -0,0 +1,423 @@
+/**
+ * Comic Identity Service
+ * Memberi ID kanonik yang stabil untuk satu seri lintas provider
+ * (judul ternormalisasi, judul alternatif, author, tahun + fuzzy matching)
+ * dan menyimpan mapping ID kanonik -> slug di tiap provider.
+ * Registry disimpan ke state file sehingga ID yang sudah dibagikan (link `/comic/:canonicalId`,
+ * filter `canonicalIds` webhook) tetap sama setelah restart.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const {
+  normalizeTitle,
+  tokenize,
+  titleSimilarity,
+  slugify
+} = require('../helper/text_similarity');
+const { getProvider } = require('../config/providers');
+const { DEFAULT_STATE_DIR, readState, writeState } = require('../helper/state_file');
+
+/**
+ * Convert provider href to the slug accepted by getComicDetail
+ * (mis. '/manga/foo/' -> 'foo' bila pattern detail '/manga/{slug}')
+ * @param {string} providerId - Provider ID
+ * @param {string} href - Comic href or detail slug
+ * @returns {string} Detail slug
+ */
+const toSourceSlug = (providerId, href) => {
+  if (!href || typeof href !== 'string') return '';
+
+  const pattern = getProvider(providerId)?.urlPatterns?.detail;
+  const prefix = typeof pattern === 'string' ? pattern.split('{slug}')[0] : '';
+  let slug = href.trim();
+
+  if (prefix && prefix !== '/' && slug.startsWith(prefix)) {
+    slug = slug.slice(prefix.length);
+  }
+
+  return slug.replace(/^\/+|\/+$/g, '');
+};
+
+/**
+ * Extract alternative titles from comic item
+ * @param {object} comic - Comic item
+ * @returns {Array} Alternative titles
+ */
+const getAltTitles = (comic) => {
+  const raw = comic.altTitles || comic.alternative || comic.alt_title || comic.alternativeTitles || [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[,;/|]/);
+  return list.map(title => String(title).trim()).filter(Boolean);
+};
+
+/**
+ * Extract release year from comic item
+ * @param {object} comic - Comic item
+ * @returns {number|null} Year
+ */
+const getYear = (comic) => {
+  const match = String(comic.year || comic.released || '').match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Comic Identity Service
+ */
+class ComicIdentityService {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0.88; // Minimal kemiripan judul
+    this.authorThreshold = options.authorThreshold || 0.8; // Threshold jika author sama
+    this.maxEntries = options.maxEntries || 20000;
+    this.stateFile = options.stateFile || process.env.COMIC_IDENTITY_STATE_FILE ||
+      path.join(DEFAULT_STATE_DIR, 'comic_identity.json');
+    this.persist = options.persist !== undefined ? options.persist : true;
+    this.saveDelay = options.saveDelay || 5000; // Perubahan dikumpulkan sebelum ditulis
+    this.saveTimer = null;
+
+    // canonicalId -> entry
+    this.entries = new Map();
+
+    // `${providerId}:${slug}` -> canonicalId
+    this.bySource = new Map();
+
+    // normalized title -> Set of canonicalId
+    this.byTitle = new Map();
+
+    // title token -> Set of canonicalId (kandidat fuzzy matching)
+    this.byToken = new Map();
+
+    this.loadState();
+  }
+
+  /**
+   * Restore registry from state file and rebuild indexes
+   */
+  loadState() {
+    const state = this.persist ? readState(this.stateFile) : null;
+    if (!state || !Array.isArray(state.entries)) return;
+
+    state.entries.forEach(entry => {
+      this.entries.set(entry.id, entry);
+      this.indexTitles(entry, [entry.normalizedTitle, ...entry.altTitles]);
+      Object.entries(entry.sources).forEach(([providerId, slug]) => {
+        this.bySource.set(`${providerId}:${slug}`, entry.id);
+      });
+    });
+  }
+
+  /**
+   * Persist registry
+   */
+  saveState() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.persist) return;
+
+    writeState(this.stateFile, { entries: [...this.entries.values()] });
+  }
+
+  /**
+   * Persist registry after saveDelay (identify dipanggil untuk setiap item listing)
+   */
+  scheduleSave() {
+    if (!this.persist || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.saveState(), this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Add value to Set stored in index Map
+   * @param {Map} index - Index map
+   * @param {string} key - Index key
+   * @param {string} id - Canonical ID
+   */
+  addToIndex(index, key, id) {
+    if (!key) return;
+    if (!index.has(key)) {
+      index.set(key, new Set());
+    }
+    index.get(key).add(id);
+  }
+
+  /**
+   * Index entry titles
+   * @param {object} entry - Identity entry
+   * @param {Array} titles - Normalized titles to index
+   */
+  indexTitles(entry, titles) {
+    titles.forEach(title => {
+      this.addToIndex(this.byTitle, title, entry.id);
+      tokenize(title).forEach(token => this.addToIndex(this.byToken, token, entry.id));
+    });
+  }
+
+  /**
+   * Check whether metadata of two comics can belong to the same series
+   * @param {object} entry - Identity entry
+   * @param {object} candidate - Candidate identity data
+   * @param {string} providerId - Provider of candidate
+   * @returns {boolean} True if compatible
+   */
+  isCompatible(entry, candidate, providerId) {
+    // Satu provider tidak punya dua slug untuk seri yang sama
+    if (providerId && candidate.slug && entry.sources[providerId] && entry.sources[providerId] !== candidate.slug) {
+      return false;
+    }
+
+    if (entry.year && candidate.year && Math.abs(entry.year - candidate.year) > 1) {
+      return false;
+    }
+
+    if (entry.author && candidate.author && titleSimilarity(entry.author, candidate.author) < 0.5) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Score how well candidate matches an entry
+   * @param {object} entry - Identity entry
+   * @param {object} candidate - Candidate identity data
+   * @returns {number} Similarity (0-1)
+   */
+  scoreMatch(entry, candidate) {
+    let best = 0;
+    const entryTitles = [entry.normalizedTitle, ...entry.altTitles];
+
+    candidate.titles.forEach(title => {
+      entryTitles.forEach(entryTitle => {
+        best = Math.max(best, titleSimilarity(title, entryTitle));
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Find existing entry matching candidate
+   * @param {object} candidate - Candidate identity data
+   * @param {string} providerId - Provider of candidate
+   * @returns {object|null} Matching entry
+   */
+  findMatch(candidate, providerId) {
+    // Exact normalized title match
+    for (const title of candidate.titles) {
+      const ids = this.byTitle.get(title);
+      if (!ids) continue;
+
+      for (const id of ids) {
+        const entry = this.entries.get(id);
+        if (entry && this.isCompatible(entry, candidate, providerId)) {
+          return entry;
+        }
+      }
+    }
+
+    // Fuzzy match against entries sharing at least one title token
+    const candidateIds = new Set();
+    candidate.titles.forEach(title => {
+      tokenize(title).forEach(token => {
+        (this.byToken.get(token) || []).forEach(id => candidateIds.add(id));
+      });
+    });
+
+    let bestEntry = null;
+    let bestScore = 0;
+
+    candidateIds.forEach(id => {
+      const entry = this.entries.get(id);
+      if (!entry || !this.isCompatible(entry, candidate, providerId)) return;
+
+      const sameAuthor = entry.author && candidate.author &&
+        titleSimilarity(entry.author, candidate.author) >= 0.9;
+      const threshold = sameAuthor ? this.authorThreshold : this.threshold;
+      const score = this.scoreMatch(entry, candidate);
+
+      if (score >= threshold && score > bestScore) {
+        bestEntry = entry;
+        bestScore = score;
+      }
+    });
+
+    return bestEntry;
+  }
+
+  /**
+   * Generate unique canonical ID for new entry
+   * @param {object} candidate - Candidate identity data
+   * @returns {string} Canonical ID
+   */
+  generateId(candidate) {
+    const base = slugify(candidate.titles[0]) || 'comic';
+    if (!this.entries.has(base)) return base;
+
+    // Judul sama tapi seri berbeda: bedakan dengan tahun, lalu hash judul+author+tahun
+    // (bukan nomor urut, agar ID tidak bergantung pada urutan komik terlihat)
+    if (candidate.year && !this.entries.has(`${base}-${candidate.year}`)) {
+      return `${base}-${candidate.year}`;
+    }
+
+    const hash = crypto.createHash('sha1')
+      .update([candidate.titles[0], normalizeTitle(candidate.author), candidate.year || ''].join('|'))
+      .digest('hex');
+
+    let length = 6;
+    while (this.entries.has(`${base}-${hash.slice(0, length)}`) && length < hash.length) {
+      length += 2;
+    }
+    return `${base}-${hash.slice(0, length)}`;
+  }
+
+  /**
+   * Remove oldest entries when registry is full
+   */
+  evict() {
+    while (this.entries.size >= this.maxEntries) {
+      const oldestId = this.entries.keys().next().value;
+      const entry = this.entries.get(oldestId);
+      this.entries.delete(oldestId);
+
+      Object.entries(entry.sources).forEach(([providerId, slug]) => {
+        this.bySource.delete(`${providerId}:${slug}`);
+      });
+      [entry.normalizedTitle, ...entry.altTitles].forEach(title => {
+        this.byTitle.get(title)?.delete(oldestId);
+        tokenize(title).forEach(token => this.byToken.get(token)?.delete(oldestId));
+      });
+    }
+  }
+
+  /**
+   * Get canonical ID for comic, registering it if new
+   * @param {object} comic - Comic item (title, href, author, year, alternative titles)
+   * @param {string} providerId - Provider the comic came from
+   * @returns {string} Canonical ID ('' if comic has no title)
+   */
+  identify(comic, providerId = null) {
+    if (!comic || typeof comic !== 'object') return '';
+
+    const slug = toSourceSlug(providerId, comic.slug || comic.href || '');
+    const sourceKey = providerId && slug ? `${providerId}:${slug}` : null;
+
+    if (sourceKey && this.bySource.has(sourceKey)) {
+      return this.bySource.get(sourceKey);
+    }
+
+    const normalizedTitle = normalizeTitle(comic.title);
+    if (!normalizedTitle) return '';
+
+    const candidate = {
+      slug,
+      titles: [normalizedTitle, ...getAltTitles(comic).map(normalizeTitle)].filter(Boolean),
+      author: comic.author || '',
+      year: getYear(comic)
+    };
+
+    let entry = this.findMatch(candidate, providerId);
+    let changed = !entry;
+
+    if (!entry) {
+      this.evict();
+      entry = {
+        id: this.generateId(candidate),
+        title: comic.title,
+        normalizedTitle,
+        altTitles: [],
+        author: candidate.author,
+        year: candidate.year,
+        sources: {},
+        createdAt: Date.now()
+      };
+      this.entries.set(entry.id, entry);
+      this.indexTitles(entry, [normalizedTitle]);
+    }
+
+    // Lengkapi metadata dari provider lain
+    const newTitles = candidate.titles.filter(title =>
+      title !== entry.normalizedTitle && !entry.altTitles.includes(title)
+    );
+    if (newTitles.length > 0) {
+      entry.altTitles.push(...newTitles);
+      this.indexTitles(entry, newTitles);
+      changed = true;
+    }
+    if ((!entry.author && candidate.author) || (!entry.year && candidate.year)) {
+      entry.author = entry.author || candidate.author;
+      entry.year = entry.year || candidate.year;
+      changed = true;
+    }
+
+    if (sourceKey) {
+      entry.sources[providerId] = slug;
+      this.bySource.set(sourceKey, entry.id);
+      changed = true;
+    }
+
+    if (changed) {
+      this.scheduleSave();
+    }
+
+    return entry.id;
+  }
+
+  /**
+   * Add canonicalId to each comic in list
+   * @param {Array} comics - Comic items
+   * @param {string} providerId - Provider ID (item `_source` wins if present)
+   * @returns {Array} Comics with canonicalId
+   */
+  annotate(comics, providerId = null) {
+    if (!Array.isArray(comics)) return comics;
+    return comics.map(comic => {
+      if (!comic || typeof comic !== 'object' || comic.canonicalId) return comic;
+      const canonicalId = this.identify(comic, comic._source || providerId);
+      return canonicalId ? { ...comic, canonicalId } : comic;
+    });
+  }
+
+  /**
+   * Get identity by canonical ID
+   * @param {string} canonicalId - Canonical ID
+   * @returns {object|null} Identity with provider slugs
+   */
+  get(canonicalId) {
+    const entry = this.entries.get(canonicalId);
+    if (!entry) return null;
+
+    return {
+      id: entry.id,
+      title: entry.title,
+      altTitles: entry.altTitles,
+      author: entry.author,
+      year: entry.year,
+      sources: { ...entry.sources }
+    };
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    let crossProvider = 0;
+    this.entries.forEach(entry => {
+      if (Object.keys(entry.sources).length > 1) crossProvider++;
+    });
+
+    return {
+      entries: this.entries.size,
+      sources: this.bySource.size,
+      crossProvider
+    };
+  }
+}
+
+// Export singleton instance
+const comicIdentity = new ComicIdentityService();
+
+module.exports = comicIdentity;
+module.exports.ComicIdentityService = ComicIdentityService;
@@ -6,6 +6,11 @@
 const { performanceMonitor } = require('../middleware/performance');
 const cacheService = require('../helper/cache_service');
 const { listProviders } = require('./provider_manager');
+const schemaContract = require('./schema_contract');
+const searchIndex = require('./search_index');
+const updateTracker = require('./update_tracker');
+const webhookService = require('./webhook_service');
+const cacheWarmer = require('./cache_warmer');
 
 /**
  * Dashboard Service
@@ -20,22 +25,39 @@ class DashboardService {
     const cacheStats = cacheService.getStats();
     const providers = listProviders();
     
-    // Calculate provider health (simplified - can be enhanced)
+    // Provider health from circuit breaker state
     const providerHealth = providers.map(provider => ({
       id: provider.id,
       name: provider.name,
       enabled: provider.enabled,
-      health: 'healthy' // Can be enhanced with actual health checks
+      health: provider.health,
+      circuit: provider.circuit,
+      schema: this.getSchemaSummary(provider.id)
     }));
     
     return {
       performance: perfStats,
       cache: cacheStats,
       providers: providerHealth,
+      schemaStrict: schemaContract.strict,
+      searchIndex: searchIndex.getStats(),
+      updates: updateTracker.getStats(),
+      webhooks: webhookService.getStats(),
+      cacheWarmer: cacheWarmer.getStats(),
       endpoints: perfStats.endpoints || {}
     };
   }
   
+  /**
+   * Get schema violation counts for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Violation summary
+   */
+  getSchemaSummary(providerId) {
+    const { checked, violated, violationRate, violations, byRule } = schemaContract.getStats(providerId);
+    return { checked, violated, violationRate, violations, byRule };
+  }
+  
   /**
    * Get analytics data with time-series
    * @param {object} options - Query options
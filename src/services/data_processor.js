@@ -3,7 +3,8 @@
  * Pipeline untuk mengolah data dengan stages yang jelas dan efisien
  */
 
-const { normalizeComicItem, normalizeChapterItem } = require('../helper/data_validator');
+const { normalizeComicItem, normalizeChapterItem, normalizeChapter } = require('../helper/data_validator');
+const comicIdentity = require('./comic_identity');
 
 /**
  * Data Processing Pipeline
@@ -419,6 +420,12 @@ class DataAggregationService {
       return '';
     }
     
+    // Canonical ID menyatukan seri yang sama dari provider berbeda
+    const canonicalId = comic.canonicalId || comicIdentity.identify(comic, comic._source);
+    if (canonicalId) {
+      return canonicalId;
+    }
+    
     // Try to create key from title (normalized)
     const title = (comic.title || '').toLowerCase().trim();
     const href = (comic.href || '').toLowerCase().trim();
@@ -525,10 +532,123 @@ class DataAggregationService {
   }
 }
 
+/**
+ * Chapter Reconciliation Service
+ * Mencocokkan chapter lintas provider berdasarkan nomor chapter ternormalisasi
+ */
+class ChapterReconciliationService {
+  /**
+   * Get normalized chapter number
+   * @param {object} chapter - Chapter item
+   * @returns {number} Chapter number (0 if unknown)
+   */
+  static getChapterNumber(chapter) {
+    const number = parseFloat(chapter.number);
+    if (!isNaN(number) && number > 0) {
+      return number;
+    }
+    return normalizeChapter(String(chapter.title || '')).number;
+  }
+
+  /**
+   * Build API read path for provider chapter
+   * @param {string} providerId - Provider ID
+   * @param {string} href - Chapter href
+   * @returns {string} Read endpoint path
+   */
+  static getReadPath(providerId, href) {
+    const slug = String(href || '').replace(/^\/+|\/+$/g, '');
+    return slug ? `/read/${encodeURIComponent(slug)}?provider=${providerId}` : '';
+  }
+
+  /**
+   * Merge chapter lists from multiple providers into one list
+   * @param {Array} sources - Array of { provider, chapters }
+   * @returns {Array} Unified chapters (newest first), each with every provider that has it
+   */
+  static reconcile(sources) {
+    const map = new Map();
+
+    sources.forEach(({ provider, chapters }) => {
+      if (!Array.isArray(chapters)) {
+        return;
+      }
+
+      chapters.forEach(chapter => {
+        if (!chapter || typeof chapter !== 'object') {
+          return;
+        }
+
+        const number = this.getChapterNumber(chapter);
+        // Chapter tanpa nomor hanya dicocokkan lewat judul
+        const key = number > 0 ? `n:${number}` : `t:${String(chapter.title || '').toLowerCase().trim()}`;
+
+        if (!map.has(key)) {
+          map.set(key, {
+            number,
+            title: chapter.title || '',
+            date: chapter.date || '',
+            providers: [],
+            sources: []
+          });
+        }
+
+        const merged = map.get(key);
+
+        // Satu provider cukup sekali per chapter
+        if (merged.providers.includes(provider)) {
+          return;
+        }
+
+        merged.providers.push(provider);
+        merged.sources.push({
+          provider,
+          title: chapter.title || '',
+          href: chapter.href || '',
+          read: this.getReadPath(provider, chapter.href),
+          date: chapter.date || ''
+        });
+        merged.date = merged.date || chapter.date || '';
+      });
+    });
+
+    return Array.from(map.values()).sort((a, b) => {
+      if (a.number === b.number) return 0;
+      if (!a.number) return 1;
+      if (!b.number) return -1;
+      return b.number - a.number;
+    });
+  }
+
+  /**
+   * Summarize chapter coverage per provider
+   * @param {Array} chapters - Reconciled chapters
+   * @param {Array} providers - Provider IDs
+   * @returns {object} Coverage per provider (count, latest, missing chapter numbers)
+   */
+  static getCoverage(chapters, providers) {
+    const coverage = {};
+
+    providers.forEach(provider => {
+      const available = chapters.filter(ch => ch.providers.includes(provider));
+      coverage[provider] = {
+        chapterCount: available.length,
+        latest: available.reduce((max, ch) => Math.max(max, ch.number || 0), 0),
+        missing: chapters
+          .filter(ch => ch.number > 0 && !ch.providers.includes(provider))
+          .map(ch => ch.number)
+      };
+    });
+
+    return coverage;
+  }
+}
+
 module.exports = {
   DataProcessor,
   DataEnrichmentService,
   BatchProcessor,
-  DataAggregationService
+  DataAggregationService,
+  ChapterReconciliationService
 };
 
@@ -0,0 +1,260 @@
+/**
+ * Health Prober Service
+ * Menjalankan canary call murah per provider secara berkala (mis. halaman 1 latest)
+ * dan memvalidasi hasil parsing, sehingga outage maupun selector yang rusak terdeteksi
+ * sebelum request user gagal.
+ */
+
+const { getProvider } = require('../config/providers');
+const { OPERATIONS } = require('./scraper_engine');
+const { getScraperService, listProviders } = require('./provider_manager');
+const { circuitBreakers } = require('./circuit_breaker');
+const schemaContract = require('./schema_contract');
+const { validateOutput } = require('./schema_contract');
+const { SchemaViolationError } = require('../helper/error_handler');
+
+/**
+ * Default canary per provider (override lewat `healthCheck` di config provider)
+ */
+const DEFAULT_CANARY = {
+  operation: 'latest',
+  args: [1]
+};
+
+/**
+ * Validate canary result against the output contract of the operation (schema_contract)
+ * @param {string} operation - Operation key
+ * @param {*} result - Scraper result
+ * @returns {Array} Validation errors (empty if valid)
+ */
+const validateCanaryResult = (operation, result) => {
+  return validateOutput(operation, result).map(violation => violation.message);
+};
+
+/**
+ * Health Prober
+ */
+class HealthProber {
+  constructor(options = {}) {
+    this.interval = options.interval || parseInt(process.env.HEALTH_PROBE_INTERVAL, 10) || 5 * 60 * 1000; // 5 minutes
+    this.timeout = options.timeout || parseInt(process.env.HEALTH_PROBE_TIMEOUT, 10) || 45 * 1000;
+    this.historySize = options.historySize || 50;
+
+    // Probe results per provider
+    this.results = new Map();
+
+    this.timer = null;
+    this.isProbing = false;
+  }
+
+  /**
+   * Get (or create) result record for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Result record
+   */
+  getRecord(providerId) {
+    if (!this.results.has(providerId)) {
+      this.results.set(providerId, {
+        status: 'unknown',
+        lastCheckedAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        history: []
+      });
+    }
+    return this.results.get(providerId);
+  }
+
+  /**
+   * Run canary call for a single provider
+   * Canary lewat circuit breaker seperti request user: selama circuit terbuka probe dilewati,
+   * dan setelah cool-down probe bisa menjadi trial request half-open yang menutup circuit.
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<object>} Probe result ({ skipped: true } bila circuit terbuka)
+   */
+  async probe(providerId) {
+    const provider = getProvider(providerId);
+    const canary = { ...DEFAULT_CANARY, ...(provider?.healthCheck || {}) };
+    const { method } = OPERATIONS[canary.operation] || {};
+    const breaker = circuitBreakers.get(providerId);
+
+    if (!breaker.allowRequest()) {
+      return {
+        id: providerId,
+        ok: false,
+        skipped: true,
+        latency: 0,
+        error: { code: 'CIRCUIT_OPEN', message: `Circuit for '${providerId}' is open, probe skipped` }
+      };
+    }
+
+    const record = this.getRecord(providerId);
+    const startTime = Date.now();
+    let error = null;
+
+    try {
+      const scraper = getScraperService(providerId);
+
+      if (!method || typeof scraper[method] !== 'function') {
+        throw new Error(`Canary operation '${canary.operation}' is not available`);
+      }
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Probe timed out after ${this.timeout}ms`)), this.timeout);
+      });
+
+      const result = await Promise.race([scraper[method](...canary.args), timeout])
+        .finally(() => clearTimeout(timer));
+
+      // Pelanggaran kontrak ikut tercatat di statistik schema contract (dashboard)
+      let violations;
+      try {
+        violations = schemaContract.check(providerId, method, result);
+      } catch (err) {
+        if (!(err instanceof SchemaViolationError)) throw err;
+        violations = err.details;
+      }
+      if (violations.length > 0) {
+        const errors = violations.map(violation => violation.message);
+        error = { code: 'SCHEMA_INVALID', message: `Canary result is invalid: ${errors.join(', ')}` };
+      }
+    } catch (err) {
+      error = { code: err.code || 'PROBE_FAILED', message: err.message };
+    }
+
+    const latency = Date.now() - startTime;
+    const ok = !error;
+
+    record.status = ok ? 'up' : 'down';
+    record.lastCheckedAt = Date.now();
+    record.history.push({ timestamp: record.lastCheckedAt, ok, latency, error: error?.message || null });
+    if (record.history.length > this.historySize) {
+      record.history.shift();
+    }
+
+    if (ok) {
+      record.lastSuccessAt = record.lastCheckedAt;
+      record.consecutiveFailures = 0;
+      breaker.recordSuccess();
+    } else {
+      record.lastError = { ...error, timestamp: new Date(record.lastCheckedAt).toISOString() };
+      record.consecutiveFailures++;
+      breaker.recordFailure(error);
+      console.warn(`Health probe failed for '${providerId}': ${error.message}`);
+    }
+
+    return { id: providerId, ok, latency, error };
+  }
+
+  /**
+   * Probe all enabled providers sequentially
+   * @returns {Promise<Array>} Probe results
+   */
+  async probeAll() {
+    if (this.isProbing) {
+      return [];
+    }
+
+    this.isProbing = true;
+    const results = [];
+
+    try {
+      for (const provider of listProviders().filter(p => p.enabled)) {
+        results.push(await this.probe(provider.id));
+      }
+    } finally {
+      this.isProbing = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Start periodic probing
+   * @param {boolean} immediate - Run first probe right away
+   */
+  start(immediate = true) {
+    this.stop();
+
+    this.timer = setInterval(() => {
+      this.probeAll().catch(error => console.error('Health probe error:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    if (immediate) {
+      this.probeAll().catch(error => console.error('Health probe error:', error.message));
+    }
+  }
+
+  /**
+   * Stop periodic probing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get health report for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Health report
+   */
+  getProviderHealth(providerId) {
+    const record = this.getRecord(providerId);
+    const latencies = record.history.map(h => h.latency).sort((a, b) => a - b);
+    const successes = record.history.filter(h => h.ok).length;
+
+    return {
+      status: record.status,
+      lastCheckedAt: record.lastCheckedAt ? new Date(record.lastCheckedAt).toISOString() : null,
+      lastSuccessAt: record.lastSuccessAt ? new Date(record.lastSuccessAt).toISOString() : null,
+      lastError: record.lastError,
+      consecutiveFailures: record.consecutiveFailures,
+      uptime: record.history.length > 0
+        ? Math.round((successes / record.history.length) * 100 * 100) / 100
+        : null,
+      latency: {
+        last: record.history.length > 0 ? record.history[record.history.length - 1].latency : null,
+        avg: latencies.length > 0
+          ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+          : null,
+        p95: latencies.length > 0 ? latencies[Math.floor(latencies.length * 0.95)] : null
+      },
+      history: record.history.map(h => ({
+        ...h,
+        timestamp: new Date(h.timestamp).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Get health report for all providers
+   * @returns {object} Health report
+   */
+  getReport() {
+    return {
+      interval: this.interval,
+      running: !!this.timer,
+      probing: this.isProbing,
+      providers: listProviders().map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        enabled: provider.enabled,
+        health: provider.health,
+        circuit: provider.circuit.state,
+        probe: this.getProviderHealth(provider.id)
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+const healthProber = new HealthProber();
+
+module.exports = healthProber;
+module.exports.HealthProber = HealthProber;
+module.exports.validateCanaryResult = validateCanaryResult;
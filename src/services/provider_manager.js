@@ -3,16 +3,248 @@
  * Manages multiple providers and handles provider selection
  */
 
-const { getProvider, getDefaultProvider, supportsFeature } = require('../config/providers');
-const { ValidationError } = require('../helper/error_handler');
+const fs = require('fs');
+const path = require('path');
+const {
+  providers,
+  getProvider,
+  getDefaultProviderId,
+  addProvider,
+  removeProvider,
+  supportsFeature
+} = require('../config/providers');
+const {
+  ValidationError,
+  CircuitOpenError,
+  UnsupportedFeatureError,
+  ProviderUnavailableError
+} = require('../helper/error_handler');
+const { OPERATIONS, createScraper } = require('./scraper_engine');
+const { circuitBreakers } = require('./circuit_breaker');
+const schemaContract = require('./schema_contract');
+const searchIndex = require('./search_index');
+const { getMirrorStatus } = require('../helper/mirror_manager');
+const { THEMES, getTheme } = require('../themes');
 
 /**
- * Provider registry mapping with lazy loading to avoid circular dependencies
+ * Default directory scanned for provider plugins
  */
-const providerRegistry = {
-  komikcast: () => require('./scraper_service'),
-  shinigami: () => require('./shinigami_scraper'),
-  aquareader: () => require('./aquareader_scraper')
+const DEFAULT_PROVIDERS_DIR = path.join(__dirname, '../providers');
+
+/**
+ * Provider registry: provider ID -> { loader, scraper }
+ * Loader dipanggil saat pertama kali dipakai untuk menghindari circular dependencies
+ */
+const providerRegistry = new Map();
+
+/**
+ * Validate provider configuration
+ * @param {string} providerId - Provider ID
+ * @param {object} config - Provider configuration
+ * @throws {ValidationError} If configuration is invalid
+ */
+const validateProviderConfig = (providerId, config) => {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    errors.push('config must be an object');
+  } else {
+    if (!config.name || typeof config.name !== 'string') {
+      errors.push('name is required');
+    }
+    if (!config.baseUrl || typeof config.baseUrl !== 'string') {
+      errors.push('baseUrl is required');
+    }
+    const hasTheme = config.theme !== undefined;
+    if (hasTheme && !getTheme(config.theme)) {
+      errors.push(`unknown theme '${config.theme}' (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    // Provider bertema mewarisi features dari tema
+    if ((!hasTheme || config.features !== undefined) && (!config.features || typeof config.features !== 'object')) {
+      errors.push('features must be an object');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid configuration for provider '${providerId}'`, errors);
+  }
+};
+
+/**
+ * Validate that scraper module implements every declared feature
+ * @param {string} providerId - Provider ID
+ * @param {object} scraper - Scraper module
+ * @throws {ValidationError} If a declared feature has no scraper function
+ */
+const validateScraperContract = (providerId, scraper) => {
+  const provider = getProvider(providerId);
+  const errors = [];
+
+  if (!scraper || typeof scraper !== 'object') {
+    throw new ValidationError(`Scraper module for provider '${providerId}' must be an object`);
+  }
+
+  Object.entries(OPERATIONS).forEach(([feature, { method }]) => {
+    if (provider.features?.[feature] && typeof scraper[method] !== 'function') {
+      errors.push(`${method}() is required by feature '${feature}'`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Provider '${providerId}' does not implement its declared features`, errors);
+  }
+};
+
+/**
+ * Validate scraper engine hooks of plugin
+ * @param {string} providerId - Provider ID
+ * @param {object} hooks - Hooks ({ pagination, [operation]: { url, parse, transform } })
+ * @throws {ValidationError} If hooks contain unknown operations or non-function hooks
+ */
+const validateHooks = (providerId, hooks) => {
+  const errors = [];
+
+  if (!hooks || typeof hooks !== 'object') {
+    throw new ValidationError(`Hooks for provider '${providerId}' must be an object`);
+  }
+
+  Object.entries(hooks).forEach(([key, value]) => {
+    if (key === 'pagination') {
+      if (typeof value !== 'function') errors.push('pagination hook must be a function');
+      return;
+    }
+    if (!OPERATIONS[key]) {
+      errors.push(`unknown operation '${key}' in hooks`);
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      errors.push(`${key} hooks must be an object`);
+      return;
+    }
+    Object.entries(value || {}).forEach(([name, hook]) => {
+      if (typeof hook !== 'function') errors.push(`${key}.${name} hook must be a function`);
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid hooks for provider '${providerId}'`, errors);
+  }
+};
+
+/**
+ * Register provider
+ * @param {string} id - Provider ID
+ * @param {object|null} config - Provider configuration (null to use existing config/providers.js entry)
+ * @param {object|Function|null} scraperModule - Scraper module, lazy loader returning one, or null to build from config
+ * @param {object} options - Registration options
+ * @param {boolean} options.eager - Run loader now so contract errors surface at registration
+ * @returns {object} Provider info
+ */
+const registerProvider = (id, config = null, scraperModule = null, options = {}) => {
+  if (!id || typeof id !== 'string') {
+    throw new ValidationError('Provider id is required');
+  }
+
+  const providerId = id.toLowerCase();
+
+  const previousConfig = getProvider(providerId);
+
+  if (config) {
+    validateProviderConfig(providerId, config);
+    addProvider(providerId, config);
+  } else if (!previousConfig) {
+    throw new ValidationError(`Provider '${providerId}' has no configuration`);
+  }
+
+  const entry = { loader: null, scraper: null };
+
+  if (typeof scraperModule === 'function') {
+    entry.loader = scraperModule;
+  } else if (scraperModule) {
+    entry.scraper = scraperModule;
+  } else {
+    entry.loader = () => createScraper(providerId);
+  }
+
+  try {
+    if (options.eager && entry.loader) {
+      entry.scraper = entry.loader();
+    }
+    if (entry.scraper) {
+      validateScraperContract(providerId, entry.scraper);
+    }
+  } catch (error) {
+    // Restore previous configuration so a broken plugin leaves no trace
+    if (previousConfig) {
+      addProvider(providerId, previousConfig);
+    } else {
+      removeProvider(providerId);
+    }
+    throw error;
+  }
+
+  providerRegistry.set(providerId, entry);
+  return getProviderInfo(providerId);
+};
+
+/**
+ * Unregister provider and remove its configuration
+ * @param {string} id - Provider ID
+ * @returns {boolean} True if provider was removed
+ */
+const unregisterProvider = (id) => {
+  const providerId = String(id || '').toLowerCase();
+  const registered = providerRegistry.delete(providerId);
+  circuitBreakers.remove(providerId);
+  return removeProvider(providerId) || registered;
+};
+
+/**
+ * Load provider plugins from directory
+ * Setiap file .js export { id, config, scraper } atau { id, config, hooks } untuk scraper engine.
+ * `scraper` boleh berupa fungsi yang mengembalikan module. Loader (termasuk scraper dari hooks)
+ * langsung dijalankan dan kontraknya divalidasi di sini, jadi plugin yang melanggar kontrak
+ * masuk `failed` saat startup, bukan gagal saat request pertama.
+ * Config dengan `theme` (mis. { theme: 'madara', name, baseUrl }) cukup tanpa scraper maupun hooks.
+ * @param {string} directory - Directory to scan (defaults to PROVIDERS_DIR or src/providers)
+ * @returns {object} Discovery report with loaded and failed providers
+ */
+const discoverProviders = (directory = process.env.PROVIDERS_DIR || DEFAULT_PROVIDERS_DIR) => {
+  const report = { loaded: [], failed: [] };
+
+  if (!directory || !fs.existsSync(directory)) {
+    return report;
+  }
+
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      try {
+        const plugin = require(path.resolve(directory, file));
+        const id = plugin.id || path.basename(file, '.js');
+        let scraper = plugin.scraper || null;
+
+        if (!scraper && plugin.hooks) {
+          validateHooks(id.toLowerCase(), plugin.hooks);
+          scraper = () => createScraper(id.toLowerCase(), plugin.hooks);
+        } else if (!scraper && typeof plugin.getLatestComics === 'function') {
+          scraper = plugin;
+        }
+
+        registerProvider(id, plugin.config || null, scraper, { eager: true });
+        report.loaded.push(id.toLowerCase());
+      } catch (error) {
+        console.error(`Failed to load provider plugin '${file}':`, error.message, error.errors || '');
+        report.failed.push({
+          file,
+          error: error.message,
+          errors: error.errors || []
+        });
+      }
+    });
+
+  return report;
 };
 
 /**
@@ -31,14 +263,21 @@ const getScraperService = (providerId) => {
     throw new ValidationError(`Provider '${providerId}' is not enabled`);
   }
   
-  const scraperLoader = providerRegistry[providerId];
-  
-  if (!scraperLoader) {
-    throw new ValidationError(`Scraper service for provider '${providerId}' not found`);
+  // Config-only provider: build scraper from urlPatterns and selectors
+  if (!providerRegistry.has(providerId)) {
+    registerProvider(providerId);
   }
   
+  const entry = providerRegistry.get(providerId);
+  
   // Lazy load the scraper to avoid circular dependencies
-  return typeof scraperLoader === 'function' ? scraperLoader() : scraperLoader;
+  if (!entry.scraper) {
+    const scraper = entry.loader();
+    validateScraperContract(providerId, scraper);
+    entry.scraper = scraper;
+  }
+  
+  return entry.scraper;
 };
 
 /**
@@ -48,7 +287,7 @@ const getScraperService = (providerId) => {
  */
 const resolveProvider = (requestedProvider) => {
   if (!requestedProvider) {
-    return getDefaultProvider().name.toLowerCase();
+    return getDefaultProviderId();
   }
   
   const providerId = requestedProvider.toLowerCase();
@@ -56,8 +295,7 @@ const resolveProvider = (requestedProvider) => {
   
   if (!provider || !provider.enabled) {
     // Fallback to default provider
-    const defaultProvider = getDefaultProvider();
-    return defaultProvider.name.toLowerCase();
+    return getDefaultProviderId();
   }
   
   return providerId;
@@ -74,35 +312,161 @@ const providerSupportsFeature = (providerId, feature) => {
 };
 
 /**
- * Execute scraper function with provider
+ * Check whether error means the provider itself is failing
+ * (not found / validation errors are request problems, not provider health)
+ * @param {Error} error - Error thrown by scraper
+ * @returns {boolean} True if error counts against provider health
+ */
+const isProviderFailure = (error) => {
+  return error.code === 'NETWORK_ERROR' ||
+    error.code === 'PARSE_ERROR' ||
+    error.code === 'SCHEMA_VIOLATION' ||
+    (!error.code && (error.message?.includes('Failed to') || error.message?.includes('Error scraping')));
+};
+
+/**
+ * Call scraper function through provider circuit breaker
  * @param {string} providerId - Provider ID
  * @param {string} functionName - Scraper function name
  * @param {Array} args - Function arguments
  * @returns {Promise} Scraper result
  */
-const executeScraper = async (providerId, functionName, ...args) => {
+const callWithBreaker = async (providerId, functionName, args) => {
   const scraper = getScraperService(providerId);
   
   if (typeof scraper[functionName] !== 'function') {
     throw new ValidationError(`Function '${functionName}' not found in provider '${providerId}'`);
   }
   
+  const breaker = circuitBreakers.get(providerId);
+  
+  if (!breaker.allowRequest()) {
+    const { nextAttemptAt } = breaker.getState();
+    const retryAfter = nextAttemptAt ? Math.max(1, Math.ceil((Date.parse(nextAttemptAt) - Date.now()) / 1000)) : 1;
+    throw new CircuitOpenError(`Provider '${providerId}' is temporarily unavailable (circuit open)`, retryAfter);
+  }
+  
+  try {
+    const result = await scraper[functionName](...args);
+    // Throws SchemaViolationError in strict mode (counted as provider failure)
+    schemaContract.check(providerId, functionName, result);
+    breaker.recordSuccess();
+    searchIndex.ingest(providerId, functionName, args, result);
+    return result;
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      breaker.recordFailure(error);
+    } else {
+      // Request-level error: provider responded, so it is reachable
+      breaker.recordSuccess();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get enabled providers that support a feature (default provider first)
+ * @param {string} feature - Feature name
+ * @returns {Array} Provider IDs
+ */
+const getProvidersWithFeature = (feature) => {
+  const defaultProviderId = getDefaultProviderId();
+  return Object.keys(providers)
+    .filter(id => providers[id].enabled && supportsFeature(id, feature))
+    .sort((a, b) => (a === defaultProviderId ? -1 : b === defaultProviderId ? 1 : 0));
+};
+
+/**
+ * Negotiate which provider serves a feature
+ * Tanpa `allowFallback`, provider yang tidak mendukung fitur menghasilkan error terstruktur
+ * @param {string} requestedProvider - Requested provider ID (optional)
+ * @param {string} feature - Feature name (key of provider features)
+ * @param {boolean} allowFallback - Route to a supporting provider instead of failing
+ * @returns {object} { providerId, requested, fallback }
+ * @throws {ProviderUnavailableError} If requested provider is unknown or disabled (422)
+ * @throws {UnsupportedFeatureError} If provider does not support feature (501)
+ */
+const negotiateProvider = (requestedProvider, feature, allowFallback = false) => {
+  const requested = requestedProvider ? String(requestedProvider).toLowerCase() : getDefaultProviderId();
+  const supportedProviders = getProvidersWithFeature(feature);
+  const provider = getProvider(requested);
+
+  if (!provider || !provider.enabled) {
+    if (!allowFallback || supportedProviders.length === 0) {
+      throw new ProviderUnavailableError(
+        `Provider '${requested}' is ${provider ? 'disabled' : 'not registered'}`,
+        {
+          provider: requested,
+          capability: feature,
+          availableProviders: Object.keys(providers).filter(id => providers[id].enabled),
+          supportedProviders,
+          hint: 'Use a provider from supportedProviders or add fallback=true'
+        }
+      );
+    }
+    return { providerId: supportedProviders[0], requested, fallback: true };
+  }
+
+  if (supportsFeature(requested, feature)) {
+    return { providerId: requested, requested, fallback: false };
+  }
+
+  if (allowFallback && supportedProviders.length > 0) {
+    return { providerId: supportedProviders[0], requested, fallback: true };
+  }
+
+  throw new UnsupportedFeatureError(
+    `Provider '${requested}' does not support '${feature}'`,
+    {
+      provider: requested,
+      capability: feature,
+      supportedProviders,
+      hint: supportedProviders.length > 0
+        ? 'Use a provider from supportedProviders or add fallback=true'
+        : 'No enabled provider supports this capability'
+    }
+  );
+};
+
+/**
+ * Execute scraper function on one provider only (tanpa fallback ke default provider)
+ * Dipakai saat argumen spesifik per provider, mis. slug komik
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise} Scraper result
+ */
+const executeScraperWithoutFallback = async (providerId, functionName, ...args) => {
+  return callWithBreaker(providerId, functionName, args);
+};
+
+/**
+ * Execute scraper function with provider
+ * Request ke provider dengan circuit terbuka langsung dialihkan ke default provider
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise} Scraper result
+ */
+const executeScraper = async (providerId, functionName, ...args) => {
   try {
-    return await scraper[functionName](...args);
+    return await callWithBreaker(providerId, functionName, args);
   } catch (error) {
-    // Only fallback if it's a network/parse error, not validation errors
-    const defaultProvider = getDefaultProvider();
+    // Only fallback if it's a network/parse error or open circuit, not validation errors
+    const defaultProviderId = getDefaultProviderId();
     const isNetworkError = error.code === 'NETWORK_ERROR' || 
                           error.code === 'PARSE_ERROR' || 
                           error.code === 'NOT_FOUND' ||
+                          error.code === 'CIRCUIT_OPEN' ||
+                          error.code === 'SCHEMA_VIOLATION' ||
                           error.message?.includes('Failed to') ||
                           error.message?.includes('Error scraping');
     
-    if (providerId !== defaultProvider.name.toLowerCase() && isNetworkError) {
+    if (providerId !== defaultProviderId && isNetworkError) {
       console.warn(`Provider '${providerId}' failed with ${error.code || error.message}, falling back to default provider`);
-      const defaultScraper = getScraperService(defaultProvider.name.toLowerCase());
+      const defaultScraper = getScraperService(defaultProviderId);
       if (typeof defaultScraper[functionName] === 'function') {
-        return await defaultScraper[functionName](...args);
+        return await callWithBreaker(defaultProviderId, functionName, args);
       }
     }
     throw error;
@@ -123,7 +487,10 @@ const getProviderInfo = (providerId) => {
     name: provider.name,
     baseUrl: provider.baseUrl,
     enabled: provider.enabled,
-    features: provider.features
+    features: provider.features,
+    mirror: getMirrorStatus()[providerId] || null,
+    health: circuitBreakers.getHealth(providerId),
+    circuit: circuitBreakers.getState(providerId)
   };
 };
 
@@ -132,14 +499,25 @@ const getProviderInfo = (providerId) => {
  * @returns {Array} Array of provider info
  */
 const listProviders = () => {
-  return Object.keys(providerRegistry).map(id => getProviderInfo(id)).filter(Boolean);
+  return Object.keys(providers).map(id => getProviderInfo(id)).filter(Boolean);
 };
 
+// Built-in providers
+registerProvider('komikcast'); // Scraper engine dari selectors di config/providers.js
+registerProvider('shinigami', null, () => require('./shinigami_scraper'));
+registerProvider('aquareader', null, () => require('./aquareader_scraper'));
+
 module.exports = {
+  registerProvider,
+  unregisterProvider,
+  discoverProviders,
   getScraperService,
   resolveProvider,
   providerSupportsFeature,
+  getProvidersWithFeature,
+  negotiateProvider,
   executeScraper,
+  executeScraperWithoutFallback,
   getProviderInfo,
   listProviders
 };
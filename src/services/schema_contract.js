@@ -0,0 +1,326 @@
+/**
+ * Schema Contract Service
+ * Kontrak output scraper (list item, detail, chapter, genre) yang dicek di boundary
+ * executeScraper. Pelanggaran dihitung per provider agar selector drift (judul kosong,
+ * thumbnail hilang, nol chapter) terlihat di dashboard; strict mode mengubahnya jadi error.
+ */
+
+const { OPERATIONS } = require('./scraper_engine');
+const { SchemaViolationError } = require('../helper/error_handler');
+
+const nonEmptyString = { type: 'string', nonEmpty: true };
+
+/**
+ * Field schemas (rule: type, nonEmpty, integer, min, max, optional, items, fields)
+ */
+const SCHEMAS = {
+  comicItem: {
+    title: nonEmptyString,
+    href: nonEmptyString,
+    thumbnail: nonEmptyString,
+    type: { type: 'string', optional: true },
+    chapter: { type: 'string', optional: true },
+    rating: { type: 'number', min: 0, max: 10, optional: true }
+  },
+  genre: {
+    title: nonEmptyString,
+    href: nonEmptyString
+  },
+  chapterItem: {
+    title: nonEmptyString,
+    href: nonEmptyString,
+    number: { type: 'number', min: 0, optional: true }
+  }
+};
+
+const comicList = (nonEmpty) => ({
+  type: 'array',
+  nonEmpty,
+  items: { type: 'object', fields: SCHEMAS.comicItem }
+});
+
+const paginatedList = {
+  type: 'object',
+  fields: {
+    current_page: { type: 'number', integer: true, min: 1 },
+    length_page: { type: 'number', integer: true, min: 1 },
+    total_items: { type: 'number', integer: true, min: 0, optional: true },
+    data: comicList(true)
+  }
+};
+
+/**
+ * Output contract per operation
+ */
+const CONTRACTS = {
+  latest: paginatedList,
+  genre: paginatedList,
+  search: comicList(false), // Keyword tanpa hasil itu wajar
+  popular: comicList(true),
+  recommended: comicList(true),
+  genreList: {
+    type: 'array',
+    nonEmpty: true,
+    items: { type: 'object', fields: SCHEMAS.genre }
+  },
+  detail: {
+    type: 'object',
+    fields: {
+      ...SCHEMAS.comicItem,
+      href: { type: 'string', optional: true }, // Detail tidak selalu membawa href
+      genre: { type: 'array', optional: true, items: { type: 'object', fields: SCHEMAS.genre } },
+      chapter: { type: 'array', nonEmpty: true, items: { type: 'object', fields: SCHEMAS.chapterItem } }
+    }
+  },
+  read: {
+    type: 'object',
+    fields: {
+      title: { type: 'string', optional: true },
+      panel: { type: 'array', nonEmpty: true, items: nonEmptyString }
+    }
+  }
+};
+
+/**
+ * Detail dengan chapterPage: halaman di luar jangkauan memang kosong, bukan drift
+ */
+const PAGED_DETAIL_CONTRACT = {
+  ...CONTRACTS.detail,
+  fields: {
+    ...CONTRACTS.detail.fields,
+    chapter: { ...CONTRACTS.detail.fields.chapter, nonEmpty: false }
+  }
+};
+
+/**
+ * Operation key by scraper function name
+ */
+const OPERATION_BY_METHOD = Object.entries(OPERATIONS).reduce((map, [operation, definition]) => {
+  map[definition.method] = operation;
+  return map;
+}, {});
+
+/**
+ * Get type name of value as used in rules
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && isNaN(value)) return 'NaN';
+  return typeof value;
+};
+
+/**
+ * Check value against rule, collecting violations
+ * Item array memakai path `[]` sehingga pelanggaran yang sama di banyak item digabung
+ * @param {*} value - Value to check
+ * @param {object} rule - Schema rule
+ * @param {string} path - Value path
+ * @param {Map} violations - path:rule -> violation
+ */
+const checkValue = (value, rule, path, violations) => {
+  const add = (type, message) => {
+    const key = `${path}:${type}`;
+    if (violations.has(key)) {
+      violations.get(key).count++;
+    } else {
+      violations.set(key, { path, rule: type, message, count: 1 });
+    }
+  };
+
+  if (value === undefined || value === null) {
+    if (!rule.optional) add('missing', `${path} is missing`);
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (actualType !== rule.type) {
+    add('type', `${path} should be ${rule.type}, got ${actualType}`);
+    return;
+  }
+
+  if (rule.nonEmpty && (rule.type === 'string' ? !value.trim() : value.length === 0)) {
+    add('empty', `${path} is empty`);
+  }
+
+  if (rule.type === 'number') {
+    if (rule.integer && !Number.isInteger(value)) add('integer', `${path} should be an integer`);
+    if (rule.min !== undefined && value < rule.min) add('range', `${path} is below ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) add('range', `${path} is above ${rule.max}`);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach(item => checkValue(item, rule.items, `${path}[]`, violations));
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+      checkValue(value[field], fieldRule, `${path}.${field}`, violations);
+    });
+  }
+};
+
+/**
+ * Validate scraper output against operation contract
+ * @param {string} operation - Operation key
+ * @param {*} result - Scraper output
+ * @returns {Array} Violations { path, rule, message, count }
+ */
+const validateOutput = (operation, result) => {
+  const contract = operation === 'detail' && result?.chapter_pagination
+    ? PAGED_DETAIL_CONTRACT
+    : CONTRACTS[operation];
+  if (!contract) return [];
+
+  const violations = new Map();
+  checkValue(result, contract, '$', violations);
+  return [...violations.values()];
+};
+
+/**
+ * Schema Contract Service
+ */
+class SchemaContractService {
+  constructor(options = {}) {
+    this.strict = options.strict !== undefined
+      ? options.strict
+      : process.env.SCRAPER_SCHEMA_STRICT === 'true';
+    this.maxRecent = options.maxRecent || 20;
+
+    // Violation statistics per provider
+    this.stats = new Map();
+  }
+
+  /**
+   * Get (or create) statistics record for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Statistics record
+   */
+  getRecord(providerId) {
+    if (!this.stats.has(providerId)) {
+      this.stats.set(providerId, {
+        checked: 0,
+        violated: 0,
+        violations: 0,
+        byRule: {},
+        recent: [],
+        logged: new Set() // Drift yang sudah di-log (sekali per operation/path/rule)
+      });
+    }
+    return this.stats.get(providerId);
+  }
+
+  /**
+   * Check scraper output at executeScraper boundary
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {*} result - Scraper output
+   * @returns {Array} Violations (empty if output matches contract)
+   * @throws {SchemaViolationError} In strict mode when output violates contract
+   */
+  check(providerId, functionName, result) {
+    const operation = OPERATION_BY_METHOD[functionName];
+    if (!operation) return [];
+
+    const violations = validateOutput(operation, result);
+    const record = this.getRecord(providerId);
+    record.checked++;
+
+    if (violations.length === 0) {
+      return violations;
+    }
+
+    record.violated++;
+    const newDrift = [];
+    violations.forEach(violation => {
+      const key = `${operation} ${violation.path} ${violation.rule}`;
+      record.violations += violation.count;
+      record.byRule[key] = (record.byRule[key] || 0) + violation.count;
+      if (!record.logged.has(key)) {
+        record.logged.add(key);
+        newDrift.push(violation);
+      }
+    });
+
+    record.recent.push({
+      timestamp: new Date().toISOString(),
+      operation,
+      violations
+    });
+    if (record.recent.length > this.maxRecent) {
+      record.recent.shift();
+    }
+
+    if (newDrift.length > 0) {
+      console.warn(`Schema drift in '${providerId}' ${operation}: ${newDrift.map(v => v.message).join(', ')}`);
+    }
+
+    if (this.strict) {
+      throw new SchemaViolationError(
+        `Output of '${functionName}' from provider '${providerId}' violates schema`,
+        violations
+      );
+    }
+
+    return violations;
+  }
+
+  /**
+   * Enable or disable strict mode
+   * @param {boolean} strict - Strict mode
+   */
+  setStrict(strict) {
+    this.strict = !!strict;
+  }
+
+  /**
+   * Get violation statistics
+   * @param {string} providerId - Provider ID (optional, all providers if omitted)
+   * @returns {object} Statistics
+   */
+  getStats(providerId = null) {
+    const format = (record) => ({
+      checked: record.checked,
+      violated: record.violated,
+      violationRate: record.checked > 0
+        ? Math.round((record.violated / record.checked) * 100 * 100) / 100
+        : 0,
+      violations: record.violations,
+      byRule: { ...record.byRule },
+      recent: [...record.recent]
+    });
+
+    if (providerId) {
+      return format(this.getRecord(providerId));
+    }
+
+    const providers = {};
+    this.stats.forEach((record, id) => {
+      providers[id] = format(record);
+    });
+
+    return { strict: this.strict, providers };
+  }
+
+  /**
+   * Reset violation statistics
+   * @param {string} providerId - Provider ID (optional, all providers if omitted)
+   */
+  reset(providerId = null) {
+    if (providerId) {
+      this.stats.delete(providerId);
+    } else {
+      this.stats.clear();
+    }
+  }
+}
+
+// Export singleton instance
+const schemaContract = new SchemaContractService();
+
+module.exports = schemaContract;
+module.exports.SchemaContractService = SchemaContractService;
+module.exports.CONTRACTS = CONTRACTS;
+module.exports.validateOutput = validateOutput;
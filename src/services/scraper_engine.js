@@ -0,0 +1,558 @@
+/**
+ * Scraper Engine
+ * Generic selector-driven scraper yang membangun URL dari `urlPatterns`
+ * dan mengekstrak data dari `selectors` di config/providers.js
+ * Provider dengan struktur khusus (JSON API, markup tidak konsisten) bisa menambahkan hooks
+ */
+
+const cheerio = require('cheerio');
+const { AxiosService } = require('../helper/axios_service');
+const { ParseError, NotFoundError, UnsupportedFeatureError } = require('../helper/error_handler');
+const { getProvider } = require('../config/providers');
+const {
+  normalizeComicItem,
+  normalizeChapterItem,
+  normalizeUrl
+} = require('../helper/data_validator');
+const { parsePagination } = require('../helper/pagination_parser');
+const { getThemeHooks } = require('../themes');
+
+/**
+ * Scraper operations mapped to the scraper function contract
+ * Key operasi sama dengan key di `urlPatterns`, `selectors` dan `features`
+ */
+const OPERATIONS = {
+  latest: {
+    method: 'getLatestComics',
+    params: ['page'],
+    kind: 'list',
+    paginated: true,
+    fetchMessage: 'Failed to fetch latest comics',
+    errorMessage: 'Error scraping latest comics'
+  },
+  genre: {
+    method: 'getComicsByGenre',
+    params: ['genre', 'page'],
+    kind: 'list',
+    paginated: true,
+    fetchMessage: 'Failed to fetch comics by genre',
+    errorMessage: 'Error scraping comics by genre'
+  },
+  genreList: {
+    method: 'getGenres',
+    params: [],
+    kind: 'genreList',
+    fetchMessage: 'Failed to fetch genres',
+    errorMessage: 'Error scraping genres'
+  },
+  detail: {
+    method: 'getComicDetail',
+    params: ['slug', 'options'],
+    kind: 'detail',
+    fetchMessage: 'Failed to fetch comic detail',
+    errorMessage: 'Error scraping comic detail'
+  },
+  read: {
+    method: 'readChapter',
+    params: ['slug'],
+    kind: 'read',
+    fetchMessage: 'Failed to fetch chapter',
+    errorMessage: 'Error scraping chapter'
+  },
+  search: {
+    method: 'searchComics',
+    params: ['keyword'],
+    kind: 'list',
+    fetchMessage: 'Failed to search comics',
+    errorMessage: 'Error searching comics'
+  },
+  popular: {
+    method: 'getPopularComics',
+    params: [],
+    kind: 'list',
+    fetchMessage: 'Failed to fetch popular comics',
+    errorMessage: 'Error scraping popular comics'
+  },
+  recommended: {
+    method: 'getRecommendedComics',
+    params: [],
+    kind: 'list',
+    fetchMessage: 'Failed to fetch recommended comics',
+    errorMessage: 'Error scraping recommended comics'
+  }
+};
+
+// Fields read from an attribute instead of element text
+const ATTRIBUTE_FIELDS = {
+  href: 'href',
+  thumbnail: 'src',
+  chapterHref: 'href',
+  panels: 'src'
+};
+
+// Comic fields extracted from list items (same keys as normalizeComicItem)
+const COMIC_FIELDS = [
+  'title', 'href', 'thumbnail', 'type', 'chapter', 'rating',
+  'genre', 'year', 'status', 'author', 'released', 'description'
+];
+
+// URL params that must be encoded before being placed in a pattern
+const ENCODED_PARAMS = ['keyword'];
+
+// Path params yang sering berupa href hasil scraper ('/one-piece/'); slash di ujung dibuang
+// agar tidak dobel dengan slash pattern
+const PATH_PARAMS = ['slug', 'genre'];
+
+/**
+ * Build URL from a provider URL pattern
+ * Pattern dari `api.urlPatterns` dipakai lebih dulu jika provider punya JSON API
+ * @param {object} provider - Provider configuration
+ * @param {string} name - Pattern name
+ * @param {object} params - Placeholder values
+ * @returns {string|Array|null} URL, array of candidate URLs, or null if pattern is not defined
+ */
+const buildUrl = (provider, name, params = {}) => {
+  const apiPattern = provider.api?.urlPatterns?.[name];
+  const pattern = apiPattern || provider.urlPatterns?.[name];
+  const baseUrl = apiPattern ? provider.api.baseUrl : provider.baseUrl;
+
+  if (!pattern) {
+    return null;
+  }
+
+  const build = (template) => {
+    let path = template;
+
+    // WordPress sites serve page 1 without the /page/{page} segment
+    if (provider.omitFirstPage && (!params.page || parseInt(params.page) <= 1)) {
+      path = path.replace(/\/page\/\{page\}/, '');
+    }
+
+    path = path.replace(/\{(\w+)\}/g, (match, key) => {
+      const value = params[key];
+      if (value === undefined || value === null) return '';
+      if (PATH_PARAMS.includes(key)) return String(value).replace(/^\/+|\/+$/g, '');
+      return ENCODED_PARAMS.includes(key) ? encodeURIComponent(value) : String(value);
+    });
+
+    if (/^https?:\/\//.test(path)) return path;
+    return path === '/' ? baseUrl : `${baseUrl}${path}`;
+  };
+
+  return Array.isArray(pattern) ? pattern.map(build) : build(pattern);
+};
+
+/**
+ * Read first non-empty attribute from element
+ * @param {object} $el - Cheerio element
+ * @param {string|Array} attr - Attribute name or names in priority order (mis. lazy-load images)
+ * @returns {string} Attribute value or empty string
+ */
+const readAttr = ($el, attr) => {
+  for (const name of [].concat(attr)) {
+    const value = ($el.attr(name) || '').trim();
+    if (value && !value.startsWith('data:')) return value;
+  }
+  return '';
+};
+
+/**
+ * Find value element of a labelled info row (mis. "Status: Ongoing" di tema WordPress)
+ * @param {object} $scope - Cheerio element to search in
+ * @param {string} selector - Row selector
+ * @param {string} label - Row label, regex alternatives allowed ("Author|Penulis")
+ * @param {string} valueSelector - Value selector inside row (optional)
+ * @returns {object|null} { $el, label pattern } or null if no row matches
+ */
+const findLabelledRow = ($scope, selector, label, valueSelector) => {
+  const pattern = new RegExp(`^\\s*(?:${label})\\s*(?:\\(s\\))?\\s*:?\\s*`, 'i');
+  const $rows = $scope.find(selector);
+
+  for (let i = 0; i < $rows.length; i++) {
+    const $row = $rows.eq(i);
+    if (pattern.test($row.text())) {
+      return { $el: valueSelector ? $row.find(valueSelector) : $row, pattern };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Extract a single field from element
+ * Spec bisa berupa selector string, object { selector, attr, strip, label, value },
+ * atau array spec yang dicoba berurutan sampai ada hasil.
+ * `attr` boleh array (dicoba berurutan); `label` memilih baris info yang diawali label itu
+ * dan `value` menunjuk elemen nilai di dalam baris tersebut.
+ * @param {object} $scope - Cheerio element to search in
+ * @param {string|object|Array} spec - Field selector spec
+ * @param {string} field - Field name (used to pick default attribute)
+ * @returns {string} Extracted value or empty string
+ */
+const extractField = ($scope, spec, field) => {
+  if (!spec) return '';
+
+  if (Array.isArray(spec)) {
+    for (const candidate of spec) {
+      const value = extractField($scope, candidate, field);
+      if (value) return value;
+    }
+    return '';
+  }
+
+  const { selector, attr = ATTRIBUTE_FIELDS[field], strip, label, value: valueSelector } = typeof spec === 'string'
+    ? { selector: spec }
+    : spec;
+
+  let $el = $scope.find(selector);
+  let labelPattern = null;
+
+  if (label) {
+    const row = findLabelledRow($scope, selector, label, valueSelector);
+    if (!row) return '';
+    $el = row.$el;
+    labelPattern = valueSelector ? null : row.pattern;
+  }
+
+  let value = attr ? readAttr($el.first(), attr) : $el.text().trim();
+  if (labelPattern) {
+    value = value.replace(labelPattern, '').trim();
+  }
+  if (strip) {
+    value = value.replace(strip, '').trim();
+  }
+
+  return value;
+};
+
+/**
+ * Build href prefix used when normalizing scraped links
+ * @param {object} context - Scraper context
+ * @param {string} type - Link type (comic, chapter, genre)
+ * @returns {string} Base URL with type prefix
+ */
+const hrefBase = (context, type) => {
+  return `${context.baseUrl}${context.hrefPrefixes[type] || ''}`;
+};
+
+/**
+ * Extract pagination info (the `pagination` selector marks the current page)
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio element
+ * @param {object} selectors - Operation selectors
+ * @param {object} context - Scraper context
+ * @returns {object} Pagination info
+ */
+const extractPagination = ($, element, selectors, context = {}) => {
+  return parsePagination($, element, {
+    currentSelector: selectors.pagination,
+    currentPage: context.params?.page
+  });
+};
+
+/**
+ * Extract comic list from container
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio container element
+ * @param {object} selectors - Operation selectors
+ * @param {object} context - Scraper context
+ * @returns {Array} Array of comic items
+ */
+const extractComicList = ($, element, selectors, context) => {
+  const comics = [];
+
+  element.find(selectors.items).each((i, data) => {
+    try {
+      const $item = $(data);
+      const item = {};
+
+      COMIC_FIELDS.forEach(field => {
+        item[field] = extractField($item, selectors[field], field);
+      });
+
+      if (item.title && item.href) {
+        comics.push(normalizeComicItem({
+          ...item,
+          href: normalizeUrl(item.href, hrefBase(context, 'comic'))
+        }, context.baseUrl));
+      }
+    } catch (error) {
+      console.error('Error extracting comic item:', error);
+    }
+  });
+
+  return comics;
+};
+
+/**
+ * Extract genre links
+ * @param {object} $ - Cheerio instance
+ * @param {object} elements - Cheerio elements (genre items)
+ * @param {object} selectors - Selectors for title/href inside each item (omit to read the item itself)
+ * @param {object} context - Scraper context
+ * @returns {Array} Array of genres
+ */
+const extractGenreLinks = ($, elements, selectors, context) => {
+  const genres = [];
+
+  elements.each((i, data) => {
+    const $item = $(data);
+    const title = selectors.title ? $item.find(selectors.title).text().trim() : $item.text().trim();
+    const href = (selectors.href ? $item.find(selectors.href).attr('href') : $item.attr('href')) || '';
+
+    if (title && href) {
+      genres.push({
+        title,
+        href: normalizeUrl(href, hrefBase(context, 'genre'))
+      });
+    }
+  });
+
+  return genres;
+};
+
+/**
+ * Extract comic detail from container
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio container element
+ * @param {object} selectors - Detail selectors
+ * @param {object} context - Scraper context
+ * @returns {object} Comic detail
+ */
+const extractComicDetail = ($, element, selectors, context) => {
+  const chapters = [];
+  if (selectors.chapters) {
+    element.find(selectors.chapters).each((i, data) => {
+      const $item = $(data);
+      const title = extractField($item, selectors.chapterTitle, 'chapterTitle');
+      const href = extractField($item, selectors.chapterHref, 'chapterHref');
+      const date = extractField($item, selectors.chapterDate, 'chapterDate');
+
+      if (title && href) {
+        chapters.push(normalizeChapterItem({
+          title,
+          href: normalizeUrl(href, hrefBase(context, 'chapter')),
+          date
+        }, context.baseUrl));
+      }
+    });
+  }
+
+  const genres = selectors.genres
+    ? extractGenreLinks($, element.find(selectors.genres), {}, context)
+    : [];
+
+  const detail = {};
+  ['title', 'rating', 'status', 'type', 'released', 'author', 'description', 'thumbnail'].forEach(field => {
+    detail[field] = extractField(element, selectors[field], field);
+  });
+
+  return {
+    ...normalizeComicItem({ ...detail, genre: genres }, context.baseUrl),
+    chapter: chapters
+  };
+};
+
+/**
+ * Extract chapter panels from container
+ * @param {object} $ - Cheerio instance
+ * @param {object} element - Cheerio container element
+ * @param {object} selectors - Read selectors
+ * @returns {object} Chapter data with images
+ */
+const extractChapter = ($, element, selectors) => {
+  const panels = [];
+  const { selector, attr = ATTRIBUTE_FIELDS.panels } = typeof selectors.panels === 'string'
+    ? { selector: selectors.panels }
+    : selectors.panels;
+
+  element.find(selector).each((i, data) => {
+    const src = readAttr($(data), attr);
+    if (src && !panels.includes(src)) {
+      panels.push(src);
+    }
+  });
+
+  return {
+    title: extractField(element, selectors.title, 'title'),
+    panel: panels
+  };
+};
+
+/**
+ * Fetch page, trying each candidate URL in order when given an array
+ * @param {string|Array} url - URL or candidate URLs
+ * @param {object} options - AxiosService options (mis. { method: 'post', data })
+ * @returns {Promise<object|null>} Axios response
+ */
+const fetchPage = async (url, options = {}) => {
+  if (!Array.isArray(url)) {
+    return AxiosService(url, options);
+  }
+
+  let response = null;
+  for (const candidate of url) {
+    try {
+      response = await AxiosService(candidate, options);
+      if (response.status === 200) break;
+    } catch (error) {
+      continue;
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Parse HTML response using provider selectors
+ * @param {object} response - Axios response
+ * @param {object} definition - Operation definition
+ * @param {object} context - Scraper context
+ * @returns {*} Parsed result
+ */
+const parseWithSelectors = (response, definition, context) => {
+  const selectors = context.selectors;
+
+  if (!selectors) {
+    throw new ParseError(`No selectors configured for '${context.operation}'`);
+  }
+
+  const $ = cheerio.load(response.data);
+  const element = $(selectors.container);
+
+  switch (definition.kind) {
+    case 'detail':
+      return extractComicDetail($, element, selectors, context);
+    case 'read':
+      return extractChapter($, element, selectors);
+    case 'genreList':
+      return extractGenreLinks($, element.find(selectors.items), selectors, context);
+    default: {
+      const comics = extractComicList($, element, selectors, context);
+      if (!definition.paginated) {
+        return comics;
+      }
+
+      const paginate = context.hooks.pagination || extractPagination;
+      return {
+        ...paginate($, element, selectors, context),
+        data: comics
+      };
+    }
+  }
+};
+
+/**
+ * Run a scraper operation for provider
+ * @param {string} providerId - Provider ID
+ * @param {string} operation - Operation key
+ * @param {Array} args - Scraper function arguments
+ * @param {object} hooks - Provider hooks
+ * @returns {Promise<*>} Operation result
+ */
+const runOperation = async (providerId, operation, args, hooks) => {
+  const definition = OPERATIONS[operation];
+  const provider = getProvider(providerId);
+  const hook = hooks[operation] || {};
+
+  const params = {};
+  definition.params.forEach((name, index) => {
+    params[name] = args[index];
+  });
+  if (definition.paginated) {
+    params.page = params.page || 1;
+  }
+
+  const context = {
+    providerId,
+    provider,
+    operation,
+    params,
+    hooks,
+    baseUrl: provider.baseUrl,
+    hrefPrefixes: provider.hrefPrefixes || {},
+    selectors: provider.selectors?.[operation] || null,
+    buildUrl: (name, values = params) => buildUrl(provider, name, values),
+    fetch: fetchPage,
+    parseDefault: (response) => parseWithSelectors(response, definition, context)
+  };
+
+  try {
+    const url = hook.url ? hook.url(params, context) : context.buildUrl(operation);
+    if (!url) {
+      throw new UnsupportedFeatureError(`Operation '${operation}' is not supported by ${provider.name} provider`, {
+        capability: operation,
+        provider: providerId
+      });
+    }
+
+    const response = await fetchPage(url);
+    if (!response || response.status !== 200) {
+      throw new ParseError(definition.fetchMessage);
+    }
+
+    const result = hook.parse
+      ? await hook.parse(response, context)
+      : parseWithSelectors(response, definition, context);
+
+    return hook.transform ? hook.transform(result, context) : result;
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof UnsupportedFeatureError) {
+      throw error;
+    }
+    throw new ParseError(`${definition.errorMessage}: ${error.message}`, error);
+  }
+};
+
+/**
+ * Merge hook sets per operation (later sets win)
+ * @param {...object} hookSets - Hook sets
+ * @returns {object} Merged hooks
+ */
+const mergeHooks = (...hookSets) => {
+  return hookSets.reduce((merged, hooks) => {
+    Object.entries(hooks || {}).forEach(([key, value]) => {
+      merged[key] = typeof value === 'function' ? value : { ...(merged[key] || {}), ...value };
+    });
+    return merged;
+  }, {});
+};
+
+/**
+ * Create scraper module for provider
+ * Hasilnya mengimplementasikan kontrak scraper (getLatestComics, getComicDetail, readChapter, dst.)
+ * Provider dengan `theme` mewarisi hooks tema; hooks yang diberikan di sini menimpa per operasi.
+ * @param {string} providerId - Provider ID (key in config/providers.js)
+ * @param {object} hooks - Optional hooks
+ * @param {Function} hooks.pagination - Custom pagination extractor ($, element, selectors, context)
+ * @param {object} hooks[operation] - Per-operation hooks: url(params, context), parse(response, context), transform(result, context)
+ * @returns {object} Scraper module
+ */
+const createScraper = (providerId, hooks = {}) => {
+  const provider = getProvider(providerId);
+
+  if (!provider) {
+    throw new ParseError(`Provider '${providerId}' is not configured`);
+  }
+
+  const mergedHooks = mergeHooks(getThemeHooks(provider.theme), hooks);
+  const scraper = {};
+
+  Object.entries(OPERATIONS).forEach(([operation, definition]) => {
+    scraper[definition.method] = (...args) => runOperation(providerId, operation, args, mergedHooks);
+  });
+
+  return scraper;
+};
+
+module.exports = {
+  OPERATIONS,
+  buildUrl,
+  extractField,
+  extractPagination,
+  extractComicList,
+  extractComicDetail,
+  extractChapter,
+  extractGenreLinks,
+  createScraper
+};
@@ -0,0 +1,499 @@
+/**
+ * Search Index Service
+ * Inverted index lokal dari listing (latest, genre, popular, dst.) dan detail page yang
+ * sudah di-scrape, sehingga `/search?source=index` bisa dijawab tanpa request ke situs.
+ * Index diperbarui incremental setiap kali provider_manager menerima hasil scraper baru.
+ */
+
+const searchRanker = require('./search_ranker');
+const { toTokens, maxEditsFor } = require('./search_ranker');
+
+/**
+ * Scraper functions whose output feeds the index
+ */
+const LIST_FUNCTIONS = [
+  'getLatestComics',
+  'getComicsByGenre',
+  'getPopularComics',
+  'getRecommendedComics',
+  'searchComics'
+];
+
+// Fields copied from scraper output into index documents
+const DOCUMENT_FIELDS = ['title', 'thumbnail', 'type', 'status', 'author', 'released', 'description'];
+
+/**
+ * Convert href/slug to document slug
+ * @param {string} href - Comic href or slug
+ * @returns {string} Slug without surrounding slashes
+ */
+const toSlug = (href) => {
+  return String(href || '').trim().replace(/^\/+|\/+$/g, '');
+};
+
+/**
+ * Normalize genre title or slug for filtering ("Slice of Life", "slice-of-life")
+ * @param {string} genre - Genre title or slug
+ * @returns {string} Genre key
+ */
+const toGenreKey = (genre) => {
+  return toTokens(toSlug(genre).split('/').pop().replace(/[-_]+/g, ' ')).join(' ');
+};
+
+/**
+ * Create token trie node
+ * @returns {object} Node { children, token, size }
+ */
+const createNode = () => ({ children: new Map(), token: null, size: 0 });
+
+/**
+ * Token Trie
+ * Mencari token index yang cocok dengan query token seperti `matchToken` (exact, prefix,
+ * typo dan typo di awalan) dengan hanya menelusuri cabang yang jarak edit-nya
+ * (optimal string alignment) masih dalam batas, bukan memindai semua token.
+ */
+class TokenTrie {
+  constructor() {
+    this.root = createNode();
+  }
+
+  /**
+   * Add token
+   * @param {string} token - Token (belum ada di trie)
+   */
+  add(token) {
+    let node = this.root;
+    node.size++;
+
+    for (let i = 0; i < token.length; i++) {
+      if (!node.children.has(token[i])) {
+        node.children.set(token[i], createNode());
+      }
+      node = node.children.get(token[i]);
+      node.size++;
+    }
+
+    node.token = token;
+  }
+
+  /**
+   * Remove token
+   * @param {string} token - Token (sudah ada di trie)
+   */
+  remove(token) {
+    let node = this.root;
+    node.size--;
+
+    for (let i = 0; i < token.length; i++) {
+      const child = node.children.get(token[i]);
+      if (!child) return;
+      child.size--;
+      if (child.size === 0) {
+        node.children.delete(token[i]);
+        return;
+      }
+      node = child;
+    }
+
+    node.token = null;
+  }
+
+  /**
+   * Remove all tokens
+   */
+  clear() {
+    this.root = createNode();
+  }
+
+  /**
+   * Collect every token below node
+   * @param {object} node - Trie node
+   * @param {Array} tokens - Output tokens
+   */
+  collect(node, tokens) {
+    if (node.token) tokens.push(node.token);
+    node.children.forEach(child => this.collect(child, tokens));
+  }
+
+  /**
+   * Find tokens matching query token
+   * @param {string} query - Query token
+   * @returns {Array} Matching tokens
+   */
+  find(query) {
+    const maxEdits = maxEditsFor(query.length);
+    const tokens = [];
+
+    // row[i] = jarak edit antara query[0..i] dan awalan token di node saat ini
+    const walk = (node, depth, row, previousRow, previousChar) => {
+      // Query sudah habis dan awalan token cocok: semua token di bawahnya prefix match
+      if (depth === query.length && query.length >= 2 && row[query.length] <= maxEdits) {
+        this.collect(node, tokens);
+        return;
+      }
+
+      if (node.token && row[query.length] <= maxEdits) {
+        tokens.push(node.token);
+      }
+
+      if (Math.min(...row) > maxEdits) return;
+
+      node.children.forEach((child, char) => {
+        const nextRow = [depth + 1];
+        for (let i = 1; i <= query.length; i++) {
+          const cost = query[i - 1] === char ? 0 : 1;
+          nextRow[i] = Math.min(row[i] + 1, nextRow[i - 1] + 1, row[i - 1] + cost);
+          if (previousRow && i > 1 && query[i - 1] === previousChar && query[i - 2] === char) {
+            nextRow[i] = Math.min(nextRow[i], previousRow[i - 2] + 1);
+          }
+        }
+        walk(child, depth + 1, nextRow, row, char);
+      });
+    };
+
+    walk(this.root, 0, Array.from({ length: query.length + 1 }, (v, i) => i), null, null);
+    return tokens;
+  }
+}
+
+/**
+ * Search Index Service
+ */
+class SearchIndexService {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.SEARCH_INDEX_ENABLED !== 'false';
+    this.maxDocuments = options.maxDocuments || parseInt(process.env.SEARCH_INDEX_MAX_DOCUMENTS) || 20000;
+    // Kandidat sudah pasti punya token yang cocok, jadi ambangnya lebih rendah dari ranker
+    // agar pencarian lewat author tetap muncul
+    this.minScore = options.minScore !== undefined ? options.minScore : 20;
+
+    // `${providerId}:${slug}` -> document
+    this.documents = new Map();
+
+    // token -> Set of document keys (token dari judul dan author)
+    this.postings = new Map();
+
+    // Semua key `postings`, untuk lookup prefix dan typo
+    this.tokens = new TokenTrie();
+
+    this.stats = {
+      ingested: 0,
+      searches: 0,
+      lastUpdatedAt: null
+    };
+  }
+
+  /**
+   * Get index tokens of document
+   * @param {object} document - Index document
+   * @returns {Set} Tokens
+   */
+  getDocumentTokens(document) {
+    return new Set([...toTokens(document.title), ...toTokens(document.author)]);
+  }
+
+  /**
+   * Remove document from postings
+   * @param {string} key - Document key
+   * @param {object} document - Index document
+   */
+  unindex(key, document) {
+    this.getDocumentTokens(document).forEach(token => {
+      const keys = this.postings.get(token);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.postings.delete(token);
+        this.tokens.remove(token);
+      }
+    });
+  }
+
+  /**
+   * Add or update a comic in the index
+   * Field yang kosong di data baru tidak menimpa data lama (listing tidak membawa author/genre)
+   * @param {string} providerId - Provider ID
+   * @param {object} comic - Comic item or detail
+   * @param {object} extra - Extra data (slug for detail pages, genre from genre listing)
+   * @returns {object|null} Indexed document or null if comic cannot be indexed
+   */
+  upsert(providerId, comic, extra = {}) {
+    if (!comic || typeof comic !== 'object' || !comic.title) return null;
+
+    const slug = toSlug(extra.slug || comic.href);
+    if (!slug) return null;
+
+    const key = `${providerId}:${slug}`;
+    const previous = this.documents.get(key);
+    const document = previous ? { ...previous } : {
+      provider: providerId,
+      href: `/${slug}`,
+      genres: [],
+      rating: 0,
+      latestChapter: '',
+      chapterCount: 0,
+      indexedAt: new Date().toISOString()
+    };
+
+    DOCUMENT_FIELDS.forEach(field => {
+      if (typeof comic[field] === 'string' && comic[field].trim()) {
+        document[field] = comic[field].trim();
+      }
+    });
+
+    if (typeof comic.rating === 'number' && comic.rating > 0) {
+      document.rating = comic.rating;
+    }
+
+    if (Array.isArray(comic.chapter)) {
+      document.chapterCount = comic.chapter.length;
+      document.latestChapter = comic.chapter[0]?.title || document.latestChapter;
+    } else if (typeof comic.chapter === 'string' && comic.chapter) {
+      document.latestChapter = comic.chapter;
+    }
+
+    const genres = Array.isArray(comic.genre) ? comic.genre : [];
+    // Genre listing hanya membawa slug genre, mis. '/slice-of-life' -> 'slice of life'
+    [...genres, ...(extra.genre ? [extra.genre] : [])].forEach(genre => {
+      const title = typeof genre === 'string'
+        ? toSlug(genre).split('/').pop().replace(/[-_]+/g, ' ')
+        : String(genre?.title || '');
+      const genreKey = toGenreKey(title);
+      if (genreKey && !document.genres.some(existing => toGenreKey(existing) === genreKey)) {
+        document.genres.push(title);
+      }
+    });
+
+    document.updatedAt = new Date().toISOString();
+
+    if (previous) {
+      this.unindex(key, previous);
+      this.documents.delete(key); // Re-insert so recently seen comics are evicted last
+    } else {
+      this.evict();
+    }
+
+    this.documents.set(key, document);
+    this.getDocumentTokens(document).forEach(token => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+        this.tokens.add(token);
+      }
+      this.postings.get(token).add(key);
+    });
+
+    return document;
+  }
+
+  /**
+   * Remove least recently updated documents when index is full
+   */
+  evict() {
+    while (this.documents.size >= this.maxDocuments) {
+      const [oldestKey, oldest] = this.documents.entries().next().value;
+      this.unindex(oldestKey, oldest);
+      this.documents.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Index scraper output (dipanggil provider_manager setelah scraper call berhasil)
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {Array} args - Scraper arguments
+   * @param {*} result - Scraper output
+   * @returns {number} Number of indexed documents
+   */
+  ingest(providerId, functionName, args, result) {
+    if (!this.enabled || !result) return 0;
+
+    let indexed = 0;
+
+    try {
+      if (functionName === 'getComicDetail') {
+        indexed = this.upsert(providerId, result, { slug: args[0] }) ? 1 : 0;
+      } else if (LIST_FUNCTIONS.includes(functionName)) {
+        const comics = Array.isArray(result) ? result : (result.data || []);
+        const genre = functionName === 'getComicsByGenre' ? args[0] : null;
+        comics.forEach(comic => {
+          if (this.upsert(providerId, comic, { genre })) indexed++;
+        });
+      }
+    } catch (error) {
+      console.error(`Search index ingest failed for '${providerId}':`, error.message);
+    }
+
+    if (indexed > 0) {
+      this.stats.ingested += indexed;
+      this.stats.lastUpdatedAt = new Date().toISOString();
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Get indexed document of comic
+   * @param {string} providerId - Provider ID
+   * @param {string} href - Comic href or slug
+   * @returns {object|null} Index document
+   */
+  getDocument(providerId, href) {
+    return this.documents.get(`${providerId}:${toSlug(href)}`) || null;
+  }
+
+  /**
+   * Find candidate documents for query tokens (exact, prefix and fuzzy token match)
+   * @param {Array} queryTokens - Query tokens
+   * @returns {Set} Document keys
+   */
+  findCandidates(queryTokens) {
+    const candidates = new Set();
+
+    queryTokens.forEach(queryToken => {
+      this.tokens.find(queryToken).forEach(token => {
+        this.postings.get(token).forEach(key => candidates.add(key));
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Check document against filters
+   * @param {object} document - Index document
+   * @param {object} filters - Filters (genre, type, status, minRating, maxRating, provider)
+   * @returns {boolean} True if document matches
+   */
+  matchesFilters(document, filters) {
+    const { genre, type, status, minRating, maxRating, provider } = filters;
+
+    if (provider && document.provider !== provider) return false;
+    if (type && (document.type || '').toLowerCase() !== String(type).toLowerCase()) return false;
+    if (status && (document.status || '').toLowerCase() !== String(status).toLowerCase()) return false;
+    if (minRating !== undefined && !(document.rating >= minRating)) return false;
+    if (maxRating !== undefined && !(document.rating <= maxRating)) return false;
+
+    if (genre) {
+      const wanted = String(genre).split(',').map(toGenreKey).filter(Boolean);
+      const genres = document.genres.map(toGenreKey);
+      if (!wanted.every(key => genres.includes(key))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Search the index
+   * @param {string} keyword - Search keyword
+   * @param {object} options - Search options
+   * @param {string} options.genre - Genre title/slug (comma-separated: all must match)
+   * @param {string} options.type - Comic type
+   * @param {string} options.status - Comic status
+   * @param {number} options.minRating - Minimum rating
+   * @param {number} options.maxRating - Maximum rating
+   * @param {string} options.provider - Only documents from this provider
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.limit - Results per page (default: 20, max: 100)
+   * @returns {object} Paginated results { current_page, length_page, total_items, data }
+   */
+  search(keyword, options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+    const query = searchRanker.prepareQuery(keyword || '');
+
+    this.stats.searches++;
+
+    const matches = [];
+    this.findCandidates(query.tokens).forEach(key => {
+      const document = this.documents.get(key);
+      if (!document || !this.matchesFilters(document, options)) return;
+
+      const score = searchRanker.score({ ...document, genre: document.genres }, query);
+      if (score >= this.minScore) {
+        matches.push({ ...document, score });
+      }
+    });
+
+    matches.sort((a, b) => b.score - a.score || b.rating - a.rating);
+
+    return {
+      current_page: page,
+      length_page: Math.max(1, Math.ceil(matches.length / limit)),
+      total_items: matches.length,
+      data: matches.slice((page - 1) * limit, page * limit).map(document => ({
+        title: document.title,
+        href: document.href,
+        thumbnail: document.thumbnail || '',
+        type: document.type || '',
+        status: document.status || '',
+        chapter: document.latestChapter,
+        rating: document.rating,
+        genre: document.genres,
+        author: document.author || '',
+        provider: document.provider,
+        score: document.score
+      }))
+    };
+  }
+
+  /**
+   * Enable or disable indexing
+   * @param {boolean} enabled - Enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const providers = {};
+    this.documents.forEach(document => {
+      providers[document.provider] = (providers[document.provider] || 0) + 1;
+    });
+
+    return {
+      enabled: this.enabled,
+      documents: this.documents.size,
+      tokens: this.postings.size,
+      maxDocuments: this.maxDocuments,
+      providers,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Remove documents from index
+   * @param {string} providerId - Provider ID (optional, all providers if omitted)
+   * @returns {number} Number of removed documents
+   */
+  clear(providerId = null) {
+    if (!providerId) {
+      const removed = this.documents.size;
+      this.documents.clear();
+      this.postings.clear();
+      this.tokens.clear();
+      return removed;
+    }
+
+    let removed = 0;
+    [...this.documents.entries()].forEach(([key, document]) => {
+      if (document.provider === providerId) {
+        this.unindex(key, document);
+        this.documents.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+}
+
+// Export singleton instance
+const searchIndex = new SearchIndexService();
+
+module.exports = searchIndex;
+module.exports.SearchIndexService = SearchIndexService;
@@ -0,0 +1,228 @@
+/**
+ * Search Ranker
+ * Mengurutkan hasil search berdasarkan relevansi ke keyword: token match, prefix match,
+ * fuzzy match (typo pada judul romanisasi) dan boost untuk token yang ada di judul.
+ * Teks dokumen diambil dari DataEnrichmentService.generateSearchableText.
+ */
+
+const { DataEnrichmentService } = require('./data_processor');
+const { transpositionDistance, titleSimilarity } = require('../helper/text_similarity');
+
+/**
+ * Match scores per query token (sebelum title boost)
+ */
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.65,
+  fuzzyPrefix: 0.5
+};
+
+/**
+ * Split text into search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens
+ */
+const toTokens = (text) => {
+  return DataEnrichmentService.normalizeText(text || '')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+};
+
+/**
+ * Allowed edit distance for token length
+ * (token pendek harus persis, typo baru ditoleransi mulai 4 huruf)
+ * @param {number} length - Token length
+ * @returns {number} Max edits
+ */
+const maxEditsFor = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Score how well a query token matches a set of document tokens
+ * @param {string} queryToken - Query token
+ * @param {Array} tokens - Document tokens
+ * @returns {number} Best match score (0-1)
+ */
+const matchToken = (queryToken, tokens) => {
+  const maxEdits = maxEditsFor(queryToken.length);
+  let best = 0;
+
+  for (const token of tokens) {
+    if (token === queryToken) return MATCH_SCORES.exact;
+
+    if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+      best = Math.max(best, MATCH_SCORES.prefix);
+      continue;
+    }
+
+    if (maxEdits === 0 || best >= MATCH_SCORES.fuzzy) continue;
+
+    if (Math.abs(token.length - queryToken.length) <= maxEdits) {
+      const distance = transpositionDistance(queryToken, token);
+      if (distance <= maxEdits) {
+        best = Math.max(best, MATCH_SCORES.fuzzy * (1 - (distance - 1) * 0.2));
+        continue;
+      }
+    }
+
+    // Keyword yang belum selesai diketik dan typo, mis. "solo levl" -> "leveling"
+    const head = token.slice(0, queryToken.length);
+    if (token.length > queryToken.length && transpositionDistance(queryToken, head) <= maxEdits) {
+      best = Math.max(best, MATCH_SCORES.fuzzyPrefix);
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Search Ranker
+ */
+class SearchRanker {
+  constructor(options = {}) {
+    this.titleBoost = options.titleBoost || 3; // Bobot token yang cocok di judul
+    this.phraseWeight = options.phraseWeight !== undefined ? options.phraseWeight : 0.3; // Bobot kemiripan frasa keyword vs judul
+    this.minScore = options.minScore !== undefined ? options.minScore : 30; // Ambang hasil dari query fallback
+    this.maxFallbackQueries = options.maxFallbackQueries || 4; // Batas search ulang ke situs per keyword
+  }
+
+  /**
+   * Prepare keyword for scoring
+   * @param {string} keyword - Search keyword
+   * @returns {object} Prepared query
+   */
+  prepareQuery(keyword) {
+    const tokens = [...new Set(toTokens(keyword))];
+    return {
+      keyword,
+      tokens,
+      phrase: tokens.join(' '),
+      compact: tokens.join('')
+    };
+  }
+
+  /**
+   * Score similarity of keyword phrase to comic title
+   * @param {object} query - Prepared query
+   * @param {Array} titleTokens - Title tokens
+   * @param {string} title - Raw title
+   * @returns {number} Phrase score (0-1)
+   */
+  scorePhrase(query, titleTokens, title) {
+    const phrase = titleTokens.join(' ');
+    if (!phrase || !query.phrase) return 0;
+
+    if (phrase === query.phrase) return 1;
+    if (phrase.startsWith(query.phrase)) return 0.9;
+    if (phrase.includes(query.phrase)) return 0.8;
+    // "onepiece" vs "One Piece"
+    if (titleTokens.join('').includes(query.compact)) return 0.7;
+
+    return titleSimilarity(query.keyword, title) * 0.7;
+  }
+
+  /**
+   * Score comic relevance to keyword
+   * @param {object} comic - Comic item
+   * @param {string|object} keyword - Keyword or prepared query
+   * @returns {number} Relevance score (0-100)
+   */
+  score(comic, keyword) {
+    const query = typeof keyword === 'string' ? this.prepareQuery(keyword) : keyword;
+    if (!comic || typeof comic !== 'object' || query.tokens.length === 0) return 0;
+
+    const titleTokens = toTokens(comic.title);
+    // Pasangan token yang digabung agar "onepiece" cocok dengan "One Piece"
+    const joinedTokens = titleTokens.slice(1).map((token, index) => titleTokens[index] + token);
+    const textTokens = [...new Set(toTokens(DataEnrichmentService.generateSearchableText(comic)))];
+
+    let matched = 0;
+    query.tokens.forEach(token => {
+      matched += Math.max(
+        matchToken(token, [...titleTokens, ...joinedTokens]) * this.titleBoost,
+        matchToken(token, textTokens)
+      );
+    });
+
+    const coverage = matched / (query.tokens.length * this.titleBoost);
+    const phrase = this.scorePhrase(query, titleTokens, comic.title);
+    const score = (1 - this.phraseWeight) * coverage + this.phraseWeight * phrase;
+
+    return Math.round(Math.min(1, score) * 10000) / 100;
+  }
+
+  /**
+   * Rank comics by relevance to keyword
+   * Urutan asal dipertahankan untuk skor yang sama (mis. hasil sort qualityScore)
+   * @param {Array} comics - Comic items
+   * @param {string} keyword - Search keyword
+   * @param {object} options - Ranking options
+   * @param {number} options.minScore - Drop results scoring below this (default: keep all)
+   * @param {boolean} options.sort - Sort by score (default: true)
+   * @returns {Array} Comics with `score`
+   */
+  rank(comics, keyword, options = {}) {
+    if (!Array.isArray(comics)) return [];
+
+    const { minScore = 0, sort = true } = options;
+    const query = this.prepareQuery(keyword);
+
+    const ranked = comics
+      .filter(comic => comic && typeof comic === 'object')
+      .map(comic => ({ ...comic, score: this.score(comic, query) }))
+      .filter(comic => comic.score >= minScore);
+
+    return sort ? ranked.sort((a, b) => b.score - a.score) : ranked;
+  }
+
+  /**
+   * Build relaxed keywords for a search that returned nothing
+   * Search situs WordPress mencocokkan substring, jadi:
+   * - keyword multi-kata dicoba tanpa salah satu token ("solo levl" -> "solo", "levl"),
+   *   karena typo pendek di satu kata sudah cukup membuat seluruh frasa tidak ditemukan
+   * - potongan depan/belakang token panjang tetap menemukan judulnya walau ada typo
+   *   di tengah ("narto" -> "nar", "rto")
+   * @param {string} keyword - Original keyword
+   * @returns {Array} Fallback keywords, paling spesifik dulu (empty if keyword is too short to relax)
+   */
+  getFallbackQueries(keyword) {
+    const tokens = toTokens(keyword);
+    const queries = [];
+
+    // Sisa keyword terpanjang dulu; bila sama panjang, token terakhir dibuang lebih dulu
+    if (tokens.length > 1) {
+      for (let i = tokens.length - 1; i >= 0; i--) {
+        queries.push(tokens.filter((token, index) => index !== i).join(' '));
+      }
+      queries.sort((a, b) => b.length - a.length);
+    }
+
+    [...tokens]
+      .filter(token => token.length >= 5)
+      .sort((a, b) => b.length - a.length)
+      .forEach(token => {
+        const half = Math.ceil(token.length / 2);
+        queries.push(token.slice(0, half), token.slice(-half));
+      });
+
+    const original = tokens.join(' ');
+    return [...new Set(queries)]
+      .filter(query => query.length >= 3 && query !== original)
+      .slice(0, this.maxFallbackQueries);
+  }
+}
+
+// Export singleton instance
+const searchRanker = new SearchRanker();
+
+module.exports = searchRanker;
+module.exports.SearchRanker = SearchRanker;
+module.exports.toTokens = toTokens;
+module.exports.matchToken = matchToken;
+module.exports.maxEditsFor = maxEditsFor;
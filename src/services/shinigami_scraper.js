@@ -2,295 +2,338 @@
  * Shinigami Scraper Service
  * Scraping logic khusus untuk Shinigami (https://08.shinigami.asia/)
  * Menggunakan API endpoint: https://api.shngm.io/v1/
+ * URL dibangun dari `api.urlPatterns` di config/providers.js, parsing JSON lewat engine hooks
+ * Genre diambil dari taxonomy API (`item.taxonomy.Genre`) dan filter genre di manga/list
  */
 
-const { AxiosService } = require('../helper/axios_service');
 const { ParseError, NotFoundError } = require('../helper/error_handler');
 const {
   normalizeComicItem,
   normalizeChapterItem,
-  normalizeUrl,
-  normalizeRating,
-  normalizePagination
+  normalizeRating
 } = require('../helper/data_validator');
+const { getProvider } = require('../config/providers');
+const { createScraper } = require('./scraper_engine');
+const { slugify } = require('../helper/text_similarity');
+const cacheService = require('../helper/cache_service');
+const { BatchProcessor } = require('./data_processor');
 
-const BASE_URL = 'https://08.shinigami.asia';
-const API_BASE_URL = 'https://api.shngm.io/v1';
+const BASE_URL = getProvider('shinigami').baseUrl;
+
+const CHAPTER_PAGE_SIZE = 100; // Ukuran halaman maksimal chapter list API
+const CHAPTER_CONCURRENCY = 3; // Halaman chapter yang diambil bersamaan
+const CHAPTER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
 
 /**
- * Get latest comics
- * @param {number} page - Page number
- * @returns {Promise<object>} Latest comics with pagination
+ * Check Shinigami API envelope
+ * @param {object} response - Axios response
+ * @returns {boolean} True if response carries data
  */
-const getLatestComics = async (page = 1) => {
-  try {
-    const url = `${API_BASE_URL}/manga/list?page=${page || 1}&page_size=24&sort=latest&sort_order=desc`;
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new ParseError('Failed to fetch latest comics');
-    }
-
-    const { data, meta } = response.data;
-    const comics = data.map(item => normalizeComicItem({
-      title: item.title || '',
-      href: `/series/${item.manga_id}`,
-      thumbnail: item.cover_image_url || item.cover_portrait_url || '',
-      chapter: item.latest_chapter_number ? `Chapter ${item.latest_chapter_number}` : '',
-      rating: item.user_rate || item.rank || '',
-      type: item.taxonomy?.Format?.[0]?.name || '',
-      genre: item.taxonomy?.Genre?.map(g => g.name).join(', ') || '',
-      year: item.release_year || '',
-      status: item.status === 1 ? 'Ongoing' : 'Completed',
-      author: item.taxonomy?.Author?.[0]?.name || '',
-      released: item.release_year || '',
-      description: item.description || ''
-    }, BASE_URL));
+const isApiSuccess = (response) => {
+  return response.status === 200 && !!response.data && response.data.retcode === 0;
+};
 
-    return {
-      current_page: meta.page || page,
-      length_page: meta.total_page || 1,
-      has_next: (meta.page || page) < (meta.total_page || 1),
-      has_prev: (meta.page || page) > 1,
-      data: comics
-    };
-  } catch (error) {
-    throw new ParseError(`Error scraping latest comics: ${error.message}`, error);
-  }
+/**
+ * Extract UUID from URL if it contains path
+ * @param {string} url - UUID or path ending with UUID
+ * @returns {string} UUID
+ */
+const extractId = (url) => {
+  return url.includes('/') ? url.split('/').pop().replace(/\/$/, '') : url;
 };
 
 /**
- * Get comics by genre (not supported by Shinigami)
- * @param {string} genreUrl - Genre URL slug
- * @param {number} page - Page number
- * @returns {Promise<object>} Empty result
+ * Map taxonomy genre to genre link (same { title, href } shape as Komikcast)
+ * @param {object} genre - Taxonomy genre ({ name, slug })
+ * @returns {object} Genre link
  */
-const getComicsByGenre = async (genreUrl, page) => {
-  throw new ParseError('Genre filtering is not supported by Shinigami provider');
+const mapGenre = (genre) => {
+  const title = genre.name || genre.title || '';
+  return {
+    title,
+    href: `/${genre.slug || slugify(title)}`
+  };
 };
 
 /**
- * Get all genres (not supported by Shinigami)
- * @returns {Promise<Array>} Empty array
+ * Collect unique genres from taxonomy of manga list items
+ * @param {Array} items - Manga items from API
+ * @returns {Array} Genre links sorted by title
  */
-const getGenres = async () => {
-  return [];
+const collectTaxonomyGenres = (items) => {
+  const genres = new Map();
+
+  items.forEach(item => {
+    (item.taxonomy?.Genre || []).forEach(genre => {
+      const link = mapGenre(genre);
+      if (link.title && !genres.has(link.href)) {
+        genres.set(link.href, link);
+      }
+    });
+  });
+
+  return Array.from(genres.values()).sort((a, b) => a.title.localeCompare(b.title));
 };
 
 /**
- * Get comic detail
- * @param {string} url - Comic UUID or slug
- * @returns {Promise<object>} Comic detail
+ * Parse paginated manga list response
+ * @param {object} response - Axios response
+ * @param {number} page - Requested page
+ * @param {string} failureMessage - Error message when API envelope is invalid
+ * @returns {object} Paginated comics
  */
-const getComicDetail = async (url) => {
-  try {
-    // Extract UUID from URL if it contains path
-    const mangaId = url.includes('/') ? url.split('/').pop().replace(/\/$/, '') : url;
-    
-    const detailUrl = `${API_BASE_URL}/manga/detail/${mangaId}`;
-    const response = await AxiosService(detailUrl);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new NotFoundError('Comic not found');
-    }
+const parsePaginatedList = (response, page, failureMessage) => {
+  if (!isApiSuccess(response)) {
+    throw new ParseError(failureMessage);
+  }
 
-    const item = response.data.data;
-    
-    // Get chapters
-    const chaptersUrl = `${API_BASE_URL}/chapter/${mangaId}/list?page=1&page_size=100&sort_by=chapter_number&sort_order=desc`;
-    const chaptersResponse = await AxiosService(chaptersUrl);
-    
-    let chapters = [];
-    if (chaptersResponse.status === 200 && chaptersResponse.data && chaptersResponse.data.retcode === 0) {
-      chapters = chaptersResponse.data.data.map(ch => normalizeChapterItem({
-        title: ch.chapter_title || `Chapter ${ch.chapter_number}`,
-        href: `/chapter/${ch.chapter_id}`,
-        date: ch.release_date || ''
-      }, BASE_URL));
-    }
+  const { data, meta = {} } = response.data;
+  const currentPage = meta.page || page;
+  const totalPage = meta.total_page || 1;
 
-    // Extract genres
-    const genres = (item.taxonomy?.Genre || []).map(genre => ({
-      title: genre.name,
-      href: ''
-    }));
+  return {
+    current_page: currentPage,
+    length_page: totalPage,
+    has_next: currentPage < totalPage,
+    has_prev: currentPage > 1,
+    data: data.map(mapComicItem)
+  };
+};
 
-    return {
-      title: item.title || '',
-      rating: normalizeRating(item.user_rate || item.rank || '0'),
-      status: item.status === 1 ? 'Ongoing' : 'Completed',
-      type: item.taxonomy?.Format?.[0]?.name || '',
-      released: item.release_year || '',
-      author: item.taxonomy?.Author?.[0]?.name || '',
-      genre: genres,
-      description: item.description || '',
-      thumbnail: item.cover_image_url || item.cover_portrait_url || '',
-      chapter: chapters
-    };
-  } catch (error) {
-    if (error instanceof NotFoundError) {
-      throw error;
-    }
-    throw new ParseError(`Error scraping comic detail: ${error.message}`, error);
+/**
+ * Fetch one page of chapter list (cached per page)
+ * @param {object} context - Engine context (buildUrl, fetch)
+ * @param {string} mangaId - Manga UUID
+ * @param {number} page - Chapter page
+ * @param {number} pageSize - Chapters per page
+ * @returns {Promise<object>} { chapters, meta }
+ */
+const fetchChapterPage = async ({ buildUrl, fetch }, mangaId, page, pageSize) => {
+  const cacheKey = `shinigami:chapters:${mangaId}:${page}:${pageSize}`;
+  const cached = cacheService.get(cacheKey);
+  if (cached) {
+    return cached;
   }
+
+  const response = await fetch(buildUrl('chapterList', { slug: mangaId, page, pageSize }));
+  if (!isApiSuccess(response)) {
+    throw new ParseError(`Failed to fetch chapter list page ${page}`);
+  }
+
+  const result = {
+    chapters: response.data.data.map(ch => normalizeChapterItem({
+      title: ch.chapter_title || `Chapter ${ch.chapter_number}`,
+      href: `/chapter/${ch.chapter_id}`,
+      date: ch.release_date || ''
+    }, BASE_URL)),
+    meta: response.data.meta || {}
+  };
+
+  cacheService.set(cacheKey, result, CHAPTER_CACHE_TTL, { tags: ['shinigami', 'chapters'] });
+  return result;
 };
 
 /**
- * Read chapter (get images)
- * @param {string} url - Chapter UUID or slug
- * @returns {Promise<object>} Chapter data with images
+ * Fetch chapters for detail
+ * Tanpa chapterPage semua halaman diambil (concurrency dibatasi); dengan chapterPage
+ * hanya halaman itu yang diambil dan `pagination` ikut dikembalikan.
+ * Halaman yang gagal membuat seluruh detail gagal (bukan chapter list kosong yang ikut
+ * ter-cache); halaman yang sudah berhasil tetap ada di cache per halaman untuk retry.
+ * @param {object} context - Engine context
+ * @param {string} mangaId - Manga UUID
+ * @param {object} options - Paging options (chapterPage, chapterPageSize)
+ * @returns {Promise<object>} { chapters, pagination }
+ * @throws {ParseError} If a chapter page cannot be fetched
  */
-const readChapter = async (url) => {
-  try {
-    // Extract UUID from URL if it contains path
-    const chapterId = url.includes('/') ? url.split('/').pop().replace(/\/$/, '') : url;
-    
-    const chapterUrl = `${API_BASE_URL}/chapter/detail/${chapterId}`;
-    const response = await AxiosService(chapterUrl);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new NotFoundError('Chapter not found');
-    }
+const fetchChapters = async (context, mangaId, options = {}) => {
+  const { chapterPage, chapterPageSize } = options;
+
+  if (chapterPage) {
+    const pageSize = Math.min(chapterPageSize || 50, CHAPTER_PAGE_SIZE);
+    const { chapters, meta } = await fetchChapterPage(context, mangaId, chapterPage, pageSize);
+    const totalPages = meta.total_page || 1;
 
-    const item = response.data.data;
-    
-    // Extract images from chapter object
-    let panels = [];
-    if (item.chapter && item.chapter.data && Array.isArray(item.chapter.data)) {
-      const baseUrl = item.base_url || 'https://delivery.shngm.id';
-      const chapterPath = item.chapter.path || '';
-      panels = item.chapter.data.map(filename => {
-        // Construct full URL
-        return `${baseUrl}${chapterPath}${filename}`;
-      });
-    }
-    
     return {
-      title: item.chapter_title || `Chapter ${item.chapter_number || ''}`,
-      panel: panels
+      chapters,
+      pagination: {
+        current_page: chapterPage,
+        page_size: pageSize,
+        total: meta.total_record || meta.total || null,
+        total_pages: totalPages,
+        has_next: chapterPage < totalPages,
+        has_prev: chapterPage > 1
+      }
     };
-  } catch (error) {
-    if (error instanceof NotFoundError) {
-      throw error;
+  }
+
+  const first = await fetchChapterPage(context, mangaId, 1, CHAPTER_PAGE_SIZE);
+  const totalPages = first.meta.total_page || 1;
+  const pages = [{ page: 1, chapters: first.chapters }];
+
+  if (totalPages > 1) {
+    const remaining = Array.from({ length: totalPages - 1 }, (_, i) => i + 2);
+    // Error ditampung per halaman agar halaman lain selesai dulu (tanpa rejection yang lepas)
+    const results = await BatchProcessor.processWithConcurrency(
+      remaining,
+      async page => {
+        try {
+          return { page, chapters: (await fetchChapterPage(context, mangaId, page, CHAPTER_PAGE_SIZE)).chapters };
+        } catch (error) {
+          return { page, error };
+        }
+      },
+      CHAPTER_CONCURRENCY
+    );
+
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw failed.error;
     }
-    throw new ParseError(`Error scraping chapter: ${error.message}`, error);
+    pages.push(...results);
   }
+
+  // Hasil concurrency tidak berurutan
+  pages.sort((a, b) => a.page - b.page);
+
+  return {
+    chapters: pages.flatMap(p => p.chapters),
+    pagination: null
+  };
 };
 
 /**
- * Search comics
- * @param {string} keyword - Search keyword
- * @returns {Promise<Array>} Array of search results
+ * Map API manga item to comic item
+ * @param {object} item - Manga item from API
+ * @returns {object} Normalized comic item
  */
-const searchComics = async (keyword) => {
-  try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&q=${encodeURIComponent(keyword)}`;
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new ParseError('Failed to search comics');
-    }
+const mapComicItem = (item) => normalizeComicItem({
+  title: item.title || '',
+  href: `/series/${item.manga_id}`,
+  thumbnail: item.cover_image_url || item.cover_portrait_url || '',
+  chapter: item.latest_chapter_number ? `Chapter ${item.latest_chapter_number}` : '',
+  rating: item.user_rate || item.rank || '',
+  type: item.taxonomy?.Format?.[0]?.name || '',
+  genre: item.taxonomy?.Genre?.map(g => g.name).join(', ') || '',
+  year: item.release_year || '',
+  status: item.status === 1 ? 'Ongoing' : 'Completed',
+  author: item.taxonomy?.Author?.[0]?.name || '',
+  released: item.release_year || '',
+  description: item.description || ''
+}, BASE_URL);
 
-    const { data } = response.data;
-    const comics = data.map(item => normalizeComicItem({
-      title: item.title || '',
-      href: `/series/${item.manga_id}`,
-      thumbnail: item.cover_image_url || item.cover_portrait_url || '',
-      chapter: item.latest_chapter_number ? `Chapter ${item.latest_chapter_number}` : '',
-      rating: item.user_rate || item.rank || '',
-      type: item.taxonomy?.Format?.[0]?.name || '',
-      genre: item.taxonomy?.Genre?.map(g => g.name).join(', ') || '',
-      year: item.release_year || '',
-      status: item.status === 1 ? 'Ongoing' : 'Completed',
-      author: item.taxonomy?.Author?.[0]?.name || '',
-      released: item.release_year || '',
-      description: item.description || ''
-    }, BASE_URL));
-
-    return comics;
-  } catch (error) {
-    throw new ParseError(`Error searching comics: ${error.message}`, error);
+/**
+ * Create parse hook for manga list endpoints
+ * @param {string} failureMessage - Error message when API envelope is invalid
+ * @returns {Function} Parse hook
+ */
+const parseComicList = (failureMessage) => (response) => {
+  if (!isApiSuccess(response)) {
+    throw new ParseError(failureMessage);
   }
+
+  return response.data.data.map(mapComicItem);
 };
 
-/**
- * Get popular comics
- * @returns {Promise<Array>} Array of popular comics
- */
-const getPopularComics = async () => {
-  try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&sort=rank&sort_order=asc`;
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new ParseError('Failed to fetch popular comics');
+const scraper = createScraper('shinigami', {
+  latest: {
+    parse: (response, { params }) => parsePaginatedList(response, params.page, 'Failed to fetch latest comics')
+  },
+  genre: {
+    url: ({ genre, page }, { buildUrl }) => buildUrl('genre', {
+      genre: encodeURIComponent(String(genre || '').replace(/^\/+|\/+$/g, '')),
+      page
+    }),
+    parse: (response, { params }) => parsePaginatedList(response, params.page, 'Failed to fetch comics by genre')
+  },
+  genreList: {
+    parse: async (response, { buildUrl, fetch }) => {
+      if (isApiSuccess(response) && Array.isArray(response.data.data) && response.data.data.length > 0) {
+        return response.data.data
+          .map(mapGenre)
+          .filter(genre => genre.title);
+      }
+
+      // Endpoint genre kosong/gagal: bangun daftar dari taxonomy manga terbaru
+      const listResponse = await fetch(buildUrl('genreTaxonomy'));
+      if (!isApiSuccess(listResponse)) {
+        throw new ParseError('Failed to fetch genres');
+      }
+
+      return collectTaxonomyGenres(listResponse.data.data);
     }
+  },
+  detail: {
+    url: ({ slug }, { buildUrl }) => buildUrl('detail', { slug: extractId(slug) }),
+    parse: async (response, { params, buildUrl, fetch }) => {
+      if (!isApiSuccess(response)) {
+        throw new NotFoundError('Comic not found');
+      }
 
-    const { data } = response.data;
-    const comics = data.map(item => normalizeComicItem({
-      title: item.title || '',
-      href: `/series/${item.manga_id}`,
-      thumbnail: item.cover_image_url || item.cover_portrait_url || '',
-      chapter: item.latest_chapter_number ? `Chapter ${item.latest_chapter_number}` : '',
-      rating: item.user_rate || item.rank || '',
-      type: item.taxonomy?.Format?.[0]?.name || '',
-      genre: item.taxonomy?.Genre?.map(g => g.name).join(', ') || '',
-      year: item.release_year || '',
-      status: item.status === 1 ? 'Ongoing' : 'Completed',
-      author: item.taxonomy?.Author?.[0]?.name || '',
-      released: item.release_year || '',
-      description: item.description || ''
-    }, BASE_URL));
-
-    return comics;
-  } catch (error) {
-    throw new ParseError(`Error scraping popular comics: ${error.message}`, error);
-  }
-};
+      const item = response.data.data;
 
-/**
- * Get recommended comics
- * @returns {Promise<Array>} Array of recommended comics
- */
-const getRecommendedComics = async () => {
-  try {
-    const url = `${API_BASE_URL}/manga/list?page=1&page_size=50&is_recommended=true`;
-    const response = await AxiosService(url);
-    
-    if (response.status !== 200 || !response.data || response.data.retcode !== 0) {
-      throw new ParseError('Failed to fetch recommended comics');
+      // Get chapters (semua halaman, atau satu halaman jika chapterPage diminta)
+      const { chapters, pagination: chapterPagination } = await fetchChapters(
+        { buildUrl, fetch },
+        extractId(params.slug),
+        params.options || {}
+      );
+
+      // Extract genres
+      const genres = (item.taxonomy?.Genre || []).map(mapGenre);
+
+      return {
+        title: item.title || '',
+        rating: normalizeRating(item.user_rate || item.rank || '0'),
+        status: item.status === 1 ? 'Ongoing' : 'Completed',
+        type: item.taxonomy?.Format?.[0]?.name || '',
+        released: item.release_year || '',
+        author: item.taxonomy?.Author?.[0]?.name || '',
+        genre: genres,
+        description: item.description || '',
+        thumbnail: item.cover_image_url || item.cover_portrait_url || '',
+        chapter: chapters,
+        ...(chapterPagination ? { chapter_pagination: chapterPagination } : {})
+      };
     }
+  },
+  read: {
+    url: ({ slug }, { buildUrl }) => buildUrl('read', { slug: extractId(slug) }),
+    parse: (response) => {
+      if (!isApiSuccess(response)) {
+        throw new NotFoundError('Chapter not found');
+      }
+
+      const item = response.data.data;
 
-    const { data } = response.data;
-    const comics = data.map(item => normalizeComicItem({
-      title: item.title || '',
-      href: `/series/${item.manga_id}`,
-      thumbnail: item.cover_image_url || item.cover_portrait_url || '',
-      chapter: item.latest_chapter_number ? `Chapter ${item.latest_chapter_number}` : '',
-      rating: item.user_rate || item.rank || '',
-      type: item.taxonomy?.Format?.[0]?.name || '',
-      genre: item.taxonomy?.Genre?.map(g => g.name).join(', ') || '',
-      year: item.release_year || '',
-      status: item.status === 1 ? 'Ongoing' : 'Completed',
-      author: item.taxonomy?.Author?.[0]?.name || '',
-      released: item.release_year || '',
-      description: item.description || ''
-    }, BASE_URL));
-
-    return comics;
-  } catch (error) {
-    throw new ParseError(`Error scraping recommended comics: ${error.message}`, error);
+      // Extract images from chapter object
+      let panels = [];
+      if (item.chapter && item.chapter.data && Array.isArray(item.chapter.data)) {
+        const baseUrl = item.base_url || 'https://delivery.shngm.id';
+        const chapterPath = item.chapter.path || '';
+        panels = item.chapter.data.map(filename => {
+          // Construct full URL
+          return `${baseUrl}${chapterPath}${filename}`;
+        });
+      }
+
+      return {
+        title: item.chapter_title || `Chapter ${item.chapter_number || ''}`,
+        panel: panels
+      };
+    }
+  },
+  search: {
+    parse: parseComicList('Failed to search comics')
+  },
+  popular: {
+    parse: parseComicList('Failed to fetch popular comics')
+  },
+  recommended: {
+    parse: parseComicList('Failed to fetch recommended comics')
   }
-};
+});
 
 module.exports = {
-  getLatestComics,
-  getComicsByGenre,
-  getGenres,
-  getComicDetail,
-  readChapter,
-  searchComics,
-  getPopularComics,
-  getRecommendedComics,
+  ...scraper,
   BASE_URL
 };
@@ -0,0 +1,357 @@
+/**
+ * Update Tracker
+ * Mengambil snapshot halaman latest setiap provider secara berkala, membandingkan nomor
+ * chapter terakhir per komik dengan snapshot sebelumnya, dan mencatat event chapter baru.
+ * Event disajikan lewat `/updates?since=` dengan cursor pagination, jadi client tidak perlu
+ * polling dan diff halaman sendiri.
+ */
+
+const path = require('path');
+const { ChapterReconciliationService } = require('./data_processor');
+const { executeScraperWithoutFallback, listProviders } = require('./provider_manager');
+const comicIdentity = require('./comic_identity');
+const { ValidationError } = require('../helper/error_handler');
+const { DEFAULT_STATE_DIR, readState, writeState } = require('../helper/state_file');
+
+/**
+ * Encode event sequence as opaque cursor
+ * @param {number} seq - Event sequence
+ * @returns {string} Cursor
+ */
+const encodeCursor = (seq) => Buffer.from(`u:${seq}`).toString('base64url');
+
+/**
+ * Decode cursor to event sequence
+ * @param {string} cursor - Cursor
+ * @returns {number} Event sequence
+ * @throws {ValidationError} If cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  const match = Buffer.from(String(cursor), 'base64url').toString().match(/^u:(\d+)$/);
+  if (!match) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return parseInt(match[1], 10);
+};
+
+/**
+ * Parse `since` parameter (ISO date or epoch milliseconds)
+ * @param {string|number} since - Timestamp
+ * @returns {number} Epoch milliseconds
+ * @throws {ValidationError} If timestamp is invalid
+ */
+const parseSince = (since) => {
+  const time = /^\d+$/.test(String(since)) ? parseInt(since, 10) : Date.parse(since);
+  if (isNaN(time)) {
+    throw new ValidationError('since must be an ISO date or epoch milliseconds');
+  }
+  return time;
+};
+
+/**
+ * Update Tracker
+ */
+class UpdateTracker {
+  constructor(options = {}) {
+    this.interval = options.interval || parseInt(process.env.UPDATE_TRACKER_INTERVAL, 10) || 10 * 60 * 1000; // 10 minutes
+    this.pages = options.pages || parseInt(process.env.UPDATE_TRACKER_PAGES, 10) || 1; // Halaman latest per snapshot
+    this.maxEvents = options.maxEvents || 5000;
+    // Batas komik yang diingat; komik yang terlupa dicatat ulang sebagai baseline saat terlihat lagi
+    this.maxComics = options.maxComics || parseInt(process.env.UPDATE_TRACKER_MAX_COMICS, 10) || 20000;
+    this.maxComicAge = options.maxComicAge || 30 * 24 * 60 * 60 * 1000; // 30 days tidak muncul di latest
+    this.stateFile = options.stateFile || process.env.UPDATE_TRACKER_STATE_FILE ||
+      path.join(DEFAULT_STATE_DIR, 'updates_state.json');
+    this.persist = options.persist !== undefined ? options.persist : true;
+
+    // `${providerId}:${slug}` -> { chapter, chapterTitle, seenAt }, urut dari yang paling lama terlihat
+    this.comics = new Map();
+
+    // New-chapter events, oldest first
+    this.events = [];
+    this.sequence = 0;
+
+    // providerId -> { lastSnapshotAt, lastError, comics }
+    this.snapshots = {};
+
+    this.timer = null;
+    this.isSnapshotting = false;
+
+    // Dipanggil dengan event chapter baru setiap snapshot (mis. webhook)
+    this.listeners = [];
+
+    this.loadState();
+  }
+
+  /**
+   * Restore tracked chapters and events from state file
+   */
+  loadState() {
+    const state = this.persist ? readState(this.stateFile) : null;
+    if (!state) return;
+
+    // State lama belum tentu urut berdasarkan seenAt
+    this.comics = new Map((state.comics || []).sort((a, b) => a[1].seenAt - b[1].seenAt));
+    this.pruneComics();
+    this.events = state.events || [];
+    this.sequence = state.sequence || 0;
+    this.snapshots = state.snapshots || {};
+  }
+
+  /**
+   * Persist tracked chapters and events
+   */
+  saveState() {
+    if (!this.persist) return;
+
+    writeState(this.stateFile, {
+      comics: [...this.comics.entries()],
+      events: this.events,
+      sequence: this.sequence,
+      snapshots: this.snapshots
+    });
+  }
+
+  /**
+   * Compare comics from latest list with previous snapshot
+   * Komik yang baru pertama kali terlihat hanya dicatat sebagai baseline (tanpa event)
+   * @param {string} providerId - Provider ID
+   * @param {Array} comics - Comic items from latest list
+   * @param {number} detectedAt - Detection time (epoch ms)
+   * @returns {Array} New events
+   */
+  diff(providerId, comics, detectedAt = Date.now()) {
+    const newEvents = [];
+
+    (comics || []).forEach(comic => {
+      const slug = String(comic?.href || '').replace(/^\/+|\/+$/g, '');
+      if (!slug || !comic.chapter) return;
+
+      const chapter = ChapterReconciliationService.getChapterNumber({ title: comic.chapter });
+      if (!chapter) return;
+
+      const key = `${providerId}:${slug}`;
+      const previous = this.comics.get(key);
+
+      if (previous && chapter > previous.chapter) {
+        const canonicalId = comic.canonicalId || comicIdentity.identify(comic, providerId);
+        const event = {
+          id: encodeCursor(++this.sequence),
+          seq: this.sequence,
+          provider: providerId,
+          comic: {
+            title: comic.title,
+            href: comic.href,
+            thumbnail: comic.thumbnail || '',
+            ...(canonicalId ? { canonicalId } : {})
+          },
+          chapter,
+          chapterTitle: comic.chapter,
+          previousChapter: previous.chapter,
+          detectedAt: new Date(detectedAt).toISOString()
+        };
+        newEvents.push(event);
+        this.events.push(event);
+      }
+
+      // Dipindah ke akhir Map agar urutan tetap sesuai seenAt
+      this.comics.delete(key);
+      this.comics.set(key, !previous || chapter >= previous.chapter
+        ? { chapter, chapterTitle: comic.chapter, seenAt: detectedAt }
+        : { ...previous, seenAt: detectedAt });
+    });
+
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+
+    this.pruneComics(detectedAt);
+
+    return newEvents;
+  }
+
+  /**
+   * Forget comics not seen within maxComicAge, then the least recently seen above maxComics
+   * @param {number} now - Current time (epoch ms)
+   * @returns {number} Number of forgotten comics
+   */
+  pruneComics(now = Date.now()) {
+    let removed = 0;
+
+    for (const [key, tracked] of this.comics) {
+      if (now - tracked.seenAt <= this.maxComicAge && this.comics.size <= this.maxComics) break;
+      this.comics.delete(key);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Snapshot latest pages of one provider
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Array>} New events
+   */
+  async snapshot(providerId) {
+    const record = this.snapshots[providerId] || (this.snapshots[providerId] = {});
+    const detectedAt = Date.now();
+    const comics = [];
+
+    try {
+      for (let page = 1; page <= this.pages; page++) {
+        const result = await executeScraperWithoutFallback(providerId, 'getLatestComics', page);
+        const data = Array.isArray(result) ? result : (result?.data || []);
+        comics.push(...data);
+        if (data.length === 0 || page >= (result?.length_page || page)) break;
+      }
+      record.lastError = null;
+    } catch (error) {
+      record.lastError = error.message;
+      if (comics.length === 0) return [];
+    }
+
+    const events = this.diff(providerId, comics, detectedAt);
+    record.lastSnapshotAt = new Date(detectedAt).toISOString();
+    record.comics = comics.length;
+    record.events = (record.events || 0) + events.length;
+
+    return events;
+  }
+
+  /**
+   * Snapshot every enabled provider with latest feature
+   * @returns {Promise<Array>} New events
+   */
+  async snapshotAll() {
+    if (this.isSnapshotting) return [];
+
+    this.isSnapshotting = true;
+
+    try {
+      const providers = listProviders().filter(provider => provider.enabled && provider.features.latest);
+      const results = await Promise.all(providers.map(provider => this.snapshot(provider.id)));
+      const events = results.flat();
+      this.saveState();
+      this.notify(events);
+      return events;
+    } finally {
+      this.isSnapshotting = false;
+    }
+  }
+
+  /**
+   * Listen to new-chapter events
+   * @param {Function} listener - Called with array of new events after each snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of new events
+   * @param {Array} events - New events
+   */
+  notify(events) {
+    if (events.length === 0) return;
+
+    const publicEvents = events.map(({ seq, ...event }) => event);
+    this.listeners.forEach(listener => {
+      try {
+        listener(publicEvents);
+      } catch (error) {
+        console.error('Update tracker listener error:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Start periodic snapshots
+   * @param {boolean} immediate - Take first snapshot right away
+   */
+  start(immediate = true) {
+    this.stop();
+
+    this.timer = setInterval(() => {
+      this.snapshotAll().catch(error => console.error('Update snapshot error:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    if (immediate) {
+      this.snapshotAll().catch(error => console.error('Update snapshot error:', error.message));
+    }
+  }
+
+  /**
+   * Stop periodic snapshots
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get new-chapter events
+   * @param {object} options - Query options
+   * @param {string|number} options.since - Only events detected after this time (required without cursor)
+   * @param {string} options.cursor - Continue after this event (next_cursor of previous page)
+   * @param {number} options.limit - Events per page (default: 50, max: 200)
+   * @param {string} options.provider - Only events from this provider
+   * @returns {object} { data, next_cursor, has_more }
+   * @throws {ValidationError} If neither since nor a valid cursor is given
+   */
+  getUpdates(options = {}) {
+    const { since, cursor, provider } = options;
+    const limit = Math.min(200, Math.max(1, parseInt(options.limit, 10) || 50));
+
+    if (!cursor && (since === undefined || since === '')) {
+      throw new ValidationError('since or cursor parameter is required');
+    }
+
+    const afterSeq = cursor ? decodeCursor(cursor) : 0;
+    const sinceTime = since !== undefined && since !== '' ? parseSince(since) : null;
+
+    const matches = this.events.filter(event =>
+      event.seq > afterSeq &&
+      (sinceTime === null || Date.parse(event.detectedAt) > sinceTime) &&
+      (!provider || event.provider === provider)
+    );
+
+    const page = matches.slice(0, limit);
+    const hasMore = matches.length > limit;
+
+    return {
+      data: page.map(({ seq, ...event }) => event),
+      next_cursor: page.length > 0 ? page[page.length - 1].id : (cursor || null),
+      has_more: hasMore
+    };
+  }
+
+  /**
+   * Get tracker statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      interval: this.interval,
+      pages: this.pages,
+      running: !!this.timer,
+      snapshotting: this.isSnapshotting,
+      trackedComics: this.comics.size,
+      maxComics: this.maxComics,
+      events: this.events.length,
+      oldestEventAt: this.events.length > 0 ? this.events[0].detectedAt : null,
+      providers: this.snapshots
+    };
+  }
+}
+
+// Export singleton instance
+const updateTracker = new UpdateTracker();
+
+module.exports = updateTracker;
+module.exports.UpdateTracker = UpdateTracker;
@@ -0,0 +1,767 @@
+/**
+ * Webhook Service
+ * Client mendaftarkan URL beserta filter (event, provider, canonical ID, genre) dan server
+ * mengirim POST JSON bertanda tangan HMAC ketika chapter baru terdeteksi (update tracker)
+ * atau status provider berubah (circuit breaker). Pengiriman yang gagal di-retry dengan
+ * exponential backoff; setelah percobaan habis, delivery masuk dead-letter list.
+ * URL yang mengarah ke jaringan server sendiri (loopback, private, link-local) ditolak
+ * kecuali host-nya ada di WEBHOOK_ALLOWED_HOSTS.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+const { DEFAULT_STATE_DIR, readState, writeState } = require('../helper/state_file');
+const { circuitBreakers, STATES } = require('./circuit_breaker');
+const updateTracker = require('./update_tracker');
+const searchIndex = require('./search_index');
+
+/**
+ * Event types a subscription can listen to
+ */
+const EVENT_TYPES = {
+  CHAPTER_NEW: 'chapter.new',
+  PROVIDER_STATUS: 'provider.status',
+  PING: 'ping'
+};
+
+/**
+ * Address ranges webhooks may not target: this host, private networks, link-local
+ * (termasuk metadata cloud 169.254.169.254), CGNAT, multicast dan reserved
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether IP address is in a blocked range (IPv4-mapped IPv6 dicek sebagai IPv4)
+ * @param {string} address - IP address
+ * @returns {boolean} True if blocked
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Get hostname of URL without IPv6 brackets
+ * @param {string} url - URL
+ * @returns {string} Lowercase hostname
+ */
+const getHost = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+/**
+ * DNS lookup that refuses blocked addresses
+ * Dipakai saat mengirim, jadi hostname yang berganti alamat setelah register (DNS rebinding)
+ * tetap tidak bisa menjangkau jaringan internal
+ * @param {string} hostname - Hostname
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to blocked address ${blocked}`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Generate prefixed random ID
+ * @param {string} prefix - ID prefix
+ * @returns {string} ID
+ */
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Sign webhook payload
+ * Receiver menghitung ulang HMAC-SHA256 dari `${timestamp}.${rawBody}` dengan secret yang sama
+ * @param {string} secret - Subscription secret
+ * @param {string|number} timestamp - Value of X-Webhook-Timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature (`sha256=<hex>`)
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Normalize filter value to lowercase string list
+ * @param {string|Array} value - Comma-separated string or array
+ * @returns {Array} Values
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Normalize genre title or slug ("Slice of Life", "slice-of-life")
+ * @param {string} genre - Genre
+ * @returns {string} Genre key
+ */
+const toGenreKey = (genre) => {
+  return String(genre || '').toLowerCase().split('/').filter(Boolean).pop()?.replace(/[-_\s]+/g, ' ').trim() || '';
+};
+
+/**
+ * Webhook Service
+ */
+class WebhookService {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.retryDelayMs = options.retryDelayMs || parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 5000; // Dilipatgandakan tiap retry
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 10 * 60 * 1000; // 10 minutes
+    this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000;
+    this.logSize = options.logSize || 500;
+    this.deadLetterSize = options.deadLetterSize || 500;
+    this.stateFile = options.stateFile || process.env.WEBHOOK_STATE_FILE ||
+      path.join(DEFAULT_STATE_DIR, 'webhooks.json');
+    this.persist = options.persist !== undefined ? options.persist : true;
+    // Host/IP yang boleh berada di jaringan internal, mis. 'localhost,hooks.internal'
+    this.allowedHosts = toList(options.allowedHosts !== undefined ? options.allowedHosts : process.env.WEBHOOK_ALLOWED_HOSTS);
+
+    // subscriptionId -> subscription
+    this.subscriptions = new Map();
+
+    // deliveryId -> delivery yang masih menunggu dikirim/retry
+    this.pending = new Map();
+    this.timers = new Map();
+
+    // Riwayat percobaan pengiriman (terbaru di akhir)
+    this.log = [];
+
+    // Delivery yang gagal setelah semua percobaan
+    this.deadLetters = [];
+
+    // providerId -> 'up' | 'down'
+    this.providerStatus = {};
+
+    this.unsubscribers = [];
+    this.stats = {
+      dispatched: 0,
+      delivered: 0,
+      failedAttempts: 0,
+      deadLettered: 0
+    };
+
+    this.loadState();
+  }
+
+  /**
+   * Restore subscriptions, pending deliveries and dead letters from state file
+   */
+  loadState() {
+    const state = this.persist ? readState(this.stateFile) : null;
+    if (!state) return;
+
+    this.subscriptions = new Map((state.subscriptions || []).map(subscription => [subscription.id, subscription]));
+    this.pending = new Map((state.pending || []).map(delivery => [delivery.id, delivery]));
+    this.deadLetters = state.deadLetters || [];
+  }
+
+  /**
+   * Persist subscriptions, pending deliveries and dead letters
+   */
+  saveState() {
+    if (!this.persist) return;
+
+    writeState(this.stateFile, {
+      subscriptions: [...this.subscriptions.values()],
+      pending: [...this.pending.values()],
+      deadLetters: this.deadLetters
+    });
+  }
+
+  /**
+   * Hide secret from subscription
+   * @param {object} subscription - Subscription
+   * @returns {object} Public subscription
+   */
+  toPublic(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Check whether URL host is in WEBHOOK_ALLOWED_HOSTS
+   * @param {string} url - Receiver URL
+   * @returns {boolean} True if allowed
+   */
+  isAllowedHost(url) {
+    return this.allowedHosts.includes(getHost(url));
+  }
+
+  /**
+   * Reject URL pointing at loopback, private or link-local addresses (SSRF)
+   * Hostname di-resolve lebih dulu; semua alamatnya harus publik
+   * @param {string} url - Receiver URL
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If target is not allowed
+   */
+  async assertPublicTarget(url) {
+    if (this.isAllowedHost(url)) return;
+
+    const host = getHost(url);
+    let addresses = [host];
+
+    if (!net.isIP(host)) {
+      try {
+        addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        throw new ValidationError(`url host '${host}' cannot be resolved`);
+      }
+    }
+
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      throw new ValidationError(`url must not target a loopback, private or link-local address ('${host}' -> ${blocked})`);
+    }
+  }
+
+  /**
+   * Register webhook subscription
+   * @param {object} options - Subscription options
+   * @param {string} options.url - Receiver URL (http/https)
+   * @param {string} options.secret - HMAC secret (generated if omitted)
+   * @param {Array} options.events - Event types (default: chapter.new and provider.status)
+   * @param {Array} options.providers - Only events from these providers
+   * @param {Array} options.canonicalIds - Only chapter events of these canonical comics
+   * @param {Array} options.genres - Only chapter events of comics with one of these genres
+   * @param {string} options.description - Free text
+   * @returns {Promise<object>} Subscription (secret only returned here)
+   * @throws {ValidationError} If options are invalid or url targets an internal address
+   */
+  async register(options = {}) {
+    const { url, secret, events, providers, canonicalIds, genres, description } = options;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('url must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError('url must use http or https');
+    }
+    await this.assertPublicTarget(parsed.toString());
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new ValidationError('secret must be a string of at least 16 characters');
+    }
+
+    const eventTypes = events === undefined
+      ? [EVENT_TYPES.CHAPTER_NEW, EVENT_TYPES.PROVIDER_STATUS]
+      : toList(events);
+    const unknown = eventTypes.filter(type => !Object.values(EVENT_TYPES).includes(type));
+    if (eventTypes.length === 0 || unknown.length > 0) {
+      throw new ValidationError(`events must be a list of: ${Object.values(EVENT_TYPES).join(', ')}`);
+    }
+
+    const subscription = {
+      id: generateId('wh'),
+      url: parsed.toString(),
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      events: eventTypes,
+      filters: {
+        providers: toList(providers),
+        canonicalIds: toList(canonicalIds),
+        genres: toList(genres).map(toGenreKey)
+      },
+      description: description ? String(description).slice(0, 200) : '',
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.saveState();
+
+    return subscription;
+  }
+
+  /**
+   * Get subscription
+   * @param {string} id - Subscription ID
+   * @returns {object} Public subscription
+   * @throws {NotFoundError} If subscription does not exist
+   */
+  getSubscription(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      throw new NotFoundError(`Webhook '${id}' not found`);
+    }
+    return this.toPublic(subscription);
+  }
+
+  /**
+   * List subscriptions
+   * @returns {Array} Public subscriptions
+   */
+  listSubscriptions() {
+    return [...this.subscriptions.values()].map(subscription => this.toPublic(subscription));
+  }
+
+  /**
+   * Remove subscription and its pending deliveries
+   * @param {string} id - Subscription ID
+   * @throws {NotFoundError} If subscription does not exist
+   */
+  remove(id) {
+    if (!this.subscriptions.delete(id)) {
+      throw new NotFoundError(`Webhook '${id}' not found`);
+    }
+
+    [...this.pending.values()]
+      .filter(delivery => delivery.subscriptionId === id)
+      .forEach(delivery => this.cancel(delivery.id));
+
+    this.saveState();
+  }
+
+  /**
+   * Get genres of comic in chapter event
+   * Listing latest jarang membawa genre, jadi fallback ke search index
+   * @param {object} data - chapter.new event data
+   * @returns {Array} Genre keys
+   */
+  getEventGenres(data) {
+    const genres = data.comic?.genres?.length
+      ? data.comic.genres
+      : (searchIndex.getDocument(data.provider, data.comic?.href)?.genres || []);
+    return genres.map(genre => toGenreKey(typeof genre === 'string' ? genre : genre?.title));
+  }
+
+  /**
+   * Check event against subscription filters
+   * Filter comic (canonicalIds, genres) hanya berlaku untuk event yang membawa comic
+   * @param {object} subscription - Subscription
+   * @param {object} event - Event
+   * @returns {boolean} True if subscription should receive event
+   */
+  matches(subscription, event) {
+    if (!subscription.active || !subscription.events.includes(event.type)) return false;
+
+    const { providers, canonicalIds, genres } = subscription.filters;
+    const { data } = event;
+
+    if (providers.length > 0 && data.provider && !providers.includes(data.provider.toLowerCase())) {
+      return false;
+    }
+
+    if (event.type !== EVENT_TYPES.CHAPTER_NEW) return true;
+
+    if (canonicalIds.length > 0 && !canonicalIds.includes(String(data.comic?.canonicalId || '').toLowerCase())) {
+      return false;
+    }
+
+    if (genres.length > 0) {
+      const comicGenres = this.getEventGenres(data);
+      if (!genres.some(genre => comicGenres.includes(genre))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Create event and queue deliveries for matching subscriptions
+   * @param {string} type - Event type
+   * @param {object} data - Event data
+   * @param {Array} subscriptions - Target subscriptions (default: all matching)
+   * @returns {Array} Queued deliveries
+   */
+  dispatch(type, data, subscriptions = null) {
+    const event = {
+      id: generateId('evt'),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const targets = subscriptions || [...this.subscriptions.values()].filter(subscription =>
+      this.matches(subscription, event)
+    );
+
+    const deliveries = targets.map(subscription => {
+      const delivery = {
+        id: generateId('dlv'),
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        event,
+        attempts: 0,
+        lastError: null,
+        lastStatusCode: null,
+        nextAttemptAt: Date.now(),
+        createdAt: event.createdAt
+      };
+      this.pending.set(delivery.id, delivery);
+      this.schedule(delivery, 0);
+      return delivery;
+    });
+
+    if (deliveries.length > 0) {
+      this.stats.dispatched += deliveries.length;
+      this.saveState();
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Schedule delivery attempt
+   * @param {object} delivery - Delivery
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delivery, delay) {
+    clearTimeout(this.timers.get(delivery.id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(error =>
+        console.error(`Webhook delivery error for '${delivery.id}':`, error.message)
+      );
+    }, Math.max(0, delay));
+    timer.unref();
+
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * Cancel pending delivery
+   * @param {string} deliveryId - Delivery ID
+   */
+  cancel(deliveryId) {
+    clearTimeout(this.timers.get(deliveryId));
+    this.timers.delete(deliveryId);
+    this.pending.delete(deliveryId);
+  }
+
+  /**
+   * Get retry delay for attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxRetryDelayMs, this.retryDelayMs * Math.pow(2, attempts - 1));
+  }
+
+  /**
+   * Check whether failed attempt may be retried
+   * 4xx selain 408/429 berarti receiver menolak payload, retry tidak akan membantu
+   * @param {number|null} statusCode - Response status (null for network errors)
+   * @returns {boolean} True if retryable
+   */
+  isRetryable(statusCode) {
+    if (!statusCode) return true;
+    if (statusCode === 408 || statusCode === 429) return true;
+    return statusCode >= 500;
+  }
+
+  /**
+   * Send one delivery attempt
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<object|null>} Log entry or null if delivery is gone
+   */
+  async attempt(deliveryId) {
+    const delivery = this.pending.get(deliveryId);
+    if (!delivery) return null;
+
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      this.cancel(deliveryId);
+      this.saveState();
+      return null;
+    }
+
+    delivery.attempts++;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+    let retryable = true;
+
+    try {
+      // Subscription lama/state file bisa saja mengarah ke alamat internal
+      await this.assertPublicTarget(subscription.url);
+
+      const response = await axios.post(subscription.url, body, {
+        timeout: this.timeout,
+        maxRedirects: 0,
+        lookup: this.isAllowedHost(subscription.url) ? undefined : publicLookup,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'komikcast-scrapping-webhook/2.1',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        }
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.code ? `${err.code}: ${err.message}` : err.message;
+      retryable = !(err instanceof ValidationError) && err.code !== 'EBLOCKEDADDRESS';
+    }
+
+    const entry = {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      eventId: delivery.event.id,
+      type: delivery.event.type,
+      attempt: delivery.attempts,
+      ok: !error,
+      statusCode,
+      error,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+
+    this.log.push(entry);
+    if (this.log.length > this.logSize) {
+      this.log.shift();
+    }
+
+    delivery.lastStatusCode = statusCode;
+    delivery.lastError = error;
+
+    if (!error) {
+      this.stats.delivered++;
+      this.pending.delete(delivery.id);
+    } else {
+      this.stats.failedAttempts++;
+
+      if (retryable && delivery.attempts < this.maxAttempts && this.isRetryable(statusCode)) {
+        const delay = this.getRetryDelay(delivery.attempts);
+        delivery.nextAttemptAt = Date.now() + delay;
+        this.schedule(delivery, delay);
+      } else {
+        this.pending.delete(delivery.id);
+        this.deadLetter(delivery);
+      }
+    }
+
+    this.saveState();
+    return entry;
+  }
+
+  /**
+   * Move delivery to dead-letter list
+   * @param {object} delivery - Failed delivery
+   */
+  deadLetter(delivery) {
+    console.warn(`Webhook delivery '${delivery.id}' to ${delivery.url} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+
+    this.stats.deadLettered++;
+    this.deadLetters.push({ ...delivery, nextAttemptAt: null, failedAt: new Date().toISOString() });
+    if (this.deadLetters.length > this.deadLetterSize) {
+      this.deadLetters.shift();
+    }
+  }
+
+  /**
+   * Requeue dead-lettered delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {object} Requeued delivery
+   * @throws {NotFoundError} If delivery or its subscription does not exist
+   */
+  redeliver(deliveryId) {
+    const index = this.deadLetters.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) {
+      throw new NotFoundError(`Dead-lettered delivery '${deliveryId}' not found`);
+    }
+
+    const { failedAt, ...delivery } = this.deadLetters[index];
+    if (!this.subscriptions.has(delivery.subscriptionId)) {
+      throw new NotFoundError(`Webhook '${delivery.subscriptionId}' not found`);
+    }
+
+    this.deadLetters.splice(index, 1);
+    const requeued = { ...delivery, attempts: 0, nextAttemptAt: Date.now() };
+    this.pending.set(requeued.id, requeued);
+    this.schedule(requeued, 0);
+    this.saveState();
+
+    return requeued;
+  }
+
+  /**
+   * Send ping event to one subscription (untuk menguji receiver)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<object>} Log entry of first attempt
+   * @throws {NotFoundError} If subscription does not exist
+   * @throws {ValidationError} If url targets an internal address
+   */
+  async ping(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      throw new NotFoundError(`Webhook '${id}' not found`);
+    }
+    await this.assertPublicTarget(subscription.url);
+
+    const [delivery] = this.dispatch(EVENT_TYPES.PING, { webhookId: id }, [subscription]);
+    this.cancel(delivery.id);
+    this.pending.set(delivery.id, delivery);
+    return this.attempt(delivery.id);
+  }
+
+  /**
+   * Handle new-chapter events from update tracker
+   * @param {Array} events - Update tracker events
+   */
+  handleChapterEvents(events) {
+    events.forEach(({ id, ...data }) => {
+      this.dispatch(EVENT_TYPES.CHAPTER_NEW, { updateId: id, ...data });
+    });
+  }
+
+  /**
+   * Handle circuit breaker transition as provider up/down event
+   * Half-open hanya masa percobaan, jadi status baru berubah saat breaker open atau closed
+   * @param {string} providerId - Provider ID
+   * @param {string} previousState - Previous breaker state
+   * @param {string} state - New breaker state
+   * @param {object} breaker - Circuit breaker
+   */
+  handleBreakerTransition(providerId, previousState, state, breaker) {
+    if (state === STATES.HALF_OPEN) return;
+
+    const status = state === STATES.OPEN ? 'down' : 'up';
+    const previousStatus = this.providerStatus[providerId] || 'up';
+    this.providerStatus[providerId] = status;
+
+    if (status === previousStatus) return;
+
+    this.dispatch(EVENT_TYPES.PROVIDER_STATUS, {
+      provider: providerId,
+      status,
+      previousStatus,
+      circuit: state,
+      lastError: breaker?.lastError || null,
+      changedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Attach event sources and resume pending deliveries
+   */
+  start() {
+    this.stop();
+
+    this.unsubscribers = [
+      updateTracker.subscribe(events => this.handleChapterEvents(events)),
+      circuitBreakers.subscribe((...args) => this.handleBreakerTransition(...args))
+    ];
+
+    this.pending.forEach(delivery => {
+      this.schedule(delivery, (delivery.nextAttemptAt || 0) - Date.now());
+    });
+  }
+
+  /**
+   * Detach event sources and stop scheduled attempts
+   * (pending deliveries tetap tersimpan dan dilanjutkan saat start)
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Get delivery log
+   * @param {object} options - Filter options
+   * @param {string} options.subscription - Subscription ID
+   * @param {string} options.status - 'ok' or 'failed'
+   * @param {number} options.limit - Max entries (default: 50, max: 500)
+   * @returns {Array} Log entries, newest first
+   */
+  getDeliveries(options = {}) {
+    const { subscription, status } = options;
+    const limit = Math.min(500, Math.max(1, parseInt(options.limit, 10) || 50));
+
+    return this.log
+      .filter(entry =>
+        (!subscription || entry.subscriptionId === subscription) &&
+        (!status || (status === 'ok' ? entry.ok : !entry.ok))
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get dead-lettered deliveries
+   * @param {string} subscriptionId - Subscription ID (optional)
+   * @returns {Array} Dead letters, newest first
+   */
+  getDeadLetters(subscriptionId = null) {
+    return this.deadLetters
+      .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Remove dead letters
+   * @param {string} subscriptionId - Subscription ID (optional, all if omitted)
+   * @returns {number} Number of removed dead letters
+   */
+  clearDeadLetters(subscriptionId = null) {
+    const before = this.deadLetters.length;
+    this.deadLetters = subscriptionId
+      ? this.deadLetters.filter(delivery => delivery.subscriptionId !== subscriptionId)
+      : [];
+    this.saveState();
+    return before - this.deadLetters.length;
+  }
+
+  /**
+   * Get webhook statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      running: this.unsubscribers.length > 0,
+      subscriptions: this.subscriptions.size,
+      pending: this.pending.size,
+      deadLetters: this.deadLetters.length,
+      maxAttempts: this.maxAttempts,
+      providerStatus: this.providerStatus,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WebhookService = WebhookService;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.signPayload = signPayload;
@@ -0,0 +1,71 @@
+/**
+ * Theme Registry
+ * Base adapter untuk tema WordPress yang dipakai banyak situs komik (Madara, MangaStream).
+ * Provider cukup menulis `theme`, `name` dan `baseUrl` di config; `features`, `urlPatterns`,
+ * `hrefPrefixes` dan `selectors` tema dipakai sebagai default yang bisa di-override per key.
+ */
+
+const madara = require('./madara');
+const mangastream = require('./mangastream');
+
+const THEMES = {
+  [madara.name]: madara,
+  [mangastream.name]: mangastream
+};
+
+// Config keys merged shallowly over theme defaults
+const MERGED_KEYS = ['features', 'hrefPrefixes', 'urlPatterns'];
+
+/**
+ * Get theme by name
+ * @param {string} name - Theme name
+ * @returns {object|null} Theme or null if not found
+ */
+const getTheme = (name) => {
+  return (name && THEMES[name]) || null;
+};
+
+/**
+ * Get scraper hooks of theme
+ * @param {string} name - Theme name
+ * @returns {object} Theme hooks (empty if provider has no theme)
+ */
+const getThemeHooks = (name) => {
+  return getTheme(name)?.hooks || {};
+};
+
+/**
+ * Resolve provider config against its theme defaults
+ * Selector di-merge per operasi, jadi override `selectors.latest.items` tidak menghapus
+ * selector latest lainnya
+ * @param {object} config - Provider configuration
+ * @returns {object} Resolved configuration (unchanged if it has no known theme)
+ */
+const applyTheme = (config) => {
+  const theme = getTheme(config?.theme);
+  if (!theme) return config;
+
+  const { defaults } = theme;
+  const resolved = { ...defaults, ...config };
+
+  MERGED_KEYS.forEach(key => {
+    resolved[key] = { ...defaults[key], ...config[key] };
+  });
+
+  resolved.selectors = {};
+  new Set([...Object.keys(defaults.selectors), ...Object.keys(config.selectors || {})]).forEach(operation => {
+    resolved.selectors[operation] = {
+      ...defaults.selectors[operation],
+      ...config.selectors?.[operation]
+    };
+  });
+
+  return resolved;
+};
+
+module.exports = {
+  THEMES,
+  getTheme,
+  getThemeHooks,
+  applyTheme
+};
@@ -0,0 +1,129 @@
+/**
+ * Madara Theme
+ * Tema WordPress "Madara" (wp-manga): daftar `.page-item-detail`, info di `.post-content_item`,
+ * chapter di `li.wp-manga-chapter` yang pada versi baru dimuat lewat AJAX.
+ */
+
+const cheerio = require('cheerio');
+const { IMAGE_ATTRS, ALL_FEATURES, trimSlashes, slugUrl, getMadaraTitle, fetchAjaxChapters } = require('./shared');
+
+const LIST_ITEM = {
+  title: ['.post-title a', '.post-title'],
+  href: '.post-title a',
+  thumbnail: { selector: '.item-thumb img, .tab-thumb img, img', attr: IMAGE_ATTRS },
+  chapter: ['.chapter-item .chapter a', '.latest-chap .chapter a'],
+  rating: '.score'
+};
+
+const INFO_ROW = '.post-content_item, .post-status .summary-content';
+const INFO_VALUE = '.summary-content';
+
+const defaults = {
+  omitFirstPage: true,
+  features: ALL_FEATURES,
+  hrefPrefixes: {
+    comic: '/manga',
+    chapter: '/manga',
+    genre: '/manga-genre'
+  },
+  urlPatterns: {
+    latest: '/manga/page/{page}/?m_orderby=latest',
+    popular: '/manga/?m_orderby=views',
+    recommended: '/manga/?m_orderby=rating',
+    search: '/?s={keyword}&post_type=wp-manga',
+    detail: '/manga/{slug}/',
+    read: '/manga/{slug}/',
+    genre: '/manga-genre/{genre}/page/{page}/',
+    genreList: '/'
+  },
+  selectors: {
+    latest: {
+      container: 'body',
+      items: '.page-item-detail',
+      ...LIST_ITEM,
+      pagination: '.current'
+    },
+    popular: {
+      container: 'body',
+      items: '.page-item-detail',
+      ...LIST_ITEM
+    },
+    recommended: {
+      container: 'body',
+      items: '.page-item-detail',
+      ...LIST_ITEM
+    },
+    search: {
+      container: 'body',
+      items: '.c-tabs-item__content',
+      ...LIST_ITEM
+    },
+    genre: {
+      container: 'body',
+      items: '.page-item-detail',
+      ...LIST_ITEM,
+      pagination: '.current'
+    },
+    genreList: {
+      container: 'body',
+      items: '.genres__collapse li a, ul.genres li a, .menu-item-object-wp-manga-genre a'
+    },
+    detail: {
+      container: 'body',
+      title: ['.post-title h1', '.post-title h3', '.post-title'],
+      thumbnail: { selector: '.summary_image img', attr: IMAGE_ATTRS },
+      description: ['.description-summary .summary__content', '.summary__content', '.manga-excerpt'],
+      rating: ['.post-total-rating .score', '#averagerate'],
+      status: { selector: INFO_ROW, label: 'Status', value: INFO_VALUE },
+      type: { selector: INFO_ROW, label: 'Type|Tipe', value: INFO_VALUE },
+      author: { selector: INFO_ROW, label: 'Author|Authors|Pengarang', value: INFO_VALUE },
+      released: { selector: INFO_ROW, label: 'Release|Released|Rilis', value: INFO_VALUE },
+      chapters: 'li.wp-manga-chapter',
+      chapterTitle: 'a',
+      chapterHref: 'a',
+      chapterDate: '.chapter-release-date',
+      genres: '.genres-content a'
+    },
+    read: {
+      container: 'body',
+      title: ['#chapter-heading', '.breadcrumb li.active', 'h1'],
+      panels: { selector: '.reading-content .page-break img, .reading-content img', attr: IMAGE_ATTRS }
+    }
+  }
+};
+
+const hooks = {
+  detail: {
+    url: slugUrl,
+    parse: async (response, context) => {
+      const $ = cheerio.load(response.data);
+      const detail = context.parseDefault(response);
+      detail.title = getMadaraTitle($) || detail.title;
+
+      if (detail.chapter.length === 0) {
+        detail.chapter = await fetchAjaxChapters($, {
+          detailUrl: [].concat(context.buildUrl('detail', { slug: trimSlashes(context.params.slug) }))[0],
+          baseUrl: context.baseUrl,
+          fetch: context.fetch,
+          parseChapters: (chapterResponse) => context.parseDefault(chapterResponse).chapter
+        });
+      }
+      return detail;
+    }
+  },
+  read: { url: slugUrl },
+  genre: { url: slugUrl },
+  genreList: {
+    // Link genre Madara membawa jumlah seri, mis. "Action (120)"
+    transform: (genres) => genres.map(genre => ({
+      ...genre,
+      title: genre.title.replace(/\s*\(\d[\d.,]*\)$/, '').trim()
+    }))
+  }
+};
+
+module.exports = {
+  name: 'madara',
+  defaults,
+  hooks
+};
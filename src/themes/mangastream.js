@@ -0,0 +1,139 @@
+/**
+ * MangaStream Theme
+ * Tema WordPress "MangaStream"/MangaThemesia: kartu `.bs .bsx`, info di `.tsinfo .imptdt`
+ * atau `.fmed`, chapter di `#chapterlist`, panel di `#readerarea` atau script `ts_reader.run`.
+ */
+
+const { IMAGE_ATTRS, ALL_FEATURES, slugUrl } = require('./shared');
+
+const LIST_ITEM = {
+  title: ['.bsx .tt', { selector: '.bsx > a', attr: 'title' }],
+  href: '.bsx > a',
+  thumbnail: { selector: '.bsx img', attr: IMAGE_ATTRS },
+  type: '.limit .type',
+  chapter: '.epxs',
+  rating: '.numscore'
+};
+
+/**
+ * Info row spec for both MangaStream layouts
+ * @param {string} label - Row label (regex alternatives allowed)
+ * @returns {Array} Field spec
+ */
+const infoRow = (label) => [
+  { selector: '.tsinfo .imptdt', label, value: 'i, a' },
+  { selector: '.fmed', label, value: 'span' }
+];
+
+const defaults = {
+  omitFirstPage: true,
+  features: ALL_FEATURES,
+  hrefPrefixes: {
+    comic: '/manga',
+    genre: '/genres'
+  },
+  urlPatterns: {
+    latest: '/manga/?page={page}&order=update',
+    popular: '/manga/?order=popular',
+    recommended: '/',
+    search: '/?s={keyword}',
+    detail: '/manga/{slug}/',
+    read: '/{slug}/',
+    genre: '/genres/{genre}/page/{page}/',
+    genreList: '/'
+  },
+  selectors: {
+    latest: {
+      container: 'body',
+      items: '.listupd .bs',
+      ...LIST_ITEM,
+      pagination: '.current'
+    },
+    popular: {
+      container: 'body',
+      items: '.listupd .bs',
+      ...LIST_ITEM
+    },
+    recommended: {
+      container: 'body',
+      items: '.hothome .bs, .popconslide .bs',
+      ...LIST_ITEM
+    },
+    search: {
+      container: 'body',
+      items: '.listupd .bs',
+      ...LIST_ITEM
+    },
+    genre: {
+      container: 'body',
+      items: '.listupd .bs',
+      ...LIST_ITEM,
+      pagination: '.current'
+    },
+    genreList: {
+      container: 'body',
+      items: 'ul.genre li a'
+    },
+    detail: {
+      container: 'body',
+      title: '.entry-title',
+      thumbnail: { selector: '.thumb img', attr: IMAGE_ATTRS },
+      description: ['.entry-content[itemprop="description"]', '.entry-content'],
+      rating: ['.rating .num', '.num'],
+      status: infoRow('Status'),
+      type: infoRow('Type|Tipe'),
+      author: infoRow('Author|Authors|Pengarang'),
+      released: infoRow('Released|Rilis'),
+      chapters: '#chapterlist li',
+      chapterTitle: ['.chapternum', 'a'],
+      chapterHref: 'a',
+      chapterDate: '.chapterdate',
+      genres: '.mgen a, .seriestugenre a'
+    },
+    read: {
+      container: 'body',
+      title: '.entry-title',
+      panels: { selector: '#readerarea img', attr: IMAGE_ATTRS }
+    }
+  }
+};
+
+/**
+ * Extract panels from `ts_reader.run({...})` script
+ * (versi baru mengisi #readerarea lewat JavaScript)
+ * @param {string} html - Chapter page HTML
+ * @returns {Array} Panel image URLs
+ */
+const extractReaderScript = (html) => {
+  const match = String(html || '').match(/ts_reader\.run\((\{[\s\S]*?\})\);/);
+  if (!match) return [];
+
+  try {
+    const reader = JSON.parse(match[1]);
+    const source = (reader.sources || []).find(item => Array.isArray(item.images) && item.images.length > 0);
+    return source ? source.images.filter(src => typeof src === 'string' && src) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const hooks = {
+  detail: { url: slugUrl },
+  read: {
+    url: slugUrl,
+    parse: (response, context) => {
+      const chapter = context.parseDefault(response);
+      if (chapter.panel.length === 0) {
+        chapter.panel = extractReaderScript(response.data);
+      }
+      return chapter;
+    }
+  },
+  genre: { url: slugUrl }
+};
+
+module.exports = {
+  name: 'mangastream',
+  defaults,
+  hooks
+};
@@ -0,0 +1,106 @@
+/**
+ * Shared Theme Helpers
+ */
+
+// Lazy-load attributes used by WordPress image plugins, in priority order
+const IMAGE_ATTRS = ['data-src', 'data-lazy-src', 'data-cfsrc', 'src'];
+
+// Every operation a WordPress theme supports
+const ALL_FEATURES = {
+  latest: true,
+  popular: true,
+  recommended: true,
+  search: true,
+  detail: true,
+  read: true,
+  genre: true,
+  genreList: true
+};
+
+/**
+ * Strip leading/trailing slashes from path param
+ * @param {string} value - Slug or genre path (mis. '/one-piece/')
+ * @returns {string} Clean slug
+ */
+const trimSlashes = (value) => {
+  return typeof value === 'string' ? value.replace(/^\/+|\/+$/g, '') : value;
+};
+
+/**
+ * URL hook that accepts hrefs returned by the scraper ('/slug/') as slug/genre param
+ * @param {object} params - Operation params
+ * @param {object} context - Scraper context
+ * @returns {string|Array|null} URL
+ */
+const slugUrl = (params, context) => {
+  return context.buildUrl(context.operation, {
+    ...params,
+    slug: trimSlashes(params.slug),
+    genre: trimSlashes(params.genre)
+  });
+};
+
+/**
+ * Get Madara series title without badge spans ("HOT", "NEW") inside the heading
+ * @param {object} $ - Cheerio instance of detail page
+ * @returns {string} Title (empty if not found)
+ */
+const getMadaraTitle = ($) => {
+  const $title = $('.post-title h1, .post-title h3').first().clone();
+  $title.children('span').remove();
+  return $title.text().trim();
+};
+
+/**
+ * Load chapter list through Madara AJAX endpoints (situs yang memuat daftar chapter secara lazy)
+ * Endpoint baru: POST {detailUrl}/ajax/chapters/, lama: admin-ajax.php `manga_get_chapters`
+ * @param {object} $ - Cheerio instance of detail page
+ * @param {object} options - Request options
+ * @param {string} options.detailUrl - Detail page URL
+ * @param {string} options.baseUrl - Site base URL
+ * @param {Function} options.fetch - (url, options) => Promise<response>
+ * @param {Function} options.parseChapters - (response) => chapters
+ * @returns {Promise<Array>} Chapters (empty if endpoints return nothing)
+ */
+const fetchAjaxChapters = async ($, { detailUrl, baseUrl, fetch, parseChapters }) => {
+  const $holder = $('#manga-chapters-holder');
+  const mangaId = $holder.attr('data-id') || $('.rating-post-id').attr('value') || '';
+
+  if ($holder.length === 0 && !mangaId) {
+    return [];
+  }
+
+  const headers = { 'X-Requested-With': 'XMLHttpRequest', Referer: detailUrl };
+  const requests = [
+    () => fetch(`${detailUrl.replace(/\/+$/, '')}/ajax/chapters/`, { method: 'post', headers, retries: 1 })
+  ];
+
+  if (mangaId) {
+    requests.push(() => fetch(`${baseUrl}/wp-admin/admin-ajax.php`, {
+      method: 'post',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: `action=manga_get_chapters&manga=${encodeURIComponent(mangaId)}`,
+      retries: 1
+    }));
+  }
+
+  for (const request of requests) {
+    try {
+      const chapters = parseChapters(await request());
+      if (chapters.length > 0) return chapters;
+    } catch (error) {
+      // Endpoint tidak tersedia, coba endpoint berikutnya
+    }
+  }
+
+  return [];
+};
+
+module.exports = {
+  IMAGE_ATTRS,
+  ALL_FEATURES,
+  trimSlashes,
+  slugUrl,
+  getMadaraTitle,
+  fetchAjaxChapters
+};
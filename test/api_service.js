@@ -0,0 +1,130 @@
+/**
+ * Advanced detail (apiService.getComicDetail) lewat default provider, HTTP di-stub
+ * dengan fixture store sehingga tidak ada request ke situs asli.
+ * Search dengan typo: search index dicoba sebelum search ulang ke situs.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const apiService = require('../src/services/api_service');
+const { circuitBreakers } = require('../src/services/circuit_breaker');
+const searchIndex = require('../src/services/search_index');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+
+const SEARCH_PROVIDER_ID = 'searchtest';
+const SOLO_LEVELING = { title: 'Solo Leveling', href: '/solo-leveling/', thumbnail: 'https://search.test/solo.jpg', type: 'Manhwa' };
+
+// Situs hanya menemukan substring persis
+const searchedKeywords = [];
+registerProvider(SEARCH_PROVIDER_ID, {
+  name: 'Search Test',
+  baseUrl: 'https://search.test',
+  enabled: true,
+  features: { search: true }
+}, {
+  searchComics: async (keyword) => {
+    searchedKeywords.push(keyword);
+    return 'solo leveling'.includes(keyword) ? [SOLO_LEVELING] : [];
+  }
+});
+
+const DETAIL_HTML = `
+<div id="content"><div class="wrapper"><div class="komik_info">
+  <div class="komik_info-cover-box"><div class="komik_info-cover-image"><img src="https://komikcast03.com/cover.jpg"></div></div>
+  <div class="komik_info-body">
+    <div class="komik_info-content">
+      <div class="komik_info-content-body">
+        <h1>Foo Adventure</h1>
+        <div class="komik_info-content-meta">
+          <span>Released: 2020</span><span>Author: Someone</span><span>Status: Ongoing</span><span>Type: Manhwa</span>
+        </div>
+        <div class="komik_info-content-genre"><a href="/genres/action/">Action</a></div>
+      </div>
+    </div>
+    <div class="komik_info-chapters"><ul>
+      <li><a href="https://komikcast03.com/chapter/foo-chapter-3/">Chapter 3</a><span class="chapter-link-time">1 day ago</span></li>
+      <li><a href="https://komikcast03.com/chapter/foo-chapter-2/">Chapter 2</a><span class="chapter-link-time">2 days ago</span></li>
+      <li><a href="https://komikcast03.com/chapter/foo-chapter-1/">Chapter 1</a><span class="chapter-link-time">3 days ago</span></li>
+    </ul></div>
+  </div>
+</div></div></div>`;
+
+const requested = [];
+
+setFixtureStore({
+  handle: async (url) => {
+    requested.push(url);
+    return { status: 200, headers: { 'content-type': 'text/html' }, data: DETAIL_HTML };
+  }
+});
+
+after(() => {
+  setFixtureStore(null);
+  unregisterProvider(SEARCH_PROVIDER_ID);
+  searchIndex.clear(SEARCH_PROVIDER_ID);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('advanced detail on the default provider passes chapter options, not as provider', async () => {
+  circuitBreakers.remove('komikcast');
+
+  const result = await apiService.getComicDetail({ url: 'foo', provider: 'komikcast', enrich: false, optimize: false });
+
+  assert.strictEqual(result.metadata.provider, 'komikcast');
+  assert.strictEqual(result.data.title, 'Foo Adventure');
+  assert.strictEqual(result.data.chapter.length, 3);
+  assert.ok(requested.some(url => url.endsWith('/manga/foo')));
+  assert.strictEqual(circuitBreakers.getState('komikcast').totalFailures, 0);
+});
+
+test('advanced detail on the default provider pages chapters', async () => {
+  const result = await apiService.getComicDetail({
+    url: 'foo',
+    provider: 'komikcast',
+    chapterPage: 2,
+    chapterPageSize: 2,
+    enrich: false,
+    optimize: false
+  });
+
+  assert.deepStrictEqual(result.data.chapter.map(chapter => chapter.href), ['/foo-chapter-1']);
+  assert.strictEqual(result.data.chapter_pagination.current_page, 2);
+  assert.strictEqual(result.data.chapter_pagination.total_pages, 2);
+});
+
+test('advanced detail without provider resolves to the default provider', async () => {
+  const result = await apiService.getComicDetail({ url: 'foo', enrich: false, optimize: false });
+
+  assert.strictEqual(result.metadata.provider, 'komikcast');
+  assert.strictEqual(result.metadata.fallback, false);
+});
+
+test('typo search is matched against the search index before searching the site again', async () => {
+  searchIndex.clear(SEARCH_PROVIDER_ID);
+  searchIndex.upsert(SEARCH_PROVIDER_ID, SOLO_LEVELING);
+  searchIndex.upsert(SEARCH_PROVIDER_ID, { title: 'Tower of God', href: '/tower-of-god/' });
+  searchedKeywords.length = 0;
+
+  const result = await apiService.searchComics({ keyword: 'solo levl', provider: SEARCH_PROVIDER_ID, enrich: false, optimize: false });
+
+  assert.deepStrictEqual(searchedKeywords, ['solo levl']);
+  assert.deepStrictEqual(result.data.map(comic => comic.title), ['Solo Leveling']);
+  assert.strictEqual(result.metadata.fallbackSource, 'index');
+  assert.strictEqual(result.metadata.fallbackQuery, undefined);
+});
+
+test('typo search falls back to relaxed site queries when the index has no match', async () => {
+  searchIndex.clear(SEARCH_PROVIDER_ID);
+  searchedKeywords.length = 0;
+
+  const result = await apiService.searchComics({ keyword: 'solo levl', provider: SEARCH_PROVIDER_ID, enrich: false, optimize: false });
+
+  assert.deepStrictEqual(searchedKeywords, ['solo levl', 'solo']);
+  assert.deepStrictEqual(result.data.map(comic => comic.title), ['Solo Leveling']);
+  assert.strictEqual(result.metadata.fallbackSource, 'remote');
+  assert.strictEqual(result.metadata.fallbackQuery, 'solo');
+});
@@ -0,0 +1,181 @@
+/**
+ * Aqua Reader: tiap field detail diambil dari sumber paling terpercaya yang ada
+ * (JSON-LD seri > markup Madara/AJAX > OpenGraph > JSON-LD halaman > heuristik)
+ * dan `confidence` melaporkan sumber yang menang.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const aquareader = require('../src/services/aquareader_scraper');
+
+const BASE = 'https://aquareader.net';
+
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+const madaraChapters = (slug, numbers) => numbers.map(number => `
+  <li class="wp-manga-chapter"><a href="${BASE}/manga/${slug}/chapter-${number}/">Chapter ${number}</a>
+  <span class="chapter-release-date">${number} days ago</span></li>`).join('');
+
+const PAGES = {
+  // JSON-LD ComicSeries + markup Madara + OpenGraph sekaligus
+  '/jsonld-series': `
+    <head>
+      <meta property="og:title" content="OG Title - Aqua Reader">
+      <meta property="og:image" content="${BASE}/og.jpg">
+      ${jsonLd({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebPage', name: 'Page Title - Aqua Reader' },
+          {
+            '@type': 'ComicSeries',
+            name: 'Series Title',
+            image: { '@type': 'ImageObject', url: `${BASE}/series.jpg` },
+            description: 'Series description',
+            author: [{ '@type': 'Person', name: 'Jane Doe' }],
+            datePublished: '2021-03-04',
+            aggregateRating: { ratingValue: 8.7 },
+            creativeWorkStatus: 'Ongoing'
+          }
+        ]
+      })}
+    </head>
+    <body>
+      <div class="post-title"><h1>Madara Title</h1></div>
+      <div class="summary_image"><img data-src="${BASE}/madara.jpg"></div>
+      <div class="post-content_item"><div class="summary-heading">Author(s)</div><div class="summary-content"><a>Someone Else</a></div></div>
+      <div class="post-content_item"><div class="summary-heading">Type</div><div class="summary-content">Manhwa</div></div>
+      <div class="genres-content"><a href="${BASE}/manga-genre/action/">Action</a><a href="${BASE}/manga-genre/fantasy/">Fantasy</a></div>
+      <ul>${madaraChapters('jsonld-series', [2, 1])}</ul>
+    </body>`,
+
+  // Hanya OpenGraph + JSON-LD WebPage generik, chapter dari selector heuristik
+  '/opengraph': `
+    <head>
+      <meta property="og:site_name" content="Aqua Reader">
+      <meta property="og:title" content="Bar Saga – Aqua Reader">
+      <meta property="og:description" content="OG description">
+      ${jsonLd({ '@type': 'WebPage', name: 'Bar Saga Page', description: 'Page description', image: `${BASE}/page.jpg` })}
+    </head>
+    <body>
+      <h1>Read Bar Saga Online</h1>
+      <div class="chapter-list"><a href="${BASE}/manga/opengraph/chapter-1/">Chapter 1</a></div>
+    </body>`,
+
+  // Markup Madara dengan chapter list yang dimuat lewat AJAX
+  '/ajax-chapters': `
+    <div class="post-title"><h1>Ajax Quest</h1></div>
+    <div class="summary_image"><img src="${BASE}/ajax.jpg"></div>
+    <div class="description-summary"><div class="summary__content">Ajax description</div></div>
+    <div id="manga-chapters-holder" data-id="7"></div>`,
+
+  // Tanpa data terstruktur maupun markup Madara
+  '/heuristic': `
+    <h1>Plain Comic</h1>
+    <div class="cover"><img src="/covers/plain.jpg"></div>
+    <div class="description">Plain description</div>
+    <div class="info">Author: John Roe
+Status: Completed
+Type: Manhua</div>
+    <div class="genres"><a href="${BASE}/manga-genre/comedy/">Comedy</a></div>
+    <div class="chapters"><a href="${BASE}/manga/heuristic/chapter-3/">Chapter 3</a><a href="${BASE}/manga/heuristic/chapter-2/">Chapter 2</a></div>`
+};
+
+const requested = [];
+
+setFixtureStore({
+  handle: async (url) => {
+    requested.push(url);
+    const { pathname } = new URL(url);
+
+    if (pathname === '/ajax-chapters/ajax/chapters/') {
+      return { status: 200, headers: { 'content-type': 'text/html' }, data: `<ul>${madaraChapters('ajax-chapters', [3, 2, 1])}</ul>` };
+    }
+    if (PAGES[pathname]) {
+      return { status: 200, headers: { 'content-type': 'text/html' }, data: PAGES[pathname] };
+    }
+    return { status: 404, headers: { 'content-type': 'text/html' }, data: 'Not found' };
+  }
+});
+
+after(() => {
+  setFixtureStore(null);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('JSON-LD series fields win over Madara markup and OpenGraph', async () => {
+  const detail = await aquareader.getComicDetail('jsonld-series');
+
+  assert.deepStrictEqual(
+    { title: detail.title, thumbnail: detail.thumbnail, author: detail.author, released: detail.released, status: detail.status },
+    { title: 'Series Title', thumbnail: `${BASE}/series.jpg`, author: 'Jane Doe', released: '2021', status: 'Ongoing' }
+  );
+  assert.strictEqual(detail.description, 'Series description');
+  // Field yang tidak ada di JSON-LD diisi markup Madara
+  assert.strictEqual(detail.type, 'Manhwa');
+  assert.deepStrictEqual(detail.genre.map(genre => genre.title), ['Action', 'Fantasy']);
+  assert.deepStrictEqual(detail.chapter.map(chapter => chapter.title), ['2', '1']);
+
+  assert.deepStrictEqual(detail.confidence, {
+    title: 0.95,
+    rating: 0.95,
+    status: 0.95,
+    type: 0.9,
+    released: 0.95,
+    author: 0.95,
+    genre: 0.9,
+    description: 0.95,
+    thumbnail: 0.95,
+    chapter: 0.9
+  });
+});
+
+test('OpenGraph wins over a generic JSON-LD page node and heuristic selectors', async () => {
+  const detail = await aquareader.getComicDetail('opengraph');
+
+  // Judul og:title tanpa suffix nama situs
+  assert.strictEqual(detail.title, 'Bar Saga');
+  assert.strictEqual(detail.description, 'OG description');
+  // og:image tidak ada: cover dari node WebPage
+  assert.strictEqual(detail.thumbnail, `${BASE}/page.jpg`);
+  assert.deepStrictEqual(detail.chapter.map(chapter => chapter.title), ['1']);
+
+  assert.strictEqual(detail.confidence.title, 0.8);
+  assert.strictEqual(detail.confidence.description, 0.8);
+  assert.strictEqual(detail.confidence.thumbnail, 0.7);
+  assert.strictEqual(detail.confidence.chapter, 0.4);
+  assert.strictEqual(detail.confidence.author, 0);
+  assert.ok(!requested.some(url => url.includes('/opengraph/ajax/')));
+});
+
+test('Madara chapter list is loaded over AJAX when the page has none', async () => {
+  const detail = await aquareader.getComicDetail('ajax-chapters');
+
+  assert.strictEqual(detail.title, 'Ajax Quest');
+  assert.strictEqual(detail.description, 'Ajax description');
+  assert.deepStrictEqual(detail.chapter.map(chapter => chapter.title), ['3', '2', '1']);
+  assert.ok(requested.includes(`${BASE}/ajax-chapters/ajax/chapters/`));
+
+  assert.strictEqual(detail.confidence.title, 0.9);
+  assert.strictEqual(detail.confidence.thumbnail, 0.9);
+  assert.strictEqual(detail.confidence.chapter, 0.9);
+});
+
+test('heuristic selectors are the last resort with low confidence', async () => {
+  const detail = await aquareader.getComicDetail('heuristic');
+
+  assert.deepStrictEqual(
+    { title: detail.title, thumbnail: detail.thumbnail, author: detail.author, status: detail.status, type: detail.type },
+    { title: 'Plain Comic', thumbnail: `${BASE}/covers/plain.jpg`, author: 'John Roe', status: 'Completed', type: 'Manhua' }
+  );
+  assert.deepStrictEqual(detail.genre.map(genre => genre.title), ['Comedy']);
+  assert.deepStrictEqual(detail.chapter.map(chapter => chapter.title), ['3', '2']);
+
+  Object.entries(detail.confidence).forEach(([field, score]) => {
+    const expected = ['rating', 'released'].includes(field) ? 0 : 0.4;
+    assert.strictEqual(score, expected, field);
+  });
+});
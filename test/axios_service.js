@@ -0,0 +1,128 @@
+/**
+ * Mirror failover: gagal koneksi/timeout langsung pindah ke mirror berikutnya, mirror yang
+ * bekerja diingat (status dan urutan request berikutnya) dan retry berjalan per putaran mirror.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const cacheService = require('../src/helper/cache_service');
+const { AxiosService } = require('../src/helper/axios_service');
+const { canonicalizeUrl, findMirrorGroup, getMirrorStatus } = require('../src/helper/mirror_manager');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { addProvider, removeProvider } = require('../src/config/providers');
+
+const hits = { hang: 0, ok: 0, error: 0, down: 0 };
+const servers = [];
+const origins = {};
+
+/**
+ * Start local server and return its origin
+ * @param {function} handler - Request handler
+ * @returns {Promise<string>} Origin
+ */
+const listen = async (handler) => {
+  const server = http.createServer(handler);
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+/**
+ * Get origin of a port that was just closed (ECONNREFUSED)
+ * @returns {Promise<string>} Origin
+ */
+const refusedOrigin = async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+  return origin;
+};
+
+before(async () => {
+  origins.refused = await refusedOrigin();
+  origins.downRefused = await refusedOrigin();
+
+  // Tidak pernah menjawab: timeout
+  origins.hang = await listen(() => { hits.hang++; });
+  origins.down = await listen(() => { hits.down++; });
+  origins.ok = await listen((req, res) => {
+    hits.ok++;
+    res.end(`ok ${req.url}`);
+  });
+  origins.error = await listen((req, res) => {
+    hits.error++;
+    res.statusCode = 500;
+    res.end('error');
+  });
+
+  addProvider('mirrortest', { name: 'Mirror Test', baseUrl: origins.refused, mirrors: [origins.hang, origins.ok] });
+  addProvider('mirrordown', { name: 'Mirror Down', baseUrl: origins.downRefused, mirrors: [origins.down] });
+  addProvider('mirror5xx', { name: 'Mirror 5xx', baseUrl: origins.error, mirrors: [origins.ok] });
+});
+
+after(async () => {
+  removeProvider('mirrortest');
+  removeProvider('mirrordown');
+  removeProvider('mirror5xx');
+  servers.forEach(server => server.closeAllConnections());
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('connection and timeout errors fail over to the next mirror without retrying', async () => {
+  const startedAt = Date.now();
+  const response = await AxiosService(`${origins.refused}/manga/foo/`, { timeout: 200, retries: 3 });
+
+  assert.strictEqual(response.data, 'ok /manga/foo/');
+  assert.strictEqual(hits.hang, 1);
+  assert.strictEqual(hits.ok, 1);
+  // Tanpa backoff 1 detik di mirror yang gagal
+  assert.ok(Date.now() - startedAt < 1000);
+
+  assert.deepStrictEqual(getMirrorStatus().mirrortest, {
+    active: origins.ok,
+    mirrors: [origins.refused, origins.hang, origins.ok]
+  });
+});
+
+test('working mirror is tried first and scraped URLs stay canonical', async () => {
+  const response = await AxiosService(`${origins.refused}/manga/bar/`, { timeout: 200 });
+
+  assert.strictEqual(response.data, 'ok /manga/bar/');
+  assert.strictEqual(hits.hang, 1);
+  assert.strictEqual(hits.ok, 2);
+  assert.strictEqual(canonicalizeUrl(`${origins.ok}/manga/bar/`), `${origins.refused}/manga/bar/`);
+});
+
+test('retries run as rounds over all mirrors', async () => {
+  await assert.rejects(
+    AxiosService(`${origins.downRefused}/manga/baz/`, { timeout: 100, retries: 2 }),
+    { code: 'NETWORK_ERROR' }
+  );
+
+  assert.strictEqual(hits.down, 2);
+  assert.strictEqual(getMirrorStatus().mirrordown.active, origins.downRefused);
+});
+
+test('server errors are retried on the same mirror and do not fail over', async () => {
+  const okHits = hits.ok;
+
+  await assert.rejects(AxiosService(`${origins.error}/manga/qux/`, { retries: 1 }), /Server error/);
+
+  assert.strictEqual(hits.error, 1);
+  assert.strictEqual(hits.ok, okHits);
+});
+
+test('mirror groups follow provider config changes', () => {
+  assert.strictEqual(findMirrorGroup(`${origins.hang}/x`).key, 'mirrortest');
+
+  removeProvider('mirrortest');
+  assert.strictEqual(findMirrorGroup(`${origins.ok}/x`).key, 'mirror5xx');
+  assert.strictEqual(canonicalizeUrl(`${origins.ok}/x`), `${origins.error}/x`);
+
+  addProvider('mirrortest', { name: 'Mirror Test', baseUrl: origins.refused, mirrors: [origins.hang, origins.ok] });
+  assert.strictEqual(findMirrorGroup(`${origins.hang}/x`).key, 'mirrortest');
+});
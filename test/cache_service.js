@@ -0,0 +1,332 @@
+/**
+ * Cache middleware: request coalescing, stale-while-revalidate (refresh sekali lewat
+ * response terpisah), stale-if-error dan error middleware yang diteruskan ke errorHandler.
+ * Cache levels: L1 menyimpan value yang sudah di-parse, L2 dan store terkompresi (gzip/brotli),
+ * dan byte budget membuang L2 lebih dulu.
+ * Validator: ETag/Last-Modified/Cache-Control, 304 untuk If-None-Match/If-Modified-Since dan
+ * Last-Modified yang hanya berubah bila isi response berubah.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const cacheService = require('../src/helper/cache_service');
+const { CacheService } = require('../src/helper/cache_service');
+const { FileCacheStore } = require('../src/helper/cache_store');
+const { dispatchRequest } = require('../src/helper/internal_request');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+
+const cache = new CacheService({ store: null, staleWhileRevalidate: 60 * 1000, staleIfError: 60 * 1000 });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const calls = { slow: 0, stale: 0, flaky: 0 };
+const headersSentOnCall = [];
+let releaseSlow;
+const slowGate = new Promise(resolve => { releaseSlow = resolve; });
+let releaseRefresh;
+const refreshGate = new Promise(resolve => { releaseRefresh = resolve; });
+let flakyFails = false;
+let validatedTitle = 'One Piece';
+
+const app = express();
+
+app.get('/slow', cache.middleware(60 * 1000), async (req, res) => {
+  calls.slow++;
+  await slowGate;
+  res.json({ calls: calls.slow });
+});
+
+app.get('/stale', cache.middleware(50), async (req, res) => {
+  calls.stale++;
+  headersSentOnCall.push(res.headersSent);
+  if (calls.stale > 1) {
+    await refreshGate;
+  }
+  res.status(200).json({ calls: calls.stale });
+});
+
+app.get('/flaky', cache.middleware(50, { staleWhileRevalidate: 0 }), (req, res, next) => {
+  calls.flaky++;
+  if (flakyFails) {
+    return next(new Error('upstream down'));
+  }
+  res.json({ calls: calls.flaky });
+});
+
+app.get('/validated', cache.middleware(60 * 1000), (req, res) => res.json({ title: validatedTitle }));
+
+app.get('/missing', cache.middleware(60 * 1000), (req, res) => res.status(404).json({ status: 'error' }));
+
+app.get('/broken', cache.middleware(60 * 1000), (req, res) => res.json({ ok: true }));
+
+app.use((err, req, res, next) => res.status(500).json({ status: 'error', message: err.message }));
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  cache.stopCleanup();
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const request = async (path, headers = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  const text = await response.text();
+  return {
+    status: response.status,
+    cache: response.headers.get('x-cache'),
+    headers: response.headers,
+    body: text ? JSON.parse(text) : null
+  };
+};
+
+test('concurrent misses make exactly one upstream call', async () => {
+  const pending = [request('/slow'), request('/slow'), request('/slow')];
+  await wait(50);
+  releaseSlow();
+  const responses = await Promise.all(pending);
+
+  assert.strictEqual(calls.slow, 1);
+  assert.deepStrictEqual(responses.map(response => response.body.calls), [1, 1, 1]);
+  assert.deepStrictEqual(responses.map(response => response.cache).sort(), ['COALESCED', 'COALESCED', 'MISS']);
+  assert.strictEqual(cache.stats.coalesced, 2);
+});
+
+test('stale hit is served with X-Cache: STALE and refreshed once in the background', async () => {
+  assert.strictEqual((await request('/stale')).cache, 'MISS');
+  await wait(80);
+
+  const responses = await Promise.all([request('/stale'), request('/stale')]);
+  assert.deepStrictEqual(responses.map(response => response.cache), ['STALE', 'STALE']);
+  assert.deepStrictEqual(responses.map(response => response.body.calls), [1, 1]);
+
+  releaseRefresh();
+  for (let i = 0; i < 50 && cache.revalidating.size > 0; i++) {
+    await wait(10);
+  }
+
+  assert.strictEqual(calls.stale, 2);
+  assert.strictEqual(cache.stats.revalidations, 1);
+  // Refresh berjalan dengan response terpisah, bukan response client yang sudah terkirim
+  assert.deepStrictEqual(headersSentOnCall, [false, false]);
+
+  const refreshed = await request('/stale');
+  assert.strictEqual(refreshed.cache, 'HIT');
+  assert.strictEqual(refreshed.body.calls, 2);
+});
+
+test('upstream error is answered with the stale entry', async () => {
+  assert.strictEqual((await request('/flaky')).cache, 'MISS');
+  await wait(80);
+  flakyFails = true;
+
+  const response = await request('/flaky');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.cache, 'STALE-IF-ERROR');
+  assert.strictEqual(response.body.calls, 1);
+  assert.strictEqual(calls.flaky, 2);
+});
+
+test('cache read error reaches the error handler', async () => {
+  const getWithState = cache.getWithState;
+  cache.getWithState = async () => { throw new Error('store read failed'); };
+
+  try {
+    const response = await request('/broken');
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.body.message, 'store read failed');
+  } finally {
+    cache.getWithState = getWithState;
+  }
+});
+
+// Value yang hasil JSON-nya tepat `bytes` byte ('{"data":""}' = 11 byte)
+const sized = (bytes) => ({ data: 'x'.repeat(bytes - 11) });
+const comics = (count) => Array.from({ length: count }, (_, i) => ({ title: `Comic ${i}`, href: `/comic-${i}/`, chapter: `Chapter ${i * 3}` }));
+
+test('L1 keeps the parsed value so memory hits skip decompression', () => {
+  const levels = new CacheService({ store: null });
+  const value = { data: comics(50) };
+
+  levels.set('/terbaru', value);
+
+  const item = levels.l1Cache.get('/terbaru');
+  assert.strictEqual(item.compressed, false);
+  assert.strictEqual(item.value, value);
+  assert.deepStrictEqual(levels.get('/terbaru'), value);
+  assert.deepStrictEqual(levels.get('/terbaru'), value);
+  assert.strictEqual(levels.stats.compressions, 0);
+  assert.strictEqual(levels.stats.decompressions, 0);
+
+  levels.stopCleanup();
+});
+
+for (const encoding of ['gzip', 'brotli']) {
+  test(`${encoding} entries in L2 and the store round-trip and are unpacked once into L1`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-levels-'));
+    const store = new FileCacheStore({ dir });
+    const writes = [];
+    const storeSet = store.set.bind(store);
+    store.set = (key, entry) => {
+      const write = storeSet(key, entry);
+      writes.push(write);
+      return write;
+    };
+
+    const levels = new CacheService({ store, compressionEncoding: encoding });
+    const value = { data: comics(50) };
+
+    try {
+      levels.set('/populer', value, null, { level: 'L2' });
+      // Write-through ke store berjalan di background
+      await wait(0);
+      await Promise.all(writes);
+
+      const packed = levels.l2Cache.get('/populer');
+      assert.strictEqual(packed.compressed, true);
+      assert.strictEqual(packed.encoding, encoding);
+      assert.ok(packed.size < packed.rawSize);
+
+      const stored = await store.get('/populer');
+      assert.strictEqual(stored.compressed, true);
+      assert.strictEqual(stored.encoding, encoding);
+
+      // L2 hit dipromosikan ke L1 dalam bentuk parsed, hit berikutnya tanpa decompress
+      assert.deepStrictEqual(levels.get('/populer'), value);
+      assert.deepStrictEqual(levels.get('/populer'), value);
+      assert.strictEqual(levels.stats.decompressions, 1);
+      assert.strictEqual(levels.l1Cache.get('/populer').compressed, false);
+      assert.strictEqual(levels.l2Cache.has('/populer'), false);
+      assert.strictEqual(levels.totalBytes, packed.rawSize);
+
+      // Instance lain membaca entry terkompresi dari store
+      const other = new CacheService({ store });
+      assert.deepStrictEqual(await other.getAsync('/populer'), value);
+      assert.strictEqual(other.stats.storeHits, 1);
+      assert.strictEqual(other.l1Cache.get('/populer').compressed, false);
+      other.stopCleanup();
+    } finally {
+      levels.stopCleanup();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+test('byte budget evicts L2 first, then the least recently used L1 entry', () => {
+  const levels = new CacheService({ store: null, maxBytes: 5000 });
+
+  levels.set('l1-a', sized(1000));
+  levels.set('l2-a', sized(1000), null, { level: 'L2', compress: false });
+  levels.set('l2-b', sized(1000), null, { level: 'L2', compress: false });
+  levels.set('l1-b', sized(1500));
+  assert.strictEqual(levels.totalBytes, 4500);
+
+  levels.set('l1-c', sized(1500));
+  assert.deepStrictEqual([...levels.l2Cache.keys()], ['l2-b']);
+  assert.strictEqual(levels.totalBytes, 5000);
+
+  levels.set('l1-d', sized(1000));
+  assert.strictEqual(levels.l2Cache.size, 0);
+  assert.deepStrictEqual([...levels.l1Cache.keys()], ['l1-a', 'l1-b', 'l1-c', 'l1-d']);
+
+  levels.set('l1-e', sized(1000));
+  assert.deepStrictEqual([...levels.l1Cache.keys()], ['l1-b', 'l1-c', 'l1-d', 'l1-e']);
+  assert.strictEqual(levels.totalBytes, 5000);
+  assert.strictEqual(levels.stats.sizeEvictions, 3);
+
+  levels.stopCleanup();
+});
+
+test('value larger than the byte budget is not cached', () => {
+  const levels = new CacheService({ store: null, maxBytes: 5000 });
+
+  levels.set('small', sized(1000));
+  assert.strictEqual(levels.set('huge', sized(6000)), undefined);
+
+  assert.strictEqual(levels.get('huge'), null);
+  assert.deepStrictEqual(levels.get('small'), sized(1000));
+  assert.strictEqual(levels.totalBytes, 1000);
+  assert.strictEqual(levels.stats.sizeEvictions, 0);
+
+  levels.stopCleanup();
+});
+
+test('cacheable response carries ETag, Last-Modified and Cache-Control from the route TTL', async () => {
+  const miss = await request('/validated');
+
+  assert.strictEqual(miss.cache, 'MISS');
+  assert.match(miss.headers.get('etag'), /^"[^"]+"$/);
+  assert.ok(!isNaN(Date.parse(miss.headers.get('last-modified'))));
+  assert.strictEqual(
+    miss.headers.get('cache-control'),
+    'public, max-age=60, s-maxage=60, stale-while-revalidate=60, stale-if-error=60'
+  );
+
+  const hit = await request('/validated');
+  assert.strictEqual(hit.cache, 'HIT');
+  assert.strictEqual(hit.headers.get('etag'), miss.headers.get('etag'));
+  assert.match(hit.headers.get('cache-control'), /^public, max-age=(59|60), s-maxage=(59|60),/);
+
+  const error = await request('/missing');
+  assert.strictEqual(error.status, 404);
+  assert.strictEqual(error.headers.get('cache-control'), 'no-store');
+  assert.strictEqual(error.headers.get('last-modified'), null);
+});
+
+test('matching If-None-Match or If-Modified-Since is answered with 304', async () => {
+  const { headers } = await request('/validated');
+  const etag = headers.get('etag');
+  const lastModified = headers.get('last-modified');
+
+  const notModified = await request('/validated', { 'If-None-Match': etag });
+  assert.strictEqual(notModified.status, 304);
+  assert.strictEqual(notModified.body, null);
+  assert.strictEqual(notModified.headers.get('etag'), etag);
+  assert.ok(notModified.headers.get('cache-control').startsWith('public, max-age='));
+
+  assert.strictEqual((await request('/validated', { 'If-None-Match': `"other", W/${etag}` })).status, 304);
+  assert.strictEqual((await request('/validated', { 'If-None-Match': '"other"' })).status, 200);
+
+  assert.strictEqual((await request('/validated', { 'If-Modified-Since': lastModified })).status, 304);
+  const earlier = new Date(Date.parse(lastModified) - 60 * 1000).toUTCString();
+  assert.strictEqual((await request('/validated', { 'If-Modified-Since': earlier })).status, 200);
+
+  // If-None-Match yang tidak cocok menang atas If-Modified-Since yang cocok
+  assert.strictEqual((await request('/validated', { 'If-None-Match': '"other"', 'If-Modified-Since': lastModified })).status, 200);
+});
+
+test('Last-Modified only moves when the refreshed content changes', async () => {
+  await request('/validated');
+  const first = cache.l1Cache.get('/validated');
+
+  await wait(5);
+  assert.strictEqual((await dispatchRequest(app, '/validated', { refresh: true })).cache, 'MISS');
+  const unchanged = cache.l1Cache.get('/validated');
+  assert.ok(unchanged.createdAt > first.createdAt);
+  assert.strictEqual(unchanged.etag, first.etag);
+  assert.strictEqual(unchanged.lastModified, first.lastModified);
+
+  validatedTitle = 'One Piece (Colored)';
+  await wait(5);
+  await dispatchRequest(app, '/validated', { refresh: true });
+  const changed = cache.l1Cache.get('/validated');
+  assert.notStrictEqual(changed.etag, first.etag);
+  assert.ok(changed.lastModified > first.lastModified);
+
+  const response = await request('/validated', { 'If-None-Match': first.etag });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.title, 'One Piece (Colored)');
+});
@@ -0,0 +1,236 @@
+/**
+ * Cache store L2: FileCacheStore di direktori sementara dan RedisCacheStore terhadap
+ * server RESP lokal (pengganti Redis di test) untuk get/set/TTL/delete.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { FileCacheStore, RedisCacheStore, parseReply } = require('../src/helper/cache_store');
+
+const PASSWORD = 'secret';
+
+const createEntry = (ttl, extra = {}) => {
+  const now = Date.now();
+  return {
+    value: { title: 'Foo', chapters: [1, 2, 3] },
+    compressed: false,
+    size: 40,
+    rawSize: 40,
+    expiresAt: now + ttl,
+    createdAt: now,
+    lastAccessed: now,
+    accessCount: 0,
+    tags: ['detail'],
+    ...extra
+  };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Minimal RESP server: AUTH, SELECT, GET, SET (PX), DEL, SCAN (MATCH prefix*)
+ */
+const data = new Map();
+const commands = [];
+const sockets = new Set();
+
+const bulk = (value) => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+
+const execute = (args, session) => {
+  const [name, ...rest] = args;
+  commands.push(args);
+
+  if (name === 'AUTH') {
+    session.authed = rest[rest.length - 1] === PASSWORD;
+    return session.authed ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+  }
+  if (!session.authed) return '-NOAUTH Authentication required\r\n';
+
+  const stored = (key) => {
+    const item = data.get(key);
+    if (item && item.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key) || null;
+  };
+
+  switch (name) {
+    case 'SELECT':
+      return '+OK\r\n';
+    case 'GET':
+      return bulk(stored(rest[0])?.value ?? null);
+    case 'SET': {
+      const px = rest.indexOf('PX');
+      data.set(rest[0], { value: rest[1], expiresAt: px === -1 ? Infinity : Date.now() + parseInt(rest[px + 1], 10) });
+      return '+OK\r\n';
+    }
+    case 'DEL':
+      return `:${rest.filter(key => stored(key) && data.delete(key)).length}\r\n`;
+    case 'SCAN': {
+      const prefix = rest[rest.indexOf('MATCH') + 1].replace(/\*$/, '');
+      const keys = [...data.keys()].filter(key => key.startsWith(prefix) && stored(key));
+      return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+    }
+    default:
+      return `-ERR unknown command '${name}'\r\n`;
+  }
+};
+
+const server = net.createServer(socket => {
+  const session = { authed: false };
+  let buffer = Buffer.alloc(0);
+  sockets.add(socket);
+  socket.on('close', () => sockets.delete(socket));
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let request;
+    while ((request = parseReply(buffer))) {
+      buffer = buffer.subarray(request.offset);
+      socket.write(execute(request.value, session));
+    }
+  });
+});
+
+let redisUrl;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  redisUrl = `redis://:${PASSWORD}@127.0.0.1:${server.address().port}/2`;
+});
+
+after(async () => {
+  sockets.forEach(socket => socket.destroy());
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('file store: set, get and delete', async () => {
+  const store = new FileCacheStore({ dir: path.join(dir, 'basic') });
+  const entry = createEntry(60000, { value: Buffer.from('compressed bytes'), compressed: true, encoding: 'gzip' });
+
+  await store.set('detail:foo', entry);
+  await store.set('latest:1', createEntry(60000));
+
+  const stored = await store.get('detail:foo');
+  assert.ok(Buffer.isBuffer(stored.value));
+  assert.strictEqual(stored.value.toString(), 'compressed bytes');
+  assert.strictEqual(stored.encoding, 'gzip');
+  assert.deepStrictEqual((await store.get('latest:1')).value, createEntry(1).value);
+  assert.deepStrictEqual((await store.keys()).sort(), ['detail:foo', 'latest:1']);
+
+  assert.strictEqual(await store.delete('detail:foo'), true);
+  assert.strictEqual(await store.delete('detail:foo'), false);
+  assert.strictEqual(await store.get('detail:foo'), null);
+
+  await store.clear();
+  assert.deepStrictEqual(await store.keys(), []);
+});
+
+test('file store: concurrent sets for the same key leave one complete entry', async () => {
+  const storeDir = path.join(dir, 'concurrent');
+  const store = new FileCacheStore({ dir: storeDir });
+  const entries = Array.from({ length: 20 }, (_, i) => createEntry(60000, {
+    value: { title: `Foo ${i}`, chapters: Array.from({ length: 200 + i }, (_, n) => n) }
+  }));
+
+  await Promise.all(entries.map(entry => store.set('detail:foo', entry)));
+
+  const stored = await store.get('detail:foo');
+  assert.ok(entries.some(entry => entry.value.title === stored.value.title));
+  assert.strictEqual(stored.value.chapters.length, 200 + Number(stored.value.title.split(' ')[1]));
+  assert.deepStrictEqual(fs.readdirSync(storeDir), [path.basename(store.getFile('detail:foo'))]);
+});
+
+test('file store: entries expire at staleUntil', async () => {
+  const store = new FileCacheStore({ dir: path.join(dir, 'ttl'), pruneInterval: 1 });
+
+  await store.set('expired', createEntry(-1));
+  assert.strictEqual(await store.get('expired'), null);
+
+  await store.set('stale', createEntry(-1, { staleUntil: Date.now() + 60000 }));
+  assert.ok(await store.get('stale'), 'stale entry is kept for stale-while-revalidate');
+
+  await store.set('short', createEntry(30));
+  assert.ok(await store.get('short'));
+  await wait(50);
+  assert.strictEqual(await store.get('short'), null);
+  assert.strictEqual(fs.existsSync(store.getFile('short')), false);
+
+  await store.set('pruned', createEntry(30));
+  await wait(50);
+  assert.strictEqual(await store.prune(), 1);
+  assert.deepStrictEqual(await store.keys(), ['stale']);
+});
+
+test('redis store: authenticates, selects db and round-trips entries', async () => {
+  const store = new RedisCacheStore({ url: redisUrl, prefix: 'test:' });
+  const entry = createEntry(60000, { value: Buffer.from('compressed bytes'), compressed: true, encoding: 'br' });
+
+  await store.set('detail:foo', entry);
+  const stored = await store.get('detail:foo');
+
+  assert.strictEqual(stored.value.toString(), 'compressed bytes');
+  assert.strictEqual(stored.encoding, 'br');
+  assert.deepStrictEqual(stored.tags, ['detail']);
+  assert.deepStrictEqual(commands[0], ['AUTH', PASSWORD]);
+  assert.deepStrictEqual(commands[1], ['SELECT', '2']);
+  assert.strictEqual(store.getInfo().connected, true);
+
+  await store.close();
+});
+
+test('redis store: TTL is sent as PX until staleUntil and honoured on get', async () => {
+  const store = new RedisCacheStore({ url: redisUrl, prefix: 'test:' });
+
+  await store.set('stale', createEntry(1000, { staleUntil: Date.now() + 60000 }));
+  const [, , , , ttl] = commands.filter(args => args[0] === 'SET').pop();
+  assert.ok(parseInt(ttl, 10) > 59000 && parseInt(ttl, 10) <= 60000, `PX ${ttl}`);
+
+  await store.set('expired', createEntry(-1));
+  assert.strictEqual(data.has('test:expired'), false, 'expired entry is not written');
+
+  await store.set('short', createEntry(30));
+  assert.ok(await store.get('short'));
+  await wait(50);
+  assert.strictEqual(await store.get('short'), null);
+
+  await store.close();
+});
+
+test('redis store: delete, keys and clear stay within prefix', async () => {
+  const store = new RedisCacheStore({ url: redisUrl, prefix: 'mine:' });
+  const other = new RedisCacheStore({ url: redisUrl, prefix: 'other:' });
+
+  await store.set('a', createEntry(60000));
+  await store.set('b', createEntry(60000));
+  await other.set('a', createEntry(60000));
+
+  assert.deepStrictEqual((await store.keys()).sort(), ['a', 'b']);
+  assert.strictEqual(await store.delete('a'), true);
+  assert.strictEqual(await store.delete('a'), false);
+  assert.strictEqual(await store.get('a'), null);
+
+  await store.clear();
+  assert.deepStrictEqual(await store.keys(), []);
+  assert.ok(await other.get('a'));
+
+  await store.close();
+  await other.close();
+});
+
+test('redis store: unreachable server fails fast until reconnect delay passes', async () => {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+
+  const store = new RedisCacheStore({ url: `redis://127.0.0.1:${port}`, reconnectDelay: 60000 });
+
+  await assert.rejects(() => store.get('foo'), { code: 'ECONNREFUSED' });
+  await assert.rejects(() => store.get('foo'), /Redis unavailable/);
+  assert.strictEqual(store.getInfo().connected, false);
+});
@@ -0,0 +1,113 @@
+/**
+ * Cache warmer: buildUrl, key cache yang tidak bergantung urutan query, warm-list dalam bentuk
+ * request client, batas concurrency, hasil per key dan timeout yang menunggu handler selesai.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { getDefaultProviderId } = require('../src/config/providers');
+const cacheService = require('../src/helper/cache_service');
+const { CacheService } = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { CacheWarmer, buildUrl } = require('../src/services/cache_warmer');
+
+const cache = new CacheService({ store: null });
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let active = 0;
+let maxActive = 0;
+let finished = 0;
+
+const app = express();
+
+app.get('/items', cache.middleware(60 * 1000), (req, res) => res.json({ status: 'success', query: req.query }));
+
+app.get('/work/:id', async (req, res) => {
+  active++;
+  maxActive = Math.max(maxActive, active);
+  await wait(parseInt(req.query.ms, 10) || 20);
+  active--;
+  finished++;
+
+  if (req.params.id === 'fail') {
+    return res.status(502).json({ status: 'error', message: 'Upstream failed' });
+  }
+  res.json({ status: 'success', id: req.params.id });
+});
+
+after(() => {
+  cache.stopCleanup();
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('buildUrl encodes route params and query, and rejects malformed keys', () => {
+  assert.strictEqual(buildUrl(' /terbaru?page=2 '), '/terbaru?page=2');
+  assert.strictEqual(
+    buildUrl({ route: '/detail/:url', params: { url: 'foo bar/baz' }, query: { provider: 'aquareader', page: undefined } }),
+    '/detail/foo%20bar%2Fbaz?provider=aquareader'
+  );
+  assert.strictEqual(buildUrl({ route: '/terbaru', query: {} }), '/terbaru');
+
+  assert.throws(() => buildUrl({ route: '/detail/:url', params: {} }), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => buildUrl('//evil.test/terbaru'), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => buildUrl(42), { code: 'VALIDATION_ERROR' });
+});
+
+test('warmed entry is hit regardless of query order', async () => {
+  const warmer = new CacheWarmer({ handler: app });
+
+  const report = await warmer.warm(['/items?provider=aquareader&page=2', '/items']);
+  assert.deepStrictEqual(report.results.map(result => result.cache), ['MISS', 'MISS']);
+
+  assert.strictEqual((await warmer.dispatch('/items?page=2&provider=aquareader')).cache, 'HIT');
+  assert.strictEqual((await warmer.dispatch('/items?_t=123')).cache, 'HIT');
+});
+
+test('warm-list uses the plain client URL for the default provider and first page', () => {
+  const warmer = new CacheWarmer({ pages: 2, popular: 0, routes: [] });
+  const urls = warmer.getWarmList().map(buildUrl);
+  const defaultProvider = getDefaultProviderId();
+
+  assert.ok(urls.includes('/terbaru'));
+  assert.ok(urls.includes('/terbaru?page=2'));
+  assert.ok(!urls.some(url => url.includes(`provider=${defaultProvider}`)));
+  assert.ok(urls.includes('/terbaru?provider=shinigami'));
+});
+
+test('warm respects concurrency and reports each key', async () => {
+  active = 0;
+  maxActive = 0;
+  const warmer = new CacheWarmer({ handler: app });
+  const keys = ['/work/1', '/work/2', '/work/fail', { route: '/work/:id', params: { id: 4 } }, '/missing', { route: '/work/:id' }];
+
+  const report = await warmer.warm(keys, { concurrency: 2 });
+
+  assert.strictEqual(maxActive, 2);
+  assert.strictEqual(report.total, 6);
+  assert.strictEqual(report.succeeded, 3);
+  assert.deepStrictEqual(report.results.map(result => [result.key, result.success, result.status]), [
+    ['/work/1', true, 200],
+    ['/work/2', true, 200],
+    ['/work/fail', false, 502],
+    ['/work/4', true, 200],
+    ['/missing', false, 404],
+    ['/work/:id', false, null]
+  ]);
+  assert.strictEqual(report.results[2].error, 'Upstream failed');
+  assert.match(report.results[5].error, /Missing route parameter 'id'/);
+});
+
+test('timed out key is reported only after its handler finished', async () => {
+  active = 0;
+  maxActive = 0;
+  finished = 0;
+  const warmer = new CacheWarmer({ handler: app, timeout: 50 });
+
+  const report = await warmer.warm(['/work/slow?ms=75', '/work/next?ms=75'], { concurrency: 1 });
+
+  assert.strictEqual(maxActive, 1);
+  assert.strictEqual(finished, 2);
+  assert.deepStrictEqual(report.results.map(result => result.error), ['Timed out after 50ms', 'Timed out after 50ms']);
+});
@@ -0,0 +1,93 @@
+/**
+ * Catalog crawler: detail yang sedang di-request saat proses mati dikembalikan ke antrean
+ * ketika job dilanjutkan, dan jumlah komik yang dicatat per provider dibatasi maxComics.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cacheService = require('../src/helper/cache_service');
+const { readState } = require('../src/helper/state_file');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { CatalogCrawler } = require('../src/services/catalog_crawler');
+
+const PROVIDER_ID = 'crawltest';
+const COMICS = ['/a', '/b', '/c'].map(href => ({ title: `Comic ${href.slice(1)}`, href }));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-'));
+const stateFile = path.join(dir, 'crawler_state.json');
+
+const requested = [];
+let onDetail = async () => {};
+
+registerProvider(PROVIDER_ID, {
+  name: 'Crawl Test',
+  baseUrl: 'https://crawl.test',
+  enabled: true,
+  features: { latest: true, detail: true }
+}, {
+  getLatestComics: async () => ({ current_page: 1, length_page: 1, data: COMICS }),
+  getComicDetail: async (href) => {
+    requested.push(href);
+    await onDetail(href);
+    return { title: `Comic ${href.slice(1)}`, chapter: [{ title: 'Chapter 1', href: `${href}-chapter-1` }] };
+  }
+});
+
+after(() => {
+  unregisterProvider(PROVIDER_ID);
+  fs.rmSync(dir, { recursive: true, force: true });
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('detail in flight when the process dies is fetched again on resume', async () => {
+  const crashed = new CatalogCrawler({ stateFile });
+  let reachedB;
+  const inFlight = new Promise(resolve => { reachedB = resolve; });
+
+  onDetail = (href) => {
+    if (href !== '/b') return Promise.resolve();
+    // Worker lain menyimpan state selama /b masih di-request, lalu proses "mati"
+    crashed.saveState(true);
+    reachedB();
+    return new Promise(() => {});
+  };
+
+  crashed.start({ providers: [PROVIDER_ID], concurrency: 1, delayMs: 0, genres: false });
+  await inFlight;
+
+  const saved = readState(stateFile);
+  assert.strictEqual(saved.status, 'running');
+  assert.deepStrictEqual(saved.providers[PROVIDER_ID].queue, ['/c']);
+  assert.deepStrictEqual(saved.providers[PROVIDER_ID].inFlight, ['/b']);
+
+  onDetail = async () => {};
+  requested.length = 0;
+
+  const resumed = new CatalogCrawler({ stateFile });
+  assert.strictEqual(resumed.resumeInterrupted(), true);
+  await resumed.runPromise;
+
+  const status = resumed.getStatus();
+  assert.deepStrictEqual(requested, ['/b', '/c']);
+  assert.strictEqual(status.job.status, 'completed');
+  assert.strictEqual(status.job.providers[PROVIDER_ID].details.done, 3);
+  assert.strictEqual(status.job.providers[PROVIDER_ID].details.inFlight, 0);
+  assert.deepStrictEqual(readState(stateFile).providers[PROVIDER_ID].inFlight, []);
+});
+
+test('discovered comics are capped by maxComics', () => {
+  const crawler = new CatalogCrawler({ stateFile: path.join(dir, 'capped.json') });
+  const progress = crawler.createProgress();
+
+  assert.strictEqual(crawler.discover(progress, COMICS, 2), 2);
+  assert.strictEqual(crawler.discover(progress, [{ href: '/d' }], 2), 0);
+
+  assert.deepStrictEqual(progress.seen, ['/a', '/b']);
+  assert.deepStrictEqual(progress.queue, ['/a', '/b']);
+  assert.strictEqual(progress.skipped, 2);
+});
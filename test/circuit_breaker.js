@@ -0,0 +1,179 @@
+/**
+ * Circuit breaker: rolling window, minimumRequests, trial open -> half-open -> closed,
+ * perubahan state lewat subscriber dan fallback CIRCUIT_OPEN di executeScraper.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { NetworkError } = require('../src/helper/error_handler');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { CircuitBreaker, CircuitBreakerRegistry, STATES, circuitBreakers } = require('../src/services/circuit_breaker');
+const {
+  registerProvider,
+  unregisterProvider,
+  executeScraper,
+  executeScraperWithoutFallback
+} = require('../src/services/provider_manager');
+
+const PROVIDER_ID = 'breakertest';
+
+const DETAIL_HTML = `
+<div id="content"><div class="wrapper"><div class="komik_info">
+  <div class="komik_info-body">
+    <div class="komik_info-content"><div class="komik_info-content-body"><h1>Fallback Comic</h1></div></div>
+    <div class="komik_info-chapters"><ul>
+      <li><a href="https://komikcast03.com/chapter/fallback-chapter-1/">Chapter 1</a></li>
+    </ul></div>
+  </div>
+</div></div></div>`;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let detailCalls = 0;
+
+registerProvider(PROVIDER_ID, {
+  name: 'Breaker Test',
+  baseUrl: 'https://breaker.test',
+  enabled: true,
+  features: { detail: true },
+  circuitBreaker: { windowSize: 4, minimumRequests: 2, cooldownMs: 60 * 1000 }
+}, {
+  getComicDetail: async () => {
+    detailCalls++;
+    throw new NetworkError('Upstream down');
+  }
+});
+
+// Default provider (komikcast) menjawab dari HTML statis
+setFixtureStore({
+  handle: async () => ({ status: 200, headers: { 'content-type': 'text/html' }, data: DETAIL_HTML })
+});
+
+after(() => {
+  setFixtureStore(null);
+  unregisterProvider(PROVIDER_ID);
+  circuitBreakers.remove(PROVIDER_ID);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+/**
+ * Record outcomes on breaker ('s' = success, 'f' = failure)
+ * @param {CircuitBreaker} breaker - Circuit breaker
+ * @param {string} outcomes - Outcome string, e.g. 'ssf'
+ */
+const record = (breaker, outcomes) => {
+  [...outcomes].forEach(outcome => {
+    if (outcome === 's') breaker.recordSuccess();
+    else breaker.recordFailure(new NetworkError('Upstream down'));
+  });
+};
+
+test('breaker stays closed until minimumRequests outcomes are in the window', () => {
+  const breaker = new CircuitBreaker('min', { minimumRequests: 5 });
+
+  record(breaker, 'ffff');
+  assert.strictEqual(breaker.state, STATES.CLOSED);
+  assert.strictEqual(breaker.getFailureRate(), 1);
+
+  record(breaker, 'f');
+  assert.strictEqual(breaker.state, STATES.OPEN);
+  assert.deepStrictEqual(breaker.getState().lastError, { code: 'NETWORK_ERROR', message: 'Upstream down' });
+});
+
+test('failure rate is computed over the rolling window only', () => {
+  const breaker = new CircuitBreaker('window', { windowSize: 4, minimumRequests: 4, failureRateThreshold: 0.5 });
+
+  record(breaker, 'sssss');
+  record(breaker, 'f');
+  // Window [s, s, s, f]: 25%
+  assert.strictEqual(breaker.state, STATES.CLOSED);
+  assert.strictEqual(breaker.getState().recentRequests, 4);
+
+  record(breaker, 'f');
+  // Window [s, s, f, f]: 50%, padahal 2 dari 7 request total
+  assert.strictEqual(breaker.state, STATES.OPEN);
+  assert.strictEqual(breaker.getState().failureRate, 50);
+});
+
+test('open breaker allows one trial after cool-down and closes on success', async () => {
+  const breaker = new CircuitBreaker('trial', { minimumRequests: 2, cooldownMs: 30 });
+
+  record(breaker, 'ff');
+  assert.strictEqual(breaker.allowRequest(), false);
+  assert.ok(breaker.getState().nextAttemptAt);
+
+  await wait(40);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+  // Hanya satu trial bersamaan
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  record(breaker, 'f');
+  assert.strictEqual(breaker.state, STATES.OPEN);
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  await wait(40);
+  assert.strictEqual(breaker.allowRequest(), true);
+  record(breaker, 's');
+  assert.strictEqual(breaker.state, STATES.CLOSED);
+  assert.strictEqual(breaker.getState().recentRequests, 1);
+  assert.strictEqual(breaker.getState().rejected, 3);
+});
+
+test('state transitions are delivered to breaker and registry subscribers', async () => {
+  const registry = new CircuitBreakerRegistry();
+  const transitions = [];
+  const unsubscribe = registry.subscribe((providerId, previous, state, breaker) => {
+    transitions.push([providerId, previous, state, breaker.state]);
+  });
+  registry.subscribe(() => { throw new Error('broken listener'); });
+
+  const breaker = registry.get('subscribed');
+  breaker.options.minimumRequests = 2;
+  breaker.options.cooldownMs = 10;
+  const own = [];
+  breaker.subscribe((providerId, previous, state) => own.push(state));
+
+  record(breaker, 'ff');
+  await wait(20);
+  breaker.allowRequest();
+  record(breaker, 's');
+
+  assert.deepStrictEqual(transitions, [
+    ['subscribed', 'closed', 'open', 'open'],
+    ['subscribed', 'open', 'half-open', 'half-open'],
+    ['subscribed', 'half-open', 'closed', 'closed']
+  ]);
+  assert.deepStrictEqual(own, ['open', 'half-open', 'closed']);
+
+  unsubscribe();
+  breaker.reset();
+  record(breaker, 'ff');
+  assert.strictEqual(transitions.length, 3);
+  assert.deepStrictEqual(own, ['open', 'half-open', 'closed', 'open']);
+});
+
+test('executeScraper falls back to the default provider while the circuit is open', async () => {
+  const first = await executeScraper(PROVIDER_ID, 'getComicDetail', 'fallback');
+  const second = await executeScraper(PROVIDER_ID, 'getComicDetail', 'fallback');
+
+  assert.strictEqual(first.title, 'Fallback Comic');
+  assert.strictEqual(second.title, 'Fallback Comic');
+  assert.strictEqual(detailCalls, 2);
+  assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).state, STATES.OPEN);
+
+  // Circuit terbuka: provider tidak dipanggil lagi, request tetap dilayani default provider
+  const third = await executeScraper(PROVIDER_ID, 'getComicDetail', 'fallback');
+  assert.strictEqual(third.title, 'Fallback Comic');
+  assert.strictEqual(detailCalls, 2);
+
+  await assert.rejects(
+    executeScraperWithoutFallback(PROVIDER_ID, 'getComicDetail', 'fallback'),
+    (error) => error.code === 'CIRCUIT_OPEN' && error.retryAfter > 0 && error.retryAfter <= 60
+  );
+  assert.strictEqual(detailCalls, 2);
+  assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).rejected, 2);
+});
@@ -0,0 +1,50 @@
+/**
+ * Comic identity: ID kanonik tetap sama setelah restart (registry dibaca dari state file),
+ * termasuk seri yang dikenali lewat fuzzy matching dan seri berjudul sama.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ComicIdentityService } = require('../src/services/comic_identity');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comic-identity-'));
+const stateFile = path.join(dir, 'comic_identity.json');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('canonical IDs survive restart regardless of request order', () => {
+  const first = new ComicIdentityService({ stateFile });
+  const soloKomikcast = first.identify({ title: 'Solo Leveling', href: '/komik/solo-leveling/' }, 'komikcast');
+  const soloShinigami = first.identify({ title: 'Solo Leveling (Manhwa)', href: '/series/uuid-1' }, 'shinigami');
+  const towerA = first.identify({ title: 'Tower', href: '/komik/tower/', author: 'Alice', year: 2015 }, 'komikcast');
+  const towerB = first.identify({ title: 'Tower', href: '/tower-b/', author: 'Zed', year: 2015 }, 'aquareader');
+  first.saveState();
+
+  assert.strictEqual(soloShinigami, soloKomikcast);
+  assert.notStrictEqual(towerA, towerB);
+
+  // Restart: urutan berbeda, provider lain duluan
+  const second = new ComicIdentityService({ stateFile });
+  assert.strictEqual(second.identify({ title: 'Tower', href: '/tower-b/' }, 'aquareader'), towerB);
+  assert.strictEqual(second.identify({ title: 'Solo Leveling (Manhwa)', href: '/series/uuid-1' }, 'shinigami'), soloKomikcast);
+  assert.strictEqual(second.identify({ title: 'Tower', href: '/komik/tower/' }, 'komikcast'), towerA);
+  assert.deepStrictEqual(second.get(soloKomikcast).sources, {
+    komikcast: 'komik/solo-leveling',
+    shinigami: 'series/uuid-1'
+  });
+});
+
+test('colliding titles get a suffix derived from title, author and year', () => {
+  const registry = new ComicIdentityService({ persist: false });
+  registry.identify({ title: 'Tower', href: '/komik/tower/', author: 'Alice' }, 'komikcast');
+  const other = registry.identify({ title: 'Tower', href: '/tower-b/', author: 'Zed' }, 'aquareader');
+
+  const again = new ComicIdentityService({ persist: false });
+  again.identify({ title: 'Tower', href: '/komik/tower/', author: 'Alice' }, 'komikcast');
+  again.identify({ title: 'Unrelated', href: '/unrelated/' }, 'komikcast');
+  assert.strictEqual(again.identify({ title: 'Tower', href: '/tower-b/', author: 'Zed' }, 'aquareader'), other);
+  assert.match(other, /^tower-[0-9a-f]{6}$/);
+});
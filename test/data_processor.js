@@ -0,0 +1,93 @@
+/**
+ * Rekonsiliasi chapter antar provider: chapter dicocokkan lewat nomor ternormalisasi
+ * (termasuk chapter desimal), nomor ganda di satu provider hanya dihitung sekali dan
+ * coverage melaporkan chapter yang tidak dimiliki tiap provider.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { ChapterReconciliationService } = require('../src/services/data_processor');
+
+after(() => {
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const chapter = (title, href, extra = {}) => ({ title, href, date: '', ...extra });
+
+const SOURCES = [
+  {
+    provider: 'komikcast',
+    chapters: [
+      chapter('Chapter 11', '/chapter/foo-chapter-11/', { date: '2026-01-11' }),
+      chapter('Chapter 10.5', '/chapter/foo-chapter-10-5/'),
+      chapter('Chapter 10', '/chapter/foo-chapter-10/'),
+      // Mirror/reupload dengan nomor yang sama
+      chapter('Chapter 10 (HD)', '/chapter/foo-chapter-10-hd/'),
+      chapter('Chapter 7', '/chapter/foo-chapter-7/'),
+      chapter('Prologue', '/chapter/foo-prologue/')
+    ]
+  },
+  {
+    provider: 'shinigami',
+    chapters: [
+      { title: 'Special', number: 10.5, href: '/chapter/ch-105', date: '' },
+      chapter('Ch. 09', '/chapter/ch-9', { date: '2026-01-09' }),
+      chapter('Chapter 7', '/chapter/ch-7'),
+      chapter('prologue ', '/chapter/ch-0'),
+      null
+    ]
+  },
+  { provider: 'aquareader', chapters: null }
+];
+
+test('chapters are matched by normalized number, newest first', () => {
+  const merged = ChapterReconciliationService.reconcile(SOURCES);
+
+  assert.deepStrictEqual(merged.map(ch => [ch.number, ch.providers]), [
+    [11, ['komikcast']],
+    [10.5, ['komikcast', 'shinigami']],
+    [10, ['komikcast']],
+    [9, ['shinigami']],
+    [7, ['komikcast', 'shinigami']],
+    // Tanpa nomor: dicocokkan lewat judul dan ditaruh di akhir
+    [0, ['komikcast', 'shinigami']]
+  ]);
+
+  const decimal = merged[1];
+  assert.strictEqual(decimal.title, 'Chapter 10.5');
+  assert.deepStrictEqual(decimal.sources.map(source => [source.provider, source.title, source.read]), [
+    ['komikcast', 'Chapter 10.5', '/read/chapter%2Ffoo-chapter-10-5?provider=komikcast'],
+    ['shinigami', 'Special', '/read/chapter%2Fch-105?provider=shinigami']
+  ]);
+});
+
+test('duplicate numbering within one provider keeps the first chapter', () => {
+  const merged = ChapterReconciliationService.reconcile(SOURCES);
+  const ten = merged.find(ch => ch.number === 10);
+
+  assert.strictEqual(ten.sources.length, 1);
+  assert.strictEqual(ten.sources[0].href, '/chapter/foo-chapter-10/');
+  assert.strictEqual(merged.filter(ch => ch.number === 10).length, 1);
+});
+
+test('release date falls back to the first provider that has one', () => {
+  const merged = ChapterReconciliationService.reconcile([
+    { provider: 'komikcast', chapters: [chapter('Chapter 9', '/chapter/foo-chapter-9/')] },
+    ...SOURCES.slice(1)
+  ]);
+
+  assert.strictEqual(merged.find(ch => ch.number === 9).date, '2026-01-09');
+});
+
+test('coverage reports count, latest and gaps per provider', () => {
+  const merged = ChapterReconciliationService.reconcile(SOURCES);
+  const coverage = ChapterReconciliationService.getCoverage(merged, ['komikcast', 'shinigami', 'aquareader']);
+
+  assert.deepStrictEqual(coverage.komikcast, { chapterCount: 5, latest: 11, missing: [9] });
+  assert.deepStrictEqual(coverage.shinigami, { chapterCount: 4, latest: 10.5, missing: [11, 10] });
+  // Provider tanpa chapter list kehilangan semua chapter bernomor, chapter 8 tidak diketahui siapa pun
+  assert.deepStrictEqual(coverage.aquareader, { chapterCount: 0, latest: 0, missing: [11, 10.5, 10, 9, 7] });
+});
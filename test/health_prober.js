@@ -0,0 +1,146 @@
+/**
+ * Health prober: canary untuk setiap operasi di OPERATIONS divalidasi dengan kontrak
+ * schema_contract, lewat provider uji dengan scraper stub. Canary melewati circuit breaker:
+ * dilewati saat circuit terbuka dan menjadi trial request setelah cool-down.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { getProvider } = require('../src/config/providers');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { OPERATIONS } = require('../src/services/scraper_engine');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { circuitBreakers, STATES } = require('../src/services/circuit_breaker');
+const schemaContract = require('../src/services/schema_contract');
+const { HealthProber, validateCanaryResult } = require('../src/services/health_prober');
+
+const PROVIDER_ID = 'probetest';
+
+const comics = [
+  { title: 'Foo', href: '/foo', thumbnail: 'https://probe.test/foo.jpg' },
+  { title: 'Bar', href: '/bar', thumbnail: 'https://probe.test/bar.jpg' }
+];
+
+// Hasil valid per kind operasi (search/popular/recommended mengembalikan array biasa)
+const VALID_RESULTS = {
+  list: { current_page: 1, length_page: 1, data: comics },
+  search: comics,
+  popular: comics,
+  recommended: comics,
+  genreList: [{ title: 'Action', href: '/action' }],
+  detail: { title: 'Foo', thumbnail: 'https://probe.test/foo.jpg', chapter: [{ title: '1', href: '/foo-chapter-1' }] },
+  read: { title: 'Foo Chapter 1', panel: ['https://probe.test/1.jpg', 'https://probe.test/2.jpg'] }
+};
+
+// Hasil yang harus ditolak per kind operasi
+const INVALID_RESULTS = {
+  list: { data: [] },
+  genreList: [{ title: '' }],
+  detail: { chapter: [] },
+  read: { title: 'Foo Chapter 1', panel: [] }
+};
+
+let results = VALID_RESULTS;
+let calls = 0;
+
+const scraper = {};
+Object.entries(OPERATIONS).forEach(([operation, { method, kind }]) => {
+  scraper[method] = async () => {
+    calls++;
+    return results[operation] || results[kind];
+  };
+});
+
+registerProvider(PROVIDER_ID, {
+  name: 'Probe Test',
+  baseUrl: 'https://probe.test',
+  enabled: true,
+  features: Object.fromEntries(Object.keys(OPERATIONS).map(operation => [operation, true]))
+}, scraper);
+
+after(() => {
+  unregisterProvider(PROVIDER_ID);
+  circuitBreakers.remove(PROVIDER_ID);
+  schemaContract.reset(PROVIDER_ID);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+/**
+ * Probe provider with canary for operation
+ * @param {string} operation - Operation key
+ * @returns {Promise<object>} Probe result
+ */
+const probeOperation = async (operation) => {
+  getProvider(PROVIDER_ID).healthCheck = { operation, args: operation === 'search' ? ['foo'] : [] };
+  return new HealthProber().probe(PROVIDER_ID);
+};
+
+for (const [operation, { kind }] of Object.entries(OPERATIONS)) {
+  test(`${operation} canary (${kind}) passes with a valid result`, async () => {
+    results = VALID_RESULTS;
+    circuitBreakers.remove(PROVIDER_ID);
+
+    const result = await probeOperation(operation);
+
+    assert.strictEqual(result.ok, true, result.error?.message);
+    assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).totalFailures, 0);
+  });
+
+  test(`${operation} canary (${kind}) fails with an invalid result`, async () => {
+    results = INVALID_RESULTS;
+    circuitBreakers.remove(PROVIDER_ID);
+
+    const result = await probeOperation(operation);
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'SCHEMA_INVALID');
+    assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).totalFailures, 1);
+  });
+}
+
+test('read canary checks panels instead of treating the chapter as a list', () => {
+  assert.deepStrictEqual(validateCanaryResult('read', VALID_RESULTS.read), []);
+  assert.deepStrictEqual(validateCanaryResult('read', { title: 'x', panel: ['', 'a.jpg'] }), ['$.panel[] is empty']);
+});
+
+test('canary violations are recorded in schema contract statistics', async () => {
+  results = { ...VALID_RESULTS, latest: { current_page: 1, length_page: 1, data: [{ title: 'Foo', href: '/foo' }] } };
+  circuitBreakers.remove(PROVIDER_ID);
+  schemaContract.reset(PROVIDER_ID);
+
+  const result = await probeOperation('latest');
+
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error.message, /\$\.data\[\]\.thumbnail is missing/);
+  assert.strictEqual(schemaContract.getStats(PROVIDER_ID).violated, 1);
+  assert.strictEqual(schemaContract.getStats(PROVIDER_ID).byRule['latest $.data[].thumbnail missing'], 1);
+});
+
+test('canary is skipped while the circuit is open and closes it as the half-open trial', async () => {
+  results = VALID_RESULTS;
+  getProvider(PROVIDER_ID).circuitBreaker = { minimumRequests: 1, cooldownMs: 30 };
+  circuitBreakers.remove(PROVIDER_ID);
+
+  try {
+    circuitBreakers.get(PROVIDER_ID).recordFailure(new Error('Upstream down'));
+    assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).state, STATES.OPEN);
+
+    const callsBefore = calls;
+    const skipped = await probeOperation('latest');
+    assert.strictEqual(skipped.skipped, true);
+    assert.strictEqual(skipped.error.code, 'CIRCUIT_OPEN');
+    assert.strictEqual(calls, callsBefore);
+    assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).totalFailures, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    const trial = await probeOperation('latest');
+    assert.strictEqual(trial.ok, true);
+    assert.strictEqual(calls, callsBefore + 1);
+    assert.strictEqual(circuitBreakers.getState(PROVIDER_ID).state, STATES.CLOSED);
+  } finally {
+    delete getProvider(PROVIDER_ID).circuitBreaker;
+    circuitBreakers.remove(PROVIDER_ID);
+  }
+});
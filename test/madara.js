@@ -0,0 +1,62 @@
+/**
+ * Tema Madara: judul detail tanpa badge ("HOT"/"NEW") dan chapter list dari endpoint AJAX,
+ * sama untuk provider berbasis tema maupun Aqua Reader (helper bersama di themes/shared.js).
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { createScraper } = require('../src/services/scraper_engine');
+const aquareader = require('../src/services/aquareader_scraper');
+
+const PROVIDER_ID = 'madaratest';
+
+const detailHtml = `
+<div class="post-title"><h1>Foo Quest <span class="manga-title-badges hot">HOT</span></h1></div>
+<div class="summary_image"><img data-src="/cover.jpg"></div>
+<div id="manga-chapters-holder" data-id="42"></div>`;
+
+const chaptersHtml = (baseUrl) => `
+<ul>
+  <li class="wp-manga-chapter"><a href="${baseUrl}/manga/foo/chapter-2/">Chapter 2</a><span class="chapter-release-date">1 day ago</span></li>
+  <li class="wp-manga-chapter"><a href="${baseUrl}/manga/foo/chapter-1/">Chapter 1</a><span class="chapter-release-date">2 days ago</span></li>
+</ul>`;
+
+const requested = [];
+
+setFixtureStore({
+  handle: async (url) => {
+    requested.push(url);
+    const { origin, pathname } = new URL(url);
+    const data = pathname.endsWith('/ajax/chapters/') ? chaptersHtml(origin) : detailHtml;
+    return { status: 200, headers: { 'content-type': 'text/html' }, data };
+  }
+});
+
+registerProvider(PROVIDER_ID, { theme: 'madara', name: 'Madara Test', baseUrl: 'https://madara.test', enabled: true });
+
+after(() => {
+  unregisterProvider(PROVIDER_ID);
+  setFixtureStore(null);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('theme detail strips the title badge and loads chapters over AJAX', async () => {
+  const detail = await createScraper(PROVIDER_ID).getComicDetail('/foo/');
+
+  assert.strictEqual(detail.title, 'Foo Quest');
+  assert.strictEqual(detail.chapter.length, 2);
+  assert.ok(requested.includes('https://madara.test/manga/foo/ajax/chapters/'));
+});
+
+test('Aqua Reader loads lazy chapter lists through the shared AJAX helper', async () => {
+  const detail = await aquareader.getComicDetail('foo');
+
+  assert.strictEqual(detail.title, 'Foo Quest');
+  assert.strictEqual(detail.chapter.length, 2);
+  assert.ok(detail.confidence.chapter > 0);
+});
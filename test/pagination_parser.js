@@ -0,0 +1,34 @@
+/**
+ * Pagination parser: teks "Page X of Y" dibaca per elemen, angka link sesudahnya
+ * tidak ikut tertempel, dan pemisah ribuan diabaikan.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { parsePagination } = require('../src/helper/pagination_parser');
+
+const parse = (html, options) => {
+  const $ = cheerio.load(html);
+  return parsePagination($, $('body'), options);
+};
+
+test('WP-PageNavi markup reads the total from the "Page X of Y" label', () => {
+  const result = parse(`
+    <div class="wp-pagenavi"><span class="pages">Page 1 of 5</span><span class="current">1</span><a class="page" href="/page/2/">2</a><a class="nextpostslink" rel="next" href="/page/2/">»</a></div>`);
+
+  assert.deepStrictEqual(result, { current_page: 1, length_page: 5 });
+});
+
+test('"Page X of Y" with thousands separators', () => {
+  const result = parse(`
+    <div class="wp-pagenavi"><span class="pages">Page 3 of 1,234</span><a href="/page/2/">2</a><span class="current">3</span><a href="/page/4/">4</a></div>`);
+
+  assert.deepStrictEqual(result, { current_page: 3, length_page: 1234 });
+});
+
+test('"Halaman X dari Y" split over inline elements', () => {
+  const result = parse('<div class="pagination"><span>Halaman <b>2</b> dari <b>1.050</b></span><a href="?page=3">3</a></div>');
+
+  assert.deepStrictEqual(result, { current_page: 2, length_page: 1050 });
+});
@@ -0,0 +1,61 @@
+/**
+ * Plugin discovery: loader dan hooks plugin dijalankan/divalidasi saat load, jadi plugin
+ * yang melanggar kontrak masuk report.failed dan tidak terdaftar sama sekali.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider } = require('../src/config/providers');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { discoverProviders, unregisterProvider } = require('../src/services/provider_manager');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+
+const config = (id) => `{ name: '${id}', baseUrl: 'https://${id}.test', enabled: true, features: { latest: true } }`;
+
+const PLUGINS = {
+  'lazy-ok.js': `module.exports = { id: 'lazyok', config: ${config('lazyok')},
+    scraper: () => ({ getLatestComics: async () => ({ data: [] }) }) };`,
+  'lazy-broken.js': `module.exports = { id: 'lazybroken', config: ${config('lazybroken')},
+    scraper: () => ({ getComicDetail: async () => ({}) }) };`,
+  'lazy-throws.js': `module.exports = { id: 'lazythrows', config: ${config('lazythrows')},
+    scraper: () => { throw new Error('missing dependency'); } };`,
+  'hooks-ok.js': `module.exports = { id: 'hooksok', config: ${config('hooksok')},
+    hooks: { latest: { parse: async () => ({ data: [] }) } } };`,
+  'hooks-broken.js': `module.exports = { id: 'hooksbroken', config: ${config('hooksbroken')},
+    hooks: { latest: { parse: 'not a function' }, lastest: {} } };`
+};
+
+Object.entries(PLUGINS).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+
+after(() => {
+  ['lazyok', 'lazybroken', 'lazythrows', 'hooksok', 'hooksbroken'].forEach(unregisterProvider);
+  fs.rmSync(dir, { recursive: true, force: true });
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('plugins breaking the scraper contract fail at discovery', () => {
+  const report = discoverProviders(dir);
+
+  assert.deepStrictEqual(report.loaded.sort(), ['hooksok', 'lazyok']);
+  assert.deepStrictEqual(report.failed.map(failure => failure.file).sort(), ['hooks-broken.js', 'lazy-broken.js', 'lazy-throws.js']);
+
+  const byFile = Object.fromEntries(report.failed.map(failure => [failure.file, failure]));
+  assert.deepStrictEqual(byFile['lazy-broken.js'].errors, ["getLatestComics() is required by feature 'latest'"]);
+  assert.strictEqual(byFile['lazy-throws.js'].error, 'missing dependency');
+  assert.deepStrictEqual(byFile['hooks-broken.js'].errors, [
+    'latest.parse hook must be a function',
+    "unknown operation 'lastest' in hooks"
+  ]);
+
+  // Plugin yang gagal tidak meninggalkan konfigurasi
+  assert.strictEqual(getProvider('lazybroken'), null);
+  assert.strictEqual(getProvider('lazythrows'), null);
+  assert.strictEqual(getProvider('hooksbroken'), null);
+  assert.ok(getProvider('lazyok'));
+});
@@ -0,0 +1,81 @@
+/**
+ * Schema contract: output Komikcast (default provider) ikut dicek, halaman chapter kosong
+ * dari chapterPage bukan drift, dan drift yang sama hanya di-log sekali.
+ */
+
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const schemaContract = require('../src/services/schema_contract');
+const { SchemaContractService } = require('../src/services/schema_contract');
+const { getLatestComics } = require('../src/services/scraper_service');
+const { circuitBreakers } = require('../src/services/circuit_breaker');
+
+const LATEST_HTML = `
+<div id="content"><div class="wrapper"><div class="postbody"><div class="bixbox">
+  <div class="list-update_items"><div class="list-update_items-wrapper">
+    <div class="list-update_item"><a href="https://komikcast03.com/komik/foo/">
+      <div class="list-update_item-image"><img src="https://komikcast03.com/foo.jpg"><span class="type">Manga</span></div>
+      <div class="list-update_item-info"><h3>Foo</h3><div class="other"><div class="chapter">Ch.10</div></div></div>
+    </a></div>
+  </div></div>
+  <div class="pagination"><span class="page-numbers current">1</span><a class="page-numbers">2</a></div>
+</div></div></div></div>`;
+
+setFixtureStore({
+  handle: async () => ({ status: 200, headers: { 'content-type': 'text/html' }, data: LATEST_HTML })
+});
+
+after(() => {
+  setFixtureStore(null);
+  mock.restoreAll();
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const pagedDetail = (chapter, currentPage) => ({
+  title: 'Foo',
+  href: '/foo',
+  thumbnail: 'https://example.test/foo.jpg',
+  chapter,
+  chapter_pagination: { current_page: currentPage, page_size: 50, total: 60, total_pages: 2, has_next: false, has_prev: true }
+});
+
+test('default provider output is checked against the contract', async () => {
+  schemaContract.reset();
+  circuitBreakers.remove('komikcast');
+
+  const result = await getLatestComics(1);
+
+  assert.strictEqual(result.data.length, 1);
+  assert.strictEqual(schemaContract.getStats('komikcast').checked, 1);
+  assert.ok(schemaContract.getStats().providers.komikcast);
+});
+
+test('empty chapter page of a paginated detail is not drift, even in strict mode', () => {
+  const contract = new SchemaContractService({ strict: true });
+
+  assert.deepStrictEqual(contract.check('shinigami', 'getComicDetail', pagedDetail([], 5)), []);
+  assert.throws(
+    () => contract.check('shinigami', 'getComicDetail', { ...pagedDetail([], 1), chapter_pagination: undefined }),
+    { code: 'SCHEMA_VIOLATION' }
+  );
+});
+
+test('each drift is logged once per provider and operation', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  const contract = new SchemaContractService();
+  const drifted = { current_page: 1, length_page: 1, data: [{ title: '', href: '/foo', thumbnail: 'x' }] };
+
+  contract.check('komikcast', 'getLatestComics', drifted);
+  contract.check('komikcast', 'getLatestComics', drifted);
+  contract.check('komikcast', 'getComicsByGenre', drifted);
+  contract.check('shinigami', 'getLatestComics', drifted);
+  contract.check('komikcast', 'getLatestComics', { ...drifted, data: [{ title: 'Foo', href: '', thumbnail: 'x' }] });
+
+  assert.strictEqual(warn.mock.callCount(), 4);
+  assert.strictEqual(contract.getStats('komikcast').violated, 4);
+  warn.mock.restore();
+});
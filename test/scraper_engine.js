@@ -0,0 +1,21 @@
+/**
+ * Scraper engine: href hasil scraper ('/action', '/slug/') bisa dipakai lagi sebagai
+ * parameter tanpa menghasilkan URL dengan slash dobel.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getProvider } = require('../src/config/providers');
+const { buildUrl } = require('../src/services/scraper_engine');
+
+const komikcast = getProvider('komikcast');
+
+test('slug and genre hrefs are placed without doubled slashes', () => {
+  assert.strictEqual(buildUrl(komikcast, 'genre', { genre: '/action', page: 2 }), 'https://komikcast03.com/genres/action/page/2');
+  assert.strictEqual(buildUrl(komikcast, 'detail', { slug: '/solo-leveling/' }), 'https://komikcast03.com/manga/solo-leveling');
+  assert.strictEqual(buildUrl(komikcast, 'read', { slug: '/solo-leveling-chapter-200' }), 'https://komikcast03.com/solo-leveling-chapter-200');
+});
+
+test('keyword is still encoded', () => {
+  assert.strictEqual(buildUrl(komikcast, 'search', { keyword: 'one piece/x' }), 'https://komikcast03.com/?s=one%20piece%2Fx');
+});
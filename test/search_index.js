@@ -0,0 +1,76 @@
+/**
+ * Search index: listing default provider ikut masuk index, dan lookup token lewat trie
+ * memberi kandidat yang sama dengan matchToken tanpa memindai semua posting list.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const searchIndex = require('../src/services/search_index');
+const { SearchIndexService } = require('../src/services/search_index');
+const { matchToken } = require('../src/services/search_ranker');
+const { getLatestComics } = require('../src/services/scraper_service');
+
+const LATEST_HTML = `
+<div id="content"><div class="wrapper"><div class="postbody"><div class="bixbox">
+  <div class="list-update_items"><div class="list-update_items-wrapper">
+    <div class="list-update_item"><a href="https://komikcast03.com/komik/solo-leveling/">
+      <div class="list-update_item-image"><img src="https://komikcast03.com/solo.jpg"><span class="type">Manhwa</span></div>
+      <div class="list-update_item-info"><h3>Solo Leveling</h3><div class="other"><div class="chapter">Ch.200</div></div></div>
+    </a></div>
+  </div></div>
+</div></div></div></div>`;
+
+setFixtureStore({
+  handle: async () => ({ status: 200, headers: { 'content-type': 'text/html' }, data: LATEST_HTML })
+});
+
+after(() => {
+  setFixtureStore(null);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const TITLES = [
+  'One Piece', 'Solo Leveling', 'Sololeveling Ragnarok', 'Tower of God', 'Omniscient Reader',
+  'The Beginning After the End', 'Piece of Cake', 'Level Up Legend', 'Leviathan', 'Nano Machine'
+];
+
+test('default provider listing is ingested into the index', async () => {
+  searchIndex.clear();
+
+  await getLatestComics(1);
+  const result = searchIndex.search('solo levling');
+
+  assert.strictEqual(result.total_items, 1);
+  assert.strictEqual(result.data[0].provider, 'komikcast');
+  assert.strictEqual(result.data[0].href, '/solo-leveling');
+});
+
+test('token lookup finds the same tokens as matchToken', () => {
+  const index = new SearchIndexService({ enabled: true });
+  TITLES.forEach((title, i) => index.upsert('komikcast', { title, href: `/comic-${i}/` }));
+
+  const vocabulary = [...index.postings.keys()];
+  const queries = ['piece', 'peice', 'pi', 'p', 'solo', 'sol', 'levl', 'leveling', 'levleing', 'ragnark', 'of', 'machien', 'xyz'];
+
+  queries.forEach(query => {
+    const expected = vocabulary.filter(token => matchToken(query, [token]) > 0).sort();
+    assert.deepStrictEqual(index.tokens.find(query).sort(), expected, query);
+  });
+});
+
+test('updated and removed documents leave no stale tokens', () => {
+  const index = new SearchIndexService({ enabled: true });
+  index.upsert('komikcast', { title: 'Leviathan', href: '/foo/' });
+  index.upsert('komikcast', { title: 'Nano Machine', href: '/foo/' });
+
+  assert.deepStrictEqual(index.tokens.find('leviathan'), []);
+  assert.deepStrictEqual(index.tokens.find('nano'), ['nano']);
+
+  index.clear('komikcast');
+  assert.deepStrictEqual(index.tokens.find('nano'), []);
+  assert.strictEqual(index.search('nano').total_items, 0);
+});
@@ -0,0 +1,71 @@
+/**
+ * Search ranker: skor exact > prefix > typo (transposisi), title boost di atas kecocokan
+ * field lain, dan keyword fallback untuk typo pendek di keyword multi-kata.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const searchRanker = require('../src/services/search_ranker');
+const { matchToken } = require('../src/services/search_ranker');
+
+after(() => {
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const comic = (title, extra = {}) => ({ title, href: `/${title.toLowerCase().replace(/\s+/g, '-')}/`, ...extra });
+
+test('token match scores exact above prefix above transposition typo', () => {
+  const tokens = ['solo', 'leveling'];
+
+  assert.strictEqual(matchToken('leveling', tokens), 1);
+  assert.strictEqual(matchToken('level', tokens), 0.8);
+  assert.strictEqual(matchToken('lveeling', tokens), 0.65);
+  assert.strictEqual(matchToken('lveelign', tokens), 0.52);
+  // Token pendek harus persis
+  assert.strictEqual(matchToken('sloo', ['solo']), 0.65);
+  assert.strictEqual(matchToken('lso', ['solo']), 0);
+});
+
+test('exact title ranks above prefix and typo matches', () => {
+  const ranked = searchRanker.rank([
+    comic('Solo Leveling Ragnarok'),
+    comic('Sole Leveling'),
+    comic('Solo Leveling')
+  ], 'solo leveling');
+
+  assert.deepStrictEqual(ranked.map(item => item.title), ['Solo Leveling', 'Solo Leveling Ragnarok', 'Sole Leveling']);
+  assert.strictEqual(ranked[0].score, 100);
+  assert.ok(ranked[1].score > ranked[2].score);
+});
+
+test('transposition typo still finds the title', () => {
+  const ranked = searchRanker.rank([comic('Tower of God'), comic('One Piece')], 'one peice', { minScore: searchRanker.minScore });
+
+  assert.deepStrictEqual(ranked.map(item => item.title), ['One Piece']);
+  assert.ok(ranked[0].score >= 60);
+});
+
+test('title match is boosted above a match in author or description', () => {
+  const ranked = searchRanker.rank([
+    comic('Bleach', { author: 'Naruto Fan', description: 'Not about naruto at all' }),
+    comic('Naruto Shippuden')
+  ], 'naruto');
+
+  assert.deepStrictEqual(ranked.map(item => item.title), ['Naruto Shippuden', 'Bleach']);
+  assert.ok(ranked[0].score > ranked[1].score * 2);
+});
+
+test('fallback queries drop one token of a short multi-word typo', () => {
+  assert.deepStrictEqual(searchRanker.getFallbackQueries('solo levl'), ['solo', 'levl']);
+  assert.deepStrictEqual(searchRanker.getFallbackQueries('one pice'), ['pice', 'one']);
+  assert.deepStrictEqual(searchRanker.getFallbackQueries('narto'), ['nar', 'rto']);
+  assert.deepStrictEqual(searchRanker.getFallbackQueries('op'), []);
+  assert.strictEqual(searchRanker.getFallbackQueries('the legendary moonlight sculptr').length, searchRanker.maxFallbackQueries);
+
+  // Hasil query fallback hanya dipakai bila cukup mirip dengan keyword asli
+  const matches = searchRanker.rank([comic('Solo Leveling'), comic('Solo Camping')], 'solo levl', { minScore: searchRanker.minScore });
+  assert.strictEqual(matches[0].title, 'Solo Leveling');
+});
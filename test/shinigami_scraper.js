@@ -0,0 +1,151 @@
+/**
+ * Shinigami detail: chapter list diambil dari semua halaman API, halaman yang gagal
+ * membuat detail gagal alih-alih mengembalikan chapter list kosong.
+ * Genre: daftar dari endpoint genre (fallback taxonomy manga terbaru) dan browsing lewat
+ * filter genre_include di manga/list.
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const shinigami = require('../src/services/shinigami_scraper');
+
+const MANGA_ID = '7f0c2d1e-aaaa-bbbb-cccc-123456789abc';
+const TOTAL_PAGES = 3;
+
+let failingPage = null;
+let genreList = [];
+const listRequests = [];
+
+const taxonomyItem = (id, title, genres) => ({
+  manga_id: id,
+  title,
+  status: 1,
+  latest_chapter_number: 10,
+  taxonomy: { Genre: genres.map(([name, slug]) => ({ name, slug })) }
+});
+
+const apiResponse = (data, meta = {}) => ({
+  status: 200,
+  headers: { 'content-type': 'application/json' },
+  data: { retcode: 0, message: 'success', data, meta }
+});
+
+setFixtureStore({
+  handle: async (url) => {
+    if (url.includes(`/manga/detail/${MANGA_ID}`)) {
+      return apiResponse({ manga_id: MANGA_ID, title: 'Foo', status: 1, taxonomy: {} });
+    }
+
+    if (url.includes('/genre/list')) {
+      return apiResponse(genreList);
+    }
+
+    if (url.includes('/manga/list?')) {
+      const params = new URL(url).searchParams;
+      listRequests.push(params);
+
+      // Taxonomy manga terbaru (fallback daftar genre) atau hasil filter genre_include
+      const items = params.get('genre_include')
+        ? [taxonomyItem('m-1', 'Genre Hit', [['Action', 'action']])]
+        : [
+          taxonomyItem('m-1', 'One', [['Romance', 'romance'], ['Action', 'action']]),
+          taxonomyItem('m-2', 'Two', [['Action', 'action'], ['Slice of Life', '']])
+        ];
+      return apiResponse(items, { page: parseInt(params.get('page'), 10), total_page: 3 });
+    }
+
+    const match = url.match(/\/chapter\/[^/]+\/list\?page=(\d+)/);
+    if (match) {
+      const page = parseInt(match[1], 10);
+      if (page === failingPage) {
+        return { status: 200, headers: {}, data: { retcode: 1, message: 'error' } };
+      }
+      const chapters = [1, 2].map(i => {
+        const number = (TOTAL_PAGES - page) * 2 + 3 - i;
+        return { chapter_id: `ch-${number}`, chapter_number: number, chapter_title: '' };
+      });
+      return apiResponse(chapters, { page, total_page: TOTAL_PAGES, total_record: TOTAL_PAGES * 2 });
+    }
+
+    throw new Error(`Unexpected request ${url}`);
+  }
+});
+
+beforeEach(() => {
+  failingPage = null;
+  genreList = [];
+  listRequests.length = 0;
+  cacheService.clear();
+});
+
+after(() => {
+  setFixtureStore(null);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+test('detail collects chapters from every page in order', async () => {
+  const detail = await shinigami.getComicDetail(MANGA_ID);
+
+  assert.deepStrictEqual(detail.chapter.map(chapter => chapter.href), [
+    '/chapter/ch-6', '/chapter/ch-5', '/chapter/ch-4', '/chapter/ch-3', '/chapter/ch-2', '/chapter/ch-1'
+  ]);
+});
+
+test('failed chapter page fails the detail instead of returning an empty chapter list', async () => {
+  failingPage = 2;
+
+  await assert.rejects(() => shinigami.getComicDetail(MANGA_ID), /chapter list page 2/);
+
+  // Halaman yang berhasil tetap ter-cache, retry hanya mengambil halaman yang gagal
+  failingPage = null;
+  const detail = await shinigami.getComicDetail(MANGA_ID);
+  assert.strictEqual(detail.chapter.length, TOTAL_PAGES * 2);
+});
+
+test('failed first chapter page fails the detail', async () => {
+  failingPage = 1;
+
+  await assert.rejects(() => shinigami.getComicDetail(MANGA_ID), /chapter list page 1/);
+});
+
+test('genre list maps the genre endpoint to { title, href } links', async () => {
+  genreList = [
+    { genre_id: 1, name: 'Action', slug: 'action' },
+    { genre_id: 2, name: 'Slice of Life' },
+    { genre_id: 3, name: '' }
+  ];
+
+  assert.deepStrictEqual(await shinigami.getGenres(), [
+    { title: 'Action', href: '/action' },
+    { title: 'Slice of Life', href: '/slice-of-life' }
+  ]);
+  assert.strictEqual(listRequests.length, 0);
+});
+
+test('empty genre endpoint falls back to unique genres from manga taxonomy', async () => {
+  assert.deepStrictEqual(await shinigami.getGenres(), [
+    { title: 'Action', href: '/action' },
+    { title: 'Romance', href: '/romance' },
+    { title: 'Slice of Life', href: '/slice-of-life' }
+  ]);
+  assert.strictEqual(listRequests.length, 1);
+});
+
+test('comics by genre filter the manga list with genre_include', async () => {
+  const result = await shinigami.getComicsByGenre('/action/', 2);
+
+  const params = listRequests[0];
+  assert.strictEqual(params.get('genre_include'), 'action');
+  assert.strictEqual(params.get('genre_include_mode'), 'or');
+  assert.strictEqual(params.get('page'), '2');
+
+  assert.deepStrictEqual(
+    { current_page: result.current_page, length_page: result.length_page, has_next: result.has_next, has_prev: result.has_prev },
+    { current_page: 2, length_page: 3, has_next: true, has_prev: true }
+  );
+  assert.deepStrictEqual(result.data.map(comic => [comic.title, comic.href]), [['Genre Hit', '/series/m-1']]);
+});
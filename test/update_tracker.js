@@ -0,0 +1,122 @@
+/**
+ * Update tracker: diff snapshot latest (baseline, chapter naik/turun, chapter desimal),
+ * cursor opaque dan paging getUpdates, serta batas jumlah/umur komik yang diingat.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { UpdateTracker } = require('../src/services/update_tracker');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+after(() => {
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+const comic = (slug, chapter) => ({ title: slug.replace(/-/g, ' '), href: `/${slug}/`, chapter: `Chapter ${chapter}` });
+
+/**
+ * Create tracker that does not read or write the state file
+ * @param {object} options - Tracker options
+ * @returns {UpdateTracker} Tracker without state file
+ */
+const createTracker = (options = {}) => new UpdateTracker({ persist: false, ...options });
+
+test('first sighting is a baseline and only a higher chapter creates an event', () => {
+  const tracker = createTracker();
+
+  assert.deepStrictEqual(tracker.diff('komikcast', [comic('foo', 10), comic('bar', 5)], START), []);
+
+  const events = tracker.diff('komikcast', [
+    comic('foo', 11),
+    comic('bar', 4), // Listing lama/cache situs: chapter turun tidak menghasilkan event
+    comic('baz', 1),
+    { title: 'No Href', chapter: 'Chapter 3' },
+    { title: 'No Chapter', href: '/no-chapter/' }
+  ], START + 1000);
+
+  assert.strictEqual(events.length, 1);
+  assert.deepStrictEqual(
+    { provider: events[0].provider, href: events[0].comic.href, chapter: events[0].chapter, previousChapter: events[0].previousChapter },
+    { provider: 'komikcast', href: '/foo/', chapter: 11, previousChapter: 10 }
+  );
+  assert.strictEqual(events[0].chapterTitle, 'Chapter 11');
+  assert.strictEqual(events[0].detectedAt, new Date(START + 1000).toISOString());
+
+  // Chapter yang turun tidak menimpa chapter tertinggi yang sudah tercatat
+  assert.strictEqual(tracker.comics.get('komikcast:bar').chapter, 5);
+  assert.strictEqual(tracker.diff('komikcast', [comic('bar', 5)], START + 2000).length, 0);
+});
+
+test('decimal chapters and other providers are tracked separately', () => {
+  const tracker = createTracker();
+
+  tracker.diff('komikcast', [comic('foo', 10)], START);
+  tracker.diff('shinigami', [comic('foo', 10)], START);
+
+  const events = tracker.diff('komikcast', [comic('foo', 10.5)], START + 1000);
+  assert.deepStrictEqual(events.map(event => [event.provider, event.chapter]), [['komikcast', 10.5]]);
+  assert.strictEqual(tracker.diff('shinigami', [comic('foo', 10)], START + 1000).length, 0);
+});
+
+test('getUpdates pages through events with opaque cursors', () => {
+  const tracker = createTracker();
+  tracker.diff('komikcast', ['a', 'b', 'c'].map(slug => comic(slug, 1)), START);
+  tracker.diff('shinigami', [comic('d', 1)], START);
+  tracker.diff('komikcast', ['a', 'b', 'c'].map(slug => comic(slug, 2)), START + 1000);
+  tracker.diff('shinigami', [comic('d', 2)], START + 2000);
+  tracker.diff('komikcast', [comic('a', 3)], START + 3000);
+
+  const first = tracker.getUpdates({ since: START, limit: 2 });
+  assert.deepStrictEqual(first.data.map(event => event.comic.href), ['/a/', '/b/']);
+  assert.strictEqual(first.has_more, true);
+  assert.ok(!('seq' in first.data[0]));
+  assert.doesNotMatch(first.next_cursor, /^\d+$/);
+
+  const second = tracker.getUpdates({ cursor: first.next_cursor, limit: 2 });
+  assert.deepStrictEqual(second.data.map(event => event.comic.href), ['/c/', '/d/']);
+  assert.strictEqual(second.has_more, true);
+
+  const last = tracker.getUpdates({ cursor: second.next_cursor, limit: 2 });
+  assert.deepStrictEqual(last.data.map(event => [event.comic.href, event.chapter]), [['/a/', 3]]);
+  assert.strictEqual(last.has_more, false);
+
+  // Tidak ada event baru: cursor tetap sama agar client bisa polling dengan cursor itu
+  const empty = tracker.getUpdates({ cursor: last.next_cursor });
+  assert.deepStrictEqual(empty.data, []);
+  assert.strictEqual(empty.next_cursor, last.next_cursor);
+
+  const filtered = tracker.getUpdates({ since: new Date(START + 1500).toISOString(), provider: 'komikcast' });
+  assert.deepStrictEqual(filtered.data.map(event => event.comic.href), ['/a/']);
+});
+
+test('getUpdates rejects missing since and malformed cursors', () => {
+  const tracker = createTracker();
+
+  assert.throws(() => tracker.getUpdates({}), { code: 'VALIDATION_ERROR', message: /since or cursor/ });
+  assert.throws(() => tracker.getUpdates({ since: 'yesterday' }), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => tracker.getUpdates({ cursor: 'not-a-cursor' }), { code: 'VALIDATION_ERROR', message: 'Invalid cursor' });
+  assert.throws(() => tracker.getUpdates({ cursor: Buffer.from('u:abc').toString('base64url') }), { code: 'VALIDATION_ERROR' });
+});
+
+test('tracked comics are bounded by count and by age', () => {
+  const tracker = createTracker({ maxComics: 3, maxComicAge: 7 * DAY });
+
+  tracker.diff('komikcast', [comic('a', 1), comic('b', 1)], START);
+  tracker.diff('komikcast', [comic('c', 1), comic('a', 1)], START + DAY);
+  tracker.diff('komikcast', [comic('d', 1)], START + 2 * DAY);
+
+  // b paling lama tidak terlihat
+  assert.deepStrictEqual([...tracker.comics.keys()], ['komikcast:c', 'komikcast:a', 'komikcast:d']);
+
+  tracker.diff('komikcast', [comic('d', 2)], START + 8.5 * DAY);
+  assert.deepStrictEqual([...tracker.comics.keys()], ['komikcast:d']);
+
+  // Komik yang sudah dilupakan kembali jadi baseline, tanpa event palsu
+  assert.deepStrictEqual(tracker.diff('komikcast', [comic('a', 5)], START + 9 * DAY), []);
+  assert.strictEqual(tracker.getStats().trackedComics, 2);
+});
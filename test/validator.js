@@ -0,0 +1,110 @@
+/**
+ * requireFeature lewat router asli: provider tanpa fitur ditolak 501, fallback=true dialihkan
+ * ke provider yang mendukung dengan header X-Provider-Fallback, juga saat jawaban dari cache.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setFixtureStore } = require('../src/helper/axios_service');
+const cacheService = require('../src/helper/cache_service');
+const { rateLimiter } = require('../src/middleware/rate_limiter');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { router } = require('../src/router');
+
+const PROVIDER_ID = 'nogenre';
+
+// Daftar genre komikcast (provider default) dari HTML statis
+const GENRE_HTML = `
+<div id="content"><div class="wrapper"><div id="sidebar"><div class="section"><ul class="genre">
+  <li><a href="https://komikcast03.com/genres/action/">Action</a></li>
+  <li><a href="https://komikcast03.com/genres/romance/">Romance</a></li>
+</ul></div></div></div></div>`;
+
+const fetched = [];
+let server;
+let origin;
+
+registerProvider(PROVIDER_ID, {
+  name: 'No Genre',
+  baseUrl: 'https://nogenre.test',
+  enabled: true,
+  features: { latest: true }
+}, {
+  getLatestComics: async () => ({ current_page: 1, length_page: 1, data: [] })
+});
+
+setFixtureStore({
+  handle: async (url) => {
+    fetched.push(url);
+    return { status: 200, headers: { 'content-type': 'text/html' }, data: GENRE_HTML };
+  }
+});
+
+before(async () => {
+  server = router.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  setFixtureStore(null);
+  unregisterProvider(PROVIDER_ID);
+  cacheService.stopCleanup();
+  rateLimiter.stopCleanup();
+});
+
+/**
+ * GET path on the router
+ * @param {string} path - Request path with query
+ * @returns {Promise<object>} { status, headers, body }
+ */
+const get = async (path) => {
+  const response = await fetch(`${origin}${path}`);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+test('provider without the feature is rejected with 501 and supporting providers', async () => {
+  const { status, headers, body } = await get(`/genre?provider=${PROVIDER_ID}`);
+
+  assert.strictEqual(status, 501);
+  assert.strictEqual(body.code, 'FEATURE_NOT_SUPPORTED');
+  assert.strictEqual(body.data.provider, PROVIDER_ID);
+  assert.strictEqual(body.data.capability, 'genreList');
+  assert.ok(body.data.supportedProviders.includes('komikcast'));
+  assert.ok(!body.data.supportedProviders.includes(PROVIDER_ID));
+  assert.strictEqual(headers.get('x-provider-fallback'), null);
+  assert.deepStrictEqual(fetched, []);
+});
+
+test('unknown provider is rejected with 422 unless fallback is requested', async () => {
+  const rejected = await get('/genre?provider=ghost');
+  assert.strictEqual(rejected.status, 422);
+  assert.strictEqual(rejected.body.code, 'PROVIDER_UNAVAILABLE');
+
+  const { status, headers } = await get('/genre?provider=ghost&fallback=1');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(headers.get('x-provider-fallback'), 'ghost->komikcast');
+});
+
+test('fallback=true routes to a supporting provider and keeps the header on cache HIT', async () => {
+  const path = `/genre?provider=${PROVIDER_ID}&fallback=true`;
+  const fetchedBefore = fetched.length;
+
+  const first = await get(path);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-provider-fallback'), `${PROVIDER_ID}->komikcast`);
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.deepStrictEqual(first.body.data.map(genre => genre.title), ['Action', 'Romance']);
+  assert.strictEqual(fetched.length, fetchedBefore + 1);
+
+  const second = await get(path);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(second.headers.get('x-provider-fallback'), `${PROVIDER_ID}->komikcast`);
+  assert.deepStrictEqual(second.body.data, first.body.data);
+  assert.strictEqual(fetched.length, fetchedBefore + 1);
+
+  // Cache HIT tidak melewati negosiasi: tanpa fallback tetap 501
+  assert.strictEqual((await get(`/genre?provider=${PROVIDER_ID}`)).status, 501);
+});
@@ -0,0 +1,104 @@
+/**
+ * Webhook: URL ke alamat internal (loopback, private, link-local) ditolak saat register,
+ * test dan pengiriman; receiver lokal hanya bisa dipakai lewat allowlist.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WebhookService, EVENT_TYPES, signPayload } = require('../src/services/webhook_service');
+
+const SECRET = 'test-secret-0123456789';
+
+const received = [];
+let receiverUrl;
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(204).end();
+  });
+});
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+const createService = (allowedHosts = '') => new WebhookService({ persist: false, allowedHosts, maxAttempts: 3 });
+
+test('register rejects loopback, private and link-local targets', async () => {
+  const service = createService();
+  const urls = [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://0.0.0.0/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[fd00::1]/hook',
+    'http://2130706433/hook'
+  ];
+
+  for (const url of urls) {
+    await assert.rejects(() => service.register({ url }), { code: 'VALIDATION_ERROR' }, url);
+  }
+  assert.strictEqual(service.listSubscriptions().length, 0);
+});
+
+test('allowlisted local receiver gets a signed delivery', async () => {
+  const service = createService('127.0.0.1');
+  const subscription = await service.register({ url: receiverUrl, secret: SECRET });
+
+  const entry = await service.ping(subscription.id);
+
+  assert.strictEqual(entry.ok, true, entry.error);
+  assert.strictEqual(received.length, 1);
+
+  const { headers, body } = received[0];
+  assert.strictEqual(headers['x-webhook-event'], EVENT_TYPES.PING);
+  assert.strictEqual(headers['x-webhook-signature'], signPayload(SECRET, headers['x-webhook-timestamp'], body));
+  assert.strictEqual(JSON.parse(body).data.webhookId, subscription.id);
+});
+
+test('stored subscription to an internal address is dead-lettered without sending', async () => {
+  const service = createService('127.0.0.1');
+  const subscription = await service.register({ url: receiverUrl, secret: SECRET });
+  const before = received.length;
+
+  // Allowlist dicabut setelah subscription tersimpan
+  service.allowedHosts = [];
+  await assert.rejects(() => service.ping(subscription.id), { code: 'VALIDATION_ERROR' });
+
+  const [delivery] = service.dispatch(EVENT_TYPES.PING, { webhookId: subscription.id }, [service.subscriptions.get(subscription.id)]);
+  service.cancel(delivery.id);
+  service.pending.set(delivery.id, delivery);
+  const entry = await service.attempt(delivery.id);
+
+  assert.strictEqual(entry.ok, false);
+  assert.strictEqual(received.length, before);
+  assert.strictEqual(service.getDeadLetters().length, 1);
+  assert.strictEqual(service.pending.size, 0);
+});
+
+test('hostname resolving to an internal address at send time is refused', async () => {
+  const service = createService('localhost');
+  const subscription = await service.register({ url: receiverUrl.replace('127.0.0.1', 'localhost'), secret: SECRET });
+  const before = received.length;
+
+  // Simulasi DNS rebinding: pengecekan awal lolos, alamat saat connect tetap dicek
+  service.allowedHosts = [];
+  service.assertPublicTarget = async () => {};
+  const entry = await service.ping(subscription.id);
+
+  assert.strictEqual(entry.ok, false);
+  assert.match(entry.error, /EBLOCKEDADDRESS/);
+  assert.strictEqual(received.length, before);
+});